@@ -0,0 +1,137 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import BudgetsService from '../services/budgets.services.js';
+import { BUDGET_TYPES } from '../utils/constants.js';
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function parseMonth(value, name) {
+    if (value && !MONTH_PATTERN.test(value)) {
+        throw new ValidationError(`${name} must be in YYYY-MM format`);
+    }
+    return value || undefined;
+}
+
+class BudgetsController {
+    static async createBudget(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const budget = await BudgetsService.createBudget(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Budget created successfully', budget);
+        } catch (error) {
+            logger.error(`Create budget error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getBudget(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const budget = await BudgetsService.getBudgetById(id, farmId);
+            return SuccessResponse(res, 200, 'Budget retrieved successfully', budget);
+        } catch (error) {
+            logger.error(`Get budget error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllBudgets(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { budget_type, category, month_from, month_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            if (budget_type && !BUDGET_TYPES.includes(budget_type)) {
+                throw new ValidationError(`Budget type must be one of ${BUDGET_TYPES.join(', ')}`);
+            }
+            const filters = {
+                budget_type: budget_type || undefined,
+                category: category || undefined,
+                month_from: parseMonth(month_from, 'month_from'),
+                month_to: parseMonth(month_to, 'month_to'),
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const budgets = await BudgetsService.getAllBudgets(farmId, filters);
+            return SuccessResponse(res, 200, 'Budgets retrieved successfully', budgets);
+        } catch (error) {
+            logger.error(`Get all budgets error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateBudget(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const budget = await BudgetsService.updateBudget(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Budget updated successfully', budget);
+        } catch (error) {
+            logger.error(`Update budget error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteBudget(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const budget = await BudgetsService.deleteBudget(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Budget deleted successfully', budget);
+        } catch (error) {
+            logger.error(`Delete budget error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getVarianceReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const report = await BudgetsService.getVarianceReport(farmId, {
+                from: parseMonth(req.query.from, 'from'),
+                to: parseMonth(req.query.to, 'to'),
+            });
+            return SuccessResponse(res, 200, 'Budget variance report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get budget variance report error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateBudgetAlerts(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const result = await BudgetsService.generateBudgetAlerts(farmId);
+            return SuccessResponse(res, 201, 'Budget alerts generated successfully', result);
+        } catch (error) {
+            logger.error(`Generate budget alerts error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateAllBudgetAlerts(req, res, next) {
+        try {
+            const result = await BudgetsService.generateAllBudgetAlerts();
+            return SuccessResponse(res, 201, 'Budget alerts generated successfully', result);
+        } catch (error) {
+            logger.error(`Generate budget alerts for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default BudgetsController;
@@ -0,0 +1,74 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import CheckupService from '../services/checkup.services.js';
+
+class CheckupController {
+    static async createCheckup(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const checkupData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const checkup = await CheckupService.createCheckup(checkupData, userId);
+            return SuccessResponse(res, 201, 'Checkup recorded successfully', checkup);
+        } catch (error) {
+            logger.error(`Create checkup error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async createRowCheckups(req, res, next) {
+        try {
+            const { farmId, rowId } = req.params;
+            const userId = req.user.id;
+            const result = await CheckupService.createRowCheckups(farmId, rowId, req.body, userId);
+            return SuccessResponse(res, 201, 'Row checkups recorded successfully', result);
+        } catch (error) {
+            logger.error(`Create row checkups error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getCheckups(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id, row_id, date_from, date_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                rabbit_id: rabbit_id || undefined,
+                row_id: row_id || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const checkups = await CheckupService.getCheckups(farmId, filters);
+            return SuccessResponse(res, 200, 'Checkups retrieved successfully', checkups);
+        } catch (error) {
+            logger.error(`Get checkups error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getScoreDrops(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { min_drop } = req.query;
+            const parsedMinDrop = min_drop ? parseFloat(min_drop) : undefined;
+            if (min_drop && (isNaN(parsedMinDrop) || parsedMinDrop < 0)) {
+                throw new ValidationError('min_drop must be a non-negative number');
+            }
+            const drops = await CheckupService.getScoreDrops(farmId, { min_drop: parsedMinDrop });
+            return SuccessResponse(res, 200, 'Checkup score drops retrieved successfully', drops);
+        } catch (error) {
+            logger.error(`Get checkup score drops error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default CheckupController;
@@ -0,0 +1,119 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import CustomersService from '../services/customers.services.js';
+
+class CustomersController {
+    static async createCustomer(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const customerData = { ...req.body, farm_id: farmId };
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const customer = await CustomersService.createCustomer(customerData, userId);
+            return SuccessResponse(res, 201, 'Customer created successfully', customer);
+        } catch (error) {
+            logger.error(`Create customer error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getCustomer(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const customer = await CustomersService.getCustomerById(id, farmId);
+            return SuccessResponse(res, 200, 'Customer retrieved successfully', customer);
+        } catch (error) {
+            logger.error(`Get customer error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllCustomers(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { search, customer_type, has_balance, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                search: search || undefined,
+                customer_type: customer_type || undefined,
+                has_balance: has_balance === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const customers = await CustomersService.getAllCustomers(farmId, filters);
+            return SuccessResponse(res, 200, 'Customers retrieved successfully', customers);
+        } catch (error) {
+            logger.error(`Get all customers error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateCustomer(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const customer = await CustomersService.updateCustomer(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Customer updated successfully', customer);
+        } catch (error) {
+            logger.error(`Update customer error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteCustomer(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const customer = await CustomersService.deleteCustomer(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Customer deleted successfully', customer);
+        } catch (error) {
+            logger.error(`Delete customer error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getCustomerLedger(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const { date_from, date_to } = req.query;
+            const ledger = await CustomersService.getCustomerLedger(farmId, id, {
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+            });
+            return SuccessResponse(res, 200, 'Customer ledger retrieved successfully', ledger);
+        } catch (error) {
+            logger.error(`Get customer ledger error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async linkPastSales(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const result = await CustomersService.linkPastSales(farmId, id, req.body.buyer_name, userId);
+            return SuccessResponse(res, 200, 'Past sales linked to customer successfully', result);
+        } catch (error) {
+            logger.error(`Link past sales error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default CustomersController;
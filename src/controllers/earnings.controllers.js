@@ -2,6 +2,7 @@ import { SuccessResponse } from '../middleware/responses.js';
 import logger from '../middleware/logger.js';
 import { ValidationError } from '../middleware/errors.js';
 import EarningsService from '../services/earnings.services.js';
+import { PAYMENT_STATUSES } from '../utils/constants.js';
 
 class EarningsController {
     static async createEarnings(req, res, next) {
@@ -39,7 +40,7 @@ class EarningsController {
     static async getAllEarnings(req, res, next) {
         try {
             const { farmId } = req.params;
-            const { type, date_from, date_to, limit, offset } = req.query;
+            const { type, customer_id, payment_status, overdue, date_from, date_to, limit, offset } = req.query;
             if (!farmId) {
                 throw new ValidationError('Missing farmId');
             }
@@ -48,8 +49,14 @@ class EarningsController {
             if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
                 throw new ValidationError('Limit and offset must be valid integers');
             }
+            if (payment_status && !PAYMENT_STATUSES.includes(payment_status)) {
+                throw new ValidationError(`Payment status must be one of ${PAYMENT_STATUSES.join(', ')}`);
+            }
             const filters = {
                 type: type || undefined,
+                customer_id: customer_id || undefined,
+                payment_status: payment_status || undefined,
+                overdue: overdue === 'true',
                 date_from: date_from || undefined,
                 date_to: date_to || undefined,
                 limit: parsedLimit,
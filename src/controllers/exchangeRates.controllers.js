@@ -0,0 +1,77 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import ExchangeRatesService from '../services/exchangeRates.services.js';
+
+class ExchangeRatesController {
+    static async setRate(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const rate = await ExchangeRatesService.setRate(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Exchange rate saved successfully', rate);
+        } catch (error) {
+            logger.error(`Set exchange rate error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async importRates(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const result = await ExchangeRatesService.importRates(farmId, req.body.csv, userId);
+            return SuccessResponse(res, 201, 'Exchange rates imported successfully', result);
+        } catch (error) {
+            logger.error(`Import exchange rates error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRates(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { currency, date_from, date_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                currency: currency ? currency.toUpperCase() : undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const rates = await ExchangeRatesService.getRates(farmId, filters);
+            return SuccessResponse(res, 200, 'Exchange rates retrieved successfully', rates);
+        } catch (error) {
+            logger.error(`Get exchange rates error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteRate(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const rate = await ExchangeRatesService.deleteRate(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Exchange rate deleted successfully', rate);
+        } catch (error) {
+            logger.error(`Delete exchange rate error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ExchangeRatesController;
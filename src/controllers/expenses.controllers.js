@@ -0,0 +1,113 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import ExpensesService from '../services/expenses.services.js';
+
+class ExpensesController {
+    static async createExpense(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const expenseData = { ...req.body, farm_id: farmId };
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const expense = await ExpensesService.createExpense(expenseData, userId);
+            return SuccessResponse(res, 201, 'Expense created successfully', expense);
+        } catch (error) {
+            logger.error(`Create expense error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getExpense(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            if (!farmId || !id) {
+                throw new ValidationError('Missing farmId or expense ID');
+            }
+            const expense = await ExpensesService.getExpenseById(id, farmId);
+            return SuccessResponse(res, 200, 'Expense retrieved successfully', expense);
+        } catch (error) {
+            logger.error(`Get expense error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllExpenses(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { category, vendor, is_recurring, date_from, date_to, limit, offset } = req.query;
+            if (!farmId) {
+                throw new ValidationError('Missing farmId');
+            }
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                category: category || undefined,
+                vendor: vendor || undefined,
+                is_recurring: is_recurring !== undefined ? is_recurring === 'true' : undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const expenses = await ExpensesService.getAllExpenses(farmId, filters);
+            return SuccessResponse(res, 200, 'Expenses retrieved successfully', expenses);
+        } catch (error) {
+            logger.error(`Get all expenses error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateExpense(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            if (!farmId || !id) {
+                throw new ValidationError('Missing farmId or expense ID');
+            }
+            const expense = await ExpensesService.updateExpense(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Expense updated successfully', expense);
+        } catch (error) {
+            logger.error(`Update expense error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteExpense(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            if (!farmId || !id) {
+                throw new ValidationError('Missing farmId or expense ID');
+            }
+            const expense = await ExpensesService.deleteExpense(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Expense deleted successfully', expense);
+        } catch (error) {
+            logger.error(`Delete expense error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateRecurringExpenses(req, res, next) {
+        try {
+            const result = await ExpensesService.generateAllRecurringExpenses();
+            return SuccessResponse(res, 201, 'Recurring expenses generated successfully', result);
+        } catch (error) {
+            logger.error(`Generate recurring expenses error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ExpensesController;
@@ -0,0 +1,160 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import FeedInventoryService from '../services/feedInventory.services.js';
+
+class FeedInventoryController {
+    static async addStock(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const stockData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const stock = await FeedInventoryService.addStock(stockData, userId);
+            return SuccessResponse(res, 201, 'Feed stock added successfully', stock);
+        } catch (error) {
+            logger.error(`Add feed stock error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInventory(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { feed_type, include_empty, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                feed_type: feed_type || undefined,
+                include_empty: include_empty === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const inventory = await FeedInventoryService.getInventory(farmId, filters);
+            return SuccessResponse(res, 200, 'Feed inventory retrieved successfully', inventory);
+        } catch (error) {
+            logger.error(`Get feed inventory error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getStockSummary(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const summary = await FeedInventoryService.getStockSummary(farmId);
+            return SuccessResponse(res, 200, 'Feed stock summary retrieved successfully', summary);
+        } catch (error) {
+            logger.error(`Get feed stock summary error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInventoryById(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const stock = await FeedInventoryService.getInventoryById(id, farmId);
+            return SuccessResponse(res, 200, 'Feed stock retrieved successfully', stock);
+        } catch (error) {
+            logger.error(`Get feed stock error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async adjustStock(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const stock = await FeedInventoryService.adjustStock(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Feed stock adjusted successfully', stock);
+        } catch (error) {
+            logger.error(`Adjust feed stock error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteInventory(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const stock = await FeedInventoryService.deleteInventory(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Feed stock deleted successfully', stock);
+        } catch (error) {
+            logger.error(`Delete feed stock error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getMovements(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { inventory_id, feed_type, movement_type, date_from, date_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                inventory_id: inventory_id || undefined,
+                feed_type: feed_type || undefined,
+                movement_type: movement_type || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const movements = await FeedInventoryService.getMovements(farmId, filters);
+            return SuccessResponse(res, 200, 'Feed stock movements retrieved successfully', movements);
+        } catch (error) {
+            logger.error(`Get feed stock movements error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getThresholds(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const thresholds = await FeedInventoryService.getThresholds(farmId);
+            return SuccessResponse(res, 200, 'Feed stock thresholds retrieved successfully', thresholds);
+        } catch (error) {
+            logger.error(`Get feed stock thresholds error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async setThreshold(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user.id;
+            const threshold = await FeedInventoryService.setThreshold(farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Feed stock threshold saved successfully', threshold);
+        } catch (error) {
+            logger.error(`Set feed stock threshold error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateStockAlerts(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const alerts = await FeedInventoryService.generateStockAlerts(farmId, req.user?.id);
+            return SuccessResponse(res, 201, 'Feed stock alerts generated successfully', alerts);
+        } catch (error) {
+            logger.error(`Generate feed stock alerts error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateAllStockAlerts(req, res, next) {
+        try {
+            const result = await FeedInventoryService.generateAllStockAlerts();
+            return SuccessResponse(res, 201, 'Feed stock alerts generated successfully', result);
+        } catch (error) {
+            logger.error(`Generate feed stock alerts for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default FeedInventoryController;
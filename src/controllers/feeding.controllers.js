@@ -0,0 +1,198 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import FeedingService from '../services/feeding.services.js';
+
+class FeedingController {
+    static async createSchedule(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const scheduleData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const schedule = await FeedingService.createSchedule(scheduleData, userId);
+            return SuccessResponse(res, 201, 'Feeding schedule created successfully', schedule);
+        } catch (error) {
+            logger.error(`Create feeding schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async applyScheduleToGroup(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user.id;
+            const schedules = await FeedingService.applyScheduleToGroup(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Feeding schedule applied successfully', schedules);
+        } catch (error) {
+            logger.error(`Apply feeding schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getScheduleById(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const schedule = await FeedingService.getScheduleById(id, farmId);
+            return SuccessResponse(res, 200, 'Feeding schedule retrieved successfully', schedule);
+        } catch (error) {
+            logger.error(`Get feeding schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllSchedules(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id, hutch_id, row_id, is_active, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                rabbit_id: rabbit_id || undefined,
+                hutch_id: hutch_id || undefined,
+                row_id: row_id || undefined,
+                is_active: is_active !== undefined ? is_active === 'true' : undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const schedules = await FeedingService.getAllSchedules(farmId, filters);
+            return SuccessResponse(res, 200, 'Feeding schedules retrieved successfully', schedules);
+        } catch (error) {
+            logger.error(`Get all feeding schedules error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateSchedule(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const schedule = await FeedingService.updateSchedule(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Feeding schedule updated successfully', schedule);
+        } catch (error) {
+            logger.error(`Update feeding schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteSchedule(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const schedule = await FeedingService.deleteSchedule(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Feeding schedule deleted successfully', schedule);
+        } catch (error) {
+            logger.error(`Delete feeding schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async logFeeding(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const feedingData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const record = await FeedingService.logFeeding(feedingData, userId);
+            return SuccessResponse(res, 201, 'Feeding logged successfully', record);
+        } catch (error) {
+            logger.error(`Log feeding error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async logHutchFeedings(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user.id;
+            const result = await FeedingService.logHutchFeedings(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Hutch feedings logged successfully', result);
+        } catch (error) {
+            logger.error(`Log hutch feedings error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getFeedingRecords(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id, hutch_id, feed_type, date_from, date_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                rabbit_id: rabbit_id || undefined,
+                hutch_id: hutch_id || undefined,
+                feed_type: feed_type || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const records = await FeedingService.getFeedingRecords(farmId, filters);
+            return SuccessResponse(res, 200, 'Feeding records retrieved successfully', records);
+        } catch (error) {
+            logger.error(`Get feeding records error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteFeedingRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const record = await FeedingService.deleteFeedingRecord(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Feeding record deleted successfully', record);
+        } catch (error) {
+            logger.error(`Delete feeding record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getTodayTasks(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const tasks = await FeedingService.getTodayTasks(farmId);
+            return SuccessResponse(res, 200, "Today's feeding tasks retrieved successfully", tasks);
+        } catch (error) {
+            logger.error(`Get today's feeding tasks error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getForecast(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { lookback_days, horizon_days } = req.query;
+            const parsedLookback = lookback_days ? parseInt(lookback_days, 10) : undefined;
+            const parsedHorizon = horizon_days ? parseInt(horizon_days, 10) : undefined;
+            if ((lookback_days && !(parsedLookback > 0)) || (horizon_days && !(parsedHorizon > 0 && parsedHorizon <= 365))) {
+                throw new ValidationError('lookback_days must be a positive integer and horizon_days between 1 and 365');
+            }
+            const forecast = await FeedingService.getForecast(farmId, {
+                lookback_days: parsedLookback,
+                horizon_days: parsedHorizon,
+            });
+            return SuccessResponse(res, 200, 'Feed forecast retrieved successfully', forecast);
+        } catch (error) {
+            logger.error(`Get feed forecast error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getMissedFeedings(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const missed = await FeedingService.getMissedFeedings(farmId);
+            return SuccessResponse(res, 200, 'Missed feedings retrieved successfully', missed);
+        } catch (error) {
+            logger.error(`Get missed feedings error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default FeedingController;
@@ -0,0 +1,97 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import HealthService from '../services/health.services.js';
+
+class HealthController {
+    static async createHealthRecord(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const healthData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const record = await HealthService.createHealthRecord(healthData, userId);
+            return SuccessResponse(res, 201, 'Health record created successfully', record);
+        } catch (error) {
+            logger.error(`Create health record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getHealthRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const record = await HealthService.getHealthRecordById(id, farmId);
+            return SuccessResponse(res, 200, 'Health record retrieved successfully', record);
+        } catch (error) {
+            logger.error(`Get health record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllHealthRecords(req, res, next) {
+        try {
+            const { farmId, rabbitId } = req.params;
+            const { rabbit_id, type, status, date_from, date_to, next_due_from, next_due_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                rabbit_id: rabbitId || rabbit_id || undefined,
+                type: type || undefined,
+                status: status || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                next_due_from: next_due_from || undefined,
+                next_due_to: next_due_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const records = await HealthService.getAllHealthRecords(farmId, filters);
+            return SuccessResponse(res, 200, 'Health records retrieved successfully', records);
+        } catch (error) {
+            logger.error(`Get all health records error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateHealthRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const healthData = req.body;
+            const userId = req.user.id;
+            const record = await HealthService.updateHealthRecord(id, farmId, healthData, userId);
+            return SuccessResponse(res, 200, 'Health record updated successfully', record);
+        } catch (error) {
+            logger.error(`Update health record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteHealthRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const record = await HealthService.deleteHealthRecord(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Health record deleted successfully', record);
+        } catch (error) {
+            logger.error(`Delete health record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRabbitsUnderWithdrawal(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id } = req.query;
+            const rabbits = await HealthService.getRabbitsUnderWithdrawal(farmId, { rabbit_id: rabbit_id || undefined });
+            return SuccessResponse(res, 200, 'Rabbits under withdrawal retrieved successfully', rabbits);
+        } catch (error) {
+            logger.error(`Get rabbits under withdrawal error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default HealthController;
@@ -0,0 +1,95 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import HealthAlertService from '../services/healthAlert.services.js';
+
+class HealthAlertController {
+    static async createHealthAlert(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const alertData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const alert = await HealthAlertService.createHealthAlert(alertData, userId);
+            return SuccessResponse(res, 201, 'Health alert raised successfully', alert);
+        } catch (error) {
+            logger.error(`Create health alert error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getHealthAlert(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const alert = await HealthAlertService.getHealthAlertById(id, farmId);
+            return SuccessResponse(res, 200, 'Health alert retrieved successfully', alert);
+        } catch (error) {
+            logger.error(`Get health alert error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllHealthAlerts(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id, severity, alert_type, is_read, is_resolved, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            // Only open alerts are listed unless is_resolved is given explicitly
+            const filters = {
+                rabbit_id: rabbit_id || undefined,
+                severity: severity || undefined,
+                alert_type: alert_type || undefined,
+                is_read: is_read === undefined ? undefined : is_read === 'true',
+                is_resolved: is_resolved === undefined ? false : is_resolved === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const alerts = await HealthAlertService.getAllHealthAlerts(farmId, filters);
+            return SuccessResponse(res, 200, 'Health alerts retrieved successfully', alerts);
+        } catch (error) {
+            logger.error(`Get all health alerts error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async markHealthAlertRead(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const alert = await HealthAlertService.markHealthAlertRead(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Health alert marked as read', alert);
+        } catch (error) {
+            logger.error(`Mark health alert read error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async resolveHealthAlert(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const alert = await HealthAlertService.resolveHealthAlert(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Health alert resolved successfully', alert);
+        } catch (error) {
+            logger.error(`Resolve health alert error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteHealthAlert(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const alert = await HealthAlertService.deleteHealthAlert(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Health alert deleted successfully', alert);
+        } catch (error) {
+            logger.error(`Delete health alert error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default HealthAlertController;
@@ -37,7 +37,7 @@ class HutchesController {
     static async getAllHutches(req, res, next) {
         try {
             const { farmId } = req.params;
-            const { rowName, limit, offset, is_occupied } = req.query;
+            const { rowName, limit, offset, is_occupied, is_quarantine } = req.query;
             if (!farmId) {
                 throw new ValidationError('Missing farmId');
             }
@@ -51,7 +51,8 @@ class HutchesController {
                 rowName: rowName || undefined,
                 limit: parsedLimit,
                 offset: parsedOffset,
-                is_occupied: is_occupied === 'true' ? true : is_occupied === 'false' ? false : undefined
+                is_occupied: is_occupied === 'true' ? true : is_occupied === 'false' ? false : undefined,
+                is_quarantine: is_quarantine === 'true' ? true : is_quarantine === 'false' ? false : undefined
             };
             const hutches = await HutchesService.getAllHutches(farmId, filters);
             return SuccessResponse(res, 200, 'Hutches retrieved successfully', hutches);
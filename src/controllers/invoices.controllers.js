@@ -0,0 +1,188 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import InvoicesService from '../services/invoices.services.js';
+
+class InvoicesController {
+    static async createInvoice(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.createInvoice(farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Invoice created successfully', invoice);
+        } catch (error) {
+            logger.error(`Create invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const invoice = await InvoicesService.getInvoiceById(id, farmId);
+            return SuccessResponse(res, 200, 'Invoice retrieved successfully', invoice);
+        } catch (error) {
+            logger.error(`Get invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllInvoices(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { status, customer_id, date_from, date_to, overdue, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                status: status || undefined,
+                customer_id: customer_id || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                overdue: overdue === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const invoices = await InvoicesService.getAllInvoices(farmId, filters);
+            return SuccessResponse(res, 200, 'Invoices retrieved successfully', invoices);
+        } catch (error) {
+            logger.error(`Get all invoices error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.updateInvoice(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Invoice updated successfully', invoice);
+        } catch (error) {
+            logger.error(`Update invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.deleteInvoice(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Invoice deleted successfully', invoice);
+        } catch (error) {
+            logger.error(`Delete invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async issueInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.issueInvoice(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Invoice issued successfully', invoice);
+        } catch (error) {
+            logger.error(`Issue invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async voidInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.voidInvoice(id, farmId, req.body.reason, userId);
+            return SuccessResponse(res, 200, 'Invoice voided successfully', invoice);
+        } catch (error) {
+            logger.error(`Void invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async recordPayment(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.recordPayment(id, farmId, req.body, userId);
+            return SuccessResponse(res, 201, 'Payment recorded successfully', invoice);
+        } catch (error) {
+            logger.error(`Record invoice payment error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deletePayment(req, res, next) {
+        try {
+            const { id, farmId, paymentId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const invoice = await InvoicesService.deletePayment(id, farmId, paymentId, userId);
+            return SuccessResponse(res, 200, 'Payment deleted successfully', invoice);
+        } catch (error) {
+            logger.error(`Delete invoice payment error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInvoiceHtml(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const { html } = await InvoicesService.renderHtml(id, farmId);
+            return res.status(200).type('html').send(html);
+        } catch (error) {
+            logger.error(`Get invoice HTML error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getInvoicePdf(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const { invoice, pdf } = await InvoicesService.renderPdf(id, farmId);
+            res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${InvoicesService.fileName(invoice)}"`);
+            return res.status(200).type('application/pdf').send(pdf);
+        } catch (error) {
+            logger.error(`Get invoice PDF error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async sendInvoice(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const result = await InvoicesService.sendInvoice(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Invoice sent successfully', result);
+        } catch (error) {
+            logger.error(`Send invoice error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default InvoicesController;
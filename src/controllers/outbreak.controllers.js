@@ -0,0 +1,39 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import OutbreakService from '../services/outbreak.services.js';
+
+class OutbreakController {
+    static async getOutbreaks(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const outbreaks = await OutbreakService.findOutbreaks(farmId);
+            return SuccessResponse(res, 200, 'Outbreaks retrieved successfully', outbreaks);
+        } catch (error) {
+            logger.error(`Get outbreaks error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async detectOutbreaks(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const raised = await OutbreakService.detectOutbreaks(farmId, req.user?.id);
+            return SuccessResponse(res, 201, 'Outbreak detection completed successfully', raised);
+        } catch (error) {
+            logger.error(`Detect outbreaks error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async detectAllOutbreaks(req, res, next) {
+        try {
+            const result = await OutbreakService.detectAllOutbreaks();
+            return SuccessResponse(res, 201, 'Outbreak detection completed successfully', result);
+        } catch (error) {
+            logger.error(`Detect outbreaks for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default OutbreakController;
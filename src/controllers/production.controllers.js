@@ -0,0 +1,121 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import ProductionService from '../services/production.services.js';
+
+class ProductionController {
+    static async createRecord(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const recordData = { ...req.body, farm_id: farmId };
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const record = await ProductionService.createRecord(recordData, userId);
+            return SuccessResponse(res, 201, 'Production recorded successfully', record);
+        } catch (error) {
+            logger.error(`Create production record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const record = await ProductionService.getRecordById(id, farmId);
+            return SuccessResponse(res, 200, 'Production record retrieved successfully', record);
+        } catch (error) {
+            logger.error(`Get production record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllRecords(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { type, row_id, date_from, date_to, in_stock, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                type: type || undefined,
+                row_id: row_id || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                in_stock: in_stock !== undefined ? in_stock === 'true' : undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const records = await ProductionService.getAllRecords(farmId, filters);
+            return SuccessResponse(res, 200, 'Production records retrieved successfully', records);
+        } catch (error) {
+            logger.error(`Get all production records error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const record = await ProductionService.updateRecord(id, farmId, req.body, userId);
+            return SuccessResponse(res, 200, 'Production record updated successfully', record);
+        } catch (error) {
+            logger.error(`Update production record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteRecord(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const record = await ProductionService.deleteRecord(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Production record deleted successfully', record);
+        } catch (error) {
+            logger.error(`Delete production record error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async linkSale(req, res, next) {
+        try {
+            const { farmId, earningsId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const result = await ProductionService.linkSale(farmId, earningsId, req.body, userId);
+            return SuccessResponse(res, 201, 'Sale linked to production successfully', result);
+        } catch (error) {
+            logger.error(`Link sale to production error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async unlinkSale(req, res, next) {
+        try {
+            const { farmId, earningsId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const result = await ProductionService.unlinkSale(farmId, earningsId, userId);
+            return SuccessResponse(res, 200, 'Sale unlinked from production successfully', result);
+        } catch (error) {
+            logger.error(`Unlink sale from production error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ProductionController;
@@ -1,6 +1,9 @@
 import RabbitsService from '../services/rabbits.services.js';
+import QuarantineService from '../services/quarantine.services.js';
+import EconomicsService from '../services/economics.services.js';
 import { SuccessResponse } from '../middleware/responses.js';
 import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
 
 class RabbitsController {
     static async createRabbit(req, res, next) {
@@ -75,6 +78,71 @@ class RabbitsController {
             next(error);
         }
     }
+
+    static async getQuarantinedRabbits(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const rabbits = await QuarantineService.getQuarantinedRabbits(farmId);
+            return SuccessResponse(res, 200, 'Quarantined rabbits retrieved successfully', rabbits);
+        } catch (error) {
+            logger.error(`Get quarantined rabbits error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async quarantineRabbit(req, res, next) {
+        try {
+            const { rabbitId, farmId } = req.params;
+            const userId = req.user.id;
+            const rabbit = await QuarantineService.quarantineRabbit(farmId, rabbitId, req.body, userId);
+            return SuccessResponse(res, 200, 'Rabbit quarantined successfully', rabbit);
+        } catch (error) {
+            logger.error(`Quarantine rabbit error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async releaseRabbit(req, res, next) {
+        try {
+            const { rabbitId, farmId } = req.params;
+            const userId = req.user.id;
+            const rabbit = await QuarantineService.releaseRabbit(farmId, rabbitId, req.body, userId);
+            return SuccessResponse(res, 200, 'Rabbit released from quarantine successfully', rabbit);
+        } catch (error) {
+            logger.error(`Release rabbit error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRabbitEconomics(req, res, next) {
+        try {
+            const { rabbitId, farmId } = req.params;
+            const economics = await EconomicsService.getRabbitEconomics(farmId, rabbitId);
+            return SuccessResponse(res, 200, 'Rabbit economics retrieved successfully', economics);
+        } catch (error) {
+            logger.error(`Get rabbit economics error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getDoeRanking(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { include_removed, limit } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            if (limit && !(parsedLimit > 0)) {
+                throw new ValidationError('Limit must be a positive integer');
+            }
+            const ranking = await EconomicsService.getDoeRanking(farmId, {
+                include_removed: include_removed === 'true',
+                limit: parsedLimit,
+            });
+            return SuccessResponse(res, 200, 'Doe ranking retrieved successfully', ranking);
+        } catch (error) {
+            logger.error(`Get doe ranking error: ${error.message}`);
+            next(error);
+        }
+    }
 }
 
 export default RabbitsController;
\ No newline at end of file
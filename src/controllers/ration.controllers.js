@@ -0,0 +1,92 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import RationService from '../services/ration.services.js';
+import { LIFE_STAGES } from '../utils/constants.js';
+
+class RationController {
+    static async getTemplates(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const templates = await RationService.getTemplates(farmId);
+            return SuccessResponse(res, 200, 'Ration templates retrieved successfully', templates);
+        } catch (error) {
+            logger.error(`Get ration templates error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async setTemplate(req, res, next) {
+        try {
+            const { farmId, lifeStage } = req.params;
+            const userId = req.user.id;
+            const template = await RationService.setTemplate(farmId, lifeStage, req.body, userId);
+            return SuccessResponse(res, 200, 'Ration template saved successfully', template);
+        } catch (error) {
+            logger.error(`Set ration template error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteTemplate(req, res, next) {
+        try {
+            const { farmId, lifeStage } = req.params;
+            const userId = req.user.id;
+            const template = await RationService.deleteTemplate(farmId, lifeStage, userId);
+            return SuccessResponse(res, 200, 'Ration template deleted successfully', template);
+        } catch (error) {
+            logger.error(`Delete ration template error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRabbitStages(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { life_stage } = req.query;
+            if (life_stage && !LIFE_STAGES.includes(life_stage)) {
+                throw new ValidationError(`Life stage must be one of ${LIFE_STAGES.join(', ')}`);
+            }
+            const stages = await RationService.getRabbitStages(farmId, { life_stage: life_stage || undefined });
+            return SuccessResponse(res, 200, 'Rabbit life stages retrieved successfully', stages);
+        } catch (error) {
+            logger.error(`Get rabbit life stages error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async applyRation(req, res, next) {
+        try {
+            const { farmId, rabbitId } = req.params;
+            const userId = req.user.id;
+            const result = await RationService.applyRation(farmId, rabbitId, userId);
+            return SuccessResponse(res, 200, 'Ration applied successfully', result);
+        } catch (error) {
+            logger.error(`Apply ration error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async syncFarmRations(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const result = await RationService.syncFarmRations(farmId, req.user?.id);
+            return SuccessResponse(res, 200, 'Rations synced successfully', result);
+        } catch (error) {
+            logger.error(`Sync rations error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async syncAllRations(req, res, next) {
+        try {
+            const result = await RationService.syncAllRations();
+            return SuccessResponse(res, 200, 'Rations synced successfully', result);
+        } catch (error) {
+            logger.error(`Sync rations for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default RationController;
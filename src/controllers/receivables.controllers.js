@@ -0,0 +1,106 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import ReceivablesService from '../services/receivables.services.js';
+
+class ReceivablesController {
+    static async getReceivables(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { customer_id, overdue, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                customer_id: customer_id || undefined,
+                overdue: overdue === 'true',
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const receivables = await ReceivablesService.getReceivables(farmId, filters);
+            return SuccessResponse(res, 200, 'Receivables retrieved successfully', receivables);
+        } catch (error) {
+            logger.error(`Get receivables error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAgingReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const report = await ReceivablesService.getAgingReport(farmId, {
+                customer_id: req.query.customer_id || undefined,
+            });
+            return SuccessResponse(res, 200, 'Receivables aging report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get receivables aging report error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getSalePayments(req, res, next) {
+        try {
+            const { farmId, earningsId } = req.params;
+            const sale = await ReceivablesService.getSalePayments(farmId, earningsId);
+            return SuccessResponse(res, 200, 'Sale payments retrieved successfully', sale);
+        } catch (error) {
+            logger.error(`Get sale payments error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async recordPayment(req, res, next) {
+        try {
+            const { farmId, earningsId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const sale = await ReceivablesService.recordPayment(farmId, earningsId, req.body, userId);
+            return SuccessResponse(res, 201, 'Payment recorded successfully', sale);
+        } catch (error) {
+            logger.error(`Record sale payment error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deletePayment(req, res, next) {
+        try {
+            const { farmId, paymentId } = req.params;
+            const userId = req.user?.id;
+            if (!userId) {
+                throw new ValidationError('User not authenticated');
+            }
+            const payment = await ReceivablesService.deletePayment(farmId, paymentId, userId);
+            return SuccessResponse(res, 200, 'Payment deleted successfully', payment);
+        } catch (error) {
+            logger.error(`Delete sale payment error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async sendOverdueReminders(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const result = await ReceivablesService.sendOverdueReminders(farmId);
+            return SuccessResponse(res, 201, 'Overdue payment reminders created successfully', result);
+        } catch (error) {
+            logger.error(`Send overdue payment reminders error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async sendAllOverdueReminders(req, res, next) {
+        try {
+            const result = await ReceivablesService.sendAllOverdueReminders();
+            return SuccessResponse(res, 201, 'Overdue payment reminders created successfully', result);
+        } catch (error) {
+            logger.error(`Send overdue payment reminders for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ReceivablesController;
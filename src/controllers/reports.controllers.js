@@ -0,0 +1,76 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { REPORT_GRANULARITIES } from '../utils/constants.js';
+import ReportsService from '../services/reports.services.js';
+
+class ReportsController {
+    static async getMortalityReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { date_from, date_to } = req.query;
+            const report = await ReportsService.getMortalityReport(farmId, {
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+            });
+            return SuccessResponse(res, 200, 'Mortality report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get mortality report error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getFcrReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { date_from, date_to, hutch_id, breed } = req.query;
+            const report = await ReportsService.getFcrReport(farmId, {
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                hutch_id: hutch_id || undefined,
+                breed: breed || undefined,
+            });
+            return SuccessResponse(res, 200, 'FCR report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get FCR report error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getProfitLossReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { from, to, granularity } = req.query;
+            if (granularity && !REPORT_GRANULARITIES.includes(granularity)) {
+                throw new ValidationError(`granularity must be one of ${REPORT_GRANULARITIES.join(', ')}`);
+            }
+            const report = await ReportsService.getProfitLossReport(farmId, {
+                from: from || undefined,
+                to: to || undefined,
+                granularity: granularity || undefined,
+            });
+            return SuccessResponse(res, 200, 'Profit and loss report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get profit and loss report error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getProductionReport(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { date_from, date_to, row_id } = req.query;
+            const report = await ReportsService.getProductionReport(farmId, {
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                row_id: row_id || undefined,
+            });
+            return SuccessResponse(res, 200, 'Production report retrieved successfully', report);
+        } catch (error) {
+            logger.error(`Get production report error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default ReportsController;
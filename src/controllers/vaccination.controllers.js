@@ -0,0 +1,112 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import VaccinationService from '../services/vaccination.services.js';
+
+class VaccinationController {
+    static async createSchedule(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const scheduleData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const schedule = await VaccinationService.createSchedule(scheduleData, userId);
+            return SuccessResponse(res, 201, 'Vaccination schedule created successfully', schedule);
+        } catch (error) {
+            logger.error(`Create vaccination schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getSchedule(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const schedule = await VaccinationService.getScheduleById(id, farmId);
+            return SuccessResponse(res, 200, 'Vaccination schedule retrieved successfully', schedule);
+        } catch (error) {
+            logger.error(`Get vaccination schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getAllSchedules(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { is_active } = req.query;
+            const filters = {
+                is_active: is_active === undefined ? undefined : is_active === 'true',
+            };
+            const schedules = await VaccinationService.getAllSchedules(farmId, filters);
+            return SuccessResponse(res, 200, 'Vaccination schedules retrieved successfully', schedules);
+        } catch (error) {
+            logger.error(`Get all vaccination schedules error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async updateSchedule(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const scheduleData = req.body;
+            const userId = req.user.id;
+            const schedule = await VaccinationService.updateSchedule(id, farmId, scheduleData, userId);
+            return SuccessResponse(res, 200, 'Vaccination schedule updated successfully', schedule);
+        } catch (error) {
+            logger.error(`Update vaccination schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteSchedule(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const schedule = await VaccinationService.deleteSchedule(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Vaccination schedule deleted successfully', schedule);
+        } catch (error) {
+            logger.error(`Delete vaccination schedule error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getDueVaccinations(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { days_ahead, rabbit_id } = req.query;
+            const parsedDaysAhead = days_ahead ? parseInt(days_ahead, 10) : undefined;
+            if (days_ahead && (isNaN(parsedDaysAhead) || parsedDaysAhead < 0)) {
+                throw new ValidationError('days_ahead must be a non-negative integer');
+            }
+            const due = await VaccinationService.getDueVaccinationsByRabbit(farmId, {
+                days_ahead: parsedDaysAhead,
+                rabbit_id: rabbit_id || undefined,
+            });
+            return SuccessResponse(res, 200, 'Due vaccinations retrieved successfully', due);
+        } catch (error) {
+            logger.error(`Get due vaccinations error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateVaccinationAlerts(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const alerts = await VaccinationService.generateVaccinationAlerts(farmId, req.user?.id);
+            return SuccessResponse(res, 201, 'Vaccination alerts generated successfully', alerts);
+        } catch (error) {
+            logger.error(`Generate vaccination alerts error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async generateAllVaccinationAlerts(req, res, next) {
+        try {
+            const result = await VaccinationService.generateAllVaccinationAlerts();
+            return SuccessResponse(res, 201, 'Vaccination alerts generated successfully', result);
+        } catch (error) {
+            logger.error(`Generate vaccination alerts for all farms error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default VaccinationController;
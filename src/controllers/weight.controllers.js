@@ -0,0 +1,80 @@
+import { SuccessResponse } from '../middleware/responses.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import WeightService from '../services/weight.services.js';
+
+class WeightController {
+    static async recordWeight(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const weightData = { ...req.body, farm_id: farmId };
+            const userId = req.user.id;
+            const log = await WeightService.recordWeight(weightData, userId);
+            return SuccessResponse(res, 201, 'Weight recorded successfully', log);
+        } catch (error) {
+            logger.error(`Record weight error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getWeightLogs(req, res, next) {
+        try {
+            const { farmId } = req.params;
+            const { rabbit_id, kit_id, date_from, date_to, limit, offset } = req.query;
+            const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+            const parsedOffset = offset ? parseInt(offset, 10) : undefined;
+            if ((limit && isNaN(parsedLimit)) || (offset && isNaN(parsedOffset))) {
+                throw new ValidationError('Limit and offset must be valid integers');
+            }
+            const filters = {
+                rabbit_id: rabbit_id || undefined,
+                kit_id: kit_id || undefined,
+                date_from: date_from || undefined,
+                date_to: date_to || undefined,
+                limit: parsedLimit,
+                offset: parsedOffset,
+            };
+            const logs = await WeightService.getWeightLogs(farmId, filters);
+            return SuccessResponse(res, 200, 'Weight logs retrieved successfully', logs);
+        } catch (error) {
+            logger.error(`Get weight logs error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async deleteWeightLog(req, res, next) {
+        try {
+            const { id, farmId } = req.params;
+            const userId = req.user.id;
+            const log = await WeightService.deleteWeightLog(id, farmId, userId);
+            return SuccessResponse(res, 200, 'Weight log deleted successfully', log);
+        } catch (error) {
+            logger.error(`Delete weight log error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getRabbitGrowthCurve(req, res, next) {
+        try {
+            const { farmId, rabbitId } = req.params;
+            const growth = await WeightService.getGrowthCurve(farmId, { rabbit_id: rabbitId });
+            return SuccessResponse(res, 200, 'Growth curve retrieved successfully', growth);
+        } catch (error) {
+            logger.error(`Get rabbit growth curve error: ${error.message}`);
+            next(error);
+        }
+    }
+
+    static async getKitGrowthCurve(req, res, next) {
+        try {
+            const { farmId, kitId } = req.params;
+            const growth = await WeightService.getGrowthCurve(farmId, { kit_id: kitId });
+            return SuccessResponse(res, 200, 'Growth curve retrieved successfully', growth);
+        } catch (error) {
+            logger.error(`Get kit growth curve error: ${error.message}`);
+            next(error);
+        }
+    }
+}
+
+export default WeightController;
@@ -903,6 +903,712 @@ const migrations = [
       -- Drop table
       DROP TABLE IF EXISTS email_logs CASCADE;
     `
+  },
+  {
+    version: 11,
+    name: 'add_farm_id_to_health_records',
+    up: `
+      -- Scope health records to a farm
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS farm_id TEXT REFERENCES farms(id) ON DELETE CASCADE;
+
+      -- Backfill farm_id from the rabbit the record belongs to
+      UPDATE health_records hr
+      SET farm_id = r.farm_id
+      FROM rabbits r
+      WHERE hr.rabbit_id = r.rabbit_id AND hr.farm_id IS NULL;
+
+      -- Create indexes for health_records
+      CREATE INDEX IF NOT EXISTS idx_health_records_farm_id ON health_records(farm_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_health_records_next_due ON health_records(next_due) WHERE is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_health_records_farm_id;
+      DROP INDEX IF EXISTS idx_health_records_next_due;
+
+      -- Drop column
+      ALTER TABLE health_records DROP COLUMN IF EXISTS farm_id;
+    `
+  },
+  {
+    version: 12,
+    name: 'link_health_records_to_vaccination_schedules',
+    up: `
+      -- Link vaccination health records to the schedule they fulfil
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS vaccination_schedule_id TEXT REFERENCES vaccination_schedules(id) ON DELETE SET NULL;
+
+      -- Create indexes for vaccination lookups
+      CREATE INDEX IF NOT EXISTS idx_health_records_vaccination_schedule_id ON health_records(vaccination_schedule_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_vaccination_schedules_farm_id ON vaccination_schedules(farm_id) WHERE is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_health_records_vaccination_schedule_id;
+      DROP INDEX IF EXISTS idx_vaccination_schedules_farm_id;
+
+      -- Drop column
+      ALTER TABLE health_records DROP COLUMN IF EXISTS vaccination_schedule_id;
+    `
+  },
+  {
+    version: 13,
+    name: 'add_quarantine_support',
+    up: `
+      -- Flag hutches set aside for quarantine
+      ALTER TABLE hutches ADD COLUMN IF NOT EXISTS is_quarantine BOOLEAN DEFAULT false;
+
+      -- Track quarantine status on rabbits
+      ALTER TABLE rabbits ADD COLUMN IF NOT EXISTS is_quarantined BOOLEAN DEFAULT false;
+      ALTER TABLE rabbits ADD COLUMN IF NOT EXISTS quarantine_reason TEXT;
+      ALTER TABLE rabbits ADD COLUMN IF NOT EXISTS quarantine_start_date DATE;
+      ALTER TABLE rabbits ADD COLUMN IF NOT EXISTS quarantine_end_date DATE;
+
+      -- Create indexes for quarantine lookups
+      CREATE INDEX IF NOT EXISTS idx_hutches_is_quarantine ON hutches(farm_id) WHERE is_quarantine = true AND is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_rabbits_is_quarantined ON rabbits(farm_id) WHERE is_quarantined = true AND is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_hutches_is_quarantine;
+      DROP INDEX IF EXISTS idx_rabbits_is_quarantined;
+
+      -- Drop columns
+      ALTER TABLE rabbits DROP COLUMN IF EXISTS quarantine_end_date;
+      ALTER TABLE rabbits DROP COLUMN IF EXISTS quarantine_start_date;
+      ALTER TABLE rabbits DROP COLUMN IF EXISTS quarantine_reason;
+      ALTER TABLE rabbits DROP COLUMN IF EXISTS is_quarantined;
+      ALTER TABLE hutches DROP COLUMN IF EXISTS is_quarantine;
+    `
+  },
+  {
+    version: 14,
+    name: 'add_medication_withdrawal_to_health_records',
+    up: `
+      -- Record the drug given and its meat withdrawal period
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS drug_name VARCHAR(100);
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS dosage VARCHAR(50);
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS withdrawal_days INTEGER CHECK (withdrawal_days >= 0);
+
+      -- Create index for withdrawal lookups
+      CREATE INDEX IF NOT EXISTS idx_health_records_withdrawal ON health_records(farm_id, rabbit_id) WHERE withdrawal_days > 0 AND is_deleted = 0;
+    `,
+    down: `
+      -- Drop index
+      DROP INDEX IF EXISTS idx_health_records_withdrawal;
+
+      -- Drop columns
+      ALTER TABLE health_records DROP COLUMN IF EXISTS withdrawal_days;
+      ALTER TABLE health_records DROP COLUMN IF EXISTS dosage;
+      ALTER TABLE health_records DROP COLUMN IF EXISTS drug_name;
+    `
+  },
+  {
+    version: 15,
+    name: 'add_mortality_tracking',
+    up: `
+      -- Structured cause of death and age at death for removed rabbits
+      ALTER TABLE removal_records ADD COLUMN IF NOT EXISTS cause_of_death VARCHAR(50)
+        CHECK (cause_of_death IN ('disease', 'predator', 'heat_stress', 'cold_stress', 'kit_crushed', 'injury', 'starvation', 'bloat', 'unknown', 'other'));
+      ALTER TABLE removal_records ADD COLUMN IF NOT EXISTS age_at_death_days INTEGER CHECK (age_at_death_days >= 0);
+
+      -- Cause and date of death for kits
+      ALTER TABLE kit_records ADD COLUMN IF NOT EXISTS cause_of_death VARCHAR(50)
+        CHECK (cause_of_death IN ('disease', 'predator', 'heat_stress', 'cold_stress', 'kit_crushed', 'injury', 'starvation', 'bloat', 'unknown', 'other'));
+      ALTER TABLE kit_records ADD COLUMN IF NOT EXISTS death_date DATE;
+
+      -- Create indexes for mortality reports
+      CREATE INDEX IF NOT EXISTS idx_removal_records_farm_reason_date ON removal_records(farm_id, reason, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_kit_records_farm_status ON kit_records(farm_id, status) WHERE is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_removal_records_farm_reason_date;
+      DROP INDEX IF EXISTS idx_kit_records_farm_status;
+
+      -- Drop columns
+      ALTER TABLE kit_records DROP COLUMN IF EXISTS death_date;
+      ALTER TABLE kit_records DROP COLUMN IF EXISTS cause_of_death;
+      ALTER TABLE removal_records DROP COLUMN IF EXISTS age_at_death_days;
+      ALTER TABLE removal_records DROP COLUMN IF EXISTS cause_of_death;
+    `
+  },
+  {
+    version: 16,
+    name: 'create_weight_logs',
+    up: `
+      -- Create weight_logs table
+      CREATE TABLE IF NOT EXISTS weight_logs (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        rabbit_id VARCHAR(200) REFERENCES rabbits(rabbit_id) ON DELETE CASCADE,
+        kit_id TEXT REFERENCES kit_records(id) ON DELETE CASCADE,
+        weight DECIMAL(5,2) NOT NULL CHECK (weight > 0),
+        weighed_on DATE NOT NULL,
+        notes TEXT,
+        recorded_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (rabbit_id IS NOT NULL OR kit_id IS NOT NULL)
+      );
+
+      -- Create indexes for weight_logs
+      CREATE INDEX IF NOT EXISTS idx_weight_logs_rabbit ON weight_logs(farm_id, rabbit_id, weighed_on) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_weight_logs_kit ON weight_logs(farm_id, kit_id, weighed_on) WHERE is_deleted = 0;
+
+      -- Create trigger for updated_at
+      CREATE TRIGGER update_weight_logs_updated_at BEFORE UPDATE ON weight_logs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop trigger
+      DROP TRIGGER IF EXISTS update_weight_logs_updated_at ON weight_logs;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_weight_logs_rabbit;
+      DROP INDEX IF EXISTS idx_weight_logs_kit;
+
+      -- Drop table
+      DROP TABLE IF EXISTS weight_logs CASCADE;
+    `
+  },
+  {
+    version: 17,
+    name: 'create_checkup_records',
+    up: `
+      -- Create checkup_records table (per-item scores for checkup health records)
+      CREATE TABLE IF NOT EXISTS checkup_records (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        health_record_id TEXT NOT NULL REFERENCES health_records(id) ON DELETE CASCADE,
+        rabbit_id VARCHAR(200) NOT NULL REFERENCES rabbits(rabbit_id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        body_condition_score SMALLINT CHECK (body_condition_score BETWEEN 1 AND 5),
+        teeth_score SMALLINT CHECK (teeth_score BETWEEN 1 AND 5),
+        ears_score SMALLINT CHECK (ears_score BETWEEN 1 AND 5),
+        hocks_score SMALLINT CHECK (hocks_score BETWEEN 1 AND 5),
+        fur_score SMALLINT CHECK (fur_score BETWEEN 1 AND 5),
+        overall_score DECIMAL(3,2),
+        notes TEXT,
+        recorded_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Create indexes for checkup_records
+      CREATE INDEX IF NOT EXISTS idx_checkup_records_rabbit_date ON checkup_records(farm_id, rabbit_id, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_checkup_records_health_record_id ON checkup_records(health_record_id);
+
+      -- Create trigger for updated_at
+      CREATE TRIGGER update_checkup_records_updated_at BEFORE UPDATE ON checkup_records FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop trigger
+      DROP TRIGGER IF EXISTS update_checkup_records_updated_at ON checkup_records;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_checkup_records_rabbit_date;
+      DROP INDEX IF EXISTS idx_checkup_records_health_record_id;
+
+      -- Drop table
+      DROP TABLE IF EXISTS checkup_records CASCADE;
+    `
+  },
+  {
+    version: 18,
+    name: 'add_farm_id_to_feeding_schedules',
+    up: `
+      -- Scope feeding schedules to a farm
+      ALTER TABLE feeding_schedules ADD COLUMN IF NOT EXISTS farm_id TEXT REFERENCES farms(id) ON DELETE CASCADE;
+
+      -- Backfill farm_id from the rabbit the schedule belongs to
+      UPDATE feeding_schedules fs
+      SET farm_id = r.farm_id
+      FROM rabbits r
+      WHERE fs.rabbit_id = r.rabbit_id AND fs.farm_id IS NULL;
+
+      -- Create indexes for feeding schedule lookups
+      CREATE INDEX IF NOT EXISTS idx_feeding_schedules_farm_id ON feeding_schedules(farm_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_feeding_schedules_rabbit_id ON feeding_schedules(rabbit_id) WHERE is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_feeding_schedules_farm_id;
+      DROP INDEX IF EXISTS idx_feeding_schedules_rabbit_id;
+
+      -- Drop column
+      ALTER TABLE feeding_schedules DROP COLUMN IF EXISTS farm_id;
+    `
+  },
+  {
+    version: 19,
+    name: 'create_feed_stock_tracking',
+    up: `
+      -- Bag size lets stock held in bags be converted to kg; initial_quantity keeps the purchased amount
+      ALTER TABLE feed_inventory ADD COLUMN IF NOT EXISTS bag_size_kg DECIMAL(10,2) CHECK (bag_size_kg > 0);
+      ALTER TABLE feed_inventory ADD COLUMN IF NOT EXISTS initial_quantity DECIMAL(10,2);
+      UPDATE feed_inventory SET initial_quantity = quantity WHERE initial_quantity IS NULL;
+
+      -- Feedings are deducted in small fractions of a bag, so keep four decimal places
+      ALTER TABLE feed_inventory ALTER COLUMN quantity TYPE DECIMAL(12,4);
+
+      -- Create feed_stock_movements table (ledger of every change to a feed_inventory batch)
+      CREATE TABLE IF NOT EXISTS feed_stock_movements (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        inventory_id TEXT NOT NULL REFERENCES feed_inventory(id) ON DELETE CASCADE,
+        feeding_record_id TEXT REFERENCES feeding_records(id) ON DELETE SET NULL,
+        movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('purchase', 'adjustment', 'feeding')),
+        quantity DECIMAL(12,4) NOT NULL,
+        unit VARCHAR(20) NOT NULL,
+        reason TEXT,
+        recorded_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Create feed_stock_thresholds table (low-stock level and expiry warning per feed type)
+      CREATE TABLE IF NOT EXISTS feed_stock_thresholds (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        feed_type VARCHAR(50) NOT NULL,
+        min_quantity DECIMAL(10,2) NOT NULL CHECK (min_quantity >= 0),
+        unit VARCHAR(20) NOT NULL DEFAULT 'kg',
+        expiry_alert_days INTEGER CHECK (expiry_alert_days >= 0),
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (farm_id, feed_type)
+      );
+
+      -- Create indexes for feed stock lookups
+      CREATE INDEX IF NOT EXISTS idx_feed_inventory_farm_feed_type ON feed_inventory(farm_id, feed_type) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_feed_stock_movements_inventory ON feed_stock_movements(inventory_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_feed_stock_movements_farm_date ON feed_stock_movements(farm_id, created_at) WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_feed_stock_thresholds_updated_at BEFORE UPDATE ON feed_stock_thresholds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_feed_stock_thresholds_updated_at ON feed_stock_thresholds;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_feed_inventory_farm_feed_type;
+      DROP INDEX IF EXISTS idx_feed_stock_movements_inventory;
+      DROP INDEX IF EXISTS idx_feed_stock_movements_farm_date;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS feed_stock_thresholds CASCADE;
+      DROP TABLE IF EXISTS feed_stock_movements CASCADE;
+
+      -- Drop columns
+      ALTER TABLE feed_inventory DROP COLUMN IF EXISTS initial_quantity;
+      ALTER TABLE feed_inventory DROP COLUMN IF EXISTS bag_size_kg;
+      ALTER TABLE feed_inventory ALTER COLUMN quantity TYPE DECIMAL(10,2);
+    `
+  },
+  {
+    version: 20,
+    name: 'create_ration_templates',
+    up: `
+      -- Create ration_templates table (the ration each life stage is fed on a farm)
+      CREATE TABLE IF NOT EXISTS ration_templates (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        life_stage VARCHAR(20) NOT NULL CHECK (life_stage IN ('weaner', 'grower', 'maintenance', 'pregnant', 'lactating')),
+        daily_amount VARCHAR(50) NOT NULL,
+        feed_type VARCHAR(50) NOT NULL,
+        times JSONB NOT NULL,
+        special_diet TEXT,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (farm_id, life_stage)
+      );
+
+      -- Schedules generated from a template remember it and the stage they were generated for
+      ALTER TABLE feeding_schedules ADD COLUMN IF NOT EXISTS ration_template_id TEXT REFERENCES ration_templates(id) ON DELETE SET NULL;
+      ALTER TABLE feeding_schedules ADD COLUMN IF NOT EXISTS life_stage VARCHAR(20);
+
+      -- Create indexes for ration lookups
+      CREATE INDEX IF NOT EXISTS idx_feeding_schedules_ration_template ON feeding_schedules(ration_template_id) WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_ration_templates_updated_at BEFORE UPDATE ON ration_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_ration_templates_updated_at ON ration_templates;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_feeding_schedules_ration_template;
+
+      -- Drop columns
+      ALTER TABLE feeding_schedules DROP COLUMN IF EXISTS life_stage;
+      ALTER TABLE feeding_schedules DROP COLUMN IF EXISTS ration_template_id;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS ration_templates CASCADE;
+    `
+  },
+  {
+    version: 21,
+    name: 'add_recurring_expense_generation',
+    up: `
+      -- Occurrences generated from a recurring expense point back at it; the template's own row is its first occurrence
+      ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_source_id TEXT REFERENCES expenses(id) ON DELETE SET NULL;
+      -- Occurrences up to this date have been generated (or deliberately skipped after the schedule was edited)
+      ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_generated_until DATE;
+
+      -- One occurrence per template and date, so generating twice never duplicates an expense
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_occurrence ON expenses(recurring_source_id, date) WHERE recurring_source_id IS NOT NULL;
+
+      -- Create indexes for expense lookups
+      CREATE INDEX IF NOT EXISTS idx_expenses_farm_date ON expenses(farm_id, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_expenses_recurring ON expenses(farm_id) WHERE is_recurring = true AND is_deleted = 0;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_expenses_recurring_occurrence;
+      DROP INDEX IF EXISTS idx_expenses_farm_date;
+      DROP INDEX IF EXISTS idx_expenses_recurring;
+
+      -- Drop columns
+      ALTER TABLE expenses DROP COLUMN IF EXISTS recurring_generated_until;
+      ALTER TABLE expenses DROP COLUMN IF EXISTS recurring_source_id;
+    `
+  },
+  {
+    version: 22,
+    name: 'add_health_record_costs',
+    up: `
+      -- What a treatment cost, so it can be charged to the rabbit it was given to
+      ALTER TABLE health_records ADD COLUMN IF NOT EXISTS cost DECIMAL(10,2) CHECK (cost >= 0);
+
+      -- Create indexes for per-rabbit economics
+      CREATE INDEX IF NOT EXISTS idx_feed_stock_movements_feeding_record ON feed_stock_movements(feeding_record_id) WHERE feeding_record_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_rabbits_parent_female ON rabbits(farm_id, parent_female_id);
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_feed_stock_movements_feeding_record;
+      DROP INDEX IF EXISTS idx_rabbits_parent_female;
+
+      -- Drop columns
+      ALTER TABLE health_records DROP COLUMN IF EXISTS cost;
+    `
+  },
+  {
+    version: 23,
+    name: 'create_exchange_rates',
+    up: `
+      -- Create exchange_rates table (units of to_currency per one unit of from_currency from effective_date on)
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        from_currency VARCHAR(3) NOT NULL,
+        to_currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+        effective_date DATE NOT NULL,
+        source VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+        notes TEXT,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (from_currency <> to_currency),
+        UNIQUE (farm_id, from_currency, to_currency, effective_date)
+      );
+
+      -- Create indexes for rate lookups
+      CREATE INDEX IF NOT EXISTS idx_exchange_rates_farm_pair ON exchange_rates(farm_id, from_currency, to_currency, effective_date) WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_exchange_rates_updated_at BEFORE UPDATE ON exchange_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_exchange_rates_updated_at ON exchange_rates;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_exchange_rates_farm_pair;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS exchange_rates;
+    `
+  },
+  {
+    version: 24,
+    name: 'add_production_tracking',
+    up: `
+      -- Manure and urine are collected per row
+      ALTER TABLE production_records ADD COLUMN IF NOT EXISTS row_id TEXT REFERENCES rows(id) ON DELETE SET NULL;
+
+      -- Create production_sales table (how much of each produced batch an earnings record sold)
+      CREATE TABLE IF NOT EXISTS production_sales (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        production_record_id TEXT NOT NULL REFERENCES production_records(id) ON DELETE CASCADE,
+        earnings_record_id TEXT NOT NULL REFERENCES earnings_records(id) ON DELETE CASCADE,
+        quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Create indexes for stock and sales lookups
+      CREATE INDEX IF NOT EXISTS idx_production_records_farm_type_date ON production_records(farm_id, type, date) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_production_records_row_id ON production_records(row_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_production_sales_production_record ON production_sales(production_record_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_production_sales_earnings_record ON production_sales(earnings_record_id) WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_production_sales_updated_at BEFORE UPDATE ON production_sales FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_production_sales_updated_at ON production_sales;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_production_sales_earnings_record;
+      DROP INDEX IF EXISTS idx_production_sales_production_record;
+      DROP INDEX IF EXISTS idx_production_records_row_id;
+      DROP INDEX IF EXISTS idx_production_records_farm_type_date;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS production_sales;
+
+      -- Drop columns
+      ALTER TABLE production_records DROP COLUMN IF EXISTS row_id;
+    `
+  },
+  {
+    version: 25,
+    name: 'create_customers',
+    up: `
+      -- Create customers table (buyers of rabbits, manure and urine)
+      CREATE TABLE IF NOT EXISTS customers (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        customer_type VARCHAR(20) DEFAULT 'individual' CHECK (customer_type IN ('individual', 'butcher', 'restaurant', 'retailer', 'wholesaler', 'breeder', 'other')),
+        phone VARCHAR(30),
+        email VARCHAR(255),
+        address TEXT,
+        notes TEXT,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Sales can name a registered customer; the free-text buyer fields stay as they are
+      ALTER TABLE earnings_records ADD COLUMN IF NOT EXISTS customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL;
+      ALTER TABLE removal_records ADD COLUMN IF NOT EXISTS customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL;
+      ALTER TABLE hutch_rabbit_history ADD COLUMN IF NOT EXISTS customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL;
+
+      -- Create indexes for customer lookups
+      CREATE INDEX IF NOT EXISTS idx_customers_farm_name ON customers(farm_id, LOWER(name)) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_earnings_records_customer ON earnings_records(customer_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_removal_records_customer ON removal_records(customer_id) WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_removal_records_customer;
+      DROP INDEX IF EXISTS idx_earnings_records_customer;
+      DROP INDEX IF EXISTS idx_customers_farm_name;
+
+      -- Drop columns
+      ALTER TABLE hutch_rabbit_history DROP COLUMN IF EXISTS customer_id;
+      ALTER TABLE removal_records DROP COLUMN IF EXISTS customer_id;
+      ALTER TABLE earnings_records DROP COLUMN IF EXISTS customer_id;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS customers;
+    `
+  },
+  {
+    version: 26,
+    name: 'create_invoices',
+    up: `
+      -- Create invoices table; numbers are given out when an invoice is issued
+      CREATE TABLE IF NOT EXISTS invoices (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        invoice_number VARCHAR(30),
+        customer_id TEXT REFERENCES customers(id) ON DELETE SET NULL,
+        bill_to_name VARCHAR(100),
+        bill_to_email VARCHAR(255),
+        bill_to_phone VARCHAR(30),
+        bill_to_address TEXT,
+        currency VARCHAR(3) NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'issued', 'paid', 'void')),
+        issue_date DATE,
+        due_date DATE,
+        notes TEXT,
+        void_reason TEXT,
+        issued_at TIMESTAMP WITH TIME ZONE,
+        voided_at TIMESTAMP WITH TIME ZONE,
+        last_sent_at TIMESTAMP WITH TIME ZONE,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(farm_id, invoice_number)
+      );
+
+      -- Last invoice number used per farm
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        farm_id TEXT PRIMARY KEY REFERENCES farms(id) ON DELETE CASCADE,
+        last_number INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- Invoice lines, one per sale, with the description and amount as billed
+      CREATE TABLE IF NOT EXISTS invoice_items (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        invoice_id TEXT NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        earnings_record_id TEXT NOT NULL REFERENCES earnings_records(id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(invoice_id, earnings_record_id)
+      );
+
+      -- Payments received for sales, either against an invoice or directly on a sale
+      CREATE TABLE IF NOT EXISTS sale_payments (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        invoice_id TEXT REFERENCES invoices(id) ON DELETE SET NULL,
+        amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+        payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('cash', 'mobile_money', 'bank_transfer', 'card', 'cheque', 'other')),
+        -- M-Pesa code, bank slip or cheque number
+        reference VARCHAR(100),
+        date DATE NOT NULL,
+        notes TEXT,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- How each payment was split over the sales it paid
+      CREATE TABLE IF NOT EXISTS sale_payment_allocations (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        payment_id TEXT NOT NULL REFERENCES sale_payments(id) ON DELETE CASCADE,
+        earnings_record_id TEXT NOT NULL REFERENCES earnings_records(id) ON DELETE CASCADE,
+        amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Create indexes for invoice and payment lookups
+      CREATE INDEX IF NOT EXISTS idx_invoices_farm_status ON invoices(farm_id, status) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_invoice_items_earnings ON invoice_items(earnings_record_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_payments_invoice ON sale_payments(invoice_id) WHERE is_deleted = 0;
+      CREATE INDEX IF NOT EXISTS idx_sale_payment_allocations_payment ON sale_payment_allocations(payment_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_payment_allocations_earnings ON sale_payment_allocations(earnings_record_id);
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      CREATE TRIGGER update_sale_payments_updated_at BEFORE UPDATE ON sale_payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_sale_payments_updated_at ON sale_payments;
+      DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_sale_payment_allocations_earnings;
+      DROP INDEX IF EXISTS idx_sale_payment_allocations_payment;
+      DROP INDEX IF EXISTS idx_sale_payments_invoice;
+      DROP INDEX IF EXISTS idx_invoice_items_earnings;
+      DROP INDEX IF EXISTS idx_invoices_customer;
+      DROP INDEX IF EXISTS idx_invoices_farm_status;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS sale_payment_allocations;
+      DROP TABLE IF EXISTS sale_payments;
+      DROP TABLE IF EXISTS invoice_items;
+      DROP TABLE IF EXISTS invoice_sequences;
+      DROP TABLE IF EXISTS invoices;
+    `
+  },
+  {
+    version: 27,
+    name: 'add_sale_receivables',
+    up: `
+      -- How much of a sale has been paid; sales recorded so far were paid in full
+      ALTER TABLE earnings_records ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(12,2);
+      UPDATE earnings_records SET amount_paid = amount WHERE amount_paid IS NULL;
+      ALTER TABLE earnings_records ALTER COLUMN amount_paid SET NOT NULL;
+      ALTER TABLE earnings_records ADD CONSTRAINT earnings_records_amount_paid_check CHECK (amount_paid >= 0 AND amount_paid <= amount);
+
+      -- When a sale sold on credit has to be paid; sales without one are due on the sale date
+      ALTER TABLE earnings_records ADD COLUMN IF NOT EXISTS due_date DATE;
+
+      -- Payment status follows the amount paid
+      ALTER TABLE earnings_records ADD COLUMN IF NOT EXISTS payment_status VARCHAR(10) GENERATED ALWAYS AS (
+        CASE WHEN amount_paid >= amount THEN 'paid' WHEN amount_paid > 0 THEN 'partial' ELSE 'unpaid' END
+      ) STORED;
+
+      -- Create index for outstanding sales
+      CREATE INDEX IF NOT EXISTS idx_earnings_records_outstanding ON earnings_records(farm_id, COALESCE(due_date, date))
+        WHERE is_deleted = 0 AND amount_paid < amount;
+    `,
+    down: `
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_earnings_records_outstanding;
+
+      -- Drop columns
+      ALTER TABLE earnings_records DROP COLUMN IF EXISTS payment_status;
+      ALTER TABLE earnings_records DROP COLUMN IF EXISTS due_date;
+      ALTER TABLE earnings_records DROP CONSTRAINT IF EXISTS earnings_records_amount_paid_check;
+      ALTER TABLE earnings_records DROP COLUMN IF EXISTS amount_paid;
+    `
+  },
+  {
+    version: 28,
+    name: 'create_budgets',
+    up: `
+      -- Create budgets table (monthly spending limits per expense category and revenue targets per sale type, in the farm's currency)
+      CREATE TABLE IF NOT EXISTS budgets (
+        id TEXT PRIMARY KEY DEFAULT generate_custom_uuid(),
+        farm_id TEXT NOT NULL REFERENCES farms(id) ON DELETE CASCADE,
+        budget_type VARCHAR(10) NOT NULL CHECK (budget_type IN ('expense', 'revenue')),
+        category VARCHAR(50) NOT NULL,
+        month DATE NOT NULL CHECK (EXTRACT(DAY FROM month) = 1),
+        amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+        alert_threshold INTEGER CHECK (alert_threshold BETWEEN 1 AND 1000),
+        notes TEXT,
+        created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+        is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- One budget per category and month
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_farm_category_month ON budgets(farm_id, budget_type, category, month)
+        WHERE is_deleted = 0;
+
+      -- Create triggers for updated_at
+      CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    `,
+    down: `
+      -- Drop triggers
+      DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
+
+      -- Drop indexes
+      DROP INDEX IF EXISTS idx_budgets_farm_category_month;
+
+      -- Drop tables
+      DROP TABLE IF EXISTS budgets;
+    `
   }
 ];
 
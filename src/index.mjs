@@ -16,6 +16,17 @@ import earningsRoutes from './routes/earnings.routes.js';
 import breedRoutes from './routes/breed.routes.js';
 import farmRoutes from './routes/farms.routes.js';
 import alertRoutes from './routes/alerts.routes.js';
+import healthRoutes from './routes/health.routes.js';
+import reportsRoutes from './routes/reports.routes.js';
+import weightRoutes from './routes/weight.routes.js';
+import feedingRoutes from './routes/feeding.routes.js';
+import expensesRoutes from './routes/expenses.routes.js';
+import exchangeRatesRoutes from './routes/exchangeRates.routes.js';
+import productionRoutes from './routes/production.routes.js';
+import customersRoutes from './routes/customers.routes.js';
+import invoicesRoutes from './routes/invoices.routes.js';
+import receivablesRoutes from './routes/receivables.routes.js';
+import budgetsRoutes from './routes/budgets.routes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { runSetUp } from './database/runSetup.js';
 import bodyParser from 'body-parser';
@@ -116,6 +127,17 @@ apiRouter.use('/earnings', earningsRoutes);
 apiRouter.use('/breeds', breedRoutes);
 apiRouter.use('/farms', farmRoutes);
 apiRouter.use('/alerts', alertRoutes);
+apiRouter.use('/health', healthRoutes);
+apiRouter.use('/reports', reportsRoutes);
+apiRouter.use('/weights', weightRoutes);
+apiRouter.use('/feeding', feedingRoutes);
+apiRouter.use('/expenses', expensesRoutes);
+apiRouter.use('/exchange-rates', exchangeRatesRoutes);
+apiRouter.use('/production', productionRoutes);
+apiRouter.use('/customers', customersRoutes);
+apiRouter.use('/invoices', invoicesRoutes);
+apiRouter.use('/receivables', receivablesRoutes);
+apiRouter.use('/budgets', budgetsRoutes);
 
 app.use('/api/v1', apiRouter);
 
@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { UnauthorizedError } from './errors.js';
+
+// Guards the endpoints the scheduled workflow calls. They run without a user, so the workflow
+// sends the shared CRON_SECRET in the X-Cron-Secret header instead of a bearer token.
+const cronMiddleware = (req, res, next) => {
+    try {
+        const secret = process.env.CRON_SECRET;
+        if (!secret) {
+            throw new UnauthorizedError('Scheduled jobs are not configured');
+        }
+
+        const provided = Buffer.from(req.get('x-cron-secret') || '');
+        const expected = Buffer.from(secret);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            throw new UnauthorizedError('Invalid cron secret');
+        }
+
+        next();
+    } catch (error) {
+        logger.error(`Cron middleware error: ${error.message}`);
+        next(error);
+    }
+};
+
+export default cronMiddleware;
@@ -464,9 +464,19 @@ router.post('/kits/:farmId', authMiddleware, BreedingController.createKitRecord)
  *                 type: number
  *               status:
  *                 type: string
+ *                 description: Setting dead or deceased records the kit death for mortality reports
  *               notes:
  *                 type: string
  *                 nullable: true
+ *               cause_of_death:
+ *                 type: string
+ *                 enum: [disease, predator, heat_stress, cold_stress, kit_crushed, injury, starvation, bloat, unknown, other]
+ *                 nullable: true
+ *               death_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today when the kit is marked dead
+ *                 nullable: true
  *     responses:
  *       200:
  *         description: Kit record updated successfully
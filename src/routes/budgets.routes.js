@@ -0,0 +1,539 @@
+import express from 'express';
+import BudgetsController from '../controllers/budgets.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { budgetSchema, budgetUpdateSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BudgetInput:
+ *       type: object
+ *       required:
+ *         - budget_type
+ *         - category
+ *         - month
+ *         - amount
+ *       properties:
+ *         budget_type:
+ *           type: string
+ *           enum: [expense, revenue]
+ *           description: A spending limit for an expense category or a revenue target for a sale type
+ *         category:
+ *           type: string
+ *           description: An expense category for expense budgets, an earnings type (rabbit_sale, urine_sale, manure_sale, other) for revenue targets
+ *         month:
+ *           type: string
+ *           description: YYYY-MM
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *           description: In the farm's currency
+ *         alert_threshold:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           nullable: true
+ *           description: Percentage of an expense budget spent before an alert is raised; defaults to 80
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         budget_type: expense
+ *         category: feed
+ *         month: 2026-11
+ *         amount: 15000
+ *         alert_threshold: 90
+ *     BudgetUpdate:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *         alert_threshold:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           nullable: true
+ *           description: Null goes back to the default of 80
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *     Budget:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         farm_id:
+ *           type: string
+ *         budget_type:
+ *           type: string
+ *           enum: [expense, revenue]
+ *         category:
+ *           type: string
+ *         month:
+ *           type: string
+ *           description: YYYY-MM
+ *         amount:
+ *           type: number
+ *         alert_threshold:
+ *           type: integer
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     BudgetVarianceLine:
+ *       type: object
+ *       properties:
+ *         budget_id:
+ *           type: string
+ *           nullable: true
+ *         category:
+ *           type: string
+ *         budgeted:
+ *           type: number
+ *           nullable: true
+ *           description: Null for categories with actuals but no budget
+ *         actual:
+ *           type: number
+ *         records:
+ *           type: integer
+ *         unconverted:
+ *           type: integer
+ *         variance:
+ *           type: number
+ *           nullable: true
+ *           description: Positive when favourable (spending under budget, revenue over target)
+ *         used_percent:
+ *           type: number
+ *           nullable: true
+ *         alert_threshold:
+ *           type: integer
+ *           description: Expense budgets only
+ *         status:
+ *           type: string
+ *           enum: [within_budget, near_limit, over_budget, target_met, below_target, unbudgeted]
+ *     BudgetVarianceTotals:
+ *       type: object
+ *       properties:
+ *         budgeted:
+ *           type: number
+ *         actual:
+ *           type: number
+ *           description: Includes categories without a budget
+ *         variance:
+ *           type: number
+ *           description: Positive when favourable (spending under budget, revenue over target)
+ *         unconverted:
+ *           type: integer
+ *           description: Records in a currency with no exchange rate on their date, left out of the amounts
+ *     BudgetVarianceReport:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: The farm's currency, which all amounts are in
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         months:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *               expenses:
+ *                 type: object
+ *                 properties:
+ *                   lines:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/BudgetVarianceLine'
+ *                   totals:
+ *                     $ref: '#/components/schemas/BudgetVarianceTotals'
+ *               revenue:
+ *                 type: object
+ *                 properties:
+ *                   lines:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/BudgetVarianceLine'
+ *                   totals:
+ *                     $ref: '#/components/schemas/BudgetVarianceTotals'
+ *         totals:
+ *           type: object
+ *           properties:
+ *             expenses:
+ *               $ref: '#/components/schemas/BudgetVarianceTotals'
+ *             revenue:
+ *               $ref: '#/components/schemas/BudgetVarianceTotals'
+ *             net_budgeted:
+ *               type: number
+ *             net_actual:
+ *               type: number
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     cronSecret:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Cron-Secret
+ */
+
+/**
+ * @swagger
+ * /api/v1/budgets/alerts:
+ *   post:
+ *     summary: Check expense budgets for the current month on every farm and raise alerts (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Budgets]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Budget alerts generated successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/alerts', cronMiddleware, BudgetsController.generateAllBudgetAlerts);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}:
+ *   post:
+ *     summary: Create a budget
+ *     description: One budget per type, category and month.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetInput'
+ *     responses:
+ *       201:
+ *         description: Budget created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Invalid input or a budget for the category and month already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(budgetSchema), BudgetsController.createBudget);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}/variance:
+ *   get:
+ *     summary: Get the budget variance report
+ *     description: Budgets and revenue targets against actual expenses and earnings per month and category, converted to the farm's currency at each record's date.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           description: First month (YYYY-MM); defaults to the current month
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           description: Last month (YYYY-MM); defaults to the current month
+ *     responses:
+ *       200:
+ *         description: Budget variance report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/BudgetVarianceReport'
+ *       400:
+ *         description: Invalid months or more than 36 months
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/variance', authMiddleware, BudgetsController.getVarianceReport);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}/alerts:
+ *   post:
+ *     summary: Check expense budgets for the current month and raise alerts (called by the scheduled workflow)
+ *     tags: [Budgets]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Budget alerts generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/alerts', cronMiddleware, BudgetsController.generateBudgetAlerts);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}/{id}:
+ *   get:
+ *     summary: Get a budget by ID
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Budget retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Budget not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, BudgetsController.getBudget);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}/{id}:
+ *   put:
+ *     summary: Update a budget
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetUpdate'
+ *     responses:
+ *       200:
+ *         description: Budget updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Budget not found or invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(budgetUpdateSchema), BudgetsController.updateBudget);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}/{id}:
+ *   delete:
+ *     summary: Delete a budget
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Budget deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Budget not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, BudgetsController.deleteBudget);
+
+/**
+ * @swagger
+ * /api/v1/budgets/{farmId}:
+ *   get:
+ *     summary: Get all budgets for a farm
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: budget_type
+ *         schema:
+ *           type: string
+ *           enum: [expense, revenue]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: month_from
+ *         schema:
+ *           type: string
+ *           description: YYYY-MM
+ *       - in: query
+ *         name: month_to
+ *         schema:
+ *           type: string
+ *           description: YYYY-MM
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Budgets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, BudgetsController.getAllBudgets);
+
+export default router;
@@ -0,0 +1,492 @@
+import express from 'express';
+import CustomersController from '../controllers/customers.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { customerSchema, customerUpdateSchema, customerLinkSalesSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Customer:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *         customer_type:
+ *           type: string
+ *           enum: [individual, butcher, restaurant, retailer, wholesaler, breeder, other]
+ *           default: individual
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         totals:
+ *           allOf:
+ *             - $ref: '#/components/schemas/CustomerTotals'
+ *           readOnly: true
+ *           description: Only included when listing customers
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         name: Mama Njeri Butchery
+ *         customer_type: butcher
+ *         phone: "+254712345678"
+ *     CustomerTotals:
+ *       type: object
+ *       description: Amounts in the farm's currency
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: The farm's currency (customer lists only; the ledger gives it alongside)
+ *         purchases:
+ *           type: integer
+ *         total:
+ *           type: number
+ *         paid:
+ *           type: number
+ *         outstanding:
+ *           type: number
+ *         unconverted:
+ *           type: integer
+ *           description: Purchases in a currency with no exchange rate on their date, left out of the amounts
+ *         first_purchase:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         last_purchase:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *     CustomerLedger:
+ *       type: object
+ *       properties:
+ *         customer:
+ *           $ref: '#/components/schemas/Customer'
+ *         currency:
+ *           type: string
+ *         totals:
+ *           $ref: '#/components/schemas/CustomerTotals'
+ *         by_type:
+ *           type: object
+ *           description: Totals per earnings type
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/CustomerTotals'
+ *         purchases:
+ *           type: array
+ *           description: Earnings records, newest first, in their own currency
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               sale_type:
+ *                 type: string
+ *                 nullable: true
+ *               rabbit_id:
+ *                 type: string
+ *                 nullable: true
+ *               amount:
+ *                 type: number
+ *               amount_paid:
+ *                 type: number
+ *               outstanding:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *         rabbits:
+ *           type: array
+ *           description: Rabbits removed from the farm as sold to the customer
+ *           items:
+ *             type: object
+ *             properties:
+ *               rabbit_id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               sale_amount:
+ *                 type: number
+ *                 nullable: true
+ *               sale_weight:
+ *                 type: number
+ *                 nullable: true
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}:
+ *   post:
+ *     summary: Create a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       201:
+ *         description: Customer created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(customerSchema), CustomersController.createCustomer);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}/{id}/ledger:
+ *   get:
+ *     summary: Get a customer's purchase history, totals and outstanding balance
+ *     description: Totals are converted to the farm's currency at the exchange rate on each sale's date.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Customer ledger retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerLedger'
+ *       400:
+ *         description: Customer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id/ledger', authMiddleware, CustomersController.getCustomerLedger);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}/{id}/link-sales:
+ *   post:
+ *     summary: Link earlier sales recorded under a buyer name to a customer
+ *     description: Matches earnings buyer_name and removal sold_to ignoring case, and only links sales without a customer.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               buyer_name:
+ *                 type: string
+ *                 description: The name the sales were recorded under; defaults to the customer's name
+ *     responses:
+ *       200:
+ *         description: Past sales linked to customer successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Customer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:id/link-sales', authMiddleware, validateRequest(customerLinkSalesSchema), CustomersController.linkPastSales);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}/{id}:
+ *   get:
+ *     summary: Get a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Customer retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Customer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, CustomersController.getCustomer);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}:
+ *   get:
+ *     summary: Get all customers with purchase totals
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: has_balance
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, CustomersController.getAllCustomers);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}/{id}:
+ *   put:
+ *     summary: Update a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Customer'
+ *     responses:
+ *       200:
+ *         description: Customer updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Customer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(customerUpdateSchema), CustomersController.updateCustomer);
+
+/**
+ * @swagger
+ * /api/v1/customers/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete a customer
+ *     description: Sales keep their link to the customer.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Customer deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Customer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, CustomersController.deleteCustomer);
+
+export default router;
@@ -68,6 +68,28 @@ const router = express.Router();
  *           type: string
  *           description: The name of the buyer (optional)
  *           nullable: true
+ *         customer_id:
+ *           type: string
+ *           format: uuid
+ *           description: The customer who bought (optional); buyer_name defaults to their name
+ *           nullable: true
+ *         customer_name:
+ *           type: string
+ *           readOnly: true
+ *           nullable: true
+ *         amount_paid:
+ *           type: number
+ *           format: float
+ *           description: How much of the amount has been paid (defaults to the full amount)
+ *         payment_status:
+ *           type: string
+ *           enum: [unpaid, partial, paid]
+ *           readOnly: true
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           description: When a sale on credit has to be paid (optional; otherwise due on the sale date)
+ *           nullable: true
  *         notes:
  *           type: string
  *           description: Additional notes (optional)
@@ -210,6 +232,20 @@ router.get('/:farmId/:id', authMiddleware, EarningsController.getEarnings);
  *           type: string
  *           enum: [rabbit_sale, urine_sale, manure_sale, other]
  *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partial, paid]
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: date_from
  *         schema:
  *           type: string
@@ -305,6 +341,14 @@ router.get('/:farmId', authMiddleware, EarningsController.getAllEarnings);
  *               buyer_name:
  *                 type: string
  *                 nullable: true
+ *               customer_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
  *               notes:
  *                 type: string
  *                 nullable: true
@@ -326,7 +370,7 @@ router.get('/:farmId', authMiddleware, EarningsController.getAllEarnings);
  *                 data:
  *                   $ref: '#/components/schemas/Earnings'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, amount or currency changed on a sale billed on an issued invoice, or amount below the payments recorded
  *       404:
  *         description: Earnings record not found
  *       401:
@@ -369,6 +413,8 @@ router.put('/:farmId/:id', authMiddleware, validateRequest(earningsUpdateSchema)
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Earnings'
+ *       400:
+ *         description: Sale is on a draft or issued invoice
  *       404:
  *         description: Earnings record not found
  *       401:
@@ -0,0 +1,271 @@
+import express from 'express';
+import ExchangeRatesController from '../controllers/exchangeRates.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { exchangeRateSchema, exchangeRateImportSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       required:
+ *         - from_currency
+ *         - rate
+ *         - effective_date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         from_currency:
+ *           type: string
+ *           description: The currency being converted (e.g., USD)
+ *         to_currency:
+ *           type: string
+ *           description: The currency converted into; defaults to the farm's currency
+ *         rate:
+ *           type: number
+ *           description: Units of to_currency per one unit of from_currency
+ *         effective_date:
+ *           type: string
+ *           format: date
+ *           description: The rate applies to transactions from this date until the next rate for the pair
+ *         source:
+ *           type: string
+ *           enum: [manual, csv]
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         from_currency: USD
+ *         to_currency: KES
+ *         rate: 129.25
+ *         effective_date: 2026-10-01
+ *     ExchangeRateImport:
+ *       type: object
+ *       properties:
+ *         imported:
+ *           type: integer
+ *         rates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates/{farmId}:
+ *   post:
+ *     summary: Enter an exchange rate
+ *     description: A rate entered again for the same currency pair and date replaces the earlier one.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       201:
+ *         description: Exchange rate saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid currencies, rate or date
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(exchangeRateSchema), ExchangeRatesController.setRate);
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates/{farmId}/import:
+ *   post:
+ *     summary: Import exchange rates from CSV
+ *     description: The header row names the columns effective_date (or date), from_currency (or currency), rate and optionally to_currency (defaults to the farm's currency) and notes. Rows for a pair and date that already has a rate replace it.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - csv
+ *             properties:
+ *               csv:
+ *                 type: string
+ *                 example: "effective_date,from_currency,rate\n2026-10-01,USD,129.25\n2026-10-01,EUR,140.10"
+ *     responses:
+ *       201:
+ *         description: Exchange rates imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRateImport'
+ *       400:
+ *         description: Invalid CSV; nothing is imported
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/import', authMiddleware, validateRequest(exchangeRateImportSchema), ExchangeRatesController.importRates);
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates/{farmId}:
+ *   get:
+ *     summary: Get exchange rates for a farm
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, ExchangeRatesController.getRates);
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete an exchange rate
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Exchange rate not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, ExchangeRatesController.deleteRate);
+
+export default router;
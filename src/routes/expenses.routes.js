@@ -0,0 +1,410 @@
+import express from 'express';
+import ExpensesController from '../controllers/expenses.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { expenseSchema, expenseUpdateSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Expense:
+ *       type: object
+ *       required:
+ *         - category
+ *         - description
+ *         - amount
+ *         - date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the expense
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         category:
+ *           type: string
+ *           enum: [feed, veterinary, medication, equipment, housing, labor, utilities, transport, breeding_stock, marketing, other]
+ *           description: The expense category
+ *         description:
+ *           type: string
+ *           description: What the money was spent on
+ *         amount:
+ *           type: number
+ *           format: float
+ *           description: The amount spent
+ *         currency:
+ *           type: string
+ *           description: The currency code (e.g., USD)
+ *           default: USD
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The date of the expense
+ *         vendor:
+ *           type: string
+ *           description: Who was paid (optional)
+ *           nullable: true
+ *         payment_method:
+ *           type: string
+ *           enum: [cash, mobile_money, bank_transfer, card, cheque, other]
+ *           nullable: true
+ *         receipt_url:
+ *           type: string
+ *           format: uri
+ *           description: Link to a scanned receipt (optional)
+ *           nullable: true
+ *         is_recurring:
+ *           type: boolean
+ *           description: Whether the expense repeats
+ *           default: false
+ *         recurring_frequency:
+ *           type: string
+ *           enum: [weekly, monthly, quarterly, yearly]
+ *           description: Required when is_recurring is true
+ *           nullable: true
+ *         recurring_source_id:
+ *           type: string
+ *           description: The recurring expense this occurrence was generated from
+ *           nullable: true
+ *           readOnly: true
+ *         recurring_generated_until:
+ *           type: string
+ *           format: date
+ *           description: Occurrences of this recurring expense have been generated up to this date
+ *           nullable: true
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ *           description: Additional notes (optional)
+ *           nullable: true
+ *         is_deleted:
+ *           type: boolean
+ *           description: Soft delete flag
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *       example:
+ *         category: feed
+ *         description: 10 bags of grower pellets
+ *         amount: 250.00
+ *         currency: USD
+ *         date: 2025-05-29
+ *         vendor: Agrovet Supplies
+ *         payment_method: mobile_money
+ *         is_recurring: false
+ *     RecurringExpenseRun:
+ *       type: object
+ *       properties:
+ *         farms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               farm_id:
+ *                 type: string
+ *               result:
+ *                 type: object
+ *                 properties:
+ *                   as_of:
+ *                     type: string
+ *                     format: date
+ *                   templates:
+ *                     type: integer
+ *                     description: Recurring expenses that had occurrences due
+ *                   generated:
+ *                     type: integer
+ *                     description: Expenses created
+ *               error:
+ *                 type: string
+ *                 description: Set when the farm could not be processed
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     cronSecret:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Cron-Secret
+ */
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}:
+ *   post:
+ *     summary: Create a new expense
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Expense'
+ *     responses:
+ *       201:
+ *         description: Expense created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(expenseSchema), ExpensesController.createExpense);
+
+/**
+ * @swagger
+ * /api/v1/expenses/recurring/generate:
+ *   post:
+ *     summary: Generate the dated expenses due from recurring expenses on every farm (called by the scheduled workflow)
+ *     tags: [Expenses]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Recurring expenses generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RecurringExpenseRun'
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/recurring/generate', cronMiddleware, ExpensesController.generateRecurringExpenses);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   get:
+ *     summary: Get an expense by ID
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Expense retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Expense not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, ExpensesController.getExpense);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}:
+ *   get:
+ *     summary: Get all expenses for a farm
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [feed, veterinary, medication, equipment, housing, labor, utilities, transport, breeding_stock, marketing, other]
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_recurring
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Expenses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, ExpensesController.getAllExpenses);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   put:
+ *     summary: Update an expense
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Expense'
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(expenseUpdateSchema), ExpensesController.updateExpense);
+
+/**
+ * @swagger
+ * /api/v1/expenses/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete an expense
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Expense not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, ExpensesController.deleteExpense);
+
+export default router;
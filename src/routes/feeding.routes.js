@@ -0,0 +1,1836 @@
+import express from 'express';
+import FeedingController from '../controllers/feeding.controllers.js';
+import FeedInventoryController from '../controllers/feedInventory.controllers.js';
+import RationController from '../controllers/ration.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import {
+    feedingScheduleSchema,
+    feedingScheduleUpdateSchema,
+    bulkFeedingScheduleSchema,
+    feedingRecordSchema,
+    hutchFeedingSchema,
+    feedStockSchema,
+    feedStockAdjustmentSchema,
+    feedStockThresholdSchema,
+    rationTemplateSchema
+} from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeedingSchedule:
+ *       type: object
+ *       required:
+ *         - rabbit_id
+ *         - daily_amount
+ *         - feed_type
+ *         - times
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the feeding schedule
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         rabbit_id:
+ *           type: string
+ *           description: The rabbit the schedule applies to
+ *         daily_amount:
+ *           type: string
+ *           description: Total feed per day, e.g. 150g
+ *         feed_type:
+ *           type: string
+ *           description: Type of feed, e.g. pellets or hay
+ *         times:
+ *           type: array
+ *           description: Feeding times in the farm's timezone (HH:mm)
+ *           items:
+ *             type: string
+ *         special_diet:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *           description: Only one schedule per rabbit is active; activating one deactivates the others
+ *         last_fed:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         rabbit_id: RB-001
+ *         daily_amount: 150g
+ *         feed_type: pellets
+ *         times: ["07:00", "17:00"]
+ *     FeedingTasks:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         timezone:
+ *           type: string
+ *         total_tasks:
+ *           type: integer
+ *         completed:
+ *           type: integer
+ *         missed:
+ *           type: integer
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               schedule_id:
+ *                 type: string
+ *               rabbit_id:
+ *                 type: string
+ *               rabbit_name:
+ *                 type: string
+ *               hutch_id:
+ *                 type: string
+ *               hutch_name:
+ *                 type: string
+ *               feed_type:
+ *                 type: string
+ *               special_diet:
+ *                 type: string
+ *               time:
+ *                 type: string
+ *                 description: HH:mm
+ *               scheduled_at:
+ *                 type: string
+ *                 format: date-time
+ *               amount:
+ *                 type: string
+ *                 description: The daily amount split evenly across the feeding times
+ *               status:
+ *                 type: string
+ *                 enum: [completed, missed, due, upcoming]
+ *               fed_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: The logged feeding that covers this slot
+ *     FeedingRecord:
+ *       type: object
+ *       required:
+ *         - rabbit_id
+ *         - feed_type
+ *         - amount
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         rabbit_id:
+ *           type: string
+ *           nullable: true
+ *           description: The rabbit fed (null for hutch feedings)
+ *         hutch_id:
+ *           type: string
+ *           description: The hutch fed
+ *         feed_type:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           enum: [grams, kg]
+ *           default: grams
+ *         feeding_time:
+ *           type: string
+ *           format: date-time
+ *           description: When the feeding happened (defaults to now)
+ *         fed_by:
+ *           type: string
+ *           description: The user who logged the feeding
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         stock_deduction:
+ *           type: object
+ *           readOnly: true
+ *           description: Returned when the feeding is logged. What was taken from unexpired feed stock in the same transaction, and how much the stock fell short by.
+ *           properties:
+ *             deducted_kg:
+ *               type: number
+ *             shortfall_kg:
+ *               type: number
+ *       example:
+ *         rabbit_id: RB-001
+ *         feed_type: pellets
+ *         amount: 75
+ *         unit: grams
+ *     FeedStock:
+ *       type: object
+ *       required:
+ *         - feed_type
+ *         - quantity
+ *         - unit
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         feed_type:
+ *           type: string
+ *         brand:
+ *           type: string
+ *           nullable: true
+ *         quantity:
+ *           type: number
+ *           description: Quantity left in this batch
+ *         initial_quantity:
+ *           type: number
+ *           description: Quantity purchased
+ *         unit:
+ *           type: string
+ *           enum: [grams, kg, bags]
+ *         bag_size_kg:
+ *           type: number
+ *           description: Weight of one bag in kg (required when unit is bags)
+ *           nullable: true
+ *         cost_per_unit:
+ *           type: number
+ *           nullable: true
+ *         purchase_date:
+ *           type: string
+ *           format: date
+ *         expiry_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         supplier:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         feed_type: pellets
+ *         brand: Unga
+ *         quantity: 10
+ *         unit: bags
+ *         bag_size_kg: 50
+ *         cost_per_unit: 2800
+ *         expiry_date: 2025-12-31
+ *         supplier: Agrovet Ltd
+ *     FeedStockMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         inventory_id:
+ *           type: string
+ *         feeding_record_id:
+ *           type: string
+ *           nullable: true
+ *         movement_type:
+ *           type: string
+ *           enum: [purchase, adjustment, feeding]
+ *         quantity:
+ *           type: number
+ *           description: Signed change in the batch's unit
+ *         unit:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         recorded_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     FeedStockThreshold:
+ *       type: object
+ *       required:
+ *         - feed_type
+ *         - min_quantity
+ *       properties:
+ *         feed_type:
+ *           type: string
+ *         min_quantity:
+ *           type: number
+ *           description: Raise a low-stock alert when total stock drops below this
+ *         unit:
+ *           type: string
+ *           enum: [grams, kg]
+ *           default: kg
+ *         expiry_alert_days:
+ *           type: integer
+ *           description: Days before expiry_date to raise an expiry alert (defaults to 14)
+ *           nullable: true
+ *       example:
+ *         feed_type: pellets
+ *         min_quantity: 100
+ *         unit: kg
+ *         expiry_alert_days: 14
+ *     RationTemplate:
+ *       type: object
+ *       required:
+ *         - daily_amount
+ *         - feed_type
+ *         - times
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         life_stage:
+ *           type: string
+ *           enum: [weaner, grower, maintenance, pregnant, lactating]
+ *         daily_amount:
+ *           type: string
+ *           description: Total feed per rabbit per day, e.g. 350g
+ *         feed_type:
+ *           type: string
+ *         times:
+ *           type: array
+ *           description: Feeding times in the farm's timezone (HH:mm)
+ *           items:
+ *             type: string
+ *         special_diet:
+ *           type: string
+ *           nullable: true
+ *         sync:
+ *           $ref: '#/components/schemas/RationSync'
+ *       example:
+ *         daily_amount: 350g
+ *         feed_type: pellets
+ *         times: ["07:00", "13:00", "18:00"]
+ *         special_diet: Unlimited hay and fresh water
+ *     RabbitLifeStage:
+ *       type: object
+ *       properties:
+ *         rabbit_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         hutch_id:
+ *           type: string
+ *         gender:
+ *           type: string
+ *         life_stage:
+ *           type: string
+ *           enum: [weaner, grower, maintenance, pregnant, lactating]
+ *         schedule_id:
+ *           type: string
+ *           nullable: true
+ *         scheduled_life_stage:
+ *           type: string
+ *           nullable: true
+ *           description: Stage the active schedule was generated for (null for schedules set up by hand)
+ *         ration:
+ *           type: string
+ *           enum: [create, update, current, manual, no_template]
+ *           description: What the next ration sync will do for this rabbit
+ *     RationSync:
+ *       type: object
+ *       properties:
+ *         as_of:
+ *           type: string
+ *           format: date
+ *         rabbits:
+ *           type: integer
+ *         created:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         manual:
+ *           type: integer
+ *           description: Rabbits on a hand-made schedule, which syncs never replace
+ *         without_template:
+ *           type: integer
+ *           description: Rabbits whose life stage has no ration template
+ *         schedules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FeedingSchedule'
+ *     FeedForecast:
+ *       type: object
+ *       properties:
+ *         as_of:
+ *           type: string
+ *           format: date
+ *         lookback_days:
+ *           type: integer
+ *         horizon_days:
+ *           type: integer
+ *         herd:
+ *           type: object
+ *           properties:
+ *             total_rabbits:
+ *               type: integer
+ *             unscheduled_rabbits:
+ *               type: integer
+ *               description: Rabbits without an active feeding schedule
+ *             by_life_stage:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   life_stage:
+ *                     type: string
+ *                     enum: [weaner, grower, maintenance, pregnant, lactating]
+ *                   rabbits:
+ *                     type: integer
+ *                   estimated_daily_kg:
+ *                     type: number
+ *         expected_litters:
+ *           type: array
+ *           description: Open breeding records due within the horizon
+ *           items:
+ *             type: object
+ *             properties:
+ *               breeding_record_id:
+ *                 type: string
+ *               doe_id:
+ *                 type: string
+ *               expected_birth_date:
+ *                 type: string
+ *                 format: date
+ *               expected_kits:
+ *                 type: integer
+ *               feed_type:
+ *                 type: string
+ *         feed_types:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               feed_type:
+ *                 type: string
+ *               stock_kg:
+ *                 type: number
+ *               basis:
+ *                 type: string
+ *                 enum: [records, schedules]
+ *                 description: Whether current consumption comes from recent feeding records or schedules
+ *               recent_daily_kg:
+ *                 type: number
+ *               scheduled_daily_kg:
+ *                 type: number
+ *               unscheduled_estimate_daily_kg:
+ *                 type: number
+ *               current_daily_kg:
+ *                 type: number
+ *               expected_kits_daily_kg:
+ *                 type: number
+ *                 description: Average extra daily demand from expected litters over the horizon
+ *               projected_consumption_kg:
+ *                 type: number
+ *               days_remaining:
+ *                 type: integer
+ *                 nullable: true
+ *               run_out_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [ok, reorder_soon, out_of_stock]
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     cronSecret:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Cron-Secret
+ */
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules:
+ *   post:
+ *     summary: Create a feeding schedule for a rabbit
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedingSchedule'
+ *     responses:
+ *       201:
+ *         description: Feeding schedule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingSchedule'
+ *       400:
+ *         description: Invalid input or rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/schedules', authMiddleware, validateRequest(feedingScheduleSchema), FeedingController.createSchedule);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules/bulk:
+ *   post:
+ *     summary: Apply a feeding schedule to every rabbit in a row or set of hutches
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - daily_amount
+ *               - feed_type
+ *               - times
+ *             properties:
+ *               row_id:
+ *                 type: string
+ *                 description: Apply to all rabbits in this row (set either row_id or hutch_ids)
+ *               hutch_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               daily_amount:
+ *                 type: string
+ *               feed_type:
+ *                 type: string
+ *               times:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               special_diet:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Feeding schedule applied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedingSchedule'
+ *       400:
+ *         description: Invalid input or no rabbits in the selected group
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/schedules/bulk', authMiddleware, validateRequest(bulkFeedingScheduleSchema), FeedingController.applyScheduleToGroup);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules:
+ *   get:
+ *     summary: Get feeding schedules for a farm
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hutch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: row_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feeding schedules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedingSchedule'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/schedules', authMiddleware, FeedingController.getAllSchedules);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/today:
+ *   get:
+ *     summary: Get today's feeding tasks in the farm's timezone
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Today's feeding tasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingTasks'
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/today', authMiddleware, FeedingController.getTodayTasks);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/records:
+ *   post:
+ *     summary: Log a feeding for a rabbit
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedingRecord'
+ *     responses:
+ *       201:
+ *         description: Feeding logged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingRecord'
+ *       400:
+ *         description: Invalid input or rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/records', authMiddleware, validateRequest(feedingRecordSchema), FeedingController.logFeeding);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/records/hutches:
+ *   post:
+ *     summary: Log feedings for a whole row or a list of hutches in one submit
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               row_id:
+ *                 type: string
+ *                 description: Feed every occupied hutch in this row the same amount (set either row_id or hutches)
+ *               hutches:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - hutch_id
+ *                   properties:
+ *                     hutch_id:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     feed_type:
+ *                       type: string
+ *                     unit:
+ *                       type: string
+ *                       enum: [grams, kg]
+ *                     notes:
+ *                       type: string
+ *               feed_type:
+ *                 type: string
+ *                 description: Default feed type for every hutch
+ *               amount:
+ *                 type: number
+ *                 description: Default amount per hutch
+ *               unit:
+ *                 type: string
+ *                 enum: [grams, kg]
+ *                 default: grams
+ *               feeding_time:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hutch feedings logged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid input or hutches not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/records/hutches', authMiddleware, validateRequest(hutchFeedingSchema), FeedingController.logHutchFeedings);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/records:
+ *   get:
+ *     summary: Get feeding records for a farm
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hutch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: feed_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feeding records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedingRecord'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/records', authMiddleware, FeedingController.getFeedingRecords);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/records/{id}:
+ *   delete:
+ *     summary: Soft delete a feeding record
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feeding record deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingRecord'
+ *       400:
+ *         description: Feeding record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/records/:id', authMiddleware, FeedingController.deleteFeedingRecord);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/missed:
+ *   get:
+ *     summary: Get today's scheduled feedings that have passed without a logged feeding
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Missed feedings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/missed', authMiddleware, FeedingController.getMissedFeedings);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/forecast:
+ *   get:
+ *     summary: Forecast daily feed consumption and days of stock remaining per feed type
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: lookback_days
+ *         schema:
+ *           type: integer
+ *           default: 14
+ *           description: Days of feeding records to average
+ *       - in: query
+ *         name: horizon_days
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *           description: Days to project forward (max 365)
+ *     responses:
+ *       200:
+ *         description: Feed forecast retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedForecast'
+ *       400:
+ *         description: Invalid query parameters or farm not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/forecast', authMiddleware, FeedingController.getForecast);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations:
+ *   get:
+ *     summary: Get the ration templates configured for each life stage
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ration templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RationTemplate'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/rations', authMiddleware, RationController.getTemplates);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations/stages:
+ *   get:
+ *     summary: Get each rabbit's life stage and whether its schedule follows the stage ration
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: life_stage
+ *         schema:
+ *           type: string
+ *           enum: [weaner, grower, maintenance, pregnant, lactating]
+ *     responses:
+ *       200:
+ *         description: Rabbit life stages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RabbitLifeStage'
+ *       400:
+ *         description: Invalid life stage
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/rations/stages', authMiddleware, RationController.getRabbitStages);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations/sync:
+ *   post:
+ *     summary: Re-derive life stages and regenerate schedules from the ration templates (called by the scheduled workflow)
+ *     tags: [Feeding]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rations synced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RationSync'
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/rations/sync', cronMiddleware, RationController.syncFarmRations);
+
+/**
+ * @swagger
+ * /api/v1/feeding/rations/sync:
+ *   post:
+ *     summary: Re-derive life stages and regenerate schedules on every farm (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Feeding]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       200:
+ *         description: Rations synced successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/rations/sync', cronMiddleware, RationController.syncAllRations);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations/rabbits/{rabbitId}:
+ *   post:
+ *     summary: Move a rabbit onto the ration for its current life stage
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: rabbitId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ration applied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/rations/rabbits/:rabbitId', authMiddleware, RationController.applyRation);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations/{lifeStage}:
+ *   put:
+ *     summary: Create or update the ration template for a life stage
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: lifeStage
+ *         schema:
+ *           type: string
+ *           enum: [weaner, grower, maintenance, pregnant, lactating]
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RationTemplate'
+ *     responses:
+ *       200:
+ *         description: Ration template saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RationTemplate'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/rations/:lifeStage', authMiddleware, validateRequest(rationTemplateSchema), RationController.setTemplate);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/rations/{lifeStage}:
+ *   delete:
+ *     summary: Delete the ration template for a life stage
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: lifeStage
+ *         schema:
+ *           type: string
+ *           enum: [weaner, grower, maintenance, pregnant, lactating]
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Ration template deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RationTemplate'
+ *       400:
+ *         description: Ration template not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/rations/:lifeStage', authMiddleware, RationController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory:
+ *   post:
+ *     summary: Record a feed purchase (stock-in)
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedStock'
+ *     responses:
+ *       201:
+ *         description: Feed stock added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedStock'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/inventory', authMiddleware, validateRequest(feedStockSchema), FeedInventoryController.addStock);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory:
+ *   get:
+ *     summary: Get feed stock batches for a farm
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: feed_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_empty
+ *         schema:
+ *           type: boolean
+ *           description: Include batches that have been used up
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feed inventory retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedStock'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/inventory', authMiddleware, FeedInventoryController.getInventory);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/summary:
+ *   get:
+ *     summary: Get stock on hand per feed type with low-stock status
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feed stock summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/inventory/summary', authMiddleware, FeedInventoryController.getStockSummary);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/movements:
+ *   get:
+ *     summary: Get the feed stock ledger (purchases, adjustments and feedings)
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: inventory_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: feed_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: movement_type
+ *         schema:
+ *           type: string
+ *           enum: [purchase, adjustment, feeding]
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feed stock movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedStockMovement'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/inventory/movements', authMiddleware, FeedInventoryController.getMovements);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/thresholds:
+ *   get:
+ *     summary: Get low-stock thresholds per feed type
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feed stock thresholds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedStockThreshold'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/inventory/thresholds', authMiddleware, FeedInventoryController.getThresholds);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/thresholds:
+ *   put:
+ *     summary: Create or update the low-stock threshold for a feed type
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedStockThreshold'
+ *     responses:
+ *       200:
+ *         description: Feed stock threshold saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedStockThreshold'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/inventory/thresholds', authMiddleware, validateRequest(feedStockThresholdSchema), FeedInventoryController.setThreshold);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/alerts:
+ *   post:
+ *     summary: Create low-stock and expiry alerts for feed stock (called by the scheduled workflow)
+ *     tags: [Feeding]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Feed stock alerts generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/inventory/alerts', cronMiddleware, FeedInventoryController.generateStockAlerts);
+
+/**
+ * @swagger
+ * /api/v1/feeding/inventory/alerts:
+ *   post:
+ *     summary: Raise low-stock and expiry alerts on every farm (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Feeding]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Feed stock alerts generated successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/inventory/alerts', cronMiddleware, FeedInventoryController.generateAllStockAlerts);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/{id}:
+ *   get:
+ *     summary: Get a feed stock batch by ID
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feed stock retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedStock'
+ *       400:
+ *         description: Feed stock not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/inventory/:id', authMiddleware, FeedInventoryController.getInventoryById);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/{id}/adjust:
+ *   post:
+ *     summary: Adjust a feed stock batch (spillage, spoilage, recount)
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity_change
+ *               - reason
+ *             properties:
+ *               quantity_change:
+ *                 type: number
+ *                 description: Signed change in the batch unit, e.g. -2.5
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Feed stock adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedStock'
+ *       400:
+ *         description: Invalid input, feed stock not found or stock would go below zero
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/inventory/:id/adjust', authMiddleware, validateRequest(feedStockAdjustmentSchema), FeedInventoryController.adjustStock);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/inventory/{id}:
+ *   delete:
+ *     summary: Soft delete a feed stock batch
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feed stock deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedStock'
+ *       400:
+ *         description: Feed stock not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/inventory/:id', authMiddleware, FeedInventoryController.deleteInventory);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules/{id}:
+ *   get:
+ *     summary: Get a feeding schedule by ID
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feeding schedule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingSchedule'
+ *       400:
+ *         description: Feeding schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/schedules/:id', authMiddleware, FeedingController.getScheduleById);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules/{id}:
+ *   put:
+ *     summary: Update a feeding schedule
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedingSchedule'
+ *     responses:
+ *       200:
+ *         description: Feeding schedule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingSchedule'
+ *       400:
+ *         description: Invalid input or feeding schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/schedules/:id', authMiddleware, validateRequest(feedingScheduleUpdateSchema), FeedingController.updateSchedule);
+
+/**
+ * @swagger
+ * /api/v1/feeding/{farmId}/schedules/{id}:
+ *   delete:
+ *     summary: Soft delete a feeding schedule
+ *     tags: [Feeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Feeding schedule deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FeedingSchedule'
+ *       400:
+ *         description: Feeding schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/schedules/:id', authMiddleware, FeedingController.deleteSchedule);
+
+export default router;
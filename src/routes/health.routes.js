@@ -0,0 +1,1427 @@
+import express from 'express';
+import HealthController from '../controllers/health.controllers.js';
+import VaccinationController from '../controllers/vaccination.controllers.js';
+import HealthAlertController from '../controllers/healthAlert.controllers.js';
+import CheckupController from '../controllers/checkup.controllers.js';
+import OutbreakController from '../controllers/outbreak.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import {
+    healthRecordSchema,
+    healthRecordUpdateSchema,
+    vaccinationScheduleSchema,
+    vaccinationScheduleUpdateSchema,
+    healthAlertSchema,
+    checkupSchema,
+    rowCheckupSchema
+} from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthRecord:
+ *       type: object
+ *       required:
+ *         - rabbit_id
+ *         - type
+ *         - description
+ *         - date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the health record
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         rabbit_id:
+ *           type: string
+ *           description: The rabbit the record belongs to (e.g., RB-001)
+ *         type:
+ *           type: string
+ *           enum: [vaccination, treatment, checkup, medication, surgery, other]
+ *           description: The type of health event
+ *         description:
+ *           type: string
+ *           description: What was done or observed
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The date of the health event
+ *         next_due:
+ *           type: string
+ *           format: date
+ *           description: When the next follow-up is due (optional)
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           description: The status of the record
+ *           default: completed
+ *         veterinarian:
+ *           type: string
+ *           description: The attending veterinarian (optional)
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           description: Additional notes (optional)
+ *           nullable: true
+ *         vaccination_schedule_id:
+ *           type: string
+ *           format: uuid
+ *           description: The vaccination schedule this vaccination fulfils (optional)
+ *           nullable: true
+ *         drug_name:
+ *           type: string
+ *           description: The drug administered (optional)
+ *           nullable: true
+ *         dosage:
+ *           type: string
+ *           description: The dosage given, e.g. 0.5 ml (optional)
+ *           nullable: true
+ *         withdrawal_days:
+ *           type: integer
+ *           description: Meat withdrawal period in days; the rabbit cannot be sold until date + withdrawal_days
+ *           nullable: true
+ *         cost:
+ *           type: number
+ *           format: float
+ *           description: What the treatment cost, in the farm's currency; counted in the rabbit's economics (optional)
+ *           nullable: true
+ *         is_deleted:
+ *           type: integer
+ *           enum: [0, 1]
+ *           description: Soft delete flag (0 = active, 1 = deleted)
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *       example:
+ *         id: 550e8400-e29b-41d4-a716-446655440000
+ *         farm_id: 123e4567-e89b-12d3-a456-426614174000
+ *         rabbit_id: RB-001
+ *         type: vaccination
+ *         description: RHDV2 vaccine
+ *         date: 2025-06-01
+ *         next_due: 2026-06-01
+ *         status: completed
+ *         veterinarian: Dr. Wanjiku
+ *         notes: No reaction observed
+ *         is_deleted: 0
+ *         created_at: 2025-06-01T09:00:00Z
+ *         updated_at: 2025-06-01T09:00:00Z
+ *     VaccinationSchedule:
+ *       type: object
+ *       required:
+ *         - vaccine_name
+ *         - frequency_days
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the schedule
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         vaccine_name:
+ *           type: string
+ *           description: The vaccine name, also matched against vaccination record descriptions
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         frequency_days:
+ *           type: integer
+ *           description: Days between doses
+ *         age_start_days:
+ *           type: integer
+ *           description: Age in days at which the first dose is due
+ *           default: 0
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ *       example:
+ *         vaccine_name: RHDV2
+ *         description: Rabbit haemorrhagic disease
+ *         frequency_days: 365
+ *         age_start_days: 70
+ *         is_active: true
+ *     HealthAlert:
+ *       type: object
+ *       required:
+ *         - rabbit_id
+ *         - alert_type
+ *         - message
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *         rabbit_id:
+ *           type: string
+ *           description: The affected rabbit
+ *         alert_type:
+ *           type: string
+ *           enum: [sick, injured, off_feed, diarrhea, respiratory, abnormal_behavior, other]
+ *         severity:
+ *           type: string
+ *           enum: [low, medium, high]
+ *           default: medium
+ *           description: High severity alerts are also emailed through the alerts table
+ *         message:
+ *           type: string
+ *         quarantine:
+ *           type: boolean
+ *           default: false
+ *           description: Also put the rabbit into quarantine (request only)
+ *         is_read:
+ *           type: boolean
+ *         is_resolved:
+ *           type: boolean
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolved_by:
+ *           type: string
+ *           nullable: true
+ *           description: The user who resolved the alert
+ *       example:
+ *         rabbit_id: RB-001
+ *         alert_type: off_feed
+ *         severity: high
+ *         message: Has not eaten pellets for two days
+ *     Checkup:
+ *       type: object
+ *       required:
+ *         - rabbit_id
+ *         - date
+ *       description: Item scores run 1 (poor) to 5 (healthy); body condition is scored 1 (emaciated) to 5 (obese) with 3 ideal. At least one score is required.
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         health_record_id:
+ *           type: string
+ *           format: uuid
+ *           description: The checkup health record created alongside
+ *         rabbit_id:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         body_condition_score:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         teeth_score:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         ears_score:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         hocks_score:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: Sore hocks
+ *         fur_score:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         overall_score:
+ *           type: number
+ *           description: Average of the item scores (computed)
+ *         veterinarian:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         rabbit_id: RB-001
+ *         date: 2025-06-01
+ *         body_condition_score: 3
+ *         teeth_score: 5
+ *         ears_score: 4
+ *         hocks_score: 5
+ *         fur_score: 4
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     cronSecret:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Cron-Secret
+ */
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}:
+ *   post:
+ *     summary: Create a new health record
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HealthRecord'
+ *     responses:
+ *       201:
+ *         description: Health record created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthRecord'
+ *       400:
+ *         description: Invalid input or rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(healthRecordSchema), HealthController.createHealthRecord);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}:
+ *   get:
+ *     summary: Get all health records for a farm
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [vaccination, treatment, checkup, medication, surgery, other]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: next_due_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: next_due_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Health records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HealthRecord'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, HealthController.getAllHealthRecords);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/rabbit/{rabbitId}:
+ *   get:
+ *     summary: Get the health history of a single rabbit
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: rabbitId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HealthRecord'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/rabbit/:rabbitId', authMiddleware, HealthController.getAllHealthRecords);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/withdrawals:
+ *   get:
+ *     summary: List rabbits still under a medication withdrawal period
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rabbits under withdrawal retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rabbit_id:
+ *                         type: string
+ *                       drug_name:
+ *                         type: string
+ *                       treatment_date:
+ *                         type: string
+ *                         format: date
+ *                       withdrawal_days:
+ *                         type: integer
+ *                       clear_date:
+ *                         type: string
+ *                         format: date
+ *                       days_remaining:
+ *                         type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/withdrawals', authMiddleware, HealthController.getRabbitsUnderWithdrawal);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/checkups:
+ *   post:
+ *     summary: Record a scored checkup for a rabbit
+ *     tags: [Checkups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Checkup'
+ *     responses:
+ *       201:
+ *         description: Checkup recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Checkup'
+ *       400:
+ *         description: Invalid input or rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/checkups', authMiddleware, validateRequest(checkupSchema), CheckupController.createCheckup);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/checkups:
+ *   get:
+ *     summary: Get checkups for a farm
+ *     tags: [Checkups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: row_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checkups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Checkup'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/checkups', authMiddleware, CheckupController.getCheckups);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/checkups/drops:
+ *   get:
+ *     summary: List rabbits whose overall score dropped between their last two checkups
+ *     tags: [Checkups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: min_drop
+ *         schema:
+ *           type: number
+ *           default: 0.5
+ *     responses:
+ *       200:
+ *         description: Checkup score drops retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/checkups/drops', authMiddleware, CheckupController.getScoreDrops);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/checkups/row/{rowId}:
+ *   post:
+ *     summary: Record checkups for the rabbits in a row in one go
+ *     tags: [Checkups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: rowId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - checkups
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               veterinarian:
+ *                 type: string
+ *               checkups:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Checkup'
+ *     responses:
+ *       201:
+ *         description: Row checkups recorded successfully (includes rabbits in the row that were not checked)
+ *       400:
+ *         description: Row not found or rabbits not in the row
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/checkups/row/:rowId', authMiddleware, validateRequest(rowCheckupSchema), CheckupController.createRowCheckups);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/outbreaks:
+ *   get:
+ *     summary: List rows where several rabbits share a symptom within the outbreak window
+ *     tags: [Outbreaks]
+ *     security:
+ *       - bearerAuth: []
+ *     description: The window (outbreak_window_days) and case threshold (outbreak_min_cases) are read from the farm's settings.
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Outbreaks retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/outbreaks', authMiddleware, OutbreakController.getOutbreaks);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/outbreaks/detect:
+ *   post:
+ *     summary: Raise high-severity alerts for new outbreaks (called by the scheduled workflow)
+ *     tags: [Outbreaks]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Outbreak detection completed successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/outbreaks/detect', cronMiddleware, OutbreakController.detectOutbreaks);
+
+/**
+ * @swagger
+ * /api/v1/health/outbreaks/detect:
+ *   post:
+ *     summary: Raise high-severity alerts for new outbreaks on every farm (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Outbreaks]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Outbreak detection completed successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/outbreaks/detect', cronMiddleware, OutbreakController.detectAllOutbreaks);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/schedules:
+ *   post:
+ *     summary: Create a vaccination schedule
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VaccinationSchedule'
+ *     responses:
+ *       201:
+ *         description: Vaccination schedule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/VaccinationSchedule'
+ *       400:
+ *         description: Invalid input or schedule already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/vaccinations/schedules', authMiddleware, validateRequest(vaccinationScheduleSchema), VaccinationController.createSchedule);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/schedules:
+ *   get:
+ *     summary: Get all vaccination schedules for a farm
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Vaccination schedules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VaccinationSchedule'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/vaccinations/schedules', authMiddleware, VaccinationController.getAllSchedules);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/schedules/{id}:
+ *   get:
+ *     summary: Get a vaccination schedule by ID
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Vaccination schedule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/VaccinationSchedule'
+ *       400:
+ *         description: Vaccination schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/vaccinations/schedules/:id', authMiddleware, VaccinationController.getSchedule);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/schedules/{id}:
+ *   put:
+ *     summary: Update a vaccination schedule
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VaccinationSchedule'
+ *     responses:
+ *       200:
+ *         description: Vaccination schedule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/VaccinationSchedule'
+ *       400:
+ *         description: Vaccination schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/vaccinations/schedules/:id', authMiddleware, validateRequest(vaccinationScheduleUpdateSchema), VaccinationController.updateSchedule);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/schedules/{id}:
+ *   delete:
+ *     summary: Soft delete a vaccination schedule
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Vaccination schedule deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/VaccinationSchedule'
+ *       400:
+ *         description: Vaccination schedule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/vaccinations/schedules/:id', authMiddleware, VaccinationController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/due:
+ *   get:
+ *     summary: List overdue and upcoming vaccinations per rabbit
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: days_ahead
+ *         schema:
+ *           type: integer
+ *           default: 14
+ *         description: How many days ahead to include upcoming vaccinations
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Due vaccinations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/vaccinations/due', authMiddleware, VaccinationController.getDueVaccinations);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/vaccinations/alerts:
+ *   post:
+ *     summary: Create alerts for due vaccinations (called by the scheduled workflow)
+ *     tags: [Vaccinations]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Vaccination alerts generated successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/vaccinations/alerts', cronMiddleware, VaccinationController.generateVaccinationAlerts);
+
+/**
+ * @swagger
+ * /api/v1/health/vaccinations/alerts:
+ *   post:
+ *     summary: Create alerts for due vaccinations on every farm (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Vaccinations]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Vaccination alerts generated successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/vaccinations/alerts', cronMiddleware, VaccinationController.generateAllVaccinationAlerts);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts:
+ *   post:
+ *     summary: Raise a health alert for a rabbit
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HealthAlert'
+ *     responses:
+ *       201:
+ *         description: Health alert raised successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthAlert'
+ *       400:
+ *         description: Invalid input or rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/alerts', authMiddleware, validateRequest(healthAlertSchema), HealthAlertController.createHealthAlert);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts:
+ *   get:
+ *     summary: List health alerts, high severity first (open alerts by default)
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: alert_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_read
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: is_resolved
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Health alerts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HealthAlert'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/alerts', authMiddleware, HealthAlertController.getAllHealthAlerts);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts/{id}:
+ *   get:
+ *     summary: Get a health alert by ID
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health alert retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthAlert'
+ *       400:
+ *         description: Health alert not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/alerts/:id', authMiddleware, HealthAlertController.getHealthAlert);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts/{id}/read:
+ *   put:
+ *     summary: Mark a health alert as read
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health alert marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthAlert'
+ *       400:
+ *         description: Health alert not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/alerts/:id/read', authMiddleware, HealthAlertController.markHealthAlertRead);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts/{id}/resolve:
+ *   put:
+ *     summary: Resolve a health alert, recording the resolving user
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health alert resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthAlert'
+ *       400:
+ *         description: Health alert not found or already resolved
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/alerts/:id/resolve', authMiddleware, HealthAlertController.resolveHealthAlert);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/alerts/{id}:
+ *   delete:
+ *     summary: Soft delete a health alert
+ *     tags: [Health Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health alert deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthAlert'
+ *       400:
+ *         description: Health alert not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/alerts/:id', authMiddleware, HealthAlertController.deleteHealthAlert);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/{id}:
+ *   get:
+ *     summary: Get a health record by ID
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthRecord'
+ *       400:
+ *         description: Health record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, HealthController.getHealthRecord);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/{id}:
+ *   put:
+ *     summary: Update a health record
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HealthRecord'
+ *     responses:
+ *       200:
+ *         description: Health record updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthRecord'
+ *       400:
+ *         description: Invalid input or health record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(healthRecordUpdateSchema), HealthController.updateHealthRecord);
+
+/**
+ * @swagger
+ * /api/v1/health/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete a health record
+ *     tags: [Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Health record soft deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthRecord'
+ *       400:
+ *         description: Health record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, HealthController.deleteHealthRecord);
+
+export default router;
@@ -61,6 +61,9 @@ const router = express.Router();
  *         is_occupied:
  *           type: boolean
  *           description: Whether the hutch is occupied
+ *         is_quarantine:
+ *           type: boolean
+ *           description: Whether the hutch is set aside for quarantined rabbits
  *         last_cleaned:
  *           type: string
  *           format: date-time
@@ -161,6 +164,9 @@ const router = express.Router();
  *               is_occupied:
  *                 type: boolean
  *                 description: Whether the hutch is occupied
+ *               is_quarantine:
+ *                 type: boolean
+ *                 description: Whether the hutch is set aside for quarantined rabbits
  *               last_cleaned:
  *                 type: string
  *                 format: date-time
@@ -290,6 +296,11 @@ router.get('/:farmId/:id', authMiddleware, HutchesController.getHutch);
  *         schema:
  *           type: boolean
  *         description: Filter by occupied status
+ *       - in: query
+ *         name: is_quarantine
+ *         schema:
+ *           type: boolean
+ *         description: Filter by quarantine hutches
  *     responses:
  *       200:
  *         description: Hutches retrieved successfully
@@ -371,6 +382,9 @@ router.get('/:farmId', authMiddleware, HutchesController.getAllHutches);
  *               is_occupied:
  *                 type: boolean
  *                 description: Whether the hutch is occupied
+ *               is_quarantine:
+ *                 type: boolean
+ *                 description: Whether the hutch is set aside for quarantined rabbits
  *               last_cleaned:
  *                 type: string
  *                 format: date-time
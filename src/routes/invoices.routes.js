@@ -0,0 +1,764 @@
+import express from 'express';
+import InvoicesController from '../controllers/invoices.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { invoiceSchema, invoiceUpdateSchema, invoiceIssueSchema, invoiceVoidSchema, salePaymentSchema, invoiceSendSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceInput:
+ *       type: object
+ *       required:
+ *         - earnings_record_ids
+ *       properties:
+ *         earnings_record_ids:
+ *           type: array
+ *           description: The sales to bill, in the order they appear on the invoice
+ *           items:
+ *             type: string
+ *         customer_id:
+ *           type: string
+ *           description: Defaults to the customer the sales were made to
+ *           nullable: true
+ *         bill_to_name:
+ *           type: string
+ *           description: Defaults to the customer's name or the sale's buyer name
+ *           nullable: true
+ *         bill_to_email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         bill_to_phone:
+ *           type: string
+ *           nullable: true
+ *         bill_to_address:
+ *           type: string
+ *           nullable: true
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         earnings_record_ids: [550e8400-e29b-41d4-a716-446655440000]
+ *         due_date: 2026-11-15
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         farm_id:
+ *           type: string
+ *         invoice_number:
+ *           type: string
+ *           description: Given out when the invoice is issued, e.g. INV-00012
+ *           nullable: true
+ *         customer_id:
+ *           type: string
+ *           nullable: true
+ *         customer_name:
+ *           type: string
+ *           nullable: true
+ *         bill_to_name:
+ *           type: string
+ *           nullable: true
+ *         bill_to_email:
+ *           type: string
+ *           nullable: true
+ *         bill_to_phone:
+ *           type: string
+ *           nullable: true
+ *         bill_to_address:
+ *           type: string
+ *           nullable: true
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, issued, paid, void]
+ *         issue_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         void_reason:
+ *           type: string
+ *           nullable: true
+ *         issued_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         voided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_sent_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         item_count:
+ *           type: integer
+ *         total:
+ *           type: number
+ *         amount_paid:
+ *           type: number
+ *         balance_due:
+ *           type: number
+ *         items:
+ *           type: array
+ *           description: Single invoice only
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               earnings_record_id:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               amount_paid:
+ *                 type: number
+ *               type:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *         payments:
+ *           type: array
+ *           description: Single invoice only
+ *           items:
+ *             $ref: '#/components/schemas/SalePayment'
+ *     SalePayment:
+ *       type: object
+ *       required:
+ *         - amount
+ *         - payment_method
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         amount:
+ *           type: number
+ *         payment_method:
+ *           type: string
+ *           enum: [cash, mobile_money, bank_transfer, card, cheque, other]
+ *         reference:
+ *           type: string
+ *           description: M-Pesa code, bank slip or cheque number
+ *           nullable: true
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         amount: 1500
+ *         payment_method: mobile_money
+ *         reference: QJK7XH2L9P
+ *         date: 2026-10-18
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}:
+ *   post:
+ *     summary: Create a draft invoice from one or more sales
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Invoice created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Sales not found, already on another invoice, in different currencies or for different customers
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(invoiceSchema), InvoicesController.createInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/issue:
+ *   post:
+ *     summary: Issue a draft invoice
+ *     description: Gives the invoice the farm's next number. An invoice whose sales are already paid in full is issued as paid and renders as a receipt.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               issue_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Invoice issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found, not a draft or has sales that were deleted
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:id/issue', authMiddleware, validateRequest(invoiceIssueSchema), InvoicesController.issueInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/void:
+ *   post:
+ *     summary: Void an issued or paid invoice
+ *     description: Its sales can then be billed on another invoice.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice voided successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found, a draft, already void or has payments recorded
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:id/void', authMiddleware, validateRequest(invoiceVoidSchema), InvoicesController.voidInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/payments:
+ *   post:
+ *     summary: Record a full or partial payment on an invoice
+ *     description: The payment is applied to the sales in invoice order; the invoice becomes paid when nothing is left to pay.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalePayment'
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found, not issued, or payment more than the balance due
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:id/payments', authMiddleware, validateRequest(salePaymentSchema), InvoicesController.recordPayment);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/payments/{paymentId}:
+ *   delete:
+ *     summary: Delete a payment recorded on an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Payment deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Payment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id/payments/:paymentId', authMiddleware, InvoicesController.deletePayment);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/html:
+ *   get:
+ *     summary: Render an invoice as HTML
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The invoice, or receipt once paid, as an HTML page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invoice not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id/html', authMiddleware, InvoicesController.getInvoiceHtml);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/pdf:
+ *   get:
+ *     summary: Render an invoice as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *           description: Send as an attachment instead of inline
+ *     responses:
+ *       200:
+ *         description: The invoice, or receipt once paid, as a PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invoice not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id/pdf', authMiddleware, InvoicesController.getInvoicePdf);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}/send:
+ *   post:
+ *     summary: Email an invoice to the buyer with the PDF attached
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 format: email
+ *                 description: Defaults to the bill-to email
+ *               message:
+ *                 type: string
+ *                 description: Shown above the invoice in the email
+ *     responses:
+ *       200:
+ *         description: Invoice sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invoice not found, not issued, no email address, or the email could not be sent
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:id/send', authMiddleware, validateRequest(invoiceSendSchema), InvoicesController.sendInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}:
+ *   get:
+ *     summary: Get an invoice with its items and payments
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, InvoicesController.getInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}:
+ *   get:
+ *     summary: Get invoices for a farm
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, issued, paid, void]
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *           description: Only issued invoices past their due date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, InvoicesController.getAllInvoices);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}:
+ *   put:
+ *     summary: Update a draft invoice
+ *     description: Passing earnings_record_ids replaces its sales.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       200:
+ *         description: Invoice updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found or not a draft
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(invoiceUpdateSchema), InvoicesController.updateInvoice);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete a draft invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invoice deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice not found or not a draft
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, InvoicesController.deleteInvoice);
+
+export default router;
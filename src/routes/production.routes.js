@@ -0,0 +1,468 @@
+import express from 'express';
+import ProductionController from '../controllers/production.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { productionRecordSchema, productionRecordUpdateSchema, productionSaleSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductionRecord:
+ *       type: object
+ *       required:
+ *         - type
+ *         - quantity
+ *         - date
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         type:
+ *           type: string
+ *           enum: [manure, urine]
+ *         quantity:
+ *           type: number
+ *           description: Amount collected
+ *         unit:
+ *           type: string
+ *           enum: [kg, litres]
+ *           description: Manure is recorded in kg and urine in litres
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The collection date
+ *         row_id:
+ *           type: string
+ *           description: The row it was collected from
+ *           nullable: true
+ *         row_name:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *         source:
+ *           type: string
+ *           description: Where it was collected (optional, e.g. urine trays)
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         sold:
+ *           type: number
+ *           description: Quantity of the batch linked to sales
+ *           readOnly: true
+ *         in_stock:
+ *           type: number
+ *           readOnly: true
+ *         sales:
+ *           type: array
+ *           description: Sales taken from the batch (single batch only)
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               earnings_record_id:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               type:
+ *                 type: string
+ *               buyer_name:
+ *                 type: string
+ *                 nullable: true
+ *       example:
+ *         type: manure
+ *         quantity: 42.5
+ *         date: 2026-10-18
+ *         row_id: 8c1f2a4e-1d2b-4c3d-9e8f-0a1b2c3d4e5f
+ *     ProductionSaleLink:
+ *       type: object
+ *       properties:
+ *         earnings_record_id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [manure, urine]
+ *         unit:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         allocations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               production_record_id:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}:
+ *   post:
+ *     summary: Record manure or urine collected
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductionRecord'
+ *     responses:
+ *       201:
+ *         description: Production recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionRecord'
+ *       400:
+ *         description: Invalid input or row not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(productionRecordSchema), ProductionController.createRecord);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}/sales/{earningsId}:
+ *   post:
+ *     summary: Link a manure or urine sale to the batches it came from
+ *     description: Give either quantity or allocations. Only batches produced on or before the sale date can be used.
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: earningsId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [manure, urine]
+ *                 description: Needed when the earnings record is not a manure_sale or urine_sale but includes the product
+ *               quantity:
+ *                 type: number
+ *                 description: Take this much from the oldest batches in stock
+ *               allocations:
+ *                 type: array
+ *                 description: Or name the batches and quantities
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     production_record_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Sale linked to production successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionSaleLink'
+ *       400:
+ *         description: Earnings record not found, already linked, or not enough in stock on the sale date
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/sales/:earningsId', authMiddleware, validateRequest(productionSaleSchema), ProductionController.linkSale);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}/sales/{earningsId}:
+ *   delete:
+ *     summary: Unlink a sale from its batches
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: earningsId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sale unlinked from production successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Sale is not linked to any production
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/sales/:earningsId', authMiddleware, ProductionController.unlinkSale);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}/{id}:
+ *   get:
+ *     summary: Get a production record with its sales
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Production record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionRecord'
+ *       400:
+ *         description: Production record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/:id', authMiddleware, ProductionController.getRecord);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}:
+ *   get:
+ *     summary: Get production records for a farm
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [manure, urine]
+ *       - in: query
+ *         name: row_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: in_stock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Production records retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductionRecord'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, ProductionController.getAllRecords);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}/{id}:
+ *   put:
+ *     summary: Update a production record
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductionRecord'
+ *     responses:
+ *       200:
+ *         description: Production record updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionRecord'
+ *       400:
+ *         description: Production record not found, quantity below what has been sold, or date after the first linked sale
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:farmId/:id', authMiddleware, validateRequest(productionRecordUpdateSchema), ProductionController.updateRecord);
+
+/**
+ * @swagger
+ * /api/v1/production/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete a production record
+ *     tags: [Production]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Production record deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionRecord'
+ *       400:
+ *         description: Production record not found or has sales linked to it
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, ProductionController.deleteRecord);
+
+export default router;
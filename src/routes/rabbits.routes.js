@@ -2,7 +2,7 @@ import express from 'express';
 import RabbitsController from '../controllers/rabbits.controllers.js';
 import authMiddleware from '../middleware/auth.middleware.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { rabbitSchema, rabbitUpdateSchema, rabbitDeleteSchema } from '../utils/validator.js';
+import { rabbitSchema, rabbitUpdateSchema, rabbitDeleteSchema, quarantineSchema, quarantineReleaseSchema } from '../utils/validator.js';
 
 const router = express.Router();
 
@@ -75,6 +75,29 @@ const router = express.Router();
  *           type: string
  *           description: Additional notes about the rabbit
  *           nullable: true
+ *         is_quarantined:
+ *           type: boolean
+ *           description: Whether the rabbit is in quarantine
+ *         quarantine_reason:
+ *           type: string
+ *           nullable: true
+ *         quarantine_start_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         quarantine_end_date:
+ *           type: string
+ *           format: date
+ *           description: When the quarantine release check is due
+ *           nullable: true
+ *         quarantine_status:
+ *           type: string
+ *           enum: [quarantined, clear]
+ *           description: Returned when listing rabbits
+ *         quarantine_days_remaining:
+ *           type: integer
+ *           nullable: true
+ *           description: Returned when listing rabbits; null when not quarantined
  *         is_deleted:
  *           type: integer
  *           enum: [0, 1]
@@ -163,6 +186,15 @@ const router = express.Router();
  *           type: string
  *           description: The name of the buyer if the rabbit was sold
  *           nullable: true
+ *         customer_id:
+ *           type: string
+ *           format: uuid
+ *           description: The customer the rabbit was sold to; sold_to defaults to their name
+ *           nullable: true
+ *         cause_of_death:
+ *           type: string
+ *           enum: [disease, predator, heat_stress, cold_stress, kit_crushed, injury, starvation, bloat, unknown, other]
+ *           description: Cause of death when reason is death (defaults to unknown)
  *       example:
  *         reason: sold
  *         notes: Sold to John Doe
@@ -170,6 +202,133 @@ const router = express.Router();
  *         sale_date: 2024-05-27
  *         sale_weight: 4.2
  *         sold_to: John Doe
+ *     EconomicsSummary:
+ *       type: object
+ *       description: Costs, revenue and net for a rabbit or a group of offspring, in the farm's currency
+ *       properties:
+ *         costs:
+ *           type: object
+ *           properties:
+ *             acquisition:
+ *               type: number
+ *             feed:
+ *               type: number
+ *             health:
+ *               type: number
+ *             overhead:
+ *               type: number
+ *             total:
+ *               type: number
+ *         revenue:
+ *           type: number
+ *           description: Rabbit sale earnings, or the removal sale_amount when no earnings were recorded
+ *         net:
+ *           type: number
+ *     RabbitEconomics:
+ *       type: object
+ *       properties:
+ *         as_of:
+ *           type: string
+ *           format: date
+ *         currency:
+ *           type: string
+ *           example: KES
+ *         rabbit:
+ *           type: object
+ *           properties:
+ *             rabbit_id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             gender:
+ *               type: string
+ *             breed:
+ *               type: string
+ *             birth_date:
+ *               type: string
+ *               format: date
+ *             status:
+ *               type: string
+ *               example: active
+ *             days_on_farm:
+ *               type: integer
+ *         overhead_per_rabbit_day:
+ *           type: number
+ *           description: Expenses other than feed, veterinary, medication and breeding stock (charged to rabbits directly) divided by the rabbit-days of every rabbit the farm has kept
+ *         own:
+ *           $ref: '#/components/schemas/EconomicsSummary'
+ *         offspring:
+ *           $ref: '#/components/schemas/EconomicsSummary'
+ *         litters:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/EconomicsSummary'
+ *               - type: object
+ *                 properties:
+ *                   breeding_record_id:
+ *                     type: string
+ *                   birth_date:
+ *                     type: string
+ *                     format: date
+ *                   mate_id:
+ *                     type: string
+ *                   kits_born:
+ *                     type: integer
+ *                   kits_raised:
+ *                     type: integer
+ *                   kits_sold:
+ *                     type: integer
+ *         net_contribution:
+ *           type: number
+ *           description: Own net plus the net of the offspring raised from the rabbit's litters
+ *     DoeRanking:
+ *       type: object
+ *       properties:
+ *         as_of:
+ *           type: string
+ *           format: date
+ *         currency:
+ *           type: string
+ *         overhead_per_rabbit_day:
+ *           type: number
+ *         unallocated_feed_cost:
+ *           type: number
+ *           description: Cost of hutch feedings when no rabbit was recorded in the hutch
+ *         does:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rank:
+ *                 type: integer
+ *               rabbit_id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               breed:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *               litters:
+ *                 type: integer
+ *               kits_born:
+ *                 type: integer
+ *               kits_sold:
+ *                 type: integer
+ *               own_costs:
+ *                 type: number
+ *               own_revenue:
+ *                 type: number
+ *               offspring_costs:
+ *                 type: number
+ *               offspring_revenue:
+ *                 type: number
+ *               net_contribution:
+ *                 type: number
+ *               net_per_litter:
+ *                 type: number
+ *                 nullable: true
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -264,6 +423,261 @@ router.post('/:farmId', authMiddleware, validateRequest(rabbitSchema), RabbitsCo
  */
 router.get('/:farmId', authMiddleware, RabbitsController.getAllRabbits);
 
+/**
+ * @swagger
+ * /api/v1/rabbits/{farmId}/quarantine:
+ *   get:
+ *     summary: Get all quarantined rabbits for a farm
+ *     tags:
+ *       - Rabbits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the farm
+ *     responses:
+ *       200:
+ *         description: Quarantined rabbits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Quarantined rabbits retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Rabbit'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/quarantine', authMiddleware, RabbitsController.getQuarantinedRabbits);
+
+/**
+ * @swagger
+ * /api/v1/rabbits/{farmId}/economics/does:
+ *   get:
+ *     summary: Rank does by net contribution
+ *     description: Each doe's own costs and revenue plus those of the offspring raised from her litters, best first. Amounts are in the farm's currency, converted at the exchange rate on their date.
+ *     tags:
+ *       - Rabbits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the farm
+ *       - in: query
+ *         name: include_removed
+ *         schema:
+ *           type: boolean
+ *         description: Also rank does that have been sold or removed
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only return the top does
+ *     responses:
+ *       200:
+ *         description: Doe ranking retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Doe ranking retrieved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/DoeRanking'
+ *       400:
+ *         description: Invalid limit
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/economics/does', authMiddleware, RabbitsController.getDoeRanking);
+
+/**
+ * @swagger
+ * /api/v1/rabbits/{farmId}/{rabbitId}/economics:
+ *   get:
+ *     summary: Get a rabbit's costs, revenue and litter economics
+ *     description: Allocates acquisition cost, feed, health treatment costs and a share of overheads to the rabbit and to each litter it produced, and attributes revenue from the sale of its kits.
+ *     tags:
+ *       - Rabbits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: rabbitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the rabbit
+ *     responses:
+ *       200:
+ *         description: Rabbit economics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Rabbit economics retrieved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/RabbitEconomics'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Rabbit not found
+ */
+router.get('/:farmId/:rabbitId/economics', authMiddleware, RabbitsController.getRabbitEconomics);
+
+/**
+ * @swagger
+ * /api/v1/rabbits/{farmId}/{rabbitId}/quarantine:
+ *   post:
+ *     summary: Put a rabbit into quarantine
+ *     description: Moves the rabbit to a quarantine hutch with space (if any) and schedules a release-check alert. The quarantine length defaults to the farm's settings.quarantine_days.
+ *     tags:
+ *       - Rabbits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: rabbitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rabbit ID (e.g., RBT-001)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hutch_id:
+ *                 type: string
+ *                 description: A specific quarantine hutch to use
+ *               reason:
+ *                 type: string
+ *               days:
+ *                 type: integer
+ *                 description: Overrides the farm's quarantine length
+ *     responses:
+ *       200:
+ *         description: Rabbit quarantined successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Rabbit quarantined successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Rabbit'
+ *       400:
+ *         description: Rabbit not found, already quarantined or hutch invalid
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:rabbitId/quarantine', authMiddleware, validateRequest(quarantineSchema), RabbitsController.quarantineRabbit);
+
+/**
+ * @swagger
+ * /api/v1/rabbits/{farmId}/{rabbitId}/release:
+ *   post:
+ *     summary: Release a rabbit from quarantine
+ *     tags:
+ *       - Rabbits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The ID of the farm
+ *       - in: path
+ *         name: rabbitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rabbit ID (e.g., RBT-001)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hutch_id:
+ *                 type: string
+ *                 description: The hutch to move the rabbit back to
+ *     responses:
+ *       200:
+ *         description: Rabbit released from quarantine successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Rabbit released from quarantine successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Rabbit'
+ *       400:
+ *         description: Rabbit not found or not in quarantine
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/:rabbitId/release', authMiddleware, validateRequest(quarantineReleaseSchema), RabbitsController.releaseRabbit);
+
 /**
  * @swagger
  * /api/v1/rabbits/{farmId}/{rabbitId}:
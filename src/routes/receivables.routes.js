@@ -0,0 +1,440 @@
+import express from 'express';
+import ReceivablesController from '../controllers/receivables.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { salePaymentSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import cronMiddleware from '../middleware/cron.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Receivable:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Earnings record ID
+ *         type:
+ *           type: string
+ *         rabbit_id:
+ *           type: string
+ *           nullable: true
+ *         amount:
+ *           type: number
+ *         amount_paid:
+ *           type: number
+ *         outstanding:
+ *           type: number
+ *         payment_status:
+ *           type: string
+ *           enum: [unpaid, partial, paid]
+ *         currency:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           description: The sale date when no due date was set
+ *         days_overdue:
+ *           type: integer
+ *           description: Negative while the sale is not yet due
+ *         customer_id:
+ *           type: string
+ *           nullable: true
+ *         buyer_name:
+ *           type: string
+ *           nullable: true
+ *     AgingBuckets:
+ *       type: object
+ *       properties:
+ *         not_due:
+ *           type: number
+ *           description: Outstanding on sales not yet due
+ *         days_0_30:
+ *           type: number
+ *         days_31_60:
+ *           type: number
+ *         days_61_90:
+ *           type: number
+ *         days_over_90:
+ *           type: number
+ *         total:
+ *           type: number
+ *         unconverted:
+ *           type: integer
+ *           description: Sales in a currency with no exchange rate on their date, left out of the amounts
+ *     AgingReport:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: The farm's currency, which all amounts are in
+ *         as_of:
+ *           type: string
+ *           format: date
+ *         totals:
+ *           $ref: '#/components/schemas/AgingBuckets'
+ *         customers:
+ *           type: array
+ *           description: Largest balance first; sales without a customer are grouped by buyer name
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AgingBuckets'
+ *               - type: object
+ *                 properties:
+ *                   customer_id:
+ *                     type: string
+ *                     nullable: true
+ *                   name:
+ *                     type: string
+ *                     nullable: true
+ *                   sales:
+ *                     type: integer
+ *                   oldest_days_overdue:
+ *                     type: integer
+ *     SalePayments:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         amount_paid:
+ *           type: number
+ *         outstanding:
+ *           type: number
+ *         payment_status:
+ *           type: string
+ *           enum: [unpaid, partial, paid]
+ *         currency:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: The part of the payment applied to this sale
+ *               payment_amount:
+ *                 type: number
+ *               payment_method:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *                 nullable: true
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               invoice_id:
+ *                 type: string
+ *                 nullable: true
+ *               invoice_number:
+ *                 type: string
+ *                 nullable: true
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     cronSecret:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Cron-Secret
+ */
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}/aging:
+ *   get:
+ *     summary: Get the receivables aging report
+ *     description: Outstanding amounts by days past due (0-30, 31-60, 61-90, 90+), converted to the farm's currency at each sale's date.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receivables aging report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/AgingReport'
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/aging', authMiddleware, ReceivablesController.getAgingReport);
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}/reminders:
+ *   post:
+ *     summary: Create overdue payment reminders (called by the scheduled workflow)
+ *     tags: [Receivables]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Overdue payment reminders created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Farm not found
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/:farmId/reminders', cronMiddleware, ReceivablesController.sendOverdueReminders);
+
+/**
+ * @swagger
+ * /api/v1/receivables/reminders:
+ *   post:
+ *     summary: Create overdue payment reminders on every farm (called by the scheduled workflow)
+ *     description: A farm that fails is reported with its error and the rest still run.
+ *     tags: [Receivables]
+ *     security:
+ *       - cronSecret: []
+ *     responses:
+ *       201:
+ *         description: Overdue payment reminders created successfully
+ *       401:
+ *         description: Missing or invalid cron secret
+ */
+router.post('/reminders', cronMiddleware, ReceivablesController.sendAllOverdueReminders);
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}/sales/{earningsId}/payments:
+ *   get:
+ *     summary: Get a sale's payments
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: earningsId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sale payments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SalePayments'
+ *       400:
+ *         description: Earnings record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/sales/:earningsId/payments', authMiddleware, ReceivablesController.getSalePayments);
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}/sales/{earningsId}/payments:
+ *   post:
+ *     summary: Record a payment on a sale
+ *     description: A sale billed on an issued invoice has the payment recorded against the invoice as well.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: earningsId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalePayment'
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SalePayments'
+ *       400:
+ *         description: Earnings record not found, payment more than what is left to pay, or dated before the sale
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId/sales/:earningsId/payments', authMiddleware, validateRequest(salePaymentSchema), ReceivablesController.recordPayment);
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}/payments/{paymentId}:
+ *   delete:
+ *     summary: Delete a payment
+ *     description: Takes the whole payment back off every sale it was applied to.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Payment deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Payment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/payments/:paymentId', authMiddleware, ReceivablesController.deletePayment);
+
+/**
+ * @swagger
+ * /api/v1/receivables/{farmId}:
+ *   get:
+ *     summary: Get sales with money still owed
+ *     description: Oldest due first.
+ *     tags: [Receivables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Receivables retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Receivable'
+ *       400:
+ *         description: Invalid limit or offset
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, ReceivablesController.getReceivables);
+
+export default router;
@@ -0,0 +1,634 @@
+import express from 'express';
+import ReportsController from '../controllers/reports.controllers.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MortalityReport:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             date_from:
+ *               type: string
+ *               format: date
+ *             date_to:
+ *               type: string
+ *               format: date
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total_deaths:
+ *               type: integer
+ *             rabbit_deaths:
+ *               type: integer
+ *             kit_deaths:
+ *               type: integer
+ *             population_at_risk:
+ *               type: integer
+ *               description: Rabbits and kits on the farm at any point in the period
+ *             mortality_rate:
+ *               type: number
+ *               description: Deaths as a percentage of the population at risk
+ *         by_month:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: 2025-06
+ *               deaths:
+ *                 type: integer
+ *               population_at_risk:
+ *                 type: integer
+ *               mortality_rate:
+ *                 type: number
+ *         by_age_bracket:
+ *           type: array
+ *           description: Deaths per age bracket as a percentage of all deaths
+ *           items:
+ *             type: object
+ *             properties:
+ *               age_bracket:
+ *                 type: string
+ *               deaths:
+ *                 type: integer
+ *               percentage:
+ *                 type: number
+ *         by_row:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row_id:
+ *                 type: string
+ *               row_name:
+ *                 type: string
+ *               deaths:
+ *                 type: integer
+ *               population_at_risk:
+ *                 type: integer
+ *               mortality_rate:
+ *                 type: number
+ *         by_breed:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               breed:
+ *                 type: string
+ *               deaths:
+ *                 type: integer
+ *               population_at_risk:
+ *                 type: integer
+ *               mortality_rate:
+ *                 type: number
+ *         by_cause:
+ *           type: array
+ *           description: Deaths per cause as a percentage of all deaths
+ *           items:
+ *             type: object
+ *             properties:
+ *               cause:
+ *                 type: string
+ *               deaths:
+ *                 type: integer
+ *               percentage:
+ *                 type: number
+ *         by_hutch:
+ *           type: array
+ *           description: Hutches ordered by number of deaths
+ *           items:
+ *             type: object
+ *             properties:
+ *               hutch_id:
+ *                 type: string
+ *               hutch_name:
+ *                 type: string
+ *               deaths:
+ *                 type: integer
+ *     FcrReport:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             date_from:
+ *               type: string
+ *               format: date
+ *             date_to:
+ *               type: string
+ *               format: date
+ *         summary:
+ *           type: object
+ *           properties:
+ *             rabbits:
+ *               type: integer
+ *             rabbits_weighed:
+ *               type: integer
+ *               description: Rabbits with enough weighings to measure gain
+ *             feed_kg:
+ *               type: number
+ *               description: All feed attributed to the rabbits in the period
+ *             measured_feed_kg:
+ *               type: number
+ *               description: Feed eaten between weighings, used for the FCR
+ *             weight_gain_kg:
+ *               type: number
+ *             fcr:
+ *               type: number
+ *               nullable: true
+ *               description: kg of feed per kg of weight gain
+ *             unallocated_feed_kg:
+ *               type: number
+ *               description: Hutch feedings logged while the hutch was empty
+ *         by_hutch:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               hutch_id:
+ *                 type: string
+ *               hutch_name:
+ *                 type: string
+ *               rabbits:
+ *                 type: integer
+ *               rabbits_weighed:
+ *                 type: integer
+ *               feed_kg:
+ *                 type: number
+ *               measured_feed_kg:
+ *                 type: number
+ *               weight_gain_kg:
+ *                 type: number
+ *               fcr:
+ *                 type: number
+ *                 nullable: true
+ *         by_litter:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               breeding_record_id:
+ *                 type: string
+ *               doe_id:
+ *                 type: string
+ *               birth_date:
+ *                 type: string
+ *               rabbits:
+ *                 type: integer
+ *               rabbits_weighed:
+ *                 type: integer
+ *               feed_kg:
+ *                 type: number
+ *               measured_feed_kg:
+ *                 type: number
+ *               weight_gain_kg:
+ *                 type: number
+ *               fcr:
+ *                 type: number
+ *                 nullable: true
+ *         by_breed:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               breed:
+ *                 type: string
+ *               rabbits:
+ *                 type: integer
+ *               rabbits_weighed:
+ *                 type: integer
+ *               feed_kg:
+ *                 type: number
+ *               measured_feed_kg:
+ *                 type: number
+ *               weight_gain_kg:
+ *                 type: number
+ *               fcr:
+ *                 type: number
+ *                 nullable: true
+ *     ProfitLossStatement:
+ *       type: object
+ *       properties:
+ *         revenue:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: number
+ *             by_type:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *               description: Revenue per earnings type (rabbit_sale, urine_sale, manure_sale, other)
+ *             by_sale_type:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *               description: Revenue per sale type (whole, processed, live)
+ *         cost_of_sales:
+ *           type: object
+ *           properties:
+ *             feed_consumed:
+ *               type: number
+ *               description: Cost of feed deducted by feedings
+ *             feed_written_off:
+ *               type: number
+ *               description: Cost of feed removed by stock adjustments (spoilage, losses)
+ *             total:
+ *               type: number
+ *         gross_profit:
+ *           type: number
+ *         gross_margin:
+ *           type: number
+ *           nullable: true
+ *           description: Gross profit as a percentage of revenue
+ *         operating_expenses:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: number
+ *             by_category:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *         net_profit:
+ *           type: number
+ *         net_margin:
+ *           type: number
+ *           nullable: true
+ *         feed_purchases:
+ *           type: number
+ *           description: Feed category expenses, for reference only. Not included in operating_expenses, gross_profit or net_profit; feed is costed as it is used (feed_consumed and feed_written_off), so adding this would count feed twice
+ *     ConvertedAmount:
+ *       type: object
+ *       properties:
+ *         original:
+ *           type: number
+ *           description: Sum in the recorded currency
+ *         converted:
+ *           type: number
+ *           description: Sum in the farm's currency of the records that have a rate
+ *     ProfitLossReport:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date
+ *             to:
+ *               type: string
+ *               format: date
+ *             granularity:
+ *               type: string
+ *               enum: [month, quarter, year]
+ *         currency:
+ *           type: string
+ *           description: The farm's currency all amounts are in
+ *         totals:
+ *           $ref: '#/components/schemas/ProfitLossStatement'
+ *         periods:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProfitLossStatement'
+ *               - type: object
+ *                 properties:
+ *                   period:
+ *                     type: string
+ *                     description: e.g. 2025-03, 2025-Q1 or 2025
+ *                   start:
+ *                     type: string
+ *                     format: date
+ *                   end:
+ *                     type: string
+ *                     format: date
+ *                   change:
+ *                     type: object
+ *                     nullable: true
+ *                     description: Percentage change from the previous period (null for the first period or when the previous value was 0)
+ *                     properties:
+ *                       revenue:
+ *                         type: number
+ *                         nullable: true
+ *                       gross_profit:
+ *                         type: number
+ *                         nullable: true
+ *                       operating_expenses:
+ *                         type: number
+ *                         nullable: true
+ *                       net_profit:
+ *                         type: number
+ *                         nullable: true
+ *         currencies:
+ *           type: array
+ *           description: Earnings and expenses per recorded currency, before and after conversion to the farm's currency
+ *           items:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *               revenue:
+ *                 $ref: '#/components/schemas/ConvertedAmount'
+ *               expenses:
+ *                 $ref: '#/components/schemas/ConvertedAmount'
+ *               missing_rates:
+ *                 type: integer
+ *                 description: Records with no exchange rate on or before their date, left out of the statement
+ *         uncosted_feed_movements:
+ *           type: integer
+ *           description: Feed used from batches without a cost_per_unit
+ *     ProductionReport:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date
+ *             to:
+ *               type: string
+ *               format: date
+ *             days:
+ *               type: integer
+ *         currency:
+ *           type: string
+ *         row_id:
+ *           type: string
+ *           nullable: true
+ *         products:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [manure, urine]
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, litres]
+ *               produced:
+ *                 type: number
+ *               sold:
+ *                 type: number
+ *                 description: Quantity taken from batches by sales dated in the period
+ *               in_stock:
+ *                 type: number
+ *                 description: Left at the end of the period
+ *               revenue:
+ *                 type: number
+ *                 description: Linked manure and urine sales' amounts split over their batches by quantity, in the farm's currency. Product sold with rabbits adds no revenue
+ *               average_daily_output:
+ *                 type: number
+ *               average_price_per_unit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Revenue per unit sold in manure and urine sales
+ *               unlinked_sales:
+ *                 type: object
+ *                 description: Manure and urine sales in the period not linked to any batch
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                   amount:
+ *                     type: number
+ *               by_row:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     row_id:
+ *                       type: string
+ *                       nullable: true
+ *                     row_name:
+ *                       type: string
+ *                       nullable: true
+ *                     produced:
+ *                       type: number
+ *                     sold:
+ *                       type: number
+ *                     in_stock:
+ *                       type: number
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/reports/{farmId}/mortality:
+ *   get:
+ *     summary: Get mortality rates by month, age bracket, row, breed and cause
+ *     description: Includes adult deaths from removal records and kit deaths from kit records. Defaults to the last 12 months.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Mortality report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/MortalityReport'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/mortality', authMiddleware, ReportsController.getMortalityReport);
+
+/**
+ * @swagger
+ * /api/v1/reports/{farmId}/fcr:
+ *   get:
+ *     summary: Get feed conversion ratio per hutch, litter and breed
+ *     description: Feed comes from feeding records (hutch feedings are split between the rabbits in the hutch at the time) and gain from weight logs, within each rabbit's hutch assignments. Defaults to the last 12 months.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: hutch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: breed
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: FCR report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FcrReport'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/fcr', authMiddleware, ReportsController.getFcrReport);
+
+/**
+ * @swagger
+ * /api/v1/reports/{farmId}/profit-loss:
+ *   get:
+ *     summary: Get the profit and loss statement per month, quarter or year
+ *     description: Revenue from earnings, feed costed as it is consumed, and other expenses by category, in the farm's currency. Feed category expenses are listed as feed_purchases but left out of the totals. Amounts in other currencies are converted at the farm's exchange rate on their date. Defaults to the last 12 months by month.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [month, quarter, year]
+ *           default: month
+ *     responses:
+ *       200:
+ *         description: Profit and loss report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProfitLossReport'
+ *       400:
+ *         description: Invalid date range or granularity
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/profit-loss', authMiddleware, ReportsController.getProfitLossReport);
+
+/**
+ * @swagger
+ * /api/v1/reports/{farmId}/production:
+ *   get:
+ *     summary: Get manure and urine output vs. sold vs. in stock
+ *     description: Produced and sold in the period, stock left at its end, and revenue and average price from sales linked to batches, overall and per row. Defaults to the last 12 months.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: row_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Production report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductionReport'
+ *       400:
+ *         description: Invalid dates
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/production', authMiddleware, ReportsController.getProductionReport);
+
+export default router;
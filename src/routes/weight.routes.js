@@ -0,0 +1,337 @@
+import express from 'express';
+import WeightController from '../controllers/weight.controllers.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { weightLogSchema } from '../utils/validator.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WeightLog:
+ *       type: object
+ *       required:
+ *         - weight
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The unique ID of the weight log
+ *         farm_id:
+ *           type: string
+ *           format: uuid
+ *           description: The ID of the farm
+ *         rabbit_id:
+ *           type: string
+ *           description: The rabbit weighed (set either rabbit_id or kit_id)
+ *           nullable: true
+ *         kit_id:
+ *           type: string
+ *           description: The kit weighed (set either rabbit_id or kit_id)
+ *           nullable: true
+ *         weight:
+ *           type: number
+ *           description: Weight in kg
+ *         weighed_on:
+ *           type: string
+ *           format: date
+ *           description: Date of the weighing (defaults to today)
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         recorded_by:
+ *           type: string
+ *           description: The user who recorded the weighing
+ *       example:
+ *         rabbit_id: RB-001
+ *         weight: 2.45
+ *         weighed_on: 2025-06-01
+ *     GrowthCurve:
+ *       type: object
+ *       properties:
+ *         subject:
+ *           type: object
+ *           description: The rabbit or kit with its breed and birth date
+ *         target_curve:
+ *           type: array
+ *           description: Breed target weights by age
+ *           items:
+ *             type: object
+ *             properties:
+ *               age_days:
+ *                 type: integer
+ *               weight:
+ *                 type: number
+ *         series:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               weight:
+ *                 type: number
+ *               age_days:
+ *                 type: integer
+ *               daily_gain_g:
+ *                 type: number
+ *                 description: Grams per day since the previous weighing
+ *               target_weight:
+ *                 type: number
+ *               percent_of_target:
+ *                 type: number
+ *         summary:
+ *           type: object
+ *           properties:
+ *             weighings:
+ *               type: integer
+ *             latest_weight:
+ *               type: number
+ *             latest_age_days:
+ *               type: integer
+ *             average_daily_gain_g:
+ *               type: number
+ *             target_weight:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [below_target, on_track, above_target]
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/v1/weights/{farmId}:
+ *   post:
+ *     summary: Record a weighing for a rabbit or kit
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WeightLog'
+ *     responses:
+ *       201:
+ *         description: Weight recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WeightLog'
+ *       400:
+ *         description: Invalid input or rabbit/kit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:farmId', authMiddleware, validateRequest(weightLogSchema), WeightController.recordWeight);
+
+/**
+ * @swagger
+ * /api/v1/weights/{farmId}:
+ *   get:
+ *     summary: Get weight logs for a farm
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: rabbit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kit_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Weight logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WeightLog'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId', authMiddleware, WeightController.getWeightLogs);
+
+/**
+ * @swagger
+ * /api/v1/weights/{farmId}/rabbit/{rabbitId}/growth:
+ *   get:
+ *     summary: Get the growth curve of a rabbit against its breed target
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: rabbitId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Growth curve retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/GrowthCurve'
+ *       400:
+ *         description: Rabbit not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/rabbit/:rabbitId/growth', authMiddleware, WeightController.getRabbitGrowthCurve);
+
+/**
+ * @swagger
+ * /api/v1/weights/{farmId}/kit/{kitId}/growth:
+ *   get:
+ *     summary: Get the growth curve of a kit against its breed target
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: kitId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Growth curve retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/GrowthCurve'
+ *       400:
+ *         description: Kit record not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:farmId/kit/:kitId/growth', authMiddleware, WeightController.getKitGrowthCurve);
+
+/**
+ * @swagger
+ * /api/v1/weights/{farmId}/{id}:
+ *   delete:
+ *     summary: Soft delete a weight log
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Weight log deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WeightLog'
+ *       400:
+ *         description: Weight log not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:farmId/:id', authMiddleware, WeightController.deleteWeightLog);
+
+export default router;
@@ -41,6 +41,26 @@ class AlertService {
      * @returns {Promise<Object>} - Created alert
      */
     async createAlert(alertData) {
+        const { query, params } = this.createAlertQuery(alertData);
+        try {
+            const result = await DatabaseHelper.executeQuery(query, params);
+            const alert = result.rows[0];
+            logger.info(`Alert ${alert.id} created for farm ${alert.farm_id}`);
+            await this.notifyIfDue(alert);
+            return alert;
+        } catch (error) {
+            logger.error(`Error creating alert: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate alert data and build its insert, for callers that create the alert in a transaction
+     * with other writes; pass the inserted row to notifyIfDue once it has committed
+     * @param {Object} alertData - Alert data including required fields
+     * @returns {Object} - Query and params for executeTransaction
+     */
+    createAlertQuery(alertData) {
         const {
             farm_id,
             user_id,
@@ -87,50 +107,46 @@ class AlertService {
             getUTCDateString(startDateUTC.toDate())
         ];
 
-        try {
-            const result = await DatabaseHelper.executeQuery(
-                `INSERT INTO alerts (
+        return {
+            query: `INSERT INTO alerts (
                     id, name, alert_start_date, alert_end_date, alert_type, severity, message, status,
                     farm_id, user_id, rabbit_id, hutch_id, notify_on, created_on, updated_on, is_active, is_deleted
                 ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, true, false)
                 RETURNING *`,
-                [
-                    uuidv4(),
-                    name,
-                    alert_start_date,
-                    alert_end_date || null,
-                    alert_type,
-                    severity,
-                    message,
-                    status,
-                    farm_id,
-                    user_id || null,
-                    rabbit_id || null,
-                    hutch_id || null,
-                    defaultNotifyOn
-                ]
-            );
-
-            const alert = result.rows[0];
-            logger.info(`Alert ${alert.id} created for farm ${farm_id}`);
-
-            // Send notification if current local date (Africa/Nairobi) is in notify_on
-            const currentLocalDate = getLocalDateString(new Date(), 'Africa/Nairobi');
-            const currentDate = dayjs(currentLocalDate, 'YYYY-MM-DD', true);
+            params: [
+                uuidv4(),
+                name,
+                alert_start_date,
+                alert_end_date || null,
+                alert_type,
+                severity,
+                message,
+                status,
+                farm_id,
+                user_id || null,
+                rabbit_id || null,
+                hutch_id || null,
+                defaultNotifyOn
+            ]
+        };
+    }
 
-            const shouldNotify = alert.notify_on.some(notifyDate => {
-                const alertDate = dayjs(notifyDate).tz('Africa/Nairobi');
-                return currentDate.isSame(alertDate, 'day');
-            });
+    /**
+     * Send a newly created alert's notification if today is one of its notify_on dates
+     * @param {Object} alert - Inserted alert row
+     */
+    async notifyIfDue(alert) {
+        // Send notification if current local date (Africa/Nairobi) is in notify_on
+        const currentLocalDate = getLocalDateString(new Date(), 'Africa/Nairobi');
+        const currentDate = dayjs(currentLocalDate, 'YYYY-MM-DD', true);
 
-            if (shouldNotify) {
-                await this.sendAlertNotification(alert);
-            }
+        const shouldNotify = alert.notify_on.some(notifyDate => {
+            const alertDate = dayjs(notifyDate).tz('Africa/Nairobi');
+            return currentDate.isSame(alertDate, 'day');
+        });
 
-            return alert;
-        } catch (error) {
-            logger.error(`Error creating alert: ${error.message}`);
-            throw error;
+        if (shouldNotify) {
+            await this.sendAlertNotification(alert);
         }
     }
 
@@ -4,6 +4,9 @@ import { ValidationError } from '../middleware/errors.js';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../config/database.js';
 import AlertService from './alerts.services.js';
+import RationService from './ration.services.js';
+import FarmsService from './farms.services.js';
+import { KIT_DEATH_STATUSES } from '../utils/constants.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
@@ -45,20 +48,26 @@ class BreedingService {
         try {
             // Validate doe and buck
             const doeResult = await DatabaseHelper.executeQuery(
-                'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND gender = $3 AND is_deleted = 0',
+                'SELECT is_quarantined FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND gender = $3 AND is_deleted = 0',
                 [doe_id, farm_id, 'female']
             );
             if (doeResult.rows.length === 0) {
                 throw new ValidationError('Doe not found or invalid');
             }
+            if (doeResult.rows[0].is_quarantined) {
+                throw new ValidationError('Doe is in quarantine and cannot be bred');
+            }
 
             const buckResult = await DatabaseHelper.executeQuery(
-                'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND gender = $3 AND is_deleted = 0',
+                'SELECT is_quarantined FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND gender = $3 AND is_deleted = 0',
                 [buck_id, farm_id, 'male']
             );
             if (buckResult.rows.length === 0) {
                 throw new ValidationError('Buck not found or invalid');
             }
+            if (buckResult.rows[0].is_quarantined) {
+                throw new ValidationError('Buck is in quarantine and cannot be bred');
+            }
 
             // Parse mating_date as UTC
             const matingDateUTC = dayjs(mating_date).utc();
@@ -106,6 +115,7 @@ class BreedingService {
                  WHERE rabbit_id = $3 AND farm_id = $4 AND is_deleted = 0`,
                 [mating_date, expected_birth_date, doe_id, farm_id]
             );
+            await RationService.refreshRation(farm_id, doe_id, userId);
 
             // Get hutch_id for alerts
             const hutchResult = await DatabaseHelper.executeQuery(
@@ -388,6 +398,11 @@ class BreedingService {
                 ]
             );
             const updatedRecord = updatedRecordResult.rows[0];
+
+            // The doe moves from her pregnancy ration onto the lactation ration
+            if (actual_birth_date && number_of_kits) {
+                await RationService.refreshRation(farmId, breedingRecord.doe_id, userId);
+            }
             logger.info(`Breeding record ${recordId} updated by user ${userId}`);
             return updatedRecord;
         } catch (error) {
@@ -434,6 +449,7 @@ class BreedingService {
                     [breedingRecord.doe_id]
                 );
             }
+            await RationService.refreshRation(farmId, breedingRecord.doe_id, userId);
             logger.info(`Breeding record ${recordId} soft deleted by user ${userId}`);
             return { id: recordId };
         } catch (error) {
@@ -654,7 +670,7 @@ class BreedingService {
     }
 
     static async updateKitRecord(kitId, updateData, userId) {
-        const { weaning_weight, status, notes, parent_male_id, parent_female_id, birth_weight, gender, color } = updateData;
+        const { weaning_weight, status, notes, parent_male_id, parent_female_id, birth_weight, gender, color, cause_of_death, death_date } = updateData;
 
         try {
             const kitResult = await DatabaseHelper.executeQuery(
@@ -704,9 +720,16 @@ class BreedingService {
                 }
             }
 
+            // Kit deaths keep a recorded cause and date across later edits, and otherwise default to
+            // today on the farm with an unknown cause so they show up in mortality reports
+            const isDead = KIT_DEATH_STATUSES.includes(status);
+            const today = isDead ? getLocalDateString(new Date(), await FarmsService.getFarmTimezone(kitRecord.farm_id)) : null;
             const updatedKitResult = await DatabaseHelper.executeQuery(
                 `UPDATE kit_records
-                 SET weaning_weight = $1, status = $2, notes = $3, parent_male_id = $4, parent_female_id = $5, updated_at = CURRENT_TIMESTAMP
+                 SET weaning_weight = $1, status = $2, notes = $3, parent_male_id = $4, parent_female_id = $5,
+                     cause_of_death = CASE WHEN $9::BOOLEAN THEN COALESCE($7, cause_of_death, 'unknown') END,
+                     death_date = CASE WHEN $9::BOOLEAN THEN COALESCE($8::DATE, death_date, $10::DATE) END,
+                     updated_at = CURRENT_TIMESTAMP
                  WHERE id = $6 AND is_deleted = 0
                  RETURNING *`,
                 [
@@ -715,7 +738,11 @@ class BreedingService {
                     notes || null,
                     parent_male_id || null,
                     parent_female_id || null,
-                    kitId
+                    kitId,
+                    cause_of_death || null,
+                    death_date || null,
+                    isDead,
+                    today
                 ]
             );
 
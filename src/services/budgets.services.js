@@ -0,0 +1,503 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import ExchangeRatesService from './exchangeRates.services.js';
+import { BUDGET_TYPES, EXPENSE_CATEGORIES, EARNINGS_TYPES, DEFAULT_BUDGET_ALERT_PERCENT } from '../utils/constants.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Longest span the variance report covers in one request
+const MAX_REPORT_MONTHS = 36;
+
+const BUDGET_COLUMNS = `id, farm_id, budget_type, category, TO_CHAR(month, 'YYYY-MM') AS month, amount, alert_threshold,
+    notes, created_by, created_at, updated_at`;
+
+function money(value) {
+    return parseFloat(parseFloat(value).toFixed(2));
+}
+
+// e.g. "KES 1,300.00"
+function formatAmount(currency, amount) {
+    return `${currency} ${money(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function categoriesFor(budgetType) {
+    return budgetType === 'revenue' ? EARNINGS_TYPES : EXPENSE_CATEGORIES;
+}
+
+function alertName(category, month) {
+    return `Budget - ${category} ${month}`;
+}
+
+// 'YYYY-MM' months from `from` to `to` inclusive
+function monthsBetween(from, to) {
+    const months = [];
+    for (let month = dayjs(`${from}-01`); month.format('YYYY-MM') <= to; month = month.add(1, 'month')) {
+        months.push(month.format('YYYY-MM'));
+    }
+    return months;
+}
+
+class BudgetsService {
+    static async createBudget(farmId, budgetData, userId) {
+        const { budget_type, category, month, amount, alert_threshold, notes } = budgetData;
+
+        if (!BUDGET_TYPES.includes(budget_type)) {
+            throw new ValidationError(`Budget type must be one of ${BUDGET_TYPES.join(', ')}`);
+        }
+        if (!categoriesFor(budget_type).includes(category)) {
+            throw new ValidationError(`Category ${category} is not valid for a ${budget_type} budget`);
+        }
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+            throw new ValidationError('Month must be in YYYY-MM format');
+        }
+        if (!(amount >= 0)) {
+            throw new ValidationError('Amount cannot be negative');
+        }
+        if (budget_type === 'revenue' && alert_threshold != null) {
+            throw new ValidationError('Alert thresholds only apply to expense budgets');
+        }
+
+        try {
+            const existing = await DatabaseHelper.executeQuery(
+                `SELECT id FROM budgets
+                WHERE farm_id = $1 AND budget_type = $2 AND category = $3 AND month = $4 AND is_deleted = 0`,
+                [farmId, budget_type, category, `${month}-01`]
+            );
+            if (existing.rows.length > 0) {
+                throw new ValidationError(`The ${category} ${budget_type} budget for ${month} already exists`);
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO budgets (id, farm_id, budget_type, category, month, amount, alert_threshold, notes, created_by, created_at, updated_at, is_deleted)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING ${BUDGET_COLUMNS}`,
+                [uuidv4(), farmId, budget_type, category, `${month}-01`, amount, alert_threshold ?? null, notes || null, userId]
+            );
+            const budget = result.rows[0];
+            logger.info(`Budget ${budget.id} for ${category} in ${month} created on farm ${farmId} by user ${userId}`);
+            if (budget_type === 'expense') {
+                await this.refreshBudgetAlert(farmId, category, month);
+            }
+            return budget;
+        } catch (error) {
+            logger.error(`Error creating budget: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getBudgetById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT ${BUDGET_COLUMNS} FROM budgets WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Budget not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error fetching budget ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllBudgets(farmId, filters = {}) {
+        try {
+            const { budget_type, category, month_from, month_to, limit, offset } = filters;
+            let query = `SELECT ${BUDGET_COLUMNS} FROM budgets WHERE farm_id = $1 AND is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (budget_type) {
+                query += ` AND budget_type = $${paramIndex}`;
+                params.push(budget_type);
+                paramIndex++;
+            }
+            if (category) {
+                query += ` AND category = $${paramIndex}`;
+                params.push(category);
+                paramIndex++;
+            }
+            if (month_from) {
+                query += ` AND month >= $${paramIndex}`;
+                params.push(`${month_from}-01`);
+                paramIndex++;
+            }
+            if (month_to) {
+                query += ` AND month <= $${paramIndex}`;
+                params.push(`${month_to}-01`);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY month DESC, budget_type, category';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error fetching budgets for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Only the amount, alert threshold and notes change; a budget for another category or month is a new budget
+    static async updateBudget(id, farmId, budgetData, userId) {
+        const { amount, alert_threshold, notes } = budgetData;
+
+        try {
+            const existing = await this.getBudgetById(id, farmId);
+            if (amount !== undefined && !(amount >= 0)) {
+                throw new ValidationError('Amount cannot be negative');
+            }
+            if (existing.budget_type === 'revenue' && alert_threshold != null) {
+                throw new ValidationError('Alert thresholds only apply to expense budgets');
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE budgets
+                SET amount = COALESCE($3, amount),
+                    alert_threshold = $4,
+                    notes = COALESCE($5, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING ${BUDGET_COLUMNS}`,
+                [
+                    id,
+                    farmId,
+                    amount ?? null,
+                    alert_threshold === undefined ? existing.alert_threshold : alert_threshold,
+                    notes || null,
+                ]
+            );
+            logger.info(`Budget ${id} updated by user ${userId}`);
+            if (existing.budget_type === 'expense') {
+                await this.refreshBudgetAlert(farmId, existing.category, existing.month);
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error updating budget ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteBudget(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE budgets
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING ${BUDGET_COLUMNS}`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Budget not found');
+            }
+            const budget = result.rows[0];
+            logger.info(`Budget ${id} soft deleted by user ${userId}`);
+            if (budget.budget_type === 'expense') {
+                await this.refreshBudgetAlert(farmId, budget.category, budget.month);
+            }
+            return budget;
+        } catch (error) {
+            logger.error(`Error deleting budget ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Actual spending (expenses) or revenue (earnings) per month and category, converted to the
+     * farm's currency at the exchange rate on each record's date.
+     * @param {string} farmId - Farm UUID
+     * @param {string} budgetType - expense or revenue
+     * @param {string} from - First month, YYYY-MM
+     * @param {string} to - Last month, YYYY-MM
+     * @param {Function} convert - Converter from ExchangeRatesService.getConverter
+     * @param {string} [category] - Limit to one category
+     * @returns {Promise<Map>} - 'YYYY-MM|category' to { amount, records, unconverted }; unconverted records are left out of amount
+     */
+    static async getActuals(farmId, budgetType, from, to, convert, category) {
+        const source = budgetType === 'revenue'
+            ? { table: 'earnings_records', category: 'type' }
+            : { table: 'expenses', category: 'category' };
+        let query = `
+            SELECT ${source.category} AS category, currency, TO_CHAR(date, 'YYYY-MM-DD') AS date,
+                SUM(amount) AS amount, COUNT(*) AS records
+            FROM ${source.table}
+            WHERE farm_id = $1 AND is_deleted = 0 AND date >= $2 AND date < $3`;
+        const params = [farmId, `${from}-01`, dayjs(`${to}-01`).add(1, 'month').format('YYYY-MM-DD')];
+        if (category) {
+            query += ` AND ${source.category} = $4`;
+            params.push(category);
+        }
+        query += ` GROUP BY ${source.category}, currency, date`;
+
+        const result = await DatabaseHelper.executeQuery(query, params);
+        const actuals = new Map();
+        for (const row of result.rows) {
+            const key = `${row.date.slice(0, 7)}|${row.category}`;
+            if (!actuals.has(key)) {
+                actuals.set(key, { amount: 0, records: 0, unconverted: 0 });
+            }
+            const entry = actuals.get(key);
+            const converted = convert(parseFloat(row.amount), row.currency, row.date);
+            entry.records += parseInt(row.records, 10);
+            if (converted === null) {
+                entry.unconverted += parseInt(row.records, 10);
+                continue;
+            }
+            entry.amount += converted;
+        }
+        return actuals;
+    }
+
+    /**
+     * Budget against actual per month and category, in the farm's currency. Variance is positive when
+     * the result is favourable: spending under budget or revenue over target. Categories with actuals
+     * but no budget are listed as unbudgeted so nothing goes missing from the totals.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} options - from and to months (YYYY-MM); both default to the current month
+     * @returns {Promise<Object>} - Currency, the months with their expense and revenue lines, and totals
+     */
+    static async getVarianceReport(farmId, { from, to } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const currentMonth = dayjs().tz(tz).format('YYYY-MM');
+            from = from || to || currentMonth;
+            to = to || (from > currentMonth ? from : currentMonth);
+            if (from > to) {
+                throw new ValidationError('The from month must not be after the to month');
+            }
+            const months = monthsBetween(from, to);
+            if (months.length > MAX_REPORT_MONTHS) {
+                throw new ValidationError(`The variance report covers at most ${MAX_REPORT_MONTHS} months`);
+            }
+
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+            const budgets = await DatabaseHelper.executeQuery(
+                `SELECT ${BUDGET_COLUMNS} FROM budgets
+                WHERE farm_id = $1 AND is_deleted = 0 AND month >= $2 AND month <= $3`,
+                [farmId, `${from}-01`, `${to}-01`]
+            );
+            const actuals = {
+                expense: await this.getActuals(farmId, 'expense', from, to, convert),
+                revenue: await this.getActuals(farmId, 'revenue', from, to, convert),
+            };
+
+            const emptyTotals = () => ({ budgeted: 0, actual: 0, variance: 0, unconverted: 0 });
+            const totals = { expense: emptyTotals(), revenue: emptyTotals() };
+            const report = months.map(month => {
+                const entry = { month };
+                for (const budgetType of BUDGET_TYPES) {
+                    const lines = [];
+                    const monthTotals = emptyTotals();
+                    const budgeted = budgets.rows.filter(budget => budget.month === month && budget.budget_type === budgetType);
+                    const categories = new Set(budgeted.map(budget => budget.category));
+                    for (const key of actuals[budgetType].keys()) {
+                        const [actualMonth, category] = key.split('|');
+                        if (actualMonth === month) categories.add(category);
+                    }
+
+                    for (const category of [...categories].sort()) {
+                        const budget = budgeted.find(row => row.category === category);
+                        const actual = actuals[budgetType].get(`${month}|${category}`) || { amount: 0, records: 0, unconverted: 0 };
+                        const line = {
+                            budget_id: budget?.id || null,
+                            category,
+                            budgeted: budget ? money(budget.amount) : null,
+                            actual: money(actual.amount),
+                            records: actual.records,
+                            unconverted: actual.unconverted,
+                        };
+                        if (budget) {
+                            const target = parseFloat(budget.amount);
+                            line.variance = money(budgetType === 'expense' ? target - actual.amount : actual.amount - target);
+                            line.used_percent = target > 0 ? money(actual.amount / target * 100) : null;
+                            if (budgetType === 'expense') {
+                                line.alert_threshold = budget.alert_threshold ?? DEFAULT_BUDGET_ALERT_PERCENT;
+                                line.status = actual.amount > target ? 'over_budget'
+                                    : line.used_percent !== null && line.used_percent >= line.alert_threshold ? 'near_limit'
+                                    : 'within_budget';
+                            } else {
+                                line.status = actual.amount >= target ? 'target_met' : 'below_target';
+                            }
+                            monthTotals.budgeted += target;
+                        } else {
+                            line.variance = null;
+                            line.used_percent = null;
+                            line.status = 'unbudgeted';
+                        }
+                        monthTotals.actual += actual.amount;
+                        monthTotals.unconverted += actual.unconverted;
+                        lines.push(line);
+                    }
+
+                    monthTotals.variance = budgetType === 'expense'
+                        ? monthTotals.budgeted - monthTotals.actual
+                        : monthTotals.actual - monthTotals.budgeted;
+                    for (const key of ['budgeted', 'actual', 'variance', 'unconverted']) {
+                        totals[budgetType][key] += monthTotals[key];
+                    }
+                    entry[budgetType === 'expense' ? 'expenses' : 'revenue'] = {
+                        lines,
+                        totals: { ...monthTotals, budgeted: money(monthTotals.budgeted), actual: money(monthTotals.actual), variance: money(monthTotals.variance) },
+                    };
+                }
+                return entry;
+            });
+
+            const round = t => ({ ...t, budgeted: money(t.budgeted), actual: money(t.actual), variance: money(t.variance) });
+            return {
+                currency,
+                from,
+                to,
+                months: report,
+                totals: {
+                    expenses: round(totals.expense),
+                    revenue: round(totals.revenue),
+                    net_budgeted: money(totals.revenue.budgeted - totals.expense.budgeted),
+                    net_actual: money(totals.revenue.actual - totals.expense.actual),
+                },
+            };
+        } catch (error) {
+            logger.error(`Error getting budget variance for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Raise an alert once spending in a category reaches the budget's alert threshold for the month,
+     * and again as high severity once it goes over budget. Open alerts are completed when spending
+     * drops back below the threshold or the budget is removed.
+     * @param {string} farmId - Farm UUID
+     * @param {string} category - Expense category
+     * @param {string} month - YYYY-MM
+     * @param {string} [userId] - User to notify; defaults to the farm owner
+     * @returns {Promise<Object|null>} - The alert created, if any
+     */
+    static async checkExpenseBudget(farmId, category, month, userId) {
+        try {
+            const budget = (await DatabaseHelper.executeQuery(
+                `SELECT ${BUDGET_COLUMNS} FROM budgets
+                WHERE farm_id = $1 AND budget_type = 'expense' AND category = $2 AND month = $3 AND is_deleted = 0`,
+                [farmId, category, `${month}-01`]
+            )).rows[0];
+            const name = alertName(category, month);
+            const open = await DatabaseHelper.executeQuery(
+                `SELECT id, severity FROM alerts
+                WHERE farm_id = $1 AND alert_type = 'budget' AND name = $2
+                AND status IN ('pending', 'sent') AND is_deleted = false`,
+                [farmId, name]
+            );
+
+            let spent = 0;
+            let used = 0;
+            const threshold = budget?.alert_threshold ?? DEFAULT_BUDGET_ALERT_PERCENT;
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+            if (budget) {
+                const actual = (await this.getActuals(farmId, 'expense', month, month, convert, category)).get(`${month}|${category}`);
+                spent = actual?.amount || 0;
+                const target = parseFloat(budget.amount);
+                used = target > 0 ? spent / target * 100 : (spent > 0 ? Infinity : 0);
+            }
+            const severity = used >= 100 ? 'high' : 'medium';
+
+            // An open alert stays while it still says the right thing; a medium alert is replaced once over budget
+            const current = budget && used >= threshold ? open.rows.find(alert => alert.severity === severity) : null;
+            const outdated = open.rows.filter(alert => alert !== current).map(alert => alert.id);
+            if (outdated.length > 0) {
+                await DatabaseHelper.executeQuery(
+                    `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                    WHERE id = ANY($1)`,
+                    [outdated]
+                );
+            }
+            if (!budget || used < threshold || current) {
+                return null;
+            }
+
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const recipient = userId || (await DatabaseHelper.executeQuery(
+                'SELECT created_by FROM farms WHERE id = $1 AND is_deleted = 0',
+                [farmId]
+            )).rows[0]?.created_by;
+            const alert = await AlertService.createAlert({
+                farm_id: farmId,
+                user_id: recipient,
+                name,
+                alert_start_date: new Date().toISOString(),
+                alert_type: 'budget',
+                severity,
+                message: `Spending on ${category} in ${month} is ${formatAmount(currency, spent)}, ` + (used >= 100
+                    ? `over the ${formatAmount(currency, budget.amount)} budget by ${formatAmount(currency, spent - parseFloat(budget.amount))}.`
+                    : `${Math.floor(used)}% of the ${formatAmount(currency, budget.amount)} budget.`),
+                notify_on: [dayjs().tz(tz).format('YYYY-MM-DD')]
+            });
+            logger.info(`Budget alert raised for ${category} in ${month} on farm ${farmId}`);
+            return alert;
+        } catch (error) {
+            logger.error(`Error checking ${category} budget for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Used after expense changes; a budget check that fails must not fail the expense itself
+    static async refreshBudgetAlert(farmId, category, month) {
+        try {
+            return await this.checkExpenseBudget(farmId, category, month);
+        } catch (error) {
+            logger.warn(`Budget alert for ${category} in ${month} not refreshed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check every expense budget for the current month. Catches spending recorded without going
+     * through the expense endpoints, such as generated recurring expenses. Safe to run repeatedly
+     * (e.g. from the scheduled workflow).
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - Month checked, budgets checked and the alerts created
+     */
+    static async generateBudgetAlerts(farmId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const month = dayjs().tz(tz).format('YYYY-MM');
+            const budgets = await this.getAllBudgets(farmId, { budget_type: 'expense', month_from: month, month_to: month });
+
+            const created = [];
+            for (const budget of budgets) {
+                const alert = await this.checkExpenseBudget(farmId, budget.category, month);
+                if (alert) created.push(alert);
+            }
+
+            logger.info(`Created ${created.length} budget alerts for farm ${farmId}`);
+            return { month, budgets: budgets.length, created };
+        } catch (error) {
+            logger.error(`Error generating budget alerts for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Budget alerts for every farm, for the scheduled workflow
+    static async generateAllBudgetAlerts() {
+        return FarmsService.runForAllFarms('Budget alerts', farmId => this.generateBudgetAlerts(farmId));
+    }
+}
+
+export default BudgetsService;
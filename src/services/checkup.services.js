@@ -0,0 +1,244 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import RowsService from './rows.services.js';
+
+const SCORE_ITEMS = ['body_condition_score', 'teeth_score', 'ears_score', 'hocks_score', 'fur_score'];
+
+// Item scores run 1 (poor) to 5 (healthy). Body condition is ideal at 3, so it is
+// converted to the same scale by its distance from 3 before averaging.
+function overallScore(scores) {
+    const values = SCORE_ITEMS
+        .filter(item => scores[item] !== undefined && scores[item] !== null)
+        .map(item => (item === 'body_condition_score' ? 5 - 2 * Math.abs(scores[item] - 3) : scores[item]));
+    if (values.length === 0) {
+        return null;
+    }
+    return parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2));
+}
+
+function checkupDescription(scores) {
+    const parts = [];
+    if (scores.body_condition_score) parts.push(`BCS ${scores.body_condition_score}`);
+    if (scores.teeth_score) parts.push(`teeth ${scores.teeth_score}`);
+    if (scores.ears_score) parts.push(`ears ${scores.ears_score}`);
+    if (scores.hocks_score) parts.push(`hocks ${scores.hocks_score}`);
+    if (scores.fur_score) parts.push(`fur ${scores.fur_score}`);
+    return `Routine checkup${parts.length ? ` (${parts.join(', ')})` : ''}`;
+}
+
+// Each checkup is also a 'checkup' health record so it appears in the rabbit's health history.
+// Both rows are returned as one pair of queries so they are written together or not at all.
+function checkupQueries(checkupData, userId) {
+    const { farm_id, rabbit_id, date, veterinarian, notes } = checkupData;
+    const healthRecordId = uuidv4();
+    return [
+        {
+            query: `INSERT INTO health_records (
+                id, farm_id, rabbit_id, type, description, date, status, veterinarian, notes, created_at, updated_at, is_deleted
+            ) VALUES ($1, $2, $3, 'checkup', $4, $5, 'completed', $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)`,
+            params: [healthRecordId, farm_id, rabbit_id, checkupDescription(checkupData), date, veterinarian || null, notes || null],
+        },
+        {
+            query: `INSERT INTO checkup_records (
+                id, farm_id, health_record_id, rabbit_id, date, body_condition_score, teeth_score, ears_score,
+                hocks_score, fur_score, overall_score, notes, recorded_by, created_at, updated_at, is_deleted
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+            RETURNING *`,
+            params: [
+                uuidv4(), farm_id, healthRecordId, rabbit_id, date,
+                checkupData.body_condition_score ?? null, checkupData.teeth_score ?? null,
+                checkupData.ears_score ?? null, checkupData.hocks_score ?? null, checkupData.fur_score ?? null,
+                overallScore(checkupData), notes || null, userId || null
+            ],
+        },
+    ];
+}
+
+class CheckupService {
+    static async createCheckup(checkupData, userId) {
+        const { farm_id, rabbit_id, date } = checkupData;
+
+        if (!farm_id || !rabbit_id || !date) {
+            throw new ValidationError('Missing required checkup fields');
+        }
+        if (SCORE_ITEMS.every(item => checkupData[item] === undefined || checkupData[item] === null)) {
+            throw new ValidationError('At least one checkup score is required');
+        }
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbit_id, farm_id]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+
+            const [, result] = await DatabaseHelper.executeTransaction(checkupQueries(checkupData, userId));
+            logger.info(`Checkup recorded for rabbit ${rabbit_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating checkup: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async createRowCheckups(farmId, rowId, rowCheckupData, userId) {
+        const { date, veterinarian, checkups } = rowCheckupData;
+
+        if (!date || !Array.isArray(checkups) || checkups.length === 0) {
+            throw new ValidationError('A date and at least one checkup are required');
+        }
+        if (checkups.some(checkup => SCORE_ITEMS.every(item => checkup[item] === undefined || checkup[item] === null))) {
+            throw new ValidationError('At least one checkup score is required for each rabbit');
+        }
+
+        try {
+            const rowRabbits = await RowsService.getRowRabbits(rowId, farmId);
+            const rowRabbitIds = new Set(rowRabbits.map(r => r.rabbit_id));
+            const notInRow = checkups.filter(c => !rowRabbitIds.has(c.rabbit_id)).map(c => c.rabbit_id);
+            if (notInRow.length > 0) {
+                throw new ValidationError(`Rabbits not found in this row: ${notInRow.join(', ')}`);
+            }
+
+            // The whole row is recorded in one transaction so a failure never leaves half a row checked
+            const results = await DatabaseHelper.executeTransaction(checkups.flatMap(checkup => checkupQueries({
+                ...checkup,
+                farm_id: farmId,
+                date: checkup.date || date,
+                veterinarian: checkup.veterinarian || veterinarian,
+            }, userId)));
+            const created = results.filter((_, i) => i % 2 === 1).map(result => result.rows[0]);
+
+            const checkedIds = new Set(checkups.map(c => c.rabbit_id));
+            logger.info(`${created.length} checkups recorded for row ${rowId} by user ${userId}`);
+            return {
+                row_id: rowId,
+                date,
+                checkups: created,
+                not_checked: rowRabbits.filter(r => !checkedIds.has(r.rabbit_id)),
+            };
+        } catch (error) {
+            logger.error(`Error creating checkups for row ${rowId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getCheckups(farmId, { rabbit_id, row_id, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT cr.*, r.name AS rabbit_name, r.hutch_id, h.name AS hutch_name, h.row_id
+                FROM checkup_records cr
+                JOIN rabbits r ON r.rabbit_id = cr.rabbit_id AND r.farm_id = cr.farm_id
+                LEFT JOIN hutches h ON h.id = r.hutch_id
+                WHERE cr.farm_id = $1 AND cr.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND cr.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (row_id) {
+                query += ` AND h.row_id = $${paramIndex}`;
+                params.push(row_id);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND cr.date >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND cr.date <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY cr.date DESC, cr.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting checkups for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getScoreDrops(farmId, { min_drop = 0.5 } = {}) {
+        try {
+            // Compare each rabbit's latest checkup with the one before it
+            const result = await DatabaseHelper.executeQuery(
+                `WITH ranked AS (
+                    SELECT cr.*, ROW_NUMBER() OVER (PARTITION BY cr.rabbit_id ORDER BY cr.date DESC, cr.created_at DESC) AS rn
+                    FROM checkup_records cr
+                    JOIN rabbits r ON r.rabbit_id = cr.rabbit_id AND r.farm_id = cr.farm_id AND r.is_deleted = 0
+                    JOIN health_records hr ON hr.id = cr.health_record_id AND hr.is_deleted = 0
+                    WHERE cr.farm_id = $1 AND cr.is_deleted = 0
+                )
+                SELECT latest.rabbit_id, r.name AS rabbit_name, r.hutch_id, h.name AS hutch_name,
+                    TO_CHAR(previous.date, 'YYYY-MM-DD') AS previous_date, TO_CHAR(latest.date, 'YYYY-MM-DD') AS latest_date,
+                    previous.overall_score AS previous_score, latest.overall_score AS latest_score,
+                    previous.body_condition_score AS previous_body_condition_score, latest.body_condition_score,
+                    previous.teeth_score AS previous_teeth_score, latest.teeth_score,
+                    previous.ears_score AS previous_ears_score, latest.ears_score,
+                    previous.hocks_score AS previous_hocks_score, latest.hocks_score,
+                    previous.fur_score AS previous_fur_score, latest.fur_score
+                FROM ranked latest
+                JOIN ranked previous ON previous.rabbit_id = latest.rabbit_id AND previous.rn = 2
+                JOIN rabbits r ON r.rabbit_id = latest.rabbit_id AND r.farm_id = $1
+                LEFT JOIN hutches h ON h.id = r.hutch_id
+                WHERE latest.rn = 1 AND previous.overall_score - latest.overall_score >= $2
+                ORDER BY previous.overall_score - latest.overall_score DESC`,
+                [farmId, min_drop]
+            );
+
+            return result.rows.map(row => {
+                const worsened = SCORE_ITEMS.filter(item => {
+                    const before = row[`previous_${item}`];
+                    const after = row[item];
+                    if (before === null || after === null) {
+                        return false;
+                    }
+                    return item === 'body_condition_score'
+                        ? Math.abs(after - 3) > Math.abs(before - 3)
+                        : after < before;
+                });
+                return {
+                    rabbit_id: row.rabbit_id,
+                    rabbit_name: row.rabbit_name,
+                    hutch_id: row.hutch_id,
+                    hutch_name: row.hutch_name,
+                    previous_date: row.previous_date,
+                    latest_date: row.latest_date,
+                    previous_score: parseFloat(row.previous_score),
+                    latest_score: parseFloat(row.latest_score),
+                    drop: parseFloat((row.previous_score - row.latest_score).toFixed(2)),
+                    worsened_items: worsened.map(item => ({
+                        item: item.replace('_score', ''),
+                        previous: row[`previous_${item}`],
+                        latest: row[item],
+                    })),
+                };
+            });
+        } catch (error) {
+            logger.error(`Error getting checkup score drops for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default CheckupService;
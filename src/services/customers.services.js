@@ -0,0 +1,316 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import ExchangeRatesService from './exchangeRates.services.js';
+import { CUSTOMER_TYPES } from '../utils/constants.js';
+
+function money(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+// Totals of a customer's sales in the farm's currency. Sales in a currency with no rate on their
+// date are counted but left out of the amounts
+function summarisePurchases(sales, convert) {
+    const totals = { purchases: 0, total: 0, paid: 0, outstanding: 0, unconverted: 0, first_purchase: null, last_purchase: null };
+    for (const sale of sales) {
+        totals.purchases++;
+        if (!totals.first_purchase || sale.date < totals.first_purchase) totals.first_purchase = sale.date;
+        if (!totals.last_purchase || sale.date > totals.last_purchase) totals.last_purchase = sale.date;
+        const amount = convert(parseFloat(sale.amount), sale.currency, sale.date);
+        if (amount === null) {
+            totals.unconverted++;
+            continue;
+        }
+        const paid = convert(parseFloat(sale.amount_paid), sale.currency, sale.date);
+        totals.total += amount;
+        totals.paid += paid;
+        totals.outstanding += amount - paid;
+    }
+    return { ...totals, total: money(totals.total), paid: money(totals.paid), outstanding: money(totals.outstanding) };
+}
+
+class CustomersService {
+    static async createCustomer(customerData, userId) {
+        const { farm_id, name, customer_type = 'individual', phone, email, address, notes } = customerData;
+
+        if (!farm_id || !name) {
+            throw new ValidationError('Missing required customer fields');
+        }
+        if (!CUSTOMER_TYPES.includes(customer_type)) {
+            throw new ValidationError(`Customer type must be one of ${CUSTOMER_TYPES.join(', ')}`);
+        }
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO customers (
+                    id, farm_id, name, customer_type, phone, email, address, notes, created_at, updated_at, is_deleted
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [uuidv4(), farm_id, name.trim(), customer_type, phone || null, email || null, address || null, notes || null]
+            );
+            logger.info(`Customer ${name} created on farm ${farm_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating customer: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getCustomerById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                'SELECT * FROM customers WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Customer not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting customer ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * List a farm's customers with their purchase totals and outstanding balances in the farm's currency.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} filters - search (name, phone or email), customer_type, has_balance, limit, offset
+     * @returns {Promise<Array>} - Customers with a totals object each
+     */
+    static async getAllCustomers(farmId, { search, customer_type, has_balance, limit, offset }) {
+        try {
+            let query = `
+                SELECT * FROM customers
+                WHERE farm_id = $1 AND is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (search) {
+                query += ` AND (name ILIKE $${paramIndex} OR phone ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`;
+                params.push(`%${search}%`);
+                paramIndex++;
+            }
+            if (customer_type) {
+                query += ` AND customer_type = $${paramIndex}`;
+                params.push(customer_type);
+                paramIndex++;
+            }
+            if (has_balance) {
+                query += ` AND EXISTS (
+                    SELECT 1 FROM earnings_records er
+                    WHERE er.customer_id = customers.id AND er.is_deleted = 0 AND er.amount_paid < er.amount
+                )`;
+            }
+
+            query += ' ORDER BY name ASC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const customers = await DatabaseHelper.executeQuery(query, params);
+            if (customers.rows.length === 0) {
+                return [];
+            }
+            const sales = await DatabaseHelper.executeQuery(
+                `SELECT customer_id, amount, amount_paid, currency, TO_CHAR(date, 'YYYY-MM-DD') AS date
+                FROM earnings_records
+                WHERE farm_id = $1 AND is_deleted = 0 AND customer_id = ANY($2)`,
+                [farmId, customers.rows.map(c => c.id)]
+            );
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+            return customers.rows.map(customer => ({
+                ...customer,
+                totals: {
+                    currency,
+                    ...summarisePurchases(sales.rows.filter(s => s.customer_id === customer.id), convert),
+                },
+            }));
+        } catch (error) {
+            logger.error(`Error getting customers for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateCustomer(id, farmId, customerData, userId) {
+        const { name, customer_type, phone, email, address, notes } = customerData;
+
+        try {
+            if (customer_type && !CUSTOMER_TYPES.includes(customer_type)) {
+                throw new ValidationError(`Customer type must be one of ${CUSTOMER_TYPES.join(', ')}`);
+            }
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE customers
+                SET name = COALESCE($3, name),
+                    customer_type = COALESCE($4, customer_type),
+                    phone = COALESCE($5, phone),
+                    email = COALESCE($6, email),
+                    address = COALESCE($7, address),
+                    notes = COALESCE($8, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId, name ? name.trim() : null, customer_type || null, phone || null, email || null, address || null, notes || null]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Customer not found');
+            }
+            logger.info(`Customer ${id} updated by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error updating customer ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Sales keep pointing at a deleted customer so their history is not lost
+    static async deleteCustomer(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE customers
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Customer not found');
+            }
+            logger.info(`Customer ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting customer ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a sale's customer and fill in the free-text buyer name from it when none was given.
+     * @param {string} farmId - Farm UUID
+     * @param {string} [customerId] - Registered customer, if any
+     * @param {string} [buyerName] - Free-text buyer name
+     * @returns {Promise<Object>} - customer_id and buyer_name to store on the sale
+     */
+    static async resolveBuyer(farmId, customerId, buyerName) {
+        if (!customerId) {
+            return { customer_id: null, buyer_name: buyerName || null };
+        }
+        const customer = await this.getCustomerById(customerId, farmId);
+        return { customer_id: customer.id, buyer_name: buyerName || customer.name };
+    }
+
+    /**
+     * A customer's purchase history: earnings records with what was paid and is still owed,
+     * totals in the farm's currency, and rabbits removed from the farm as sold to them.
+     * @param {string} farmId - Farm UUID
+     * @param {string} id - Customer ID
+     * @param {Object} filters - date_from, date_to
+     * @returns {Promise<Object>} - Customer, totals, totals by sale type, purchases and rabbits
+     */
+    static async getCustomerLedger(farmId, id, { date_from, date_to } = {}) {
+        try {
+            const customer = await this.getCustomerById(id, farmId);
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+
+            let dateFilter = '';
+            const params = [farmId, id];
+            if (date_from) {
+                params.push(date_from);
+                dateFilter += ` AND date >= $${params.length}`;
+            }
+            if (date_to) {
+                params.push(date_to);
+                dateFilter += ` AND date <= $${params.length}`;
+            }
+
+            const sales = await DatabaseHelper.executeQuery(
+                `SELECT id, type, sale_type, rabbit_id, weight, amount, amount_paid, amount - amount_paid AS outstanding, currency,
+                    TO_CHAR(date, 'YYYY-MM-DD') AS date, buyer_name, notes
+                FROM earnings_records
+                WHERE farm_id = $1 AND customer_id = $2 AND is_deleted = 0${dateFilter}
+                ORDER BY date DESC, created_at DESC`,
+                params
+            );
+            const rabbits = await DatabaseHelper.executeQuery(
+                `SELECT rabbit_id, TO_CHAR(date, 'YYYY-MM-DD') AS date, sale_amount, sale_weight, sold_to
+                FROM removal_records
+                WHERE farm_id = $1 AND customer_id = $2 AND reason = 'sale' AND is_deleted = 0${dateFilter}
+                ORDER BY date DESC`,
+                params
+            );
+
+            const byType = {};
+            for (const sale of sales.rows) {
+                if (!byType[sale.type]) byType[sale.type] = [];
+                byType[sale.type].push(sale);
+            }
+
+            return {
+                customer,
+                currency,
+                totals: summarisePurchases(sales.rows, convert),
+                by_type: Object.fromEntries(Object.entries(byType).map(([type, rows]) => [type, summarisePurchases(rows, convert)])),
+                purchases: sales.rows,
+                rabbits: rabbits.rows,
+            };
+        } catch (error) {
+            logger.error(`Error getting ledger for customer ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach earlier sales recorded with a free-text buyer to a customer. Matches buyer_name on
+     * earnings and sold_to on removals, ignoring case and surrounding spaces, and only touches
+     * sales not linked to a customer yet.
+     * @param {string} farmId - Farm UUID
+     * @param {string} id - Customer ID
+     * @param {string} [buyerName] - Name the sales were recorded under; defaults to the customer's name
+     * @param {string} userId - User linking the sales
+     * @returns {Promise<Object>} - Number of earnings, removal and hutch history records linked
+     */
+    static async linkPastSales(farmId, id, buyerName, userId) {
+        try {
+            const customer = await this.getCustomerById(id, farmId);
+            const name = (buyerName || customer.name).trim();
+            const [earnings, removals, history] = await DatabaseHelper.executeTransaction([
+                {
+                    query: `UPDATE earnings_records SET customer_id = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE farm_id = $1 AND customer_id IS NULL AND is_deleted = 0 AND LOWER(TRIM(buyer_name)) = LOWER($2)`,
+                    params: [farmId, name, id]
+                },
+                {
+                    query: `UPDATE removal_records SET customer_id = $3
+                    WHERE farm_id = $1 AND customer_id IS NULL AND is_deleted = 0 AND LOWER(TRIM(sold_to)) = LOWER($2)`,
+                    params: [farmId, name, id]
+                },
+                {
+                    query: `UPDATE hutch_rabbit_history SET customer_id = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE farm_id = $1 AND customer_id IS NULL AND is_deleted = 0 AND LOWER(TRIM(sold_to)) = LOWER($2)`,
+                    params: [farmId, name, id]
+                },
+            ]);
+            logger.info(`Past sales to ${name} linked to customer ${id} by user ${userId}`);
+            return {
+                buyer_name: name,
+                earnings_records: earnings.rowCount,
+                removal_records: removals.rowCount,
+                hutch_history_records: history.rowCount,
+            };
+        } catch (error) {
+            logger.error(`Error linking past sales to customer ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default CustomersService;
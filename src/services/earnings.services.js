@@ -1,6 +1,12 @@
 import { DatabaseHelper } from '../config/database.js';
 import logger from '../middleware/logger.js';
 import { ValidationError } from '../middleware/errors.js';
+import dayjs from 'dayjs';
+import HealthService from './health.services.js';
+import CustomersService from './customers.services.js';
+import InvoicesService from './invoices.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/dates.js';
 
 class EarningsService {
     static async createEarnings(earningsData, userId) {
@@ -16,6 +22,9 @@ class EarningsService {
             includes_urine = false,
             includes_manure = false,
             buyer_name,
+            customer_id,
+            amount_paid,
+            due_date,
             notes,
             hutch_id,
         } = earningsData;
@@ -30,6 +39,14 @@ class EarningsService {
         if (amount <= 0) {
             throw new ValidationError('Amount must be positive');
         }
+        // Sales are paid in full unless said otherwise
+        const paid = amount_paid ?? amount;
+        if (paid < 0 || paid > amount) {
+            throw new ValidationError('Amount paid must be between 0 and the amount');
+        }
+        if (due_date && new Date(due_date) < new Date(date)) {
+            throw new ValidationError('Due date cannot be before the sale date');
+        }
 
         try {
             // Validate rabbit_id if provided
@@ -54,13 +71,20 @@ class EarningsService {
                 }
             }
 
+            // Rabbits still under a medication withdrawal period cannot be sold
+            if (type === 'rabbit_sale' && rabbit_id) {
+                await HealthService.assertNotUnderWithdrawal(rabbit_id, farm_id, date);
+            }
+
+            const buyer = await CustomersService.resolveBuyer(farm_id, customer_id, buyer_name);
+
             const result = await DatabaseHelper.executeQuery(
                 `INSERT INTO earnings_records (
                     farm_id, type, rabbit_id, amount, currency, date, weight, sale_type,
-                    includes_urine, includes_manure, buyer_name, notes, hutch_id,
+                    includes_urine, includes_manure, buyer_name, notes, hutch_id, customer_id, amount_paid, due_date,
                     created_at, updated_at, is_deleted
                 )
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
                 RETURNING *`,
                 [
                     farm_id,
@@ -73,9 +97,12 @@ class EarningsService {
                     sale_type || null,
                     includes_urine,
                     includes_manure,
-                    buyer_name || null,
+                    buyer.buyer_name,
                     notes || null,
                     hutch_id || null,
+                    buyer.customer_id,
+                    paid,
+                    due_date || null,
                 ]
             );
             logger.info(`Earnings record created by user ${userId}`);
@@ -89,10 +116,11 @@ class EarningsService {
     static async getEarningsById(id, farmId) {
         try {
             const result = await DatabaseHelper.executeQuery(
-                `SELECT er.*, r.rabbit_id, r.name AS rabbit_name, h.id AS hutch_id
+                `SELECT er.*, r.rabbit_id, r.name AS rabbit_name, h.id AS hutch_id, c.name AS customer_name
                 FROM earnings_records er
                 LEFT JOIN rabbits r ON er.rabbit_id = r.rabbit_id AND r.farm_id = $2
                 LEFT JOIN hutches h ON er.hutch_id = h.id AND h.farm_id = $2
+                LEFT JOIN customers c ON c.id = er.customer_id
                 WHERE er.id = $1 AND er.farm_id = $2 AND er.is_deleted = 0`,
                 [id, farmId]
             );
@@ -106,13 +134,14 @@ class EarningsService {
         }
     }
 
-    static async getAllEarnings(farmId, { type, date_from, date_to, limit, offset }) {
+    static async getAllEarnings(farmId, { type, customer_id, payment_status, overdue, date_from, date_to, limit, offset }) {
         try {
             let query = `
-                SELECT er.*, r.rabbit_id, r.name AS rabbit_name, h.id AS hutch_id
+                SELECT er.*, r.rabbit_id, r.name AS rabbit_name, h.id AS hutch_id, c.name AS customer_name
                 FROM earnings_records er
                 LEFT JOIN rabbits r ON er.rabbit_id = r.rabbit_id AND r.farm_id = $1
                 LEFT JOIN hutches h ON er.hutch_id = h.id AND h.farm_id = $1
+                LEFT JOIN customers c ON c.id = er.customer_id
                 WHERE er.farm_id = $1 AND er.is_deleted = 0`;
             const params = [farmId];
             let paramIndex = 2;
@@ -122,6 +151,21 @@ class EarningsService {
                 params.push(type);
                 paramIndex++;
             }
+            if (customer_id) {
+                query += ` AND er.customer_id = $${paramIndex}`;
+                params.push(customer_id);
+                paramIndex++;
+            }
+            if (payment_status) {
+                query += ` AND er.payment_status = $${paramIndex}`;
+                params.push(payment_status);
+                paramIndex++;
+            }
+            if (overdue) {
+                query += ` AND er.amount_paid < er.amount AND COALESCE(er.due_date, er.date) < $${paramIndex}`;
+                params.push(getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId)));
+                paramIndex++;
+            }
             if (date_from) {
                 query += ` AND er.date >= $${paramIndex}`;
                 params.push(date_from);
@@ -165,6 +209,8 @@ class EarningsService {
             includes_urine,
             includes_manure,
             buyer_name,
+            customer_id,
+            due_date,
             notes,
             hutch_id,
             farm_id
@@ -182,8 +228,8 @@ class EarningsService {
             }
             if (rabbit_id) {
                 const rabbitResult = await DatabaseHelper.executeQuery(
-                    'SELECT 1 FROM rabbits WHERE rabbit_id = $1 $r.rabbit_id AND is_deleted = FALSE AND farm_id = $2 AND2',
-                    [rabbit_id, farm_id]
+                    'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                    [rabbit_id, farmId]
                 );
                 if (rabbitResult.rows.length === 0) {
                     throw new ValidationError('Not found rabbit');
@@ -199,6 +245,45 @@ class EarningsService {
                     throw new ValidationError('Not found hutch');
                 }
             }
+            if (customer_id) {
+                await CustomersService.getCustomerById(customer_id, farmId);
+            }
+
+            const current = await DatabaseHelper.executeQuery(
+                `SELECT type, rabbit_id, TO_CHAR(date, 'YYYY-MM-DD') AS date, currency, amount, amount_paid,
+                    (
+                        SELECT COALESCE(SUM(a.amount), 0) FROM sale_payment_allocations a
+                        JOIN sale_payments sp ON sp.id = a.payment_id
+                        WHERE a.earnings_record_id = earnings_records.id AND sp.is_deleted = 0
+                    ) AS recorded_paid
+                FROM earnings_records
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                [id, farmId]
+            );
+            if (current.rows.length === 0) {
+                throw new ValidationError('Not found earnings record');
+            }
+            const sale = current.rows[0];
+
+            // Re-check the withdrawal period when the edit changes what was sold or when
+            const saleType = type || sale.type;
+            const saleRabbitId = rabbit_id || sale.rabbit_id;
+            const saleDate = date ? dayjs(date).format('YYYY-MM-DD') : sale.date;
+            if (saleType === 'rabbit_sale' && saleRabbitId
+                && (saleType !== sale.type || saleRabbitId !== sale.rabbit_id || saleDate !== sale.date)) {
+                await HealthService.assertNotUnderWithdrawal(saleRabbitId, farmId, saleDate);
+            }
+            // Payments only change through the payments ledger, so the amount cannot drop below what they cover
+            if (amount && amount < parseFloat(sale.recorded_paid)) {
+                throw new ValidationError(
+                    `Amount cannot be less than the ${sale.currency} ${parseFloat(sale.recorded_paid).toFixed(2)} already paid; delete payments first`
+                );
+            }
+            if (amount || currency) {
+                await InvoicesService.assertNotInvoiced(id, farmId);
+            }
+            // A sale paid in full when it was made stays paid in full when its amount is raised
+            const paidInFullAtSale = parseFloat(sale.recorded_paid) === 0 && parseFloat(sale.amount_paid) >= parseFloat(sale.amount);
 
             const result = await DatabaseHelper.executeQuery(
                 `UPDATE earnings_records
@@ -214,6 +299,10 @@ class EarningsService {
                     buyer_name = COALESCE($12, buyer_name),
                     notes = COALESCE($13, notes),
                     hutch_id = COALESCE($14, hutch_id),
+                    customer_id = COALESCE($15, customer_id),
+                    -- Otherwise a higher amount leaves the difference outstanding; a lower one trims what was paid at the sale
+                    amount_paid = CASE WHEN $17 THEN COALESCE($5, amount) ELSE LEAST(amount_paid, COALESCE($5, amount)) END,
+                    due_date = COALESCE($16, due_date),
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
                 RETURNING *`,
@@ -232,6 +321,9 @@ class EarningsService {
                     buyer_name || null,
                     notes || null,
                     hutch_id || null,
+                    customer_id || null,
+                    due_date || null,
+                    paidInFullAtSale,
                 ]
             );
             if (result.rows.length === 0) {
@@ -247,6 +339,7 @@ class EarningsService {
 
     static async deleteEarnings(id, farmId, userId) {
         try {
+            await InvoicesService.assertNotInvoiced(id, farmId, { includeDrafts: true });
             const result = await DatabaseHelper.executeQuery(
                 `UPDATE earnings_records
                 SET is_deleted = TRUE, updated_at = CURRENT_TIMESTAMP
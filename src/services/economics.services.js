@@ -0,0 +1,297 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import FarmsService from './farms.services.js';
+import ExchangeRatesService from './exchangeRates.services.js';
+import { DIRECT_COST_EXPENSE_CATEGORIES } from '../utils/constants.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+function money(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+function emptyLedger() {
+    return { acquisition: 0, feed: 0, health: 0, overhead: 0, sales: 0 };
+}
+
+function addLedger(target, source) {
+    for (const key of Object.keys(target)) {
+        target[key] += source[key];
+    }
+    return target;
+}
+
+function summarise(ledger) {
+    const total = ledger.acquisition + ledger.feed + ledger.health + ledger.overhead;
+    return {
+        costs: {
+            acquisition: money(ledger.acquisition),
+            feed: money(ledger.feed),
+            health: money(ledger.health),
+            overhead: money(ledger.overhead),
+            total: money(total),
+        },
+        revenue: money(ledger.sales),
+        net: money(ledger.sales - total),
+    };
+}
+
+// Kits kept on as rabbits are matched to their litter by kit number, or by mother and birth date
+function litterKey(doeId, birthDate) {
+    return `${doeId}|${birthDate}`;
+}
+
+class EconomicsService {
+    /**
+     * Build a cost and revenue ledger for every rabbit the farm has had, removed ones included.
+     * Costs: acquisition_cost, feed (the stock cost of its feedings, with hutch feedings split
+     * between the rabbits in the hutch at the time), health record costs and a share of
+     * overheads (expenses not charged directly, spread per rabbit-day on the farm). Revenue: rabbit_sale
+     * earnings for the rabbit, or the removal record's sale_amount when none were recorded.
+     * Earnings and expenses in another currency are converted at the rate on their date;
+     * those without a rate are left out.
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - Currency, overhead rate, rabbits with ledgers and litters
+     */
+    static async getFarmLedgers(farmId) {
+        const tz = await FarmsService.getFarmTimezone(farmId);
+        const today = dayjs().tz(tz).format('YYYY-MM-DD');
+        const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+
+        const rabbitsResult = await DatabaseHelper.executeQuery(
+            `SELECT r.rabbit_id, r.name, r.gender, r.breed, TO_CHAR(r.birth_date, 'YYYY-MM-DD') AS birth_date,
+                r.acquisition_type, TO_CHAR(r.acquisition_date, 'YYYY-MM-DD') AS acquisition_date, r.acquisition_cost,
+                TO_CHAR(r.created_at AT TIME ZONE $2, 'YYYY-MM-DD') AS created_on, r.parent_female_id, r.parent_male_id,
+                r.is_deleted, rr.reason AS removal_reason, TO_CHAR(rr.date, 'YYYY-MM-DD') AS removal_date, rr.sale_amount
+            FROM rabbits r
+            LEFT JOIN LATERAL (
+                SELECT reason, date, sale_amount FROM removal_records
+                WHERE rabbit_id = r.rabbit_id AND farm_id = r.farm_id AND is_deleted = 0
+                ORDER BY date DESC, created_at DESC LIMIT 1
+            ) rr ON true
+            WHERE r.farm_id = $1`,
+            [farmId, tz]
+        );
+        const salesResult = await DatabaseHelper.executeQuery(
+            `SELECT rabbit_id, amount, currency, TO_CHAR(date, 'YYYY-MM-DD') AS date FROM earnings_records
+            WHERE farm_id = $1 AND is_deleted = 0 AND type = 'rabbit_sale' AND rabbit_id IS NOT NULL`,
+            [farmId]
+        );
+        const healthResult = await DatabaseHelper.executeQuery(
+            `SELECT rabbit_id, SUM(cost) AS cost FROM health_records
+            WHERE farm_id = $1 AND is_deleted = 0 AND cost IS NOT NULL
+            GROUP BY rabbit_id`,
+            [farmId]
+        );
+        const feedResult = await DatabaseHelper.executeQuery(
+            `SELECT fr.rabbit_id, fr.hutch_id, fr.feeding_time, SUM(-m.quantity * fi.cost_per_unit) AS cost
+            FROM feeding_records fr
+            JOIN feed_stock_movements m ON m.feeding_record_id = fr.id AND m.is_deleted = 0
+            JOIN feed_inventory fi ON fi.id = m.inventory_id
+            WHERE fr.farm_id = $1 AND fr.is_deleted = 0 AND fi.cost_per_unit IS NOT NULL
+            GROUP BY fr.id, fr.rabbit_id, fr.hutch_id, fr.feeding_time`,
+            [farmId]
+        );
+        const occupancyResult = await DatabaseHelper.executeQuery(
+            `SELECT hutch_id, rabbit_id, assigned_at, removed_at FROM hutch_rabbit_history
+            WHERE farm_id = $1 AND is_deleted = 0`,
+            [farmId]
+        );
+        const overheadResult = await DatabaseHelper.executeQuery(
+            `SELECT amount, currency, TO_CHAR(date, 'YYYY-MM-DD') AS date FROM expenses
+            WHERE farm_id = $1 AND is_deleted = 0 AND category <> ALL($2)`,
+            [farmId, DIRECT_COST_EXPENSE_CATEGORIES]
+        );
+        const littersResult = await DatabaseHelper.executeQuery(
+            `SELECT br.id AS breeding_record_id, br.doe_id, br.buck_id, TO_CHAR(br.actual_birth_date, 'YYYY-MM-DD') AS birth_date,
+                br.number_of_kits, COUNT(kr.id) AS kits_recorded,
+                COALESCE(ARRAY_AGG(kr.kit_number) FILTER (WHERE kr.id IS NOT NULL), '{}') AS kit_numbers
+            FROM breeding_records br
+            LEFT JOIN kit_records kr ON kr.breeding_record_id = br.id AND kr.is_deleted = 0
+            WHERE br.farm_id = $1 AND br.is_deleted = 0 AND br.actual_birth_date IS NOT NULL
+            GROUP BY br.id
+            ORDER BY br.actual_birth_date ASC`,
+            [farmId]
+        );
+
+        const rabbits = new Map();
+        let rabbitDays = 0;
+        for (const row of rabbitsResult.rows) {
+            const entered = (row.acquisition_type !== 'birth' && row.acquisition_date) || row.birth_date || row.created_on;
+            const left = row.removal_date || today;
+            const days = Math.max(dayjs(left).diff(dayjs(entered), 'day'), 0);
+            rabbitDays += days;
+            const ledger = emptyLedger();
+            ledger.acquisition = parseFloat(row.acquisition_cost || 0);
+            rabbits.set(row.rabbit_id, { ...row, days_on_farm: days, ledger });
+        }
+
+        for (const row of salesResult.rows) {
+            const rabbit = rabbits.get(row.rabbit_id);
+            const amount = convert(parseFloat(row.amount), row.currency, row.date);
+            if (rabbit && amount !== null) rabbit.ledger.sales += amount;
+        }
+        for (const rabbit of rabbits.values()) {
+            if (rabbit.ledger.sales === 0 && rabbit.removal_reason === 'sale' && rabbit.sale_amount) {
+                rabbit.ledger.sales = parseFloat(rabbit.sale_amount);
+            }
+        }
+        for (const row of healthResult.rows) {
+            const rabbit = rabbits.get(row.rabbit_id);
+            if (rabbit) rabbit.ledger.health += parseFloat(row.cost);
+        }
+
+        let unallocatedFeed = 0;
+        for (const row of feedResult.rows) {
+            const cost = parseFloat(row.cost);
+            if (row.rabbit_id) {
+                const rabbit = rabbits.get(row.rabbit_id);
+                if (rabbit) rabbit.ledger.feed += cost;
+                continue;
+            }
+            const time = new Date(row.feeding_time).getTime();
+            const occupants = occupancyResult.rows.filter(o => o.hutch_id === row.hutch_id &&
+                new Date(o.assigned_at).getTime() <= time && (!o.removed_at || new Date(o.removed_at).getTime() > time) &&
+                rabbits.has(o.rabbit_id));
+            if (occupants.length === 0) {
+                unallocatedFeed += cost;
+                continue;
+            }
+            for (const occupant of occupants) {
+                rabbits.get(occupant.rabbit_id).ledger.feed += cost / occupants.length;
+            }
+        }
+
+        const overheads = overheadResult.rows.reduce((sum, row) => sum + (convert(parseFloat(row.amount), row.currency, row.date) ?? 0), 0);
+        const overheadPerRabbitDay = rabbitDays > 0 ? overheads / rabbitDays : 0;
+        for (const rabbit of rabbits.values()) {
+            rabbit.ledger.overhead = rabbit.days_on_farm * overheadPerRabbitDay;
+        }
+
+        // Offspring raised from each litter
+        const offspring = new Map();
+        for (const rabbit of rabbits.values()) {
+            if (!rabbit.parent_female_id || !rabbit.birth_date) continue;
+            const key = litterKey(rabbit.parent_female_id, rabbit.birth_date);
+            if (!offspring.has(key)) offspring.set(key, []);
+            offspring.get(key).push(rabbit);
+        }
+        const litters = littersResult.rows.map(litter => {
+            const raised = new Set(offspring.get(litterKey(litter.doe_id, litter.birth_date)) || []);
+            for (const kitNumber of litter.kit_numbers) {
+                if (rabbits.has(kitNumber)) raised.add(rabbits.get(kitNumber));
+            }
+            return { ...litter, offspring: [...raised] };
+        });
+
+        return {
+            as_of: today,
+            currency,
+            overhead_per_rabbit_day: overheadPerRabbitDay,
+            unallocated_feed_cost: unallocatedFeed,
+            rabbits,
+            litters,
+        };
+    }
+
+    // Own ledger plus the litters a rabbit mothered (does) or sired (bucks)
+    static summariseBreeder(rabbit, litters) {
+        const ownLitters = litters.filter(l => (rabbit.gender === 'male' ? l.buck_id : l.doe_id) === rabbit.rabbit_id);
+        const offspringTotal = emptyLedger();
+        const byLitter = ownLitters.map(litter => {
+            const ledger = litter.offspring.reduce((sum, kit) => addLedger(sum, kit.ledger), emptyLedger());
+            addLedger(offspringTotal, ledger);
+            return {
+                breeding_record_id: litter.breeding_record_id,
+                birth_date: litter.birth_date,
+                mate_id: rabbit.gender === 'male' ? litter.doe_id : litter.buck_id,
+                kits_born: litter.number_of_kits ?? parseInt(litter.kits_recorded, 10),
+                kits_raised: litter.offspring.length,
+                kits_sold: litter.offspring.filter(kit => kit.ledger.sales > 0).length,
+                ...summarise(ledger),
+            };
+        });
+        const own = summarise(rabbit.ledger);
+        const offspring = summarise(offspringTotal);
+        return {
+            own,
+            offspring,
+            litters: byLitter,
+            net_contribution: money(own.net + offspring.net),
+        };
+    }
+
+    static async getRabbitEconomics(farmId, rabbitId) {
+        try {
+            const ledgers = await this.getFarmLedgers(farmId);
+            const rabbit = ledgers.rabbits.get(rabbitId);
+            if (!rabbit) {
+                throw new ValidationError('Rabbit not found');
+            }
+            return {
+                as_of: ledgers.as_of,
+                currency: ledgers.currency,
+                rabbit: {
+                    rabbit_id: rabbit.rabbit_id,
+                    name: rabbit.name,
+                    gender: rabbit.gender,
+                    breed: rabbit.breed,
+                    birth_date: rabbit.birth_date,
+                    status: rabbit.removal_reason ? `removed (${rabbit.removal_reason})` : rabbit.is_deleted ? 'removed' : 'active',
+                    days_on_farm: rabbit.days_on_farm,
+                },
+                overhead_per_rabbit_day: money(ledgers.overhead_per_rabbit_day),
+                ...this.summariseBreeder(rabbit, ledgers.litters),
+            };
+        } catch (error) {
+            logger.error(`Error getting economics for rabbit ${rabbitId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getDoeRanking(farmId, { include_removed = false, limit } = {}) {
+        try {
+            const ledgers = await this.getFarmLedgers(farmId);
+            const ranking = [...ledgers.rabbits.values()]
+                .filter(rabbit => rabbit.gender === 'female' && (include_removed || !rabbit.is_deleted))
+                .map(rabbit => {
+                    const { own, offspring, litters, net_contribution } = this.summariseBreeder(rabbit, ledgers.litters);
+                    return {
+                        rabbit_id: rabbit.rabbit_id,
+                        name: rabbit.name,
+                        breed: rabbit.breed,
+                        is_active: !rabbit.is_deleted,
+                        litters: litters.length,
+                        kits_born: litters.reduce((sum, l) => sum + (l.kits_born || 0), 0),
+                        kits_sold: litters.reduce((sum, l) => sum + l.kits_sold, 0),
+                        own_costs: own.costs.total,
+                        own_revenue: own.revenue,
+                        offspring_costs: offspring.costs.total,
+                        offspring_revenue: offspring.revenue,
+                        net_contribution,
+                        net_per_litter: litters.length > 0 ? money(net_contribution / litters.length) : null,
+                    };
+                })
+                .sort((a, b) => b.net_contribution - a.net_contribution)
+                .map((doe, index) => ({ rank: index + 1, ...doe }));
+
+            return {
+                as_of: ledgers.as_of,
+                currency: ledgers.currency,
+                overhead_per_rabbit_day: money(ledgers.overhead_per_rabbit_day),
+                unallocated_feed_cost: money(ledgers.unallocated_feed_cost),
+                does: limit !== undefined ? ranking.slice(0, limit) : ranking,
+            };
+        } catch (error) {
+            logger.error(`Error ranking does for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default EconomicsService;
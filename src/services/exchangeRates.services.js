@@ -0,0 +1,274 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import dayjs from 'dayjs';
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const CSV_COLUMNS = ['effective_date', 'from_currency', 'to_currency', 'rate', 'notes'];
+const CSV_ALIASES = { date: 'effective_date', currency: 'from_currency' };
+
+// Split one CSV line, allowing double-quoted fields with commas and "" escapes in them
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Rates into `base` per currency, oldest first. Quotes stored the other way round are inverted;
+// a direct quote wins over an inverted one for the same day
+function buildConverter(base, rows) {
+    const byCurrency = new Map();
+    for (const row of rows) {
+        const direct = row.to_currency === base;
+        const currency = direct ? row.from_currency : row.to_currency;
+        if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+        byCurrency.get(currency).push({
+            date: row.effective_date,
+            rate: direct ? parseFloat(row.rate) : 1 / parseFloat(row.rate),
+            direct,
+        });
+    }
+    for (const rates of byCurrency.values()) {
+        rates.sort((a, b) => a.date.localeCompare(b.date) || a.direct - b.direct);
+    }
+
+    // Converts at the latest rate on or before the date; null when there is none
+    return (amount, currency, date) => {
+        if (!currency || currency === base) return amount;
+        let rate = null;
+        for (const entry of byCurrency.get(currency) || []) {
+            if (entry.date > date) break;
+            rate = entry.rate;
+        }
+        return rate === null ? null : amount * rate;
+    };
+}
+
+class ExchangeRatesService {
+    static async getFarmCurrency(farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT currency FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Farm not found');
+        }
+        return result.rows[0].currency || 'USD';
+    }
+
+    static async getRates(farmId, { currency, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT id, farm_id, from_currency, to_currency, rate, TO_CHAR(effective_date, 'YYYY-MM-DD') AS effective_date,
+                    source, notes, created_at, updated_at
+                FROM exchange_rates
+                WHERE farm_id = $1 AND is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (currency) {
+                query += ` AND (from_currency = $${paramIndex} OR to_currency = $${paramIndex})`;
+                params.push(currency);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND effective_date >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND effective_date <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY effective_date DESC, from_currency, to_currency';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting exchange rates for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Insert query for a rate; entering a rate for a pair and day that already has one replaces it
+    static upsertQuery(farmId, rate, source) {
+        return {
+            query: `INSERT INTO exchange_rates (
+                id, farm_id, from_currency, to_currency, rate, effective_date, source, notes, created_at, updated_at, is_deleted
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+            ON CONFLICT (farm_id, from_currency, to_currency, effective_date) DO UPDATE
+            SET rate = EXCLUDED.rate, source = EXCLUDED.source, notes = EXCLUDED.notes, is_deleted = 0
+            RETURNING id, farm_id, from_currency, to_currency, rate, TO_CHAR(effective_date, 'YYYY-MM-DD') AS effective_date,
+                source, notes, created_at, updated_at`,
+            params: [
+                uuidv4(), farmId, rate.from_currency, rate.to_currency, rate.rate, rate.effective_date, source, rate.notes || null
+            ]
+        };
+    }
+
+    static checkRate(rate, farmCurrency) {
+        const checked = {
+            from_currency: String(rate.from_currency || '').toUpperCase(),
+            to_currency: String(rate.to_currency || farmCurrency).toUpperCase(),
+            rate: parseFloat(rate.rate),
+            effective_date: rate.effective_date ? dayjs(rate.effective_date).format('YYYY-MM-DD') : null,
+            notes: rate.notes || null,
+        };
+        if (!CURRENCY_PATTERN.test(checked.from_currency) || !CURRENCY_PATTERN.test(checked.to_currency)) {
+            throw new ValidationError('Currencies must be valid 3-letter codes');
+        }
+        if (checked.from_currency === checked.to_currency) {
+            throw new ValidationError('from_currency and to_currency must differ');
+        }
+        if (!(checked.rate > 0)) {
+            throw new ValidationError('Rate must be a positive number');
+        }
+        if (!checked.effective_date || !dayjs(rate.effective_date).isValid()) {
+            throw new ValidationError('effective_date must be a valid date');
+        }
+        return checked;
+    }
+
+    static async setRate(farmId, rateData, userId) {
+        try {
+            const farmCurrency = await this.getFarmCurrency(farmId);
+            const rate = this.checkRate(rateData, farmCurrency);
+            const { query, params } = this.upsertQuery(farmId, rate, 'manual');
+            const result = await DatabaseHelper.executeQuery(query, params);
+            logger.info(`Exchange rate ${rate.from_currency}/${rate.to_currency} for ${rate.effective_date} set on farm ${farmId} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error setting exchange rate for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Import exchange rates from CSV text. The header row names the columns: effective_date (or date),
+     * from_currency (or currency), rate, and optionally to_currency (defaults to the farm's currency)
+     * and notes. Nothing is imported unless every row is valid.
+     * @param {string} farmId - Farm UUID
+     * @param {string} csv - CSV text including the header row
+     * @param {string} userId - User importing the rates
+     * @returns {Promise<Object>} - Number of rates imported and the stored rates
+     */
+    static async importRates(farmId, csv, userId) {
+        try {
+            const lines = String(csv || '').split(/\r?\n/).filter(line => line.trim() !== '');
+            if (lines.length < 2) {
+                throw new ValidationError('CSV must have a header row and at least one rate');
+            }
+            const header = splitCsvLine(lines[0]).map(name => {
+                const column = name.toLowerCase();
+                return CSV_ALIASES[column] || column;
+            });
+            const missing = ['effective_date', 'from_currency', 'rate'].filter(column => !header.includes(column));
+            if (missing.length > 0) {
+                throw new ValidationError(`CSV is missing columns: ${missing.join(', ')}`);
+            }
+            const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+            if (unknown.length > 0) {
+                throw new ValidationError(`CSV has unknown columns: ${unknown.join(', ')}`);
+            }
+
+            const farmCurrency = await this.getFarmCurrency(farmId);
+            const rates = [];
+            const errors = [];
+            lines.slice(1).forEach((line, index) => {
+                const fields = splitCsvLine(line);
+                const row = Object.fromEntries(header.map((column, i) => [column, fields[i] || undefined]));
+                try {
+                    rates.push(this.checkRate(row, farmCurrency));
+                } catch (error) {
+                    errors.push(`line ${index + 2}: ${error.message}`);
+                }
+            });
+            if (errors.length > 0) {
+                throw new ValidationError(`Invalid CSV, nothing imported (${errors.slice(0, 10).join('; ')})`);
+            }
+
+            const results = await DatabaseHelper.executeTransaction(rates.map(rate => this.upsertQuery(farmId, rate, 'csv')));
+            const imported = results.map(result => result.rows[0]);
+            logger.info(`${imported.length} exchange rates imported on farm ${farmId} by user ${userId}`);
+            return { imported: imported.length, rates: imported };
+        } catch (error) {
+            logger.error(`Error importing exchange rates for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteRate(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE exchange_rates
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Exchange rate not found');
+            }
+            logger.info(`Exchange rate ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting exchange rate ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a farm's exchange rates for converting report amounts into its currency.
+     * convert(amount, currency, date) uses the latest rate on or before the date and
+     * returns null when the currency has no rate that early.
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - The farm's currency and the convert function
+     */
+    static async getConverter(farmId) {
+        const currency = await this.getFarmCurrency(farmId);
+        const result = await DatabaseHelper.executeQuery(
+            `SELECT from_currency, to_currency, rate, TO_CHAR(effective_date, 'YYYY-MM-DD') AS effective_date
+            FROM exchange_rates
+            WHERE farm_id = $1 AND is_deleted = 0 AND (from_currency = $2 OR to_currency = $2)`,
+            [farmId, currency]
+        );
+        return { currency, convert: buildConverter(currency, result.rows) };
+    }
+}
+
+export default ExchangeRatesService;
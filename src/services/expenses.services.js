@@ -0,0 +1,348 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import FarmsService from './farms.services.js';
+import BudgetsService from './budgets.services.js';
+import { RECURRING_FREQUENCY_STEPS } from '../utils/constants.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Dates of a recurring expense's occurrences after `after` up to and including `until`. Each one is
+// counted from the template date so monthly expenses on the 31st do not drift to the 28th
+function occurrenceDates(template, after, until) {
+    const [amount, unit] = RECURRING_FREQUENCY_STEPS[template.recurring_frequency];
+    const anchor = dayjs(template.date);
+    const dates = [];
+    for (let n = 1; ; n++) {
+        const date = anchor.add(n * amount, unit).format('YYYY-MM-DD');
+        if (date > until) break;
+        if (date > after) dates.push(date);
+    }
+    return dates;
+}
+
+class ExpensesService {
+    static async createExpense(expenseData, userId) {
+        const {
+            farm_id,
+            category,
+            description,
+            amount,
+            currency = 'USD',
+            date,
+            vendor,
+            payment_method,
+            receipt_url,
+            is_recurring = false,
+            recurring_frequency,
+            notes,
+        } = expenseData;
+
+        if (!farm_id || !category || !description || !amount || !date) {
+            throw new ValidationError('Missing required expense fields');
+        }
+        if (currency && !/^[A-Z]{3}$/.test(currency)) {
+            throw new ValidationError('Currency must be a valid 3-letter code');
+        }
+        if (amount <= 0) {
+            throw new ValidationError('Amount must be positive');
+        }
+        if (is_recurring && !recurring_frequency) {
+            throw new ValidationError('Recurring expenses need a recurring_frequency');
+        }
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO expenses (
+                    id, farm_id, category, description, amount, currency, date, vendor, payment_method,
+                    receipt_url, is_recurring, recurring_frequency, recurring_generated_until, notes,
+                    created_at, updated_at, is_deleted
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [
+                    uuidv4(),
+                    farm_id,
+                    category,
+                    description,
+                    amount,
+                    currency,
+                    date,
+                    vendor || null,
+                    payment_method || null,
+                    receipt_url || null,
+                    is_recurring,
+                    is_recurring ? recurring_frequency : null,
+                    is_recurring ? date : null,
+                    notes || null,
+                ]
+            );
+            logger.info(`Expense created on farm ${farm_id} by user ${userId}`);
+            await BudgetsService.refreshBudgetAlert(farm_id, category, dayjs(date).format('YYYY-MM'));
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating expense: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getExpenseById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                'SELECT * FROM expenses WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Expense not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting expense ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllExpenses(farmId, { category, vendor, is_recurring, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT * FROM expenses
+                WHERE farm_id = $1 AND is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (category) {
+                query += ` AND category = $${paramIndex}`;
+                params.push(category);
+                paramIndex++;
+            }
+            if (vendor) {
+                query += ` AND vendor ILIKE $${paramIndex}`;
+                params.push(`%${vendor}%`);
+                paramIndex++;
+            }
+            if (is_recurring !== undefined) {
+                query += ` AND is_recurring = $${paramIndex}`;
+                params.push(is_recurring);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND date >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND date <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY date DESC, created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting expenses for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateExpense(id, farmId, expenseData, userId) {
+        const {
+            category,
+            description,
+            amount,
+            currency,
+            date,
+            vendor,
+            payment_method,
+            receipt_url,
+            is_recurring,
+            recurring_frequency,
+            notes,
+        } = expenseData;
+
+        try {
+            if (currency && !/^[A-Z]{3}$/.test(currency)) {
+                throw new ValidationError('Currency must be a valid 3-letter code');
+            }
+            const existing = await this.getExpenseById(id, farmId);
+            const recurring = is_recurring ?? existing.is_recurring;
+            const frequency = recurring_frequency || existing.recurring_frequency;
+            if (recurring && !frequency) {
+                throw new ValidationError('Recurring expenses need a recurring_frequency');
+            }
+
+            // A new schedule only applies from today on; past occurrences are neither moved nor backfilled
+            let generatedUntil = existing.recurring_generated_until;
+            const scheduleChanged = (date && !dayjs(date).isSame(dayjs(existing.date), 'day')) ||
+                frequency !== existing.recurring_frequency || recurring !== existing.is_recurring;
+            if (recurring && scheduleChanged) {
+                const tz = await FarmsService.getFarmTimezone(farmId);
+                const yesterday = dayjs().tz(tz).subtract(1, 'day').format('YYYY-MM-DD');
+                generatedUntil = [
+                    yesterday,
+                    dayjs(date || existing.date).format('YYYY-MM-DD'),
+                    existing.recurring_generated_until ? dayjs(existing.recurring_generated_until).format('YYYY-MM-DD') : null,
+                ].filter(Boolean).sort().pop();
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE expenses
+                SET category = COALESCE($3, category),
+                    description = COALESCE($4, description),
+                    amount = COALESCE($5, amount),
+                    currency = COALESCE($6, currency),
+                    date = COALESCE($7, date),
+                    vendor = COALESCE($8, vendor),
+                    payment_method = COALESCE($9, payment_method),
+                    receipt_url = COALESCE($10, receipt_url),
+                    is_recurring = $11,
+                    recurring_frequency = $12,
+                    recurring_generated_until = $14,
+                    notes = COALESCE($13, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [
+                    id,
+                    farmId,
+                    category || null,
+                    description || null,
+                    amount ?? null,
+                    currency || null,
+                    date || null,
+                    vendor || null,
+                    payment_method || null,
+                    receipt_url || null,
+                    recurring,
+                    recurring ? frequency : null,
+                    notes || null,
+                    recurring ? generatedUntil : null,
+                ]
+            );
+            logger.info(`Expense ${id} updated by user ${userId}`);
+            const expense = result.rows[0];
+            const budgetMonths = new Set([
+                `${expense.category}|${dayjs(expense.date).format('YYYY-MM')}`,
+                `${existing.category}|${dayjs(existing.date).format('YYYY-MM')}`,
+            ]);
+            for (const key of budgetMonths) {
+                const [budgetCategory, month] = key.split('|');
+                await BudgetsService.refreshBudgetAlert(farmId, budgetCategory, month);
+            }
+            return expense;
+        } catch (error) {
+            logger.error(`Error updating expense ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteExpense(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE expenses
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Expense not found');
+            }
+            logger.info(`Expense ${id} soft deleted by user ${userId}`);
+            const expense = result.rows[0];
+            await BudgetsService.refreshBudgetAlert(farmId, expense.category, dayjs(expense.date).format('YYYY-MM'));
+            return expense;
+        } catch (error) {
+            logger.error(`Error deleting expense ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn recurring expenses into dated expense rows for every occurrence due up to today.
+     * Occurrences copy the template as it is now, so edits only change those generated later.
+     * Safe to run repeatedly: each template remembers how far it has been generated and
+     * occurrences are unique per template and date. Budget alerts are refreshed for every
+     * category and month that got new expenses.
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - Run date, templates checked and the expenses created
+     */
+    static async generateRecurringExpenses(farmId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const templates = await DatabaseHelper.executeQuery(
+                `SELECT * FROM expenses
+                WHERE farm_id = $1 AND is_recurring = true AND recurring_frequency IS NOT NULL AND is_deleted = 0
+                    AND COALESCE(recurring_generated_until, date) < $2`,
+                [farmId, today]
+            );
+
+            const generated = [];
+            for (const template of templates.rows) {
+                const after = dayjs(template.recurring_generated_until || template.date).format('YYYY-MM-DD');
+                const queries = occurrenceDates(template, after, today).map(date => ({
+                    query: `INSERT INTO expenses (
+                        id, farm_id, category, description, amount, currency, date, vendor, payment_method,
+                        is_recurring, recurring_source_id, notes, created_at, updated_at, is_deleted
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                    ON CONFLICT (recurring_source_id, date) WHERE recurring_source_id IS NOT NULL DO NOTHING
+                    RETURNING *`,
+                    params: [
+                        uuidv4(), farmId, template.category, template.description, template.amount, template.currency,
+                        date, template.vendor, template.payment_method, template.id, template.notes
+                    ]
+                }));
+                queries.push({
+                    query: 'UPDATE expenses SET recurring_generated_until = $2 WHERE id = $1',
+                    params: [template.id, today]
+                });
+                const results = await DatabaseHelper.executeTransaction(queries);
+                results.slice(0, -1).forEach(result => generated.push(...result.rows));
+            }
+
+            const budgetMonths = new Set(generated.map(expense => `${expense.category}|${dayjs(expense.date).format('YYYY-MM')}`));
+            for (const key of budgetMonths) {
+                const [category, month] = key.split('|');
+                await BudgetsService.refreshBudgetAlert(farmId, category, month);
+            }
+
+            logger.info(`Generated ${generated.length} recurring expenses for farm ${farmId}`);
+            return { as_of: today, templates: templates.rows.length, generated };
+        } catch (error) {
+            logger.error(`Error generating recurring expenses for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate recurring expenses for every farm. A farm that fails is logged and skipped so the
+     * others still get theirs; its templates are picked up again on the next run.
+     * @returns {Promise<Object>} - Per farm, the number of expenses generated or the error
+     */
+    static async generateAllRecurringExpenses() {
+        return FarmsService.runForAllFarms('Recurring expenses', async farmId => {
+            const run = await this.generateRecurringExpenses(farmId);
+            return { as_of: run.as_of, templates: run.templates, generated: run.generated.length };
+        });
+    }
+}
+
+export default ExpensesService;
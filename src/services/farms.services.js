@@ -2,6 +2,12 @@ import { DatabaseHelper } from '../config/database.js';
 import logger from '../middleware/logger.js';
 import { ValidationError } from '../middleware/errors.js';
 import { v4 as uuidv4 } from 'uuid';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 class FarmsService {
     static async createFarm(farmData, userId) {
@@ -150,6 +156,52 @@ class FarmsService {
             throw error;
         }
     }
+
+    static async getFarmTimezone(farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT timezone FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Farm not found');
+        }
+        const tz = result.rows[0].timezone || 'UTC';
+        try {
+            dayjs().tz(tz);
+            return tz;
+        } catch {
+            logger.warn(`Invalid timezone ${tz} for farm ${farmId}, falling back to UTC`);
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Run a scheduled job on every farm. A farm that fails is logged and skipped so the others
+     * still run; it is picked up again on the next run.
+     * @param {string} job - Job name for the logs, e.g. "Vaccination alerts"
+     * @param {Function} task - Called with each farm ID
+     * @returns {Promise<Object>} - Per farm, the task's result or the error
+     */
+    static async runForAllFarms(job, task) {
+        try {
+            const farms = await DatabaseHelper.executeQuery(
+                'SELECT id FROM farms WHERE is_deleted = 0 ORDER BY created_at'
+            );
+            const results = [];
+            for (const { id } of farms.rows) {
+                try {
+                    results.push({ farm_id: id, result: await task(id) });
+                } catch (error) {
+                    logger.warn(`${job} for farm ${id} failed: ${error.message}`);
+                    results.push({ farm_id: id, error: error.message });
+                }
+            }
+            return { farms: results };
+        } catch (error) {
+            logger.error(`Error running ${job.toLowerCase()} for all farms: ${error.message}`);
+            throw error;
+        }
+    }
 }
 
 export default FarmsService;
\ No newline at end of file
@@ -0,0 +1,717 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import { DEFAULT_FEED_EXPIRY_ALERT_DAYS } from '../utils/constants.js';
+import { getLocalDateString, formatLocalDate } from '../utils/dates.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Maps the unit spellings used on feeding records and stock to grams, kg or bags
+function normaliseUnit(unit) {
+    const value = String(unit || '').trim().toLowerCase();
+    if (['g', 'gm', 'gms', 'gram', 'grams'].includes(value)) return 'grams';
+    if (['kg', 'kgs', 'kilogram', 'kilograms'].includes(value)) return 'kg';
+    if (['bag', 'bags'].includes(value)) return 'bags';
+    return null;
+}
+
+function toKg(quantity, unit, bagSizeKg) {
+    const value = parseFloat(quantity);
+    switch (normaliseUnit(unit)) {
+        case 'grams':
+            return value / 1000;
+        case 'kg':
+            return value;
+        case 'bags':
+            if (!bagSizeKg) {
+                throw new ValidationError('bag_size_kg is required to convert bags');
+            }
+            return value * parseFloat(bagSizeKg);
+        default:
+            throw new ValidationError(`Unsupported feed unit: ${unit}`);
+    }
+}
+
+function fromKg(kg, unit, bagSizeKg) {
+    return kg / toKg(1, unit, bagSizeKg);
+}
+
+function round(value, digits = 2) {
+    return parseFloat(value.toFixed(digits));
+}
+
+function lowStockAlertName(feedType) {
+    return `Low Feed Stock: ${feedType}`;
+}
+
+function expiryAlertName(batch) {
+    return `Feed Expiry: ${batch.feed_type}${batch.brand ? ` (${batch.brand})` : ''} batch ${batch.id.slice(0, 8)}`;
+}
+
+class FeedInventoryService {
+    // Converts a quantity in grams, kg or bags to kg
+    static toKg(quantity, unit, bagSizeKg) {
+        return toKg(quantity, unit, bagSizeKg);
+    }
+
+    // Alerts go to the acting user, or to the farm owner when raised by the scheduled job
+    static async getAlertRecipient(farmId, userId) {
+        if (userId) {
+            return userId;
+        }
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT created_by FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Farm not found');
+        }
+        return result.rows[0].created_by;
+    }
+
+    static async addStock(stockData, userId) {
+        const {
+            farm_id, feed_type, brand, quantity, unit, bag_size_kg, cost_per_unit,
+            purchase_date, expiry_date, supplier, notes
+        } = stockData;
+
+        if (!farm_id || !feed_type || !quantity || !unit) {
+            throw new ValidationError('Missing required feed stock fields');
+        }
+        if (!normaliseUnit(unit)) {
+            throw new ValidationError(`Unsupported feed unit: ${unit}`);
+        }
+        if (normaliseUnit(unit) === 'bags' && !bag_size_kg) {
+            throw new ValidationError('bag_size_kg is required when stock is recorded in bags');
+        }
+
+        try {
+            const id = uuidv4();
+            const tz = await FarmsService.getFarmTimezone(farm_id);
+            const [result] = await DatabaseHelper.executeTransaction([
+                {
+                    query: `INSERT INTO feed_inventory (
+                        id, farm_id, feed_type, brand, quantity, initial_quantity, unit, bag_size_kg, cost_per_unit,
+                        purchase_date, expiry_date, supplier, notes, created_at, updated_at, is_deleted
+                    ) VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                    RETURNING *`,
+                    params: [
+                        id, farm_id, feed_type, brand || null, quantity, normaliseUnit(unit), bag_size_kg || null,
+                        cost_per_unit ?? null, purchase_date || getLocalDateString(new Date(), tz),
+                        expiry_date || null, supplier || null, notes || null
+                    ]
+                },
+                {
+                    query: `INSERT INTO feed_stock_movements (
+                        id, farm_id, inventory_id, movement_type, quantity, unit, reason, recorded_by, created_at, is_deleted
+                    ) VALUES ($1, $2, $3, 'purchase', $4, $5, $6, $7, CURRENT_TIMESTAMP, 0)`,
+                    params: [uuidv4(), farm_id, id, quantity, normaliseUnit(unit), supplier ? `Purchased from ${supplier}` : 'Purchase', userId]
+                }
+            ]);
+
+            // A purchase may bring the feed type back above its threshold
+            await this.checkLowStock(farm_id, feed_type, userId);
+            logger.info(`Feed stock ${quantity} ${unit} of ${feed_type} added to farm ${farm_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error adding feed stock: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getInventoryById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                'SELECT * FROM feed_inventory WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Feed stock not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting feed stock ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getInventory(farmId, { feed_type, include_empty = false, limit, offset }) {
+        try {
+            let query = `
+                SELECT fi.*
+                FROM feed_inventory fi
+                WHERE fi.farm_id = $1 AND fi.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (feed_type) {
+                query += ` AND LOWER(fi.feed_type) = LOWER($${paramIndex})`;
+                params.push(feed_type);
+                paramIndex++;
+            }
+            if (!include_empty) {
+                query += ' AND fi.quantity > 0';
+            }
+
+            query += ' ORDER BY fi.feed_type ASC, fi.expiry_date ASC NULLS LAST, fi.purchase_date ASC NULLS LAST';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting feed inventory for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async adjustStock(id, farmId, adjustmentData, userId) {
+        const { quantity_change, reason } = adjustmentData;
+
+        if (!quantity_change || !reason) {
+            throw new ValidationError('A non-zero quantity_change and a reason are required');
+        }
+
+        try {
+            const batch = await this.getInventoryById(id, farmId);
+
+            // The change is applied to the quantity as it is when the row is written, so concurrent
+            // feedings and adjustments cannot overwrite each other
+            const result = await DatabaseHelper.executeQuery(
+                `WITH updated AS (
+                    UPDATE feed_inventory SET quantity = quantity + $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 AND quantity + $3 >= 0
+                    RETURNING *
+                ), movement AS (
+                    INSERT INTO feed_stock_movements (
+                        id, farm_id, inventory_id, movement_type, quantity, unit, reason, recorded_by, created_at, is_deleted
+                    )
+                    SELECT $4, farm_id, id, 'adjustment', $3, unit, $5, $6, CURRENT_TIMESTAMP, 0 FROM updated
+                )
+                SELECT * FROM updated`,
+                [id, farmId, quantity_change, uuidv4(), reason, userId]
+            );
+            if (result.rows.length === 0) {
+                const current = await this.getInventoryById(id, farmId);
+                throw new ValidationError(`Adjustment would take stock below zero (current: ${current.quantity} ${current.unit})`);
+            }
+            const updated = result.rows[0];
+
+            if (parseFloat(updated.quantity) === 0) {
+                await this.completeExpiryAlert(updated);
+            }
+            await this.checkLowStock(farmId, batch.feed_type, userId);
+            logger.info(`Feed stock ${id} adjusted by ${quantity_change} ${batch.unit} by user ${userId}`);
+            return updated;
+        } catch (error) {
+            logger.error(`Error adjusting feed stock ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteInventory(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE feed_inventory
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Feed stock not found');
+            }
+            const deleted = result.rows[0];
+            await this.completeExpiryAlert(deleted);
+            await this.checkLowStock(farmId, deleted.feed_type, userId);
+            logger.info(`Feed stock ${id} soft deleted by user ${userId}`);
+            return deleted;
+        } catch (error) {
+            logger.error(`Error deleting feed stock ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getMovements(farmId, { inventory_id, feed_type, movement_type, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT fsm.*, fi.feed_type, fi.brand, u.name AS recorded_by_name
+                FROM feed_stock_movements fsm
+                JOIN feed_inventory fi ON fi.id = fsm.inventory_id
+                LEFT JOIN users u ON u.id = fsm.recorded_by
+                WHERE fsm.farm_id = $1 AND fsm.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (inventory_id) {
+                query += ` AND fsm.inventory_id = $${paramIndex}`;
+                params.push(inventory_id);
+                paramIndex++;
+            }
+            if (feed_type) {
+                query += ` AND LOWER(fi.feed_type) = LOWER($${paramIndex})`;
+                params.push(feed_type);
+                paramIndex++;
+            }
+            if (movement_type) {
+                query += ` AND fsm.movement_type = $${paramIndex}`;
+                params.push(movement_type);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND fsm.created_at >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND fsm.created_at < ($${paramIndex}::date + 1)`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY fsm.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting feed stock movements for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getThresholds(farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT * FROM feed_stock_thresholds
+                WHERE farm_id = $1 AND is_deleted = 0
+                ORDER BY feed_type ASC`,
+                [farmId]
+            );
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting feed stock thresholds for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async setThreshold(farmId, thresholdData, userId) {
+        const { feed_type, min_quantity, unit = 'kg', expiry_alert_days } = thresholdData;
+
+        if (!feed_type || min_quantity === undefined || min_quantity === null) {
+            throw new ValidationError('feed_type and min_quantity are required');
+        }
+        if (!['grams', 'kg'].includes(normaliseUnit(unit))) {
+            throw new ValidationError('Threshold unit must be grams or kg');
+        }
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO feed_stock_thresholds (
+                    id, farm_id, feed_type, min_quantity, unit, expiry_alert_days, created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                ON CONFLICT (farm_id, feed_type) DO UPDATE
+                SET min_quantity = EXCLUDED.min_quantity, unit = EXCLUDED.unit,
+                    expiry_alert_days = EXCLUDED.expiry_alert_days, is_deleted = 0
+                RETURNING *`,
+                [uuidv4(), farmId, feed_type, min_quantity, normaliseUnit(unit), expiry_alert_days ?? null]
+            );
+            await this.checkLowStock(farmId, feed_type, userId);
+            logger.info(`Feed stock threshold for ${feed_type} on farm ${farmId} set by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error setting feed stock threshold for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Batches with stock left; exclude_expired leaves out those past expiry by the farm-local date
+    static async getStockLevels(farmId, feedType, { exclude_expired = false } = {}) {
+        let query = `
+            SELECT * FROM feed_inventory
+            WHERE farm_id = $1 AND is_deleted = 0 AND quantity > 0`;
+        const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+        const params = [farmId, today];
+        if (exclude_expired) {
+            query += ' AND (expiry_date IS NULL OR expiry_date >= $2::date)';
+        }
+        if (feedType) {
+            query += ' AND LOWER(feed_type) = LOWER($3)';
+            params.push(feedType);
+        }
+        // Soonest expiry first so feedings use up the batch that goes off next; batches expired
+        // by the farm-local date last
+        query += ` ORDER BY COALESCE(expiry_date < $2::date, false) ASC, expiry_date ASC NULLS LAST,
+            purchase_date ASC NULLS LAST, created_at ASC`;
+        const result = await DatabaseHelper.executeQuery(query, params);
+        return result.rows;
+    }
+
+    static async getStockSummary(farmId) {
+        try {
+            const batches = await this.getStockLevels(farmId);
+            const thresholds = await this.getThresholds(farmId);
+            const thresholdByType = new Map(thresholds.map(t => [t.feed_type.toLowerCase(), t]));
+            const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+
+            const byType = new Map();
+            for (const batch of batches) {
+                const key = batch.feed_type.toLowerCase();
+                if (!byType.has(key)) {
+                    byType.set(key, { feed_type: batch.feed_type, quantity_kg: 0, expired_kg: 0, stock_value: 0, batches: 0, next_expiry_date: null });
+                }
+                const summary = byType.get(key);
+                let quantityKg;
+                try {
+                    quantityKg = toKg(batch.quantity, batch.unit, batch.bag_size_kg);
+                } catch (error) {
+                    logger.warn(`Skipping feed stock ${batch.id} in summary: ${error.message}`);
+                    continue;
+                }
+                summary.quantity_kg += quantityKg;
+                summary.stock_value += parseFloat(batch.quantity) * parseFloat(batch.cost_per_unit || 0);
+                summary.batches += 1;
+                const expiry = batch.expiry_date ? dayjs(batch.expiry_date).format('YYYY-MM-DD') : null;
+                if (expiry && expiry < today) {
+                    summary.expired_kg += quantityKg;
+                }
+                if (expiry && (!summary.next_expiry_date || expiry < summary.next_expiry_date)) {
+                    summary.next_expiry_date = expiry;
+                }
+            }
+            // Feed types with a threshold but no stock left still need to show up
+            for (const threshold of thresholds) {
+                const key = threshold.feed_type.toLowerCase();
+                if (!byType.has(key)) {
+                    byType.set(key, { feed_type: threshold.feed_type, quantity_kg: 0, expired_kg: 0, stock_value: 0, batches: 0, next_expiry_date: null });
+                }
+            }
+
+            return [...byType.entries()]
+                .map(([key, summary]) => {
+                    const threshold = thresholdByType.get(key);
+                    const minKg = threshold ? toKg(threshold.min_quantity, threshold.unit) : null;
+                    // Expired feed is still on hand but cannot be fed, so it does not count towards the threshold
+                    const usableKg = summary.quantity_kg - summary.expired_kg;
+                    let status = 'ok';
+                    if (usableKg <= 0) {
+                        status = 'out_of_stock';
+                    } else if (minKg !== null && usableKg < minKg) {
+                        status = 'low';
+                    }
+                    return {
+                        ...summary,
+                        quantity_kg: round(summary.quantity_kg),
+                        expired_kg: round(summary.expired_kg),
+                        stock_value: round(summary.stock_value),
+                        min_quantity_kg: minKg === null ? null : round(minKg),
+                        expired: summary.next_expiry_date !== null && summary.next_expiry_date < today,
+                        status,
+                    };
+                })
+                .sort((a, b) => a.feed_type.localeCompare(b.feed_type));
+        } catch (error) {
+            logger.error(`Error getting feed stock summary for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Queries that deduct feedings from unexpired stock of their feed type, soonest expiry first,
+     * for the caller to run in the same transaction as inserting the feedings. Batches are locked
+     * and deducted from their current quantity, which another feeding may have lowered since they
+     * were read; each query returns the batch with what was actually taken. Pass the results to
+     * settleFeedingDeductions once the transaction has committed.
+     * @param {string} farmId - Farm UUID
+     * @param {Array} feedings - Feeding records (id, feed_type, amount, unit) about to be inserted
+     * @param {string} userId - User logging the feedings
+     * @returns {Promise<Array>} - Queries for executeTransaction
+     */
+    static async feedingDeductionQueries(farmId, feedings, userId) {
+        const stock = new Map();
+        const queries = [];
+        for (const feeding of feedings) {
+            const key = feeding.feed_type.toLowerCase();
+            if (!stock.has(key)) {
+                // Expired feed is not fed out, so it is never deducted
+                const batches = await this.getStockLevels(farmId, feeding.feed_type, { exclude_expired: true });
+                stock.set(key, batches.flatMap(batch => {
+                    try {
+                        return [{ batch, availableKg: toKg(batch.quantity, batch.unit, batch.bag_size_kg) }];
+                    } catch (error) {
+                        logger.warn(`Skipping feed stock ${batch.id}: ${error.message}`);
+                        return [];
+                    }
+                }));
+            }
+
+            let remainingKg = toKg(feeding.amount, feeding.unit);
+            for (const entry of stock.get(key)) {
+                if (remainingKg <= 0) {
+                    break;
+                }
+                const takeKg = Math.min(remainingKg, entry.availableKg);
+                if (takeKg <= 0) {
+                    continue;
+                }
+                entry.availableKg -= takeKg;
+                remainingKg -= takeKg;
+                queries.push({
+                    query: `WITH locked AS (
+                            SELECT id, quantity FROM feed_inventory
+                            WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                            FOR UPDATE
+                        ), updated AS (
+                            UPDATE feed_inventory fi SET quantity = GREATEST(fi.quantity - $3, 0), updated_at = CURRENT_TIMESTAMP
+                            FROM locked
+                            WHERE fi.id = locked.id
+                            RETURNING fi.*, LEAST(locked.quantity, $3) AS taken
+                        ), movement AS (
+                            INSERT INTO feed_stock_movements (
+                                id, farm_id, inventory_id, feeding_record_id, movement_type, quantity, unit, recorded_by, created_at, is_deleted
+                            )
+                            SELECT $4, farm_id, id, $5, 'feeding', -taken, unit, $6, CURRENT_TIMESTAMP, 0 FROM updated WHERE taken > 0
+                        )
+                        SELECT updated.*, $5 AS feeding_record_id FROM updated`,
+                    params: [
+                        entry.batch.id, farmId, round(fromKg(takeKg, entry.batch.unit, entry.batch.bag_size_kg), 4),
+                        uuidv4(), feeding.id, userId
+                    ]
+                });
+            }
+        }
+        return queries;
+    }
+
+    /**
+     * Work out what each committed feeding took from stock and what it fell short by, then
+     * close expiry alerts on emptied batches and check the feed types against their thresholds.
+     * @param {string} farmId - Farm UUID
+     * @param {Array} feedings - The inserted feeding records
+     * @param {Array} results - Results of the queries from feedingDeductionQueries
+     * @param {string} userId - User logging the feedings
+     * @returns {Promise<Map>} - { deducted_kg, shortfall_kg } per feeding record ID
+     */
+    static async settleFeedingDeductions(farmId, feedings, results, userId) {
+        const takenKg = new Map();
+        for (const updated of results.map(result => result.rows[0]).filter(Boolean)) {
+            takenKg.set(updated.feeding_record_id, (takenKg.get(updated.feeding_record_id) || 0) + toKg(updated.taken, updated.unit, updated.bag_size_kg));
+            if (parseFloat(updated.quantity) === 0) {
+                await this.completeExpiryAlert(updated);
+            }
+        }
+
+        const deductions = new Map();
+        for (const feeding of feedings) {
+            const deductedKg = takenKg.get(feeding.id) || 0;
+            const shortfallKg = Math.max(toKg(feeding.amount, feeding.unit) - deductedKg, 0);
+            if (shortfallKg > 0.001) {
+                logger.warn(`Feeding ${feeding.id} exceeded unexpired ${feeding.feed_type} stock by ${round(shortfallKg, 3)}kg on farm ${farmId}`);
+            }
+            deductions.set(feeding.id, { deducted_kg: round(deductedKg, 3), shortfall_kg: round(shortfallKg, 3) });
+        }
+        const feedTypes = new Map(feedings.map(feeding => [feeding.feed_type.toLowerCase(), feeding.feed_type]));
+        for (const feedType of feedTypes.values()) {
+            await this.checkLowStock(farmId, feedType, userId);
+        }
+        return deductions;
+    }
+
+    // Queries that put a feeding's deductions back on the batches they came from and retire its
+    // movements; run in the same transaction as deleting the feeding
+    static feedingReversalQueries(farmId, feedingRecordId) {
+        return [
+            {
+                query: `UPDATE feed_inventory fi SET quantity = fi.quantity + m.returned, updated_at = CURRENT_TIMESTAMP
+                    FROM (
+                        SELECT inventory_id, -SUM(quantity) AS returned FROM feed_stock_movements
+                        WHERE farm_id = $1 AND feeding_record_id = $2 AND movement_type = 'feeding' AND is_deleted = 0
+                        GROUP BY inventory_id
+                    ) m
+                    WHERE fi.id = m.inventory_id
+                    RETURNING fi.*`,
+                params: [farmId, feedingRecordId]
+            },
+            {
+                query: `UPDATE feed_stock_movements SET is_deleted = 1
+                    WHERE farm_id = $1 AND feeding_record_id = $2 AND movement_type = 'feeding' AND is_deleted = 0`,
+                params: [farmId, feedingRecordId]
+            }
+        ];
+    }
+
+    // Raises a low-stock alert when a feed type drops below its threshold and completes it once restocked
+    static async checkLowStock(farmId, feedType, userId) {
+        const thresholdResult = await DatabaseHelper.executeQuery(
+            `SELECT * FROM feed_stock_thresholds
+            WHERE farm_id = $1 AND LOWER(feed_type) = LOWER($2) AND is_deleted = 0`,
+            [farmId, feedType]
+        );
+        if (thresholdResult.rows.length === 0) {
+            return null;
+        }
+        const threshold = thresholdResult.rows[0];
+        const minKg = toKg(threshold.min_quantity, threshold.unit);
+        const batches = await this.getStockLevels(farmId, feedType, { exclude_expired: true });
+        const stockKg = batches.reduce((sum, batch) => {
+            try {
+                return sum + toKg(batch.quantity, batch.unit, batch.bag_size_kg);
+            } catch {
+                return sum;
+            }
+        }, 0);
+        const name = lowStockAlertName(threshold.feed_type);
+
+        if (stockKg >= minKg) {
+            await DatabaseHelper.executeQuery(
+                `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                WHERE farm_id = $1 AND name = $2 AND alert_type = 'feed'
+                AND status IN ('pending', 'sent') AND is_deleted = false`,
+                [farmId, name]
+            );
+            return null;
+        }
+
+        const existing = await DatabaseHelper.executeQuery(
+            `SELECT 1 FROM alerts
+            WHERE farm_id = $1 AND name = $2 AND alert_type = 'feed'
+            AND status IN ('pending', 'sent') AND is_deleted = false`,
+            [farmId, name]
+        );
+        if (existing.rows.length > 0) {
+            return null;
+        }
+
+        return AlertService.createAlert({
+            farm_id: farmId,
+            user_id: await this.getAlertRecipient(farmId, userId),
+            name,
+            alert_start_date: new Date().toISOString(),
+            alert_type: 'feed',
+            severity: stockKg === 0 ? 'high' : 'medium',
+            message: stockKg === 0
+                ? `${threshold.feed_type} is out of stock. Reorder to keep feeding on schedule.`
+                : `${threshold.feed_type} stock is down to ${round(stockKg)}kg, below the reorder level of ${round(minKg)}kg.`,
+            notify_on: [getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId))]
+        });
+    }
+
+    static async completeExpiryAlert(batch) {
+        await DatabaseHelper.executeQuery(
+            `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+            WHERE farm_id = $1 AND name = $2 AND alert_type = 'feed'
+            AND status IN ('pending', 'sent') AND is_deleted = false`,
+            [batch.farm_id, expiryAlertName(batch)]
+        );
+    }
+
+    /**
+     * Check every feed type against its low-stock threshold and raise expiry alerts for
+     * batches expiring within their feed type's expiry_alert_days. Safe to run repeatedly
+     * (e.g. from the scheduled workflow).
+     * @param {string} farmId - Farm UUID
+     * @param {string} [userId] - User to notify; defaults to the farm owner
+     * @returns {Promise<Array>} - Created alerts
+     */
+    static async generateStockAlerts(farmId, userId) {
+        try {
+            const recipientId = await this.getAlertRecipient(farmId, userId);
+            const thresholds = await this.getThresholds(farmId);
+            const created = [];
+
+            for (const threshold of thresholds) {
+                const alert = await this.checkLowStock(farmId, threshold.feed_type, recipientId);
+                if (alert) {
+                    created.push(alert);
+                }
+            }
+
+            const alertDays = new Map(thresholds.map(t => [t.feed_type.toLowerCase(), t.expiry_alert_days]));
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = getLocalDateString(new Date(), tz);
+            const batches = await this.getStockLevels(farmId);
+            for (const batch of batches) {
+                if (!batch.expiry_date) {
+                    continue;
+                }
+                const expiryDate = dayjs(batch.expiry_date).format('YYYY-MM-DD');
+                const days = alertDays.get(batch.feed_type.toLowerCase()) ?? DEFAULT_FEED_EXPIRY_ALERT_DAYS;
+                if (expiryDate > dayjs(today).add(days, 'day').format('YYYY-MM-DD')) {
+                    continue;
+                }
+
+                const name = expiryAlertName(batch);
+                const isExpired = expiryDate < today;
+                const severity = isExpired ? 'high' : 'medium';
+                // Once the batch has expired its "expires soon" alert is replaced by an "expired" one
+                if (isExpired) {
+                    await DatabaseHelper.executeQuery(
+                        `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                        WHERE farm_id = $1 AND name = $2 AND alert_type = 'feed' AND severity = 'medium'
+                        AND status IN ('pending', 'sent') AND is_deleted = false`,
+                        [farmId, name]
+                    );
+                }
+                const existing = await DatabaseHelper.executeQuery(
+                    `SELECT 1 FROM alerts
+                    WHERE farm_id = $1 AND name = $2 AND alert_type = 'feed' AND severity = $3
+                    AND status IN ('pending', 'sent') AND is_deleted = false`,
+                    [farmId, name, severity]
+                );
+                if (existing.rows.length > 0) {
+                    continue;
+                }
+
+                created.push(await AlertService.createAlert({
+                    farm_id: farmId,
+                    user_id: recipientId,
+                    name,
+                    alert_start_date: expiryDate + 'T00:00:00Z',
+                    alert_type: 'feed',
+                    severity,
+                    message: isExpired
+                        ? `${batch.quantity} ${batch.unit} of ${batch.feed_type} expired on ${formatLocalDate(expiryDate, tz)}. Remove it from use.`
+                        : `${batch.quantity} ${batch.unit} of ${batch.feed_type} expires on ${formatLocalDate(expiryDate, tz)}.`,
+                    notify_on: [today]
+                }));
+            }
+
+            logger.info(`Created ${created.length} feed stock alerts for farm ${farmId}`);
+            return created;
+        } catch (error) {
+            logger.error(`Error generating feed stock alerts for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Low-stock and expiry alerts for every farm, for the scheduled workflow
+    static async generateAllStockAlerts() {
+        return FarmsService.runForAllFarms('Feed stock alerts', farmId => this.generateStockAlerts(farmId));
+    }
+}
+
+export default FeedInventoryService;
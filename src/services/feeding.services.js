@@ -0,0 +1,805 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import RowsService from './rows.services.js';
+import FarmsService from './farms.services.js';
+import FeedInventoryService from './feedInventory.services.js';
+import {
+    FEEDING_GRACE_MINUTES,
+    LIFE_STAGE_DAILY_FEED_KG,
+    KIT_DAILY_FEED_KG_BY_AGE,
+    DEFAULT_LITTER_SIZE,
+    LACTATION_DAYS,
+    FEED_REORDER_LEAD_DAYS
+} from '../utils/constants.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Splits an amount like "150g" or "0.2 kg" into its value and unit
+function parseAmount(amount) {
+    const match = String(amount || '').trim().match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+    if (!match) {
+        return null;
+    }
+    return { value: parseFloat(match[1]), unit: match[2] || 'g' };
+}
+
+// Feeding life stage from age and breeding state: weaners under 60 days, growers under 150 days,
+// does are pregnant or lactating until LACTATION_DAYS after kindling, everyone else is on maintenance
+function lifeStage(rabbit, today) {
+    if (rabbit.gender === 'female') {
+        if (rabbit.is_pregnant) return 'pregnant';
+        if (rabbit.last_kindled_on && dayjs(today).diff(dayjs(rabbit.last_kindled_on), 'day') < LACTATION_DAYS) return 'lactating';
+    }
+    const ageDays = dayjs(today).diff(dayjs(rabbit.birth_date), 'day');
+    if (ageDays < 60) return 'weaner';
+    if (ageDays < 150) return 'grower';
+    return 'maintenance';
+}
+
+function kitDailyFeedKg(ageDays) {
+    let intake = 0;
+    for (const [fromAge, kg] of KIT_DAILY_FEED_KG_BY_AGE) {
+        if (ageDays >= fromAge) {
+            intake = kg;
+        }
+    }
+    return intake;
+}
+
+function round(value, digits = 2) {
+    return parseFloat(value.toFixed(digits));
+}
+
+class FeedingService {
+    static async createSchedule(scheduleData, userId) {
+        const {
+            farm_id, rabbit_id, daily_amount, feed_type, times, special_diet, is_active = true,
+            ration_template_id, life_stage
+        } = scheduleData;
+
+        if (!farm_id || !rabbit_id || !daily_amount || !feed_type || !Array.isArray(times) || times.length === 0) {
+            throw new ValidationError('Missing required feeding schedule fields');
+        }
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbit_id, farm_id]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+
+            // A rabbit follows one active schedule at a time
+            if (is_active) {
+                await DatabaseHelper.executeQuery(
+                    `UPDATE feeding_schedules SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+                    WHERE rabbit_id = $1 AND farm_id = $2 AND is_active = 1 AND is_deleted = 0`,
+                    [rabbit_id, farm_id]
+                );
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO feeding_schedules (
+                    id, farm_id, rabbit_id, daily_amount, feed_type, times, special_diet, is_active,
+                    ration_template_id, life_stage, created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [
+                    uuidv4(), farm_id, rabbit_id, daily_amount, feed_type, JSON.stringify([...times].sort()),
+                    special_diet || null, is_active ? 1 : 0, ration_template_id || null, life_stage || null
+                ]
+            );
+            logger.info(`Feeding schedule created for rabbit ${rabbit_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating feeding schedule: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getScheduleById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT fs.*, r.name AS rabbit_name, r.hutch_id, h.name AS hutch_name
+                FROM feeding_schedules fs
+                JOIN rabbits r ON r.rabbit_id = fs.rabbit_id AND r.farm_id = fs.farm_id
+                LEFT JOIN hutches h ON h.id = r.hutch_id
+                WHERE fs.id = $1 AND fs.farm_id = $2 AND fs.is_deleted = 0`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Feeding schedule not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting feeding schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllSchedules(farmId, { rabbit_id, hutch_id, row_id, is_active, limit, offset }) {
+        try {
+            let query = `
+                SELECT fs.*, r.name AS rabbit_name, r.hutch_id, h.name AS hutch_name, h.row_id
+                FROM feeding_schedules fs
+                JOIN rabbits r ON r.rabbit_id = fs.rabbit_id AND r.farm_id = fs.farm_id AND r.is_deleted = 0
+                LEFT JOIN hutches h ON h.id = r.hutch_id
+                WHERE fs.farm_id = $1 AND fs.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND fs.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (hutch_id) {
+                query += ` AND r.hutch_id = $${paramIndex}`;
+                params.push(hutch_id);
+                paramIndex++;
+            }
+            if (row_id) {
+                query += ` AND h.row_id = $${paramIndex}`;
+                params.push(row_id);
+                paramIndex++;
+            }
+            if (is_active !== undefined) {
+                query += ` AND fs.is_active = $${paramIndex}`;
+                params.push(is_active ? 1 : 0);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY h.name ASC NULLS LAST, fs.rabbit_id ASC, fs.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting feeding schedules for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateSchedule(id, farmId, scheduleData, userId) {
+        const { daily_amount, feed_type, times, special_diet, is_active } = scheduleData;
+
+        try {
+            const existing = await this.getScheduleById(id, farmId);
+            if (is_active) {
+                await DatabaseHelper.executeQuery(
+                    `UPDATE feeding_schedules SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+                    WHERE rabbit_id = $1 AND farm_id = $2 AND id != $3 AND is_active = 1 AND is_deleted = 0`,
+                    [existing.rabbit_id, farmId, id]
+                );
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE feeding_schedules
+                SET daily_amount = COALESCE($3, daily_amount),
+                    feed_type = COALESCE($4, feed_type),
+                    times = COALESCE($5, times),
+                    special_diet = COALESCE($6, special_diet),
+                    is_active = COALESCE($7, is_active),
+                    ration_template_id = CASE WHEN $8 THEN NULL ELSE ration_template_id END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [
+                    id,
+                    farmId,
+                    daily_amount || null,
+                    feed_type || null,
+                    times ? JSON.stringify([...times].sort()) : null,
+                    special_diet || null,
+                    is_active === undefined ? null : is_active ? 1 : 0,
+                    // Editing the ration by hand detaches the schedule from its template so syncs leave it alone
+                    [daily_amount, feed_type, times, special_diet].some(value => value !== undefined)
+                ]
+            );
+            logger.info(`Feeding schedule ${id} updated by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error updating feeding schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteSchedule(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE feeding_schedules
+                SET is_deleted = 1, is_active = 0, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Feeding schedule not found');
+            }
+            logger.info(`Feeding schedule ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting feeding schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async applyScheduleToGroup(farmId, groupData, userId) {
+        const { row_id, hutch_ids, ...schedule } = groupData;
+
+        if (!row_id && (!Array.isArray(hutch_ids) || hutch_ids.length === 0)) {
+            throw new ValidationError('Either row_id or hutch_ids is required');
+        }
+
+        try {
+            let rabbits;
+            if (row_id) {
+                rabbits = await RowsService.getRowRabbits(row_id, farmId);
+            } else {
+                const result = await DatabaseHelper.executeQuery(
+                    `SELECT r.rabbit_id, r.hutch_id FROM rabbits r
+                    JOIN hutches h ON h.id = r.hutch_id AND h.is_deleted = 0
+                    WHERE r.farm_id = $1 AND r.hutch_id = ANY($2) AND r.is_deleted = 0
+                    ORDER BY h.name ASC, r.rabbit_id ASC`,
+                    [farmId, hutch_ids]
+                );
+                rabbits = result.rows;
+            }
+            if (rabbits.length === 0) {
+                throw new ValidationError('No rabbits found in the selected row or hutches');
+            }
+
+            const created = [];
+            for (const rabbit of rabbits) {
+                created.push(await this.createSchedule({ ...schedule, farm_id: farmId, rabbit_id: rabbit.rabbit_id }, userId));
+            }
+            logger.info(`Feeding schedule applied to ${created.length} rabbits by user ${userId}`);
+            return created;
+        } catch (error) {
+            logger.error(`Error applying feeding schedule on farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async logFeeding(feedingData, userId) {
+        const { farm_id, rabbit_id, feed_type, amount, unit = 'grams', feeding_time, notes } = feedingData;
+
+        if (!farm_id || !rabbit_id || !feed_type || !amount) {
+            throw new ValidationError('Missing required feeding record fields');
+        }
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT rabbit_id, hutch_id FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbit_id, farm_id]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+
+            // The feeding and what it takes from stock are written together
+            const feeding = {
+                id: uuidv4(), hutch_id: rabbitResult.rows[0].hutch_id, feed_type, amount: String(amount), unit,
+                feeding_time: feeding_time || new Date().toISOString(), notes: notes || null
+            };
+            const deductionQueries = await FeedInventoryService.feedingDeductionQueries(farm_id, [feeding], userId);
+            const [result, ...deductionResults] = await DatabaseHelper.executeTransaction([
+                {
+                    query: `INSERT INTO feeding_records (
+                            id, farm_id, rabbit_id, hutch_id, feed_type, amount, unit, feeding_time, fed_by, notes, created_at, is_deleted
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, 0)
+                        RETURNING *`,
+                    params: [
+                        feeding.id, farm_id, rabbit_id, feeding.hutch_id, feed_type, feeding.amount, unit,
+                        feeding.feeding_time, userId, feeding.notes
+                    ]
+                },
+                ...deductionQueries
+            ]);
+            const record = result.rows[0];
+            await this.markSchedulesFed(farm_id, [rabbit_id], record.feeding_time);
+            const deductions = await FeedInventoryService.settleFeedingDeductions(farm_id, [record], deductionResults, userId);
+            logger.info(`Feeding logged for rabbit ${rabbit_id} by user ${userId}`);
+            return { ...record, stock_deduction: deductions.get(record.id) };
+        } catch (error) {
+            logger.error(`Error logging feeding: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Logs one record per hutch, for a whole row (same amount per hutch) or a list of hutches
+    static async logHutchFeedings(farmId, bulkData, userId) {
+        const { row_id, hutches, feed_type, amount, unit = 'grams', feeding_time, notes } = bulkData;
+
+        if (!row_id && (!Array.isArray(hutches) || hutches.length === 0)) {
+            throw new ValidationError('Either row_id or hutches is required');
+        }
+
+        try {
+            let rabbits;
+            let entries;
+            if (row_id) {
+                rabbits = await RowsService.getRowRabbits(row_id, farmId);
+                entries = [...new Set(rabbits.map(r => r.hutch_id))].map(hutch_id => ({ hutch_id }));
+            } else {
+                const hutchIds = hutches.map(h => h.hutch_id);
+                const hutchResult = await DatabaseHelper.executeQuery(
+                    'SELECT id FROM hutches WHERE id = ANY($1) AND farm_id = $2 AND is_deleted = 0',
+                    [hutchIds, farmId]
+                );
+                const found = new Set(hutchResult.rows.map(h => h.id));
+                const missing = hutchIds.filter(id => !found.has(id));
+                if (missing.length > 0) {
+                    throw new ValidationError(`Hutches not found: ${missing.join(', ')}`);
+                }
+                const rabbitResult = await DatabaseHelper.executeQuery(
+                    'SELECT rabbit_id, hutch_id FROM rabbits WHERE hutch_id = ANY($1) AND farm_id = $2 AND is_deleted = 0',
+                    [hutchIds, farmId]
+                );
+                rabbits = rabbitResult.rows;
+                entries = hutches;
+            }
+            if (entries.length === 0) {
+                throw new ValidationError('No occupied hutches found in this row');
+            }
+
+            // Validate every entry before inserting so a bad one cannot leave a partial log behind
+            const missingFields = entries.filter(entry => !(entry.amount || amount) || !(entry.feed_type || feed_type));
+            if (missingFields.length > 0) {
+                throw new ValidationError(
+                    `Missing amount or feed type for hutches: ${missingFields.map(entry => entry.hutch_id).join(', ')}`
+                );
+            }
+
+            const fedAt = feeding_time || new Date().toISOString();
+            const feedings = entries.map(entry => ({
+                id: uuidv4(), hutch_id: entry.hutch_id, feed_type: entry.feed_type || feed_type,
+                amount: String(entry.amount || amount), unit: entry.unit || unit, notes: entry.notes || notes || null
+            }));
+            // The feedings and what they take from stock are written together
+            const deductionQueries = await FeedInventoryService.feedingDeductionQueries(farmId, feedings, userId);
+            const results = await DatabaseHelper.executeTransaction([
+                ...feedings.map(feeding => ({
+                    query: `INSERT INTO feeding_records (
+                            id, farm_id, rabbit_id, hutch_id, feed_type, amount, unit, feeding_time, fed_by, notes, created_at, is_deleted
+                        ) VALUES ($1, $2, NULL, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, 0)
+                        RETURNING *`,
+                    params: [
+                        feeding.id, farmId, feeding.hutch_id, feeding.feed_type, feeding.amount,
+                        feeding.unit, fedAt, userId, feeding.notes
+                    ]
+                })),
+                ...deductionQueries
+            ]);
+            const records = results.slice(0, feedings.length).map(result => result.rows[0]);
+            const deductions = await FeedInventoryService.settleFeedingDeductions(farmId, records, results.slice(feedings.length), userId);
+            for (const record of records) {
+                record.stock_deduction = deductions.get(record.id);
+            }
+
+            await this.markSchedulesFed(farmId, rabbits.map(r => r.rabbit_id), fedAt);
+            logger.info(`${records.length} hutch feedings logged on farm ${farmId} by user ${userId}`);
+            return {
+                feeding_time: fedAt,
+                hutches_fed: records.length,
+                rabbits_fed: rabbits.length,
+                records,
+            };
+        } catch (error) {
+            logger.error(`Error logging hutch feedings on farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async markSchedulesFed(farmId, rabbitIds, fedAt) {
+        if (rabbitIds.length === 0) {
+            return;
+        }
+        await DatabaseHelper.executeQuery(
+            `UPDATE feeding_schedules
+            SET last_fed = GREATEST(COALESCE(last_fed, $3), $3), updated_at = CURRENT_TIMESTAMP
+            WHERE farm_id = $1 AND rabbit_id = ANY($2) AND is_active = 1 AND is_deleted = 0`,
+            [farmId, rabbitIds, fedAt]
+        );
+    }
+
+    static async getFeedingRecords(farmId, { rabbit_id, hutch_id, feed_type, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT fr.*, r.name AS rabbit_name, h.name AS hutch_name, u.name AS fed_by_name
+                FROM feeding_records fr
+                LEFT JOIN rabbits r ON r.rabbit_id = fr.rabbit_id
+                LEFT JOIN hutches h ON h.id = fr.hutch_id
+                LEFT JOIN users u ON u.id = fr.fed_by
+                WHERE fr.farm_id = $1 AND fr.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND fr.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (hutch_id) {
+                query += ` AND fr.hutch_id = $${paramIndex}`;
+                params.push(hutch_id);
+                paramIndex++;
+            }
+            if (feed_type) {
+                query += ` AND fr.feed_type = $${paramIndex}`;
+                params.push(feed_type);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND fr.feeding_time >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND fr.feeding_time < ($${paramIndex}::date + 1)`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY fr.feeding_time DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting feeding records for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteFeedingRecord(id, farmId, userId) {
+        try {
+            // The feed it took comes back into stock
+            const [result] = await DatabaseHelper.executeTransaction([
+                {
+                    query: `UPDATE feeding_records
+                        SET is_deleted = 1
+                        WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                        RETURNING *`,
+                    params: [id, farmId]
+                },
+                ...FeedInventoryService.feedingReversalQueries(farmId, id)
+            ]);
+            if (result.rows.length === 0) {
+                throw new ValidationError('Feeding record not found');
+            }
+            const record = result.rows[0];
+            await FeedInventoryService.checkLowStock(farmId, record.feed_type, userId);
+            logger.info(`Feeding record ${id} soft deleted by user ${userId}`);
+            return record;
+        } catch (error) {
+            logger.error(`Error deleting feeding record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getTodayTasks(farmId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const now = dayjs().tz(tz);
+            const today = now.format('YYYY-MM-DD');
+            const dayStart = now.startOf('day');
+            const dayEnd = now.endOf('day');
+
+            const schedules = await this.getAllSchedules(farmId, { is_active: true });
+            // Hutch-level records (rabbit_id NULL) count for every rabbit in that hutch
+            const recordsResult = await DatabaseHelper.executeQuery(
+                `SELECT rabbit_id, hutch_id, feeding_time FROM feeding_records
+                WHERE farm_id = $1 AND is_deleted = 0 AND feeding_time >= $2 AND feeding_time <= $3
+                ORDER BY feeding_time ASC`,
+                [farmId, dayStart.toISOString(), dayEnd.toISOString()]
+            );
+            const records = recordsResult.rows;
+
+            const tasks = [];
+            for (const schedule of schedules) {
+                const times = Array.isArray(schedule.times) ? [...schedule.times].sort() : [];
+                const amount = parseAmount(schedule.daily_amount);
+                const feedings = records
+                    .filter(r => r.rabbit_id === schedule.rabbit_id || (!r.rabbit_id && r.hutch_id === schedule.hutch_id))
+                    .map(r => dayjs(r.feeding_time));
+                const slots = times.map(time => dayjs.tz(`${today}T${time}:00`, tz));
+
+                times.forEach((time, index) => {
+                    const scheduledAt = slots[index];
+                    // A feeding counts for the slot it is closest to: windows split halfway between slots
+                    const windowStart = index === 0
+                        ? dayStart
+                        : scheduledAt.subtract(scheduledAt.diff(slots[index - 1]) / 2, 'millisecond');
+                    const windowEnd = index === slots.length - 1
+                        ? dayEnd
+                        : scheduledAt.add(slots[index + 1].diff(scheduledAt) / 2, 'millisecond');
+                    const fedAt = feedings.find(f => !f.isBefore(windowStart) && f.isBefore(windowEnd));
+
+                    let status = 'upcoming';
+                    if (fedAt) {
+                        status = 'completed';
+                    } else if (now.isAfter(scheduledAt.add(FEEDING_GRACE_MINUTES, 'minute'))) {
+                        status = 'missed';
+                    } else if (!now.isBefore(scheduledAt)) {
+                        status = 'due';
+                    }
+                    tasks.push({
+                        schedule_id: schedule.id,
+                        rabbit_id: schedule.rabbit_id,
+                        rabbit_name: schedule.rabbit_name,
+                        hutch_id: schedule.hutch_id,
+                        hutch_name: schedule.hutch_name,
+                        row_id: schedule.row_id,
+                        feed_type: schedule.feed_type,
+                        special_diet: schedule.special_diet,
+                        time,
+                        scheduled_at: scheduledAt.format(),
+                        amount: amount
+                            ? `${parseFloat((amount.value / times.length).toFixed(2))}${amount.unit}`
+                            : schedule.daily_amount,
+                        status,
+                        fed_at: fedAt ? fedAt.tz(tz).format() : null,
+                    });
+                });
+            }
+            tasks.sort((a, b) => a.time.localeCompare(b.time) || (a.hutch_name || '').localeCompare(b.hutch_name || ''));
+
+            return {
+                date: today,
+                timezone: tz,
+                total_tasks: tasks.length,
+                completed: tasks.filter(t => t.status === 'completed').length,
+                missed: tasks.filter(t => t.status === 'missed').length,
+                tasks,
+            };
+        } catch (error) {
+            logger.error(`Error getting today's feeding tasks for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getRabbitLifeStages(farmId, today, { rabbit_id } = {}) {
+        // Kindlings are recorded on the breeding record first and in the birth history once kits are registered
+        let query = `
+            SELECT r.rabbit_id, r.name, r.hutch_id, r.gender, r.birth_date, r.is_pregnant,
+                GREATEST(
+                    (SELECT MAX(rbh.birth_date) FROM rabbit_birth_history rbh
+                        WHERE rbh.doe_id = r.rabbit_id AND rbh.farm_id = r.farm_id AND rbh.is_deleted = 0),
+                    (SELECT MAX(br.actual_birth_date) FROM breeding_records br
+                        WHERE br.doe_id = r.rabbit_id AND br.farm_id = r.farm_id AND br.is_deleted = 0)
+                ) AS last_kindled_on,
+                fs.id AS schedule_id, fs.feed_type AS scheduled_feed_type,
+                fs.ration_template_id, fs.life_stage AS scheduled_life_stage, fs.created_at AS schedule_created_at
+            FROM rabbits r
+            LEFT JOIN feeding_schedules fs ON fs.rabbit_id = r.rabbit_id AND fs.farm_id = r.farm_id
+                AND fs.is_active = 1 AND fs.is_deleted = 0
+            WHERE r.farm_id = $1 AND r.is_deleted = 0`;
+        const params = [farmId];
+        if (rabbit_id) {
+            query += ' AND r.rabbit_id = $2';
+            params.push(rabbit_id);
+        }
+        const result = await DatabaseHelper.executeQuery(query, params);
+        return result.rows.map(rabbit => ({ ...rabbit, life_stage: lifeStage(rabbit, today) }));
+    }
+
+    /**
+     * Forecast daily consumption per feed type and the days until each runs out.
+     * Current consumption comes from recent feeding records, falling back to active
+     * schedules plus life-stage estimates for unscheduled rabbits. Litters expected from
+     * open breeding records add kit intake and the doe's lactation demand once born.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} [options]
+     * @param {number} [options.lookback_days=14] - Days of feeding records to average
+     * @param {number} [options.horizon_days=60] - Days to project forward
+     * @returns {Promise<Object>} - Herd breakdown, expected litters and per-feed-type forecast
+     */
+    static async getForecast(farmId, { lookback_days = 14, horizon_days = 60 } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const since = dayjs.tz(today, tz).subtract(lookback_days, 'day');
+
+            const rabbits = await this.getRabbitLifeStages(farmId, today);
+            const schedules = await this.getAllSchedules(farmId, { is_active: true });
+            const recordsResult = await DatabaseHelper.executeQuery(
+                `SELECT feed_type, amount, unit FROM feeding_records
+                WHERE farm_id = $1 AND is_deleted = 0 AND feeding_time >= $2 AND feeding_time < $3`,
+                [farmId, since.toISOString(), dayjs.tz(today, tz).toISOString()]
+            );
+            const stock = await FeedInventoryService.getStockSummary(farmId);
+
+            const feedTypes = new Map();
+            const feedTypeEntry = feedType => {
+                const key = feedType.toLowerCase();
+                if (!feedTypes.has(key)) {
+                    feedTypes.set(key, {
+                        feed_type: feedType, stock_kg: 0, scheduled_daily_kg: 0, recent_daily_kg: 0,
+                        unscheduled_estimate_daily_kg: 0, extra: new Array(horizon_days).fill(0),
+                    });
+                }
+                return feedTypes.get(key);
+            };
+            const amountKg = (amount, unit) => {
+                try {
+                    return FeedInventoryService.toKg(amount, unit);
+                } catch {
+                    return 0;
+                }
+            };
+
+            for (const item of stock) {
+                feedTypeEntry(item.feed_type).stock_kg = round(item.quantity_kg - item.expired_kg);
+            }
+            for (const schedule of schedules) {
+                const amount = parseAmount(schedule.daily_amount);
+                if (amount) {
+                    feedTypeEntry(schedule.feed_type).scheduled_daily_kg += amountKg(amount.value, amount.unit);
+                }
+            }
+            for (const record of recordsResult.rows) {
+                feedTypeEntry(record.feed_type).recent_daily_kg += amountKg(record.amount, record.unit) / lookback_days;
+            }
+
+            // Unscheduled rabbits are estimated by life stage against the most used feed type
+            const current = entry => (entry.recent_daily_kg > 0 ? entry.recent_daily_kg : entry.scheduled_daily_kg);
+            let primary = [...feedTypes.values()].sort((a, b) => current(b) - current(a))[0];
+            const primaryEntry = () => primary || (primary = feedTypeEntry('unassigned'));
+            const unscheduled = rabbits.filter(r => !r.scheduled_feed_type);
+            if (unscheduled.length > 0) {
+                primaryEntry().unscheduled_estimate_daily_kg = unscheduled
+                    .reduce((sum, r) => sum + LIFE_STAGE_DAILY_FEED_KG[r.life_stage], 0);
+            }
+
+            // Expected litters from open breeding records, sized by the doe's (or farm's) average litter
+            const littersResult = await DatabaseHelper.executeQuery(
+                `SELECT br.id, br.doe_id, TO_CHAR(br.expected_birth_date, 'YYYY-MM-DD') AS expected_birth_date,
+                    (SELECT AVG(past.number_of_kits) FROM breeding_records past
+                        WHERE past.doe_id = br.doe_id AND past.farm_id = br.farm_id AND past.is_deleted = 0
+                        AND past.actual_birth_date IS NOT NULL AND past.number_of_kits IS NOT NULL) AS doe_average,
+                    (SELECT AVG(farm.number_of_kits) FROM breeding_records farm
+                        WHERE farm.farm_id = br.farm_id AND farm.is_deleted = 0
+                        AND farm.actual_birth_date IS NOT NULL AND farm.number_of_kits IS NOT NULL) AS farm_average
+                FROM breeding_records br
+                JOIN rabbits doe ON doe.rabbit_id = br.doe_id AND doe.is_deleted = 0
+                WHERE br.farm_id = $1 AND br.is_deleted = 0 AND br.actual_birth_date IS NULL
+                AND br.expected_birth_date IS NOT NULL AND br.expected_birth_date >= $2 AND br.expected_birth_date < $3
+                ORDER BY br.expected_birth_date ASC`,
+                [farmId, today, dayjs(today).add(horizon_days, 'day').format('YYYY-MM-DD')]
+            );
+            const rabbitFeedType = new Map(rabbits.map(r => [r.rabbit_id, r.scheduled_feed_type]));
+            const expectedLitters = littersResult.rows.map(litter => {
+                const expectedKits = Math.round(parseFloat(litter.doe_average || litter.farm_average) || DEFAULT_LITTER_SIZE);
+                const entry = rabbitFeedType.get(litter.doe_id) ? feedTypeEntry(rabbitFeedType.get(litter.doe_id)) : primaryEntry();
+                const birthOffset = dayjs(litter.expected_birth_date).diff(dayjs(today), 'day');
+                const lactationExtra = LIFE_STAGE_DAILY_FEED_KG.lactating - LIFE_STAGE_DAILY_FEED_KG.pregnant;
+                for (let day = Math.max(birthOffset, 0); day < horizon_days; day++) {
+                    const age = day - birthOffset;
+                    entry.extra[day] += expectedKits * kitDailyFeedKg(age) + (age < LACTATION_DAYS ? lactationExtra : 0);
+                }
+                return {
+                    breeding_record_id: litter.id,
+                    doe_id: litter.doe_id,
+                    expected_birth_date: litter.expected_birth_date,
+                    expected_kits: expectedKits,
+                    feed_type: entry.feed_type,
+                };
+            });
+
+            const forecast = [...feedTypes.values()].map(entry => {
+                const basis = entry.recent_daily_kg > 0 ? 'records' : 'schedules';
+                const currentDailyKg = basis === 'records'
+                    ? entry.recent_daily_kg
+                    : entry.scheduled_daily_kg + entry.unscheduled_estimate_daily_kg;
+
+                // Walk the horizon day by day, then extrapolate at the last day's rate
+                let remaining = entry.stock_kg;
+                let daysRemaining = null;
+                let projectedKg = 0;
+                for (let day = 0; day < horizon_days; day++) {
+                    const demand = currentDailyKg + entry.extra[day];
+                    projectedKg += demand;
+                    if (daysRemaining === null && demand > 0 && remaining < demand) {
+                        daysRemaining = day;
+                    }
+                    remaining -= demand;
+                }
+                const lastDemand = currentDailyKg + (entry.extra[horizon_days - 1] || 0);
+                if (daysRemaining === null && lastDemand > 0) {
+                    daysRemaining = horizon_days + Math.floor(remaining / lastDemand);
+                }
+
+                let status = 'ok';
+                if (entry.stock_kg === 0) {
+                    status = 'out_of_stock';
+                } else if (daysRemaining !== null && daysRemaining <= FEED_REORDER_LEAD_DAYS) {
+                    status = 'reorder_soon';
+                }
+                return {
+                    feed_type: entry.feed_type,
+                    stock_kg: round(entry.stock_kg),
+                    basis,
+                    recent_daily_kg: round(entry.recent_daily_kg, 3),
+                    scheduled_daily_kg: round(entry.scheduled_daily_kg, 3),
+                    unscheduled_estimate_daily_kg: round(entry.unscheduled_estimate_daily_kg, 3),
+                    current_daily_kg: round(currentDailyKg, 3),
+                    expected_kits_daily_kg: round(entry.extra.reduce((sum, kg) => sum + kg, 0) / horizon_days, 3),
+                    projected_consumption_kg: round(projectedKg),
+                    days_remaining: daysRemaining,
+                    run_out_date: daysRemaining === null ? null : dayjs(today).add(daysRemaining, 'day').format('YYYY-MM-DD'),
+                    status,
+                };
+            }).sort((a, b) => (a.days_remaining ?? Infinity) - (b.days_remaining ?? Infinity));
+
+            const byStage = Object.keys(LIFE_STAGE_DAILY_FEED_KG).map(stage => {
+                const count = rabbits.filter(r => r.life_stage === stage).length;
+                return {
+                    life_stage: stage,
+                    rabbits: count,
+                    estimated_daily_kg: round(count * LIFE_STAGE_DAILY_FEED_KG[stage], 3),
+                };
+            });
+
+            return {
+                as_of: today,
+                lookback_days,
+                horizon_days,
+                herd: {
+                    total_rabbits: rabbits.length,
+                    unscheduled_rabbits: unscheduled.length,
+                    by_life_stage: byStage,
+                },
+                expected_litters: expectedLitters,
+                feed_types: forecast,
+            };
+        } catch (error) {
+            logger.error(`Error forecasting feed for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getMissedFeedings(farmId) {
+        try {
+            const { date, timezone: tz, tasks } = await this.getTodayTasks(farmId);
+            const missed = tasks.filter(t => t.status === 'missed');
+            return {
+                date,
+                timezone: tz,
+                total_missed: missed.length,
+                rabbits_affected: new Set(missed.map(t => t.rabbit_id)).size,
+                missed,
+            };
+        } catch (error) {
+            logger.error(`Error getting missed feedings for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default FeedingService;
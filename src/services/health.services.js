@@ -0,0 +1,261 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import VaccinationService from './vaccination.services.js';
+import OutbreakService from './outbreak.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/dates.js';
+import dayjs from 'dayjs';
+
+class HealthService {
+    static async createHealthRecord(healthData, userId) {
+        const {
+            farm_id, rabbit_id, type, description, date, next_due, status, veterinarian, notes, vaccination_schedule_id,
+            drug_name, dosage, withdrawal_days, cost
+        } = healthData;
+
+        if (!farm_id || !rabbit_id || !type || !description || !date) {
+            throw new ValidationError('Missing required health record fields');
+        }
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbit_id, farm_id]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+
+            // Vaccinations given against a schedule default their next_due to the schedule frequency
+            let nextDue = next_due || null;
+            if (vaccination_schedule_id) {
+                if (type !== 'vaccination') {
+                    throw new ValidationError('vaccination_schedule_id can only be set on vaccination records');
+                }
+                const schedule = await VaccinationService.getScheduleById(vaccination_schedule_id, farm_id);
+                nextDue = nextDue || dayjs(date).add(schedule.frequency_days, 'day').format('YYYY-MM-DD');
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO health_records (
+                    id, farm_id, rabbit_id, type, description, date, next_due, status, veterinarian, notes,
+                    vaccination_schedule_id, drug_name, dosage, withdrawal_days, cost, created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [
+                    uuidv4(), farm_id, rabbit_id, type, description, date, nextDue,
+                    status || 'completed', veterinarian || null, notes || null, vaccination_schedule_id || null,
+                    drug_name || null, dosage || null, withdrawal_days ?? null, cost ?? null
+                ]
+            );
+
+            await VaccinationService.completeAlertsForHealthRecord(result.rows[0]);
+            if (['treatment', 'medication', 'other'].includes(type)) {
+                await OutbreakService.scanAfterCase(farm_id, userId);
+            }
+            logger.info(`Health record (${type}) created for rabbit ${rabbit_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating health record: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getHealthRecordById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT hr.*, r.name AS rabbit_name, r.hutch_id
+                FROM health_records hr
+                LEFT JOIN rabbits r ON hr.rabbit_id = r.rabbit_id AND r.farm_id = $2
+                WHERE hr.id = $1 AND hr.farm_id = $2 AND hr.is_deleted = 0`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health record not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting health record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllHealthRecords(farmId, { rabbit_id, type, status, date_from, date_to, next_due_from, next_due_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT hr.*, r.name AS rabbit_name, r.hutch_id
+                FROM health_records hr
+                LEFT JOIN rabbits r ON hr.rabbit_id = r.rabbit_id AND r.farm_id = $1
+                WHERE hr.farm_id = $1 AND hr.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND hr.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (type) {
+                query += ` AND hr.type = $${paramIndex}`;
+                params.push(type);
+                paramIndex++;
+            }
+            if (status) {
+                query += ` AND hr.status = $${paramIndex}`;
+                params.push(status);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND hr.date >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND hr.date <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+            if (next_due_from) {
+                query += ` AND hr.next_due >= $${paramIndex}`;
+                params.push(next_due_from);
+                paramIndex++;
+            }
+            if (next_due_to) {
+                query += ` AND hr.next_due <= $${paramIndex}`;
+                params.push(next_due_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY hr.date DESC, hr.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting health records for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateHealthRecord(id, farmId, healthData, userId) {
+        const { type, description, date, next_due, status, veterinarian, notes, drug_name, dosage, withdrawal_days, cost } = healthData;
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE health_records
+                SET type = COALESCE($3, type),
+                    description = COALESCE($4, description),
+                    date = COALESCE($5, date),
+                    next_due = COALESCE($6, next_due),
+                    status = COALESCE($7, status),
+                    veterinarian = COALESCE($8, veterinarian),
+                    notes = COALESCE($9, notes),
+                    drug_name = COALESCE($10, drug_name),
+                    dosage = COALESCE($11, dosage),
+                    withdrawal_days = COALESCE($12, withdrawal_days),
+                    cost = COALESCE($13, cost),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [
+                    id,
+                    farmId,
+                    type || null,
+                    description || null,
+                    date || null,
+                    next_due || null,
+                    status || null,
+                    veterinarian || null,
+                    notes || null,
+                    drug_name || null,
+                    dosage || null,
+                    withdrawal_days ?? null,
+                    cost ?? null
+                ]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health record not found');
+            }
+            await VaccinationService.completeAlertsForHealthRecord(result.rows[0]);
+            logger.info(`Health record ${id} updated by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error updating health record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteHealthRecord(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE health_records
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health record not found');
+            }
+            logger.info(`Health record ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting health record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getRabbitsUnderWithdrawal(farmId, { rabbit_id, on_date } = {}) {
+        try {
+            const onDate = on_date || getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            // A rabbit is clear for sale from date + withdrawal_days of its latest-ending medication
+            // given on or before the date checked
+            let query = `
+                SELECT DISTINCT ON (hr.rabbit_id)
+                    hr.rabbit_id, r.name AS rabbit_name, r.hutch_id, hr.id AS health_record_id,
+                    hr.drug_name, hr.dosage, hr.date AS treatment_date, hr.withdrawal_days,
+                    TO_CHAR(hr.date + hr.withdrawal_days, 'YYYY-MM-DD') AS clear_date,
+                    (hr.date + hr.withdrawal_days) - $2::date AS days_remaining
+                FROM health_records hr
+                JOIN rabbits r ON hr.rabbit_id = r.rabbit_id AND r.farm_id = hr.farm_id AND r.is_deleted = 0
+                WHERE hr.farm_id = $1 AND hr.is_deleted = 0 AND hr.withdrawal_days > 0
+                AND hr.date <= $2::date AND hr.date + hr.withdrawal_days > $2::date`;
+            const params = [farmId, onDate];
+
+            if (rabbit_id) {
+                query += ' AND hr.rabbit_id = $3';
+                params.push(rabbit_id);
+            }
+            query += ' ORDER BY hr.rabbit_id, hr.date + hr.withdrawal_days DESC';
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting rabbits under withdrawal for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async assertNotUnderWithdrawal(rabbitId, farmId, saleDate) {
+        const onDate = saleDate ? dayjs(saleDate).format('YYYY-MM-DD') : undefined;
+        const [withdrawal] = await this.getRabbitsUnderWithdrawal(farmId, { rabbit_id: rabbitId, on_date: onDate });
+        if (withdrawal) {
+            throw new ValidationError(
+                `Rabbit ${rabbitId} is under a meat withdrawal period${withdrawal.drug_name ? ` for ${withdrawal.drug_name}` : ''} and cannot be sold until ${withdrawal.clear_date}`
+            );
+        }
+    }
+}
+
+export default HealthService;
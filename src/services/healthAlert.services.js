@@ -0,0 +1,212 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import AlertService from './alerts.services.js';
+import QuarantineService from './quarantine.services.js';
+import OutbreakService from './outbreak.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/dates.js';
+
+// Orders high severity first when listing alerts
+const SEVERITY_ORDER = `CASE ha.severity WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 ELSE 4 END`;
+
+class HealthAlertService {
+    static async createHealthAlert(alertData, userId) {
+        const { farm_id, rabbit_id, alert_type, severity = 'medium', message, quarantine = false } = alertData;
+
+        if (!farm_id || !rabbit_id || !alert_type || !message) {
+            throw new ValidationError('Missing required health alert fields');
+        }
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT rabbit_id, hutch_id, is_quarantined FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbit_id, farm_id]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+            const rabbit = rabbitResult.rows[0];
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO health_alerts (
+                    id, farm_id, rabbit_id, alert_type, severity, message, is_read, is_resolved,
+                    created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, false, false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [uuidv4(), farm_id, rabbit_id, alert_type, severity, message]
+            );
+            const healthAlert = result.rows[0];
+
+            // High severity health alerts are also raised as generic alerts so they are emailed
+            if (severity === 'high') {
+                await AlertService.createAlert({
+                    farm_id,
+                    user_id: userId,
+                    rabbit_id,
+                    hutch_id: rabbit.hutch_id,
+                    name: `Health Alert: ${alert_type.replace(/_/g, ' ')} (${rabbit_id})`,
+                    alert_start_date: new Date().toISOString(),
+                    alert_type: 'health',
+                    severity,
+                    message: `Rabbit ${rabbit_id} on hutch ${rabbit.hutch_id || 'unknown'}: ${message}`,
+                    notify_on: [getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farm_id))]
+                });
+            }
+
+            // Sick or injured rabbits can be isolated as the alert is raised
+            if (quarantine && !rabbit.is_quarantined) {
+                await QuarantineService.quarantineRabbit(farm_id, rabbit_id, { reason: `${alert_type.replace(/_/g, ' ')}: ${message}` }, userId);
+            }
+
+            await OutbreakService.scanAfterCase(farm_id, userId);
+
+            logger.info(`Health alert (${alert_type}, ${severity}) raised for rabbit ${rabbit_id} by user ${userId}`);
+            return healthAlert;
+        } catch (error) {
+            logger.error(`Error creating health alert: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getHealthAlertById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT ha.*, r.name AS rabbit_name, r.hutch_id
+                FROM health_alerts ha
+                LEFT JOIN rabbits r ON ha.rabbit_id = r.rabbit_id AND r.farm_id = $2
+                WHERE ha.id = $1 AND ha.farm_id = $2 AND ha.is_deleted = 0`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health alert not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting health alert ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllHealthAlerts(farmId, { rabbit_id, severity, alert_type, is_read, is_resolved = false, limit, offset }) {
+        try {
+            let query = `
+                SELECT ha.*, r.name AS rabbit_name, r.hutch_id
+                FROM health_alerts ha
+                LEFT JOIN rabbits r ON ha.rabbit_id = r.rabbit_id AND r.farm_id = $1
+                WHERE ha.farm_id = $1 AND ha.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND ha.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (severity) {
+                query += ` AND ha.severity = $${paramIndex}`;
+                params.push(severity);
+                paramIndex++;
+            }
+            if (alert_type) {
+                query += ` AND ha.alert_type = $${paramIndex}`;
+                params.push(alert_type);
+                paramIndex++;
+            }
+            if (is_read !== undefined) {
+                query += ` AND ha.is_read = $${paramIndex}`;
+                params.push(is_read);
+                paramIndex++;
+            }
+            if (is_resolved !== undefined) {
+                query += ` AND ha.is_resolved = $${paramIndex}`;
+                params.push(is_resolved);
+                paramIndex++;
+            }
+
+            query += ` ORDER BY ${SEVERITY_ORDER}, ha.created_at DESC`;
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting health alerts for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async markHealthAlertRead(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE health_alerts
+                SET is_read = true, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health alert not found');
+            }
+            logger.info(`Health alert ${id} marked as read by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error marking health alert ${id} as read: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async resolveHealthAlert(id, farmId, userId) {
+        try {
+            const existing = await this.getHealthAlertById(id, farmId);
+            if (existing.is_resolved) {
+                throw new ValidationError('Health alert is already resolved');
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE health_alerts
+                SET is_resolved = true, is_read = true, resolved_at = CURRENT_TIMESTAMP,
+                    resolved_by = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId, userId]
+            );
+            logger.info(`Health alert ${id} resolved by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error resolving health alert ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteHealthAlert(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE health_alerts
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Health alert not found');
+            }
+            logger.info(`Health alert ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting health alert ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default HealthAlertService;
@@ -4,7 +4,7 @@ import { ValidationError } from '../middleware/errors.js';
 
 class HutchesService {
     static async createHutch(hutchData, userId) {
-        const { farm_id, row_id, level, position, size = 'medium', material = 'wire', features, last_cleaned, is_occupied = false, is_deleted = 0, name } = hutchData;
+        const { farm_id, row_id, level, position, size = 'medium', material = 'wire', features, last_cleaned, is_occupied = false, is_deleted = 0, name, is_quarantine = false } = hutchData;
         if (!farm_id || !name || !level || !position || !size || !material) {
             throw new ValidationError('Missing required hutch fields');
         }
@@ -84,11 +84,12 @@ class HutchesService {
                 JSON.stringify(features || ['water bottle', 'feeder']),
                 is_occupied,
                 last_cleaned || null,
-                is_deleted
+                is_deleted,
+                is_quarantine
             ];
             const result = await DatabaseHelper.executeQuery(
-                `INSERT INTO hutches (id, row_id, farm_id, name, level, position, size, material, features, is_occupied, last_cleaned, created_at, updated_at, is_deleted)
-                 VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $11) 
+                `INSERT INTO hutches (id, row_id, farm_id, name, level, position, size, material, features, is_occupied, last_cleaned, created_at, updated_at, is_deleted, is_quarantine)
+                 VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $11, $12) 
                  RETURNING *`,
                 insertValues
             );
@@ -133,7 +134,7 @@ class HutchesService {
         }
     }
 
-    static async getAllHutches(farmId, { rowId, limit, offset, is_occupied }) {
+    static async getAllHutches(farmId, { rowId, limit, offset, is_occupied, is_quarantine }) {
         try {
             let query = 'SELECT h.*, r.name AS row_name FROM hutches h LEFT JOIN rows r ON h.row_id = r.id WHERE h.farm_id = $1 AND h.is_deleted = 0';
             const params = [farmId];
@@ -149,6 +150,11 @@ class HutchesService {
                 params.push(is_occupied);
             }
 
+            if (is_quarantine !== undefined) {
+                query += ` AND h.is_quarantine = $${paramIndex++}`;
+                params.push(is_quarantine);
+            }
+
             query += ' ORDER BY level ASC, position ASC';
 
             if (limit) {
@@ -170,7 +176,7 @@ class HutchesService {
     }
 
     static async updateHutch(id, farmId, hutchData, userId) {
-        const { row_id, level, position, size, material, features, is_occupied, last_cleaned, name } = hutchData;
+        const { row_id, level, position, size, material, features, is_occupied, last_cleaned, name, is_quarantine } = hutchData;
         try {
             if (row_id) {
                 const rowResult = await DatabaseHelper.executeQuery(
@@ -217,7 +223,8 @@ class HutchesService {
             const result = await DatabaseHelper.executeQuery(
                 `UPDATE hutches SET row_id = COALESCE($1, row_id), level = COALESCE($2, level), position = COALESCE($3, position), 
                  size = COALESCE($4, size), material = COALESCE($5, material), features = COALESCE($6, features), 
-                 is_occupied = COALESCE($7, is_occupied), last_cleaned = $8, name = COALESCE($9, name), updated_at = CURRENT_TIMESTAMP
+                 is_occupied = COALESCE($7, is_occupied), last_cleaned = $8, name = COALESCE($9, name),
+                 is_quarantine = COALESCE($12, is_quarantine), updated_at = CURRENT_TIMESTAMP
                  WHERE id = $10 AND farm_id = $11 AND is_deleted = 0 RETURNING *`,
                 [
                     row_id || null,
@@ -230,7 +237,8 @@ class HutchesService {
                     last_cleaned || null,
                     name,
                     id,
-                    farmId
+                    farmId,
+                    is_quarantine
                 ]
             );
             if (result.rows.length === 0) {
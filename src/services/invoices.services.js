@@ -0,0 +1,832 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dayjs from 'dayjs';
+import PDFDocument from 'pdfkit';
+import EmailService from './email.services.js';
+import CustomersService from './customers.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/dates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const TEMPLATE_PATH = path.join(__dirname, '../templates/invoice.html');
+
+const INVOICE_SELECT = `
+    SELECT i.id, i.farm_id, i.invoice_number, i.customer_id, c.name AS customer_name,
+        i.bill_to_name, i.bill_to_email, i.bill_to_phone, i.bill_to_address, i.currency, i.status,
+        TO_CHAR(i.issue_date, 'YYYY-MM-DD') AS issue_date, TO_CHAR(i.due_date, 'YYYY-MM-DD') AS due_date,
+        i.notes, i.void_reason, i.issued_at, i.voided_at, i.last_sent_at, i.created_by, i.created_at, i.updated_at,
+        COALESCE(t.items, 0)::INTEGER AS item_count,
+        COALESCE(t.total, 0) AS total,
+        COALESCE(t.amount_paid, 0) AS amount_paid,
+        COALESCE(t.total, 0) - COALESCE(t.amount_paid, 0) AS balance_due
+    FROM invoices i
+    LEFT JOIN customers c ON c.id = i.customer_id
+    LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS items, SUM(ii.amount) AS total, SUM(LEAST(er.amount_paid, ii.amount)) AS amount_paid
+        FROM invoice_items ii
+        JOIN earnings_records er ON er.id = ii.earnings_record_id
+        WHERE ii.invoice_id = i.id
+    ) t ON true`;
+
+const SALE_LABELS = {
+    rabbit_sale: 'Rabbit',
+    manure_sale: 'Rabbit manure',
+    urine_sale: 'Rabbit urine',
+    other: 'Sale',
+};
+
+let emailService;
+
+// Shared so rendering does not open a mail transport per request
+function getEmailService() {
+    if (!emailService) {
+        emailService = new EmailService({}, logger);
+    }
+    return emailService;
+}
+
+function money(value) {
+    return parseFloat(parseFloat(value).toFixed(2));
+}
+
+function formatMoney(value) {
+    return money(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Line description for a sale, e.g. "Rabbit RB-004 (live), 2.5 kg"
+function describeSale(sale) {
+    let description = SALE_LABELS[sale.type] || 'Sale';
+    if (sale.type === 'rabbit_sale' && sale.rabbit_id) description += ` ${sale.rabbit_id}`;
+    if (sale.sale_type) description += ` (${sale.sale_type})`;
+    if (sale.weight) description += `, ${parseFloat(sale.weight)} kg`;
+    const extras = [sale.includes_manure && 'manure', sale.includes_urine && 'urine'].filter(Boolean);
+    if (sale.type === 'rabbit_sale' && extras.length > 0) description += `, with ${extras.join(' and ')}`;
+    return description;
+}
+
+// An invoice that has been paid in full is handed over as a receipt
+function documentTitle(invoice) {
+    return invoice.status === 'paid' ? 'Receipt' : 'Invoice';
+}
+
+class InvoicesService {
+    /**
+     * Query that marks invoices paid once every sale on them is paid in full, and back to issued
+     * when that stops being true. Drafts and void invoices are left alone.
+     * @param {string[]} invoiceIds - Invoice IDs
+     * @returns {Object} - Query and params for executeTransaction
+     */
+    static syncStatusQuery(invoiceIds) {
+        return {
+            query: `UPDATE invoices
+                SET status = CASE WHEN EXISTS (
+                        SELECT 1 FROM invoice_items ii
+                        JOIN earnings_records er ON er.id = ii.earnings_record_id
+                        WHERE ii.invoice_id = invoices.id AND er.amount_paid < er.amount
+                    ) THEN 'issued' ELSE 'paid' END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ANY($1) AND status IN ('issued', 'paid')`,
+            params: [invoiceIds]
+        };
+    }
+
+    /**
+     * Invoices a sale is billed on, issued or paid ones unless other statuses are asked for.
+     * @param {string} earningsId - Earnings record ID
+     * @param {string} farmId - Farm UUID
+     * @param {string[]} [statuses] - Invoice statuses to include
+     * @returns {Promise<Array>} - id, invoice_number and status of each invoice
+     */
+    static async getInvoicesForSale(earningsId, farmId, statuses = ['issued', 'paid']) {
+        const result = await DatabaseHelper.executeQuery(
+            `SELECT i.id, i.invoice_number, i.status
+            FROM invoice_items ii
+            JOIN invoices i ON i.id = ii.invoice_id
+            WHERE ii.earnings_record_id = $1 AND i.farm_id = $2 AND i.status = ANY($3) AND i.is_deleted = 0
+            ORDER BY i.status = 'draft'`,
+            [earningsId, farmId, statuses]
+        );
+        return result.rows;
+    }
+
+    // Sales billed on an issued invoice keep their amount and currency; void the invoice to change them.
+    // Deleting a sale also needs it off any draft, which would otherwise be issued without it.
+    static async assertNotInvoiced(earningsId, farmId, { includeDrafts = false } = {}) {
+        const statuses = includeDrafts ? ['draft', 'issued', 'paid'] : ['issued', 'paid'];
+        const [invoice] = await this.getInvoicesForSale(earningsId, farmId, statuses);
+        if (invoice?.status === 'draft') {
+            throw new ValidationError('Sale is on a draft invoice; remove it from the draft or delete the draft first');
+        }
+        if (invoice) {
+            throw new ValidationError(`Sale is billed on invoice ${invoice.invoice_number}; void the invoice first`);
+        }
+    }
+
+    /**
+     * Load the sales for an invoice and check they can be billed together: all found, in one
+     * currency, for at most one customer and not already on another live invoice.
+     * @param {string} farmId - Farm UUID
+     * @param {string[]} earningsIds - Earnings record IDs in invoice order
+     * @param {string} [invoiceId] - The invoice being edited, ignored when looking for other invoices
+     * @returns {Promise<Array>} - The sales in the order given
+     */
+    static async loadSales(farmId, earningsIds, invoiceId = null) {
+        const ids = [...new Set(earningsIds)];
+        if (ids.length === 0) {
+            throw new ValidationError('An invoice needs at least one sale');
+        }
+        const result = await DatabaseHelper.executeQuery(
+            `SELECT er.id, er.type, er.rabbit_id, er.amount, er.amount_paid, er.currency, TO_CHAR(er.date, 'YYYY-MM-DD') AS date,
+                er.weight, er.sale_type, er.includes_urine, er.includes_manure, er.buyer_name, er.customer_id,
+                (
+                    SELECT COALESCE(i.invoice_number, 'a draft invoice') FROM invoice_items ii
+                    JOIN invoices i ON i.id = ii.invoice_id
+                    WHERE ii.earnings_record_id = er.id AND i.status <> 'void' AND i.is_deleted = 0
+                        AND i.id IS DISTINCT FROM $3
+                    LIMIT 1
+                ) AS invoiced_on
+            FROM earnings_records er
+            WHERE er.farm_id = $1 AND er.id = ANY($2) AND er.is_deleted = 0`,
+            [farmId, ids, invoiceId]
+        );
+        const byId = new Map(result.rows.map(sale => [sale.id, sale]));
+        const missing = ids.filter(id => !byId.has(id));
+        if (missing.length > 0) {
+            throw new ValidationError(`Earnings records not found: ${missing.join(', ')}`);
+        }
+        const sales = ids.map(id => byId.get(id));
+
+        const invoiced = sales.filter(sale => sale.invoiced_on);
+        if (invoiced.length > 0) {
+            throw new ValidationError(`Sales already on another invoice: ${invoiced.map(sale => `${sale.id} (${sale.invoiced_on})`).join(', ')}`);
+        }
+        if (new Set(sales.map(sale => sale.currency)).size > 1) {
+            throw new ValidationError('All sales on an invoice must be in the same currency');
+        }
+        if (new Set(sales.map(sale => sale.customer_id).filter(Boolean)).size > 1) {
+            throw new ValidationError('Sales on an invoice must be for the same customer');
+        }
+        return sales;
+    }
+
+    static itemQueries(invoiceId, sales) {
+        return sales.map((sale, index) => ({
+            query: `INSERT INTO invoice_items (id, invoice_id, earnings_record_id, description, amount, position, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)`,
+            params: [uuidv4(), invoiceId, sale.id, describeSale(sale), sale.amount, index]
+        }));
+    }
+
+    /**
+     * Create a draft invoice for one or more sales. The customer and bill-to details default to
+     * the customer the sales were made to, or the buyer name on the first sale.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} invoiceData - earnings_record_ids, customer_id, bill_to_*, due_date, notes
+     * @param {string} userId - User creating the invoice
+     * @returns {Promise<Object>} - The draft invoice with its items
+     */
+    static async createInvoice(farmId, invoiceData, userId) {
+        const { earnings_record_ids, customer_id, bill_to_name, bill_to_email, bill_to_phone, bill_to_address, due_date, notes } = invoiceData;
+        try {
+            const sales = await this.loadSales(farmId, earnings_record_ids || []);
+            const saleCustomerId = sales.find(sale => sale.customer_id)?.customer_id;
+            if (customer_id && saleCustomerId && customer_id !== saleCustomerId) {
+                throw new ValidationError('Sales on the invoice were made to a different customer');
+            }
+            const customerId = customer_id || saleCustomerId;
+            const customer = customerId ? await CustomersService.getCustomerById(customerId, farmId) : null;
+
+            const id = uuidv4();
+            await DatabaseHelper.executeTransaction([
+                {
+                    query: `INSERT INTO invoices (
+                        id, farm_id, customer_id, bill_to_name, bill_to_email, bill_to_phone, bill_to_address,
+                        currency, status, due_date, notes, created_by, created_at, updated_at, is_deleted
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft', $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)`,
+                    params: [
+                        id,
+                        farmId,
+                        customer?.id || null,
+                        bill_to_name || customer?.name || sales.find(sale => sale.buyer_name)?.buyer_name || null,
+                        bill_to_email || customer?.email || null,
+                        bill_to_phone || customer?.phone || null,
+                        bill_to_address || customer?.address || null,
+                        sales[0].currency,
+                        due_date || null,
+                        notes || null,
+                        userId,
+                    ]
+                },
+                ...this.itemQueries(id, sales),
+            ]);
+            logger.info(`Draft invoice ${id} created for ${sales.length} sales on farm ${farmId} by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error creating invoice for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getInvoiceById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `${INVOICE_SELECT}
+                WHERE i.id = $1 AND i.farm_id = $2 AND i.is_deleted = 0`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Invoice not found');
+            }
+            const items = await DatabaseHelper.executeQuery(
+                `SELECT ii.id, ii.earnings_record_id, ii.description, ii.amount, ii.position,
+                    er.type, TO_CHAR(er.date, 'YYYY-MM-DD') AS date, LEAST(er.amount_paid, ii.amount) AS amount_paid
+                FROM invoice_items ii
+                JOIN earnings_records er ON er.id = ii.earnings_record_id
+                WHERE ii.invoice_id = $1
+                ORDER BY ii.position`,
+                [id]
+            );
+            const payments = await DatabaseHelper.executeQuery(
+                `SELECT id, amount, payment_method, reference, TO_CHAR(date, 'YYYY-MM-DD') AS date, notes, created_by, created_at
+                FROM sale_payments
+                WHERE invoice_id = $1 AND is_deleted = 0
+                ORDER BY date, created_at`,
+                [id]
+            );
+            return { ...result.rows[0], items: items.rows, payments: payments.rows };
+        } catch (error) {
+            logger.error(`Error getting invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllInvoices(farmId, { status, customer_id, date_from, date_to, overdue, limit, offset }) {
+        try {
+            let query = `${INVOICE_SELECT}
+                WHERE i.farm_id = $1 AND i.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (status) {
+                query += ` AND i.status = $${paramIndex}`;
+                params.push(status);
+                paramIndex++;
+            }
+            if (customer_id) {
+                query += ` AND i.customer_id = $${paramIndex}`;
+                params.push(customer_id);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND COALESCE(i.issue_date, i.created_at::DATE) >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND COALESCE(i.issue_date, i.created_at::DATE) <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+            if (overdue) {
+                query += ` AND i.status = 'issued' AND i.due_date < $${paramIndex}`;
+                params.push(getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId)));
+                paramIndex++;
+            }
+
+            query += ' ORDER BY COALESCE(i.issue_date, i.created_at::DATE) DESC, i.invoice_number DESC NULLS FIRST';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting invoices for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getDraft(id, farmId) {
+        const invoice = await this.getInvoiceById(id, farmId);
+        if (invoice.status !== 'draft') {
+            throw new ValidationError('Only draft invoices can be changed');
+        }
+        return invoice;
+    }
+
+    /**
+     * Update a draft invoice. Passing earnings_record_ids replaces its sales.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @param {Object} invoiceData - Fields to update
+     * @param {string} userId - User updating the invoice
+     * @returns {Promise<Object>} - The updated invoice
+     */
+    static async updateInvoice(id, farmId, invoiceData, userId) {
+        const { earnings_record_ids, customer_id, bill_to_name, bill_to_email, bill_to_phone, bill_to_address, due_date, notes } = invoiceData;
+        try {
+            const invoice = await this.getDraft(id, farmId);
+            const queries = [];
+            let currency = invoice.currency;
+            let customerId = customer_id || invoice.customer_id;
+
+            if (customer_id) {
+                await CustomersService.getCustomerById(customer_id, farmId);
+            }
+            if (earnings_record_ids) {
+                const sales = await this.loadSales(farmId, earnings_record_ids, id);
+                const saleCustomerId = sales.find(sale => sale.customer_id)?.customer_id;
+                if (customerId && saleCustomerId && customerId !== saleCustomerId) {
+                    throw new ValidationError('Sales on the invoice were made to a different customer');
+                }
+                customerId = customerId || saleCustomerId || null;
+                currency = sales[0].currency;
+                queries.push({ query: 'DELETE FROM invoice_items WHERE invoice_id = $1', params: [id] });
+                queries.push(...this.itemQueries(id, sales));
+            }
+
+            queries.unshift({
+                query: `UPDATE invoices
+                    SET customer_id = $3,
+                        bill_to_name = COALESCE($4, bill_to_name),
+                        bill_to_email = COALESCE($5, bill_to_email),
+                        bill_to_phone = COALESCE($6, bill_to_phone),
+                        bill_to_address = COALESCE($7, bill_to_address),
+                        currency = $8,
+                        due_date = COALESCE($9, due_date),
+                        notes = COALESCE($10, notes),
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND farm_id = $2 AND status = 'draft' AND is_deleted = 0`,
+                params: [
+                    id, farmId, customerId || null, bill_to_name || null, bill_to_email || null, bill_to_phone || null,
+                    bill_to_address || null, currency, due_date || null, notes || null
+                ]
+            });
+            await DatabaseHelper.executeTransaction(queries);
+            logger.info(`Draft invoice ${id} updated by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error updating invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteInvoice(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE invoices
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0 AND status = 'draft'
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                await this.getDraft(id, farmId);
+            }
+            logger.info(`Draft invoice ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Issue a draft: it gets the farm's next invoice number, its lines take the sales' current
+     * amounts, and it goes straight to paid when the sales are already paid in full.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @param {Object} issueData - issue_date (defaults to today), due_date
+     * @param {string} userId - User issuing the invoice
+     * @returns {Promise<Object>} - The issued invoice
+     */
+    static async issueInvoice(id, farmId, { issue_date, due_date } = {}, userId) {
+        try {
+            const invoice = await this.getDraft(id, farmId);
+            if (invoice.item_count === 0) {
+                throw new ValidationError('An invoice needs at least one sale');
+            }
+            const deleted = await DatabaseHelper.executeQuery(
+                `SELECT ii.earnings_record_id
+                FROM invoice_items ii
+                JOIN earnings_records er ON er.id = ii.earnings_record_id
+                WHERE ii.invoice_id = $1 AND er.is_deleted = 1`,
+                [id]
+            );
+            if (deleted.rows.length > 0) {
+                throw new ValidationError(
+                    `Sales on the invoice have been deleted: ${deleted.rows.map(row => row.earnings_record_id).join(', ')}; remove them from the draft first`
+                );
+            }
+            const issueDate = issue_date
+                ? dayjs(issue_date).format('YYYY-MM-DD')
+                : getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            const dueDate = due_date ? dayjs(due_date).format('YYYY-MM-DD') : invoice.due_date;
+            if (dueDate && dueDate < issueDate) {
+                throw new ValidationError('Due date cannot be before the issue date');
+            }
+
+            await DatabaseHelper.executeTransaction([
+                {
+                    query: `INSERT INTO invoice_sequences (farm_id, last_number) VALUES ($1, 1)
+                        ON CONFLICT (farm_id) DO UPDATE SET last_number = invoice_sequences.last_number + 1`,
+                    params: [farmId]
+                },
+                {
+                    query: `UPDATE invoice_items ii
+                        SET amount = er.amount
+                        FROM earnings_records er
+                        WHERE ii.invoice_id = $1 AND er.id = ii.earnings_record_id`,
+                    params: [id]
+                },
+                {
+                    query: `UPDATE invoices
+                        SET invoice_number = (SELECT 'INV-' || LPAD(last_number::TEXT, 5, '0') FROM invoice_sequences WHERE farm_id = $2),
+                            status = 'issued', issue_date = $3, due_date = $4, issued_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $1 AND farm_id = $2 AND status = 'draft' AND is_deleted = 0`,
+                    params: [id, farmId, issueDate, dueDate || null]
+                },
+                this.syncStatusQuery([id]),
+            ]);
+            logger.info(`Invoice ${id} issued by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error issuing invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Voiding frees the invoice's sales to be billed again; its number is not reused
+    static async voidInvoice(id, farmId, reason, userId) {
+        try {
+            const invoice = await this.getInvoiceById(id, farmId);
+            if (!['issued', 'paid'].includes(invoice.status)) {
+                throw new ValidationError(invoice.status === 'draft' ? 'Delete a draft invoice instead of voiding it' : 'Invoice is already void');
+            }
+            if (invoice.payments.length > 0) {
+                throw new ValidationError('Delete the payments recorded against the invoice before voiding it');
+            }
+            await DatabaseHelper.executeQuery(
+                `UPDATE invoices
+                SET status = 'void', void_reason = $3, voided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                [id, farmId, reason || null]
+            );
+            logger.info(`Invoice ${id} voided by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error voiding invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Queries that store a payment, split it over sales and add each share to the sale's amount_paid.
+     * @param {string} farmId - Farm UUID
+     * @param {string|null} invoiceId - Invoice the payment was made against, if any
+     * @param {Object} payment - id, amount, payment_method, reference, date, notes
+     * @param {Array} allocations - earnings_record_id and amount for each sale paid
+     * @param {string} userId - User recording the payment
+     * @returns {Array} - Queries for executeTransaction
+     */
+    static paymentQueries(farmId, invoiceId, payment, allocations, userId) {
+        const queries = [{
+            query: `INSERT INTO sale_payments (
+                id, farm_id, invoice_id, amount, payment_method, reference, date, notes, created_by, created_at, updated_at, is_deleted
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)`,
+            params: [
+                payment.id, farmId, invoiceId, payment.amount, payment.payment_method, payment.reference || null,
+                dayjs(payment.date).format('YYYY-MM-DD'), payment.notes || null, userId
+            ]
+        }];
+        for (const allocation of allocations) {
+            queries.push(
+                {
+                    query: `INSERT INTO sale_payment_allocations (id, payment_id, earnings_record_id, amount, created_at)
+                        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+                    params: [uuidv4(), payment.id, allocation.earnings_record_id, allocation.amount]
+                },
+                {
+                    query: `UPDATE earnings_records SET amount_paid = amount_paid + $2, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $1`,
+                    params: [allocation.earnings_record_id, allocation.amount]
+                }
+            );
+        }
+        if (invoiceId) {
+            queries.push(this.syncStatusQuery([invoiceId]));
+        }
+        return queries;
+    }
+
+    /**
+     * Queries that delete a payment and take it back off the sales it was applied to.
+     * @param {string} paymentId - Payment ID
+     * @param {string|null} invoiceId - Invoice the payment was made against, if any
+     * @returns {Array} - Queries for executeTransaction
+     */
+    static paymentReversalQueries(paymentId, invoiceId) {
+        const queries = [
+            {
+                query: `UPDATE earnings_records er
+                    SET amount_paid = GREATEST(er.amount_paid - a.amount, 0), updated_at = CURRENT_TIMESTAMP
+                    FROM sale_payment_allocations a
+                    WHERE a.payment_id = $1 AND er.id = a.earnings_record_id`,
+                params: [paymentId]
+            },
+            {
+                query: 'UPDATE sale_payments SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                params: [paymentId]
+            },
+        ];
+        if (invoiceId) {
+            queries.push(this.syncStatusQuery([invoiceId]));
+        }
+        return queries;
+    }
+
+    /**
+     * Record a full or partial payment against an issued invoice. The amount is applied to its
+     * sales in invoice order and the invoice becomes paid once nothing is left to pay.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @param {Object} paymentData - amount, payment_method, reference, date (defaults to today), notes
+     * @param {string} userId - User recording the payment
+     * @returns {Promise<Object>} - The invoice with its payments
+     */
+    static async recordPayment(id, farmId, paymentData, userId) {
+        const { amount } = paymentData;
+        try {
+            const invoice = await this.getInvoiceById(id, farmId);
+            if (invoice.status !== 'issued') {
+                throw new ValidationError(invoice.status === 'paid' ? 'Invoice is already paid' : 'Payments can only be recorded on issued invoices');
+            }
+            const paymentAmount = money(amount);
+            if (!(paymentAmount > 0)) {
+                throw new ValidationError('Payment amount must be positive');
+            }
+            if (paymentAmount > money(invoice.balance_due)) {
+                throw new ValidationError(`Payment is more than the balance due of ${invoice.currency} ${formatMoney(invoice.balance_due)}`);
+            }
+
+            const allocations = [];
+            let remaining = paymentAmount;
+            for (const item of invoice.items) {
+                const share = money(Math.min(remaining, item.amount - item.amount_paid));
+                if (share <= 0) continue;
+                allocations.push({ earnings_record_id: item.earnings_record_id, amount: share });
+                remaining = money(remaining - share);
+                if (remaining <= 0) break;
+            }
+            const paymentId = uuidv4();
+            const date = paymentData.date || getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            await DatabaseHelper.executeTransaction(
+                this.paymentQueries(farmId, id, { id: paymentId, ...paymentData, date, amount: paymentAmount }, allocations, userId)
+            );
+            logger.info(`Payment ${paymentId} of ${paymentAmount} recorded on invoice ${id} by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error recording payment on invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deletePayment(id, farmId, paymentId, userId) {
+        try {
+            const payment = await DatabaseHelper.executeQuery(
+                `SELECT sp.id FROM sale_payments sp
+                JOIN invoices i ON i.id = sp.invoice_id
+                WHERE sp.id = $1 AND sp.invoice_id = $2 AND sp.farm_id = $3 AND sp.is_deleted = 0 AND i.is_deleted = 0`,
+                [paymentId, id, farmId]
+            );
+            if (payment.rows.length === 0) {
+                throw new ValidationError('Payment not found');
+            }
+            await DatabaseHelper.executeTransaction(this.paymentReversalQueries(paymentId, id));
+            logger.info(`Payment ${paymentId} on invoice ${id} deleted by user ${userId}`);
+            return await this.getInvoiceById(id, farmId);
+        } catch (error) {
+            logger.error(`Error deleting payment ${paymentId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getFarm(farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT name, location FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Farm not found');
+        }
+        return result.rows[0];
+    }
+
+    // Values for the {{placeholders}} in templates/invoice.html, escaped for HTML
+    static templateData(invoice, farm, message) {
+        const billTo = [invoice.bill_to_name, invoice.bill_to_address, invoice.bill_to_phone, invoice.bill_to_email]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join('<br>');
+        const items = invoice.items.map(item => `<tr><td>${escapeHtml(item.date)}</td><td>${escapeHtml(item.description)}</td>`
+            + `<td class="amount">${formatMoney(item.amount)}</td></tr>`).join('\n');
+        const payments = invoice.payments.length === 0 ? '' : '<h3>Payments received</h3><table class="items">'
+            + invoice.payments.map(payment => `<tr><td>${escapeHtml(payment.date)}</td>`
+                + `<td>${escapeHtml(payment.payment_method.replace('_', ' '))} ${escapeHtml(payment.reference || '')}</td>`
+                + `<td class="amount">${formatMoney(payment.amount)}</td></tr>`).join('\n')
+            + '</table>';
+        return {
+            document_title: documentTitle(invoice),
+            invoice_number: escapeHtml(invoice.invoice_number || 'DRAFT'),
+            status: invoice.status,
+            farm_name: escapeHtml(farm.name),
+            farm_location: escapeHtml(farm.location),
+            bill_to: billTo,
+            issue_date: escapeHtml(invoice.issue_date || '-'),
+            due_date: escapeHtml(invoice.due_date || '-'),
+            currency: escapeHtml(invoice.currency),
+            items,
+            total: formatMoney(invoice.total),
+            amount_paid: formatMoney(invoice.amount_paid),
+            balance_due: formatMoney(invoice.balance_due),
+            payments,
+            notes: escapeHtml(invoice.notes),
+            message: escapeHtml(message),
+            footer: `${escapeHtml(farm.name)} - thank you for your business`,
+        };
+    }
+
+    /**
+     * Render an invoice as HTML from templates/invoice.html.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - The invoice and its HTML
+     */
+    static async renderHtml(id, farmId) {
+        try {
+            const invoice = await this.getInvoiceById(id, farmId);
+            const farm = await this.getFarm(farmId);
+            const service = getEmailService();
+            const template = await service.loadTemplate(TEMPLATE_PATH);
+            return { invoice, html: service.updateTemplate(template, this.templateData(invoice, farm)) };
+        } catch (error) {
+            logger.error(`Error rendering invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static buildPdf(invoice, farm) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const currency = invoice.currency;
+            doc.fontSize(18).text(farm.name, 50, 50);
+            doc.fontSize(10).text(farm.location || '', 50, 75);
+            doc.fontSize(20).text(documentTitle(invoice).toUpperCase(), 300, 50, { width: 245, align: 'right' });
+            doc.fontSize(10)
+                .text(`No. ${invoice.invoice_number || 'DRAFT'}`, 300, 78, { width: 245, align: 'right' })
+                .text(`Status: ${invoice.status}`, { width: 245, align: 'right' })
+                .text(`Issue date: ${invoice.issue_date || '-'}`, { width: 245, align: 'right' })
+                .text(`Due date: ${invoice.due_date || '-'}`, { width: 245, align: 'right' });
+
+            doc.fontSize(11).text('Bill to', 50, 120, { underline: true });
+            doc.fontSize(10).text(
+                [invoice.bill_to_name, invoice.bill_to_address, invoice.bill_to_phone, invoice.bill_to_email].filter(Boolean).join('\n') || '-',
+                50, 136, { width: 240 }
+            );
+
+            let y = 210;
+            const row = (date, description, amount, bold = false) => {
+                const height = Math.max(doc.heightOfString(description, { width: 280 }), 12);
+                if (y + height > doc.page.height - 80) {
+                    doc.addPage();
+                    y = 50;
+                }
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                    .text(date, 50, y, { width: 80 })
+                    .text(description, 135, y, { width: 280 })
+                    .text(amount, 420, y, { width: 125, align: 'right' });
+                y += height + 6;
+            };
+            row('Date', 'Description', `Amount (${currency})`, true);
+            doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+            for (const item of invoice.items) {
+                row(item.date, item.description, formatMoney(item.amount));
+            }
+            doc.moveTo(50, y).lineTo(545, y).stroke();
+            y += 8;
+            row('', 'Total', `${currency} ${formatMoney(invoice.total)}`);
+            row('', 'Paid', `${currency} ${formatMoney(invoice.amount_paid)}`);
+            row('', 'Balance due', `${currency} ${formatMoney(invoice.balance_due)}`, true);
+
+            if (invoice.payments.length > 0) {
+                y += 10;
+                row('', 'Payments received', '', true);
+                for (const payment of invoice.payments) {
+                    row(payment.date, `${payment.payment_method.replace('_', ' ')} ${payment.reference || ''}`.trim(), formatMoney(payment.amount));
+                }
+            }
+            if (invoice.notes) {
+                y += 10;
+                doc.font('Helvetica').text(invoice.notes, 50, y, { width: 495 });
+            }
+            doc.end();
+        });
+    }
+
+    /**
+     * Render an invoice as a PDF.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @returns {Promise<Object>} - The invoice and the PDF as a Buffer
+     */
+    static async renderPdf(id, farmId) {
+        try {
+            const invoice = await this.getInvoiceById(id, farmId);
+            const farm = await this.getFarm(farmId);
+            return { invoice, pdf: await this.buildPdf(invoice, farm) };
+        } catch (error) {
+            logger.error(`Error rendering invoice ${id} as PDF: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static fileName(invoice) {
+        return `${documentTitle(invoice).toLowerCase()}-${invoice.invoice_number || invoice.id}.pdf`;
+    }
+
+    /**
+     * Email an issued or paid invoice to the buyer, with the PDF attached.
+     * @param {string} id - Invoice ID
+     * @param {string} farmId - Farm UUID
+     * @param {Object} options - to (defaults to the bill-to email), message
+     * @param {string} userId - User sending the invoice
+     * @returns {Promise<Object>} - Who it was sent to and when
+     */
+    static async sendInvoice(id, farmId, { to, message } = {}, userId) {
+        try {
+            const invoice = await this.getInvoiceById(id, farmId);
+            if (!['issued', 'paid'].includes(invoice.status)) {
+                throw new ValidationError('Only issued or paid invoices can be sent');
+            }
+            const recipient = to || invoice.bill_to_email;
+            if (!recipient) {
+                throw new ValidationError('Invoice has no email address to send to');
+            }
+            const farm = await this.getFarm(farmId);
+            const pdf = await this.buildPdf(invoice, farm);
+            const title = `${documentTitle(invoice)} ${invoice.invoice_number}`;
+
+            const result = await getEmailService().sendEmail({
+                ...this.templateData(invoice, farm, message),
+                to: recipient,
+                subject: `${title} from ${farm.name}`,
+                text: `${title} from ${farm.name}: ${invoice.currency} ${formatMoney(invoice.total)}, balance due ${invoice.currency} ${formatMoney(invoice.balance_due)}.`,
+                templatePath: TEMPLATE_PATH,
+                attachments: [{ filename: this.fileName(invoice), content: pdf, contentType: 'application/pdf' }],
+                user_id: userId,
+                farm_id: farmId,
+            }, 'invoice');
+            if (!result.success) {
+                throw new ValidationError(`Invoice could not be sent: ${result.message}`);
+            }
+
+            const sent = await DatabaseHelper.executeQuery(
+                'UPDATE invoices SET last_sent_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING last_sent_at',
+                [id]
+            );
+            logger.info(`Invoice ${id} emailed to ${recipient} by user ${userId}`);
+            return { invoice_id: id, invoice_number: invoice.invoice_number, to: recipient, sent_at: sent.rows[0].last_sent_at };
+        } catch (error) {
+            logger.error(`Error sending invoice ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default InvoicesService;
@@ -0,0 +1,147 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import { DEFAULT_OUTBREAK_WINDOW_DAYS, DEFAULT_OUTBREAK_MIN_CASES } from '../utils/constants.js';
+import { getLocalDateString } from '../utils/dates.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Name used for outbreak alerts so the same cluster is only raised once while open
+function outbreakAlertName(symptom, rowName) {
+    return `Outbreak: ${symptom} in row ${rowName}`;
+}
+
+class OutbreakService {
+    static async getSettings(farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT settings, created_by FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Farm not found');
+        }
+        const settings = result.rows[0].settings || {};
+        const windowDays = parseInt(settings.outbreak_window_days, 10);
+        const minCases = parseInt(settings.outbreak_min_cases, 10);
+        return {
+            window_days: windowDays > 0 ? windowDays : DEFAULT_OUTBREAK_WINDOW_DAYS,
+            min_cases: minCases > 1 ? minCases : DEFAULT_OUTBREAK_MIN_CASES,
+            created_by: result.rows[0].created_by,
+        };
+    }
+
+    static async findOutbreaks(farmId) {
+        try {
+            const { window_days, min_cases } = await this.getSettings(farmId);
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = getLocalDateString(new Date(), tz);
+            const windowStart = dayjs(today).subtract(window_days - 1, 'day').format('YYYY-MM-DD');
+
+            // Symptoms come from health alert types and treatment/medication diagnoses, grouped per row
+            const result = await DatabaseHelper.executeQuery(
+                `WITH cases AS (
+                    SELECT ha.rabbit_id, LOWER(REPLACE(ha.alert_type, '_', ' ')) AS symptom, (ha.created_at AT TIME ZONE $4)::date AS case_date
+                    FROM health_alerts ha
+                    WHERE ha.farm_id = $1 AND ha.is_deleted = 0 AND (ha.created_at AT TIME ZONE $4)::date >= $2
+                    UNION ALL
+                    SELECT hr.rabbit_id, LOWER(TRIM(hr.description)) AS symptom, hr.date AS case_date
+                    FROM health_records hr
+                    WHERE hr.farm_id = $1 AND hr.is_deleted = 0 AND hr.type IN ('treatment', 'medication', 'other')
+                    AND hr.date >= $2
+                )
+                SELECT rw.id AS row_id, rw.name AS row_name, c.symptom,
+                    COUNT(DISTINCT c.rabbit_id)::int AS affected_rabbits,
+                    TO_CHAR(MIN(c.case_date), 'YYYY-MM-DD') AS first_case,
+                    TO_CHAR(MAX(c.case_date), 'YYYY-MM-DD') AS last_case,
+                    JSON_AGG(DISTINCT c.rabbit_id) AS rabbit_ids,
+                    JSON_AGG(DISTINCT JSONB_BUILD_OBJECT('hutch_id', h.id, 'hutch_name', h.name)) AS hutches
+                FROM cases c
+                JOIN rabbits r ON r.rabbit_id = c.rabbit_id AND r.farm_id = $1 AND r.is_deleted = 0
+                JOIN hutches h ON h.id = r.hutch_id AND h.is_deleted = 0
+                JOIN rows rw ON rw.id = h.row_id AND rw.is_deleted = 0
+                GROUP BY rw.id, rw.name, c.symptom
+                HAVING COUNT(DISTINCT c.rabbit_id) >= $3
+                ORDER BY affected_rabbits DESC`,
+                [farmId, windowStart, min_cases, tz]
+            );
+
+            return {
+                window_days,
+                min_cases,
+                window_start: windowStart,
+                outbreaks: result.rows,
+            };
+        } catch (error) {
+            logger.error(`Error finding outbreaks for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async detectOutbreaks(farmId, userId) {
+        try {
+            const { created_by } = await this.getSettings(farmId);
+            const { outbreaks, window_days } = await this.findOutbreaks(farmId);
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = getLocalDateString(new Date(), tz);
+            const raised = [];
+
+            for (const outbreak of outbreaks) {
+                const name = outbreakAlertName(outbreak.symptom, outbreak.row_name);
+                // An alert raised since the cluster's first case already covers these cases, even once
+                // completed; the cluster is raised again only when it is made of newer cases
+                const existing = await DatabaseHelper.executeQuery(
+                    `SELECT 1 FROM alerts
+                     WHERE farm_id = $1 AND name = $2 AND alert_type = 'outbreak' AND is_deleted = false
+                     AND (status IN ('pending', 'sent') OR created_on >= $3)`,
+                    [farmId, name, dayjs.tz(outbreak.first_case, tz).toISOString()]
+                );
+                if (existing.rows.length > 0) {
+                    continue;
+                }
+
+                const hutchNames = outbreak.hutches.map(h => h.hutch_name).join(', ');
+                const alert = await AlertService.createAlert({
+                    farm_id: farmId,
+                    user_id: userId || created_by,
+                    name,
+                    alert_start_date: new Date().toISOString(),
+                    alert_type: 'outbreak',
+                    severity: 'high',
+                    message: `${outbreak.affected_rabbits} rabbits in row ${outbreak.row_name} reported "${outbreak.symptom}" within ${window_days} days (${outbreak.first_case} to ${outbreak.last_case}). Affected hutches: ${hutchNames}. Rabbits: ${outbreak.rabbit_ids.join(', ')}.`,
+                    notify_on: [today]
+                });
+                raised.push({ ...outbreak, alert });
+            }
+
+            if (raised.length > 0) {
+                logger.warn(`Raised ${raised.length} outbreak alerts for farm ${farmId}`);
+            }
+            return raised;
+        } catch (error) {
+            logger.error(`Error detecting outbreaks for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Outbreak detection for every farm, for the scheduled workflow
+    static async detectAllOutbreaks() {
+        return FarmsService.runForAllFarms('Outbreak detection', farmId => this.detectOutbreaks(farmId));
+    }
+
+    // Runs detection after a new case without failing the request that recorded it
+    static async scanAfterCase(farmId, userId) {
+        try {
+            await this.detectOutbreaks(farmId, userId);
+        } catch (error) {
+            logger.warn(`Outbreak scan failed for farm ${farmId}: ${error.message}`);
+        }
+    }
+}
+
+export default OutbreakService;
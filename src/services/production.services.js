@@ -0,0 +1,332 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import dayjs from 'dayjs';
+import { PRODUCTION_TYPES, PRODUCTION_UNITS, PRODUCT_SALE_TYPES } from '../utils/constants.js';
+
+// Batches with how much of them has been sold; sales whose earnings record was deleted no longer count
+const BATCH_SELECT = `
+    SELECT pr.id, pr.farm_id, pr.type, pr.quantity, pr.unit, TO_CHAR(pr.date, 'YYYY-MM-DD') AS date,
+        pr.row_id, rw.name AS row_name, pr.source, pr.notes, pr.created_at, pr.updated_at,
+        COALESCE(s.sold, 0) AS sold, pr.quantity - COALESCE(s.sold, 0) AS in_stock
+    FROM production_records pr
+    LEFT JOIN rows rw ON rw.id = pr.row_id
+    LEFT JOIN LATERAL (
+        SELECT SUM(ps.quantity) AS sold
+        FROM production_sales ps
+        JOIN earnings_records er ON er.id = ps.earnings_record_id AND er.is_deleted = 0
+        WHERE ps.production_record_id = pr.id AND ps.is_deleted = 0
+    ) s ON true
+    WHERE pr.farm_id = $1 AND pr.is_deleted = 0`;
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+class ProductionService {
+    static checkUnit(type, unit) {
+        if (!PRODUCTION_TYPES.includes(type)) {
+            throw new ValidationError(`Type must be one of ${PRODUCTION_TYPES.join(', ')}`);
+        }
+        if (unit && unit !== PRODUCTION_UNITS[type]) {
+            throw new ValidationError(`${type} is recorded in ${PRODUCTION_UNITS[type]}`);
+        }
+        return PRODUCTION_UNITS[type];
+    }
+
+    static async checkRow(rowId, farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT 1 FROM rows WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+            [rowId, farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Row not found');
+        }
+    }
+
+    static async createRecord(recordData, userId) {
+        const { farm_id, type, quantity, unit, date, row_id, source, notes } = recordData;
+
+        if (!farm_id || !type || !quantity || !date) {
+            throw new ValidationError('Missing required production fields');
+        }
+        if (quantity <= 0) {
+            throw new ValidationError('Quantity must be positive');
+        }
+
+        try {
+            const recordUnit = this.checkUnit(type, unit);
+            if (row_id) {
+                await this.checkRow(row_id, farm_id);
+            }
+            const id = uuidv4();
+            await DatabaseHelper.executeQuery(
+                `INSERT INTO production_records (
+                    id, farm_id, type, quantity, unit, date, row_id, source, notes, created_at, updated_at, is_deleted
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)`,
+                [id, farm_id, type, quantity, recordUnit, date, row_id || null, source || null, notes || null]
+            );
+            logger.info(`${quantity} ${recordUnit} of ${type} recorded on farm ${farm_id} by user ${userId}`);
+            return await this.getRecordById(id, farm_id);
+        } catch (error) {
+            logger.error(`Error creating production record: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getRecordById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(`${BATCH_SELECT} AND pr.id = $2`, [farmId, id]);
+            if (result.rows.length === 0) {
+                throw new ValidationError('Production record not found');
+            }
+            const sales = await DatabaseHelper.executeQuery(
+                `SELECT ps.earnings_record_id, ps.quantity, TO_CHAR(er.date, 'YYYY-MM-DD') AS date, er.type, er.buyer_name
+                FROM production_sales ps
+                JOIN earnings_records er ON er.id = ps.earnings_record_id AND er.is_deleted = 0
+                WHERE ps.production_record_id = $1 AND ps.is_deleted = 0
+                ORDER BY er.date ASC`,
+                [id]
+            );
+            return { ...result.rows[0], sales: sales.rows };
+        } catch (error) {
+            logger.error(`Error getting production record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllRecords(farmId, { type, row_id, date_from, date_to, in_stock, limit, offset }) {
+        try {
+            let query = BATCH_SELECT;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (type) {
+                query += ` AND pr.type = $${paramIndex}`;
+                params.push(type);
+                paramIndex++;
+            }
+            if (row_id) {
+                query += ` AND pr.row_id = $${paramIndex}`;
+                params.push(row_id);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND pr.date >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND pr.date <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+            if (in_stock !== undefined) {
+                query += in_stock ? ' AND pr.quantity > COALESCE(s.sold, 0)' : ' AND pr.quantity <= COALESCE(s.sold, 0)';
+            }
+
+            query += ' ORDER BY pr.date DESC, pr.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting production records for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateRecord(id, farmId, recordData, userId) {
+        const { type, quantity, unit, date, row_id, source, notes } = recordData;
+
+        try {
+            const existing = await this.getRecordById(id, farmId);
+            const sold = parseFloat(existing.sold);
+            const newType = type || existing.type;
+            const recordUnit = this.checkUnit(newType, unit);
+            if (newType !== existing.type && sold > 0) {
+                throw new ValidationError('Cannot change the type of a batch that has sales linked to it');
+            }
+            if (quantity !== undefined && quantity < sold) {
+                throw new ValidationError(`Quantity cannot be less than the ${sold} ${recordUnit} already sold`);
+            }
+            // A batch cannot be dated after something was sold from it
+            const firstSale = existing.sales[0];
+            if (date && firstSale && dayjs(date).format('YYYY-MM-DD') > firstSale.date) {
+                throw new ValidationError(`Date cannot be after the batch's first linked sale on ${firstSale.date}`);
+            }
+            if (row_id) {
+                await this.checkRow(row_id, farmId);
+            }
+
+            await DatabaseHelper.executeQuery(
+                `UPDATE production_records
+                SET type = $3,
+                    quantity = COALESCE($4, quantity),
+                    unit = $5,
+                    date = COALESCE($6, date),
+                    row_id = COALESCE($7, row_id),
+                    source = COALESCE($8, source),
+                    notes = COALESCE($9, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                [id, farmId, newType, quantity ?? null, recordUnit, date || null, row_id || null, source || null, notes || null]
+            );
+            logger.info(`Production record ${id} updated by user ${userId}`);
+            return await this.getRecordById(id, farmId);
+        } catch (error) {
+            logger.error(`Error updating production record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteRecord(id, farmId, userId) {
+        try {
+            const existing = await this.getRecordById(id, farmId);
+            if (parseFloat(existing.sold) > 0) {
+                throw new ValidationError('Batch has sales linked to it; unlink them first');
+            }
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE production_records
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            logger.info(`Production record ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting production record ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Record which produced batches a manure or urine sale came from. Either give the batches
+     * and quantities, or just a quantity to take it from the oldest batches still in stock.
+     * Only batches produced on or before the sale date can be used.
+     * @param {string} farmId - Farm UUID
+     * @param {string} earningsId - The earnings record of the sale
+     * @param {Object} saleData - type (needed for sales that only include a by-product), and quantity or allocations
+     * @param {string} userId - User linking the sale
+     * @returns {Promise<Object>} - Product, total quantity and the batches it was taken from
+     */
+    static async linkSale(farmId, earningsId, { type, quantity, allocations }, userId) {
+        try {
+            const earningsResult = await DatabaseHelper.executeQuery(
+                `SELECT id, type, includes_manure, includes_urine, TO_CHAR(date, 'YYYY-MM-DD') AS date
+                FROM earnings_records
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                [earningsId, farmId]
+            );
+            if (earningsResult.rows.length === 0) {
+                throw new ValidationError('Earnings record not found');
+            }
+            const earnings = earningsResult.rows[0];
+            const product = PRODUCT_SALE_TYPES[earnings.type] || type;
+            if (!product) {
+                throw new ValidationError('type is required to link a sale that is not a manure_sale or urine_sale');
+            }
+            if (type && type !== product) {
+                throw new ValidationError(`A ${earnings.type} can only be linked to ${product}`);
+            }
+            if (!PRODUCT_SALE_TYPES[earnings.type] && !earnings[`includes_${product}`]) {
+                throw new ValidationError(`Earnings record does not include ${product}`);
+            }
+            // A rabbit sale with both manure and urine is linked once per product
+            const linked = await DatabaseHelper.executeQuery(
+                `SELECT 1 FROM production_sales ps
+                JOIN production_records pr ON pr.id = ps.production_record_id
+                WHERE ps.earnings_record_id = $1 AND ps.is_deleted = 0 AND pr.type = $2
+                LIMIT 1`,
+                [earningsId, product]
+            );
+            if (linked.rows.length > 0) {
+                throw new ValidationError(`Sale is already linked to ${product} production; unlink it first`);
+            }
+
+            const batchesResult = await DatabaseHelper.executeQuery(
+                `${BATCH_SELECT} AND pr.type = $2 AND pr.date <= $3 AND pr.quantity > COALESCE(s.sold, 0)
+                ORDER BY pr.date ASC, pr.created_at ASC`,
+                [farmId, product, earnings.date]
+            );
+            const batches = batchesResult.rows;
+            const unit = PRODUCTION_UNITS[product];
+
+            const plan = new Map();
+            if (allocations) {
+                for (const allocation of allocations) {
+                    const batch = batches.find(b => b.id === allocation.production_record_id);
+                    if (!batch) {
+                        throw new ValidationError(`Batch ${allocation.production_record_id} has no ${product} in stock on ${earnings.date}`);
+                    }
+                    plan.set(batch.id, round((plan.get(batch.id) || 0) + allocation.quantity));
+                    if (plan.get(batch.id) > parseFloat(batch.in_stock)) {
+                        throw new ValidationError(`Batch ${batch.id} only has ${batch.in_stock} ${unit} in stock`);
+                    }
+                }
+            } else {
+                let remaining = quantity;
+                for (const batch of batches) {
+                    if (remaining <= 0) break;
+                    const take = round(Math.min(remaining, parseFloat(batch.in_stock)));
+                    plan.set(batch.id, take);
+                    remaining = round(remaining - take);
+                }
+                if (remaining > 0) {
+                    const available = round(batches.reduce((sum, b) => sum + parseFloat(b.in_stock), 0));
+                    throw new ValidationError(`Only ${available} ${unit} of ${product} in stock on ${earnings.date}`);
+                }
+            }
+
+            const results = await DatabaseHelper.executeTransaction([...plan].map(([batchId, amount]) => ({
+                query: `INSERT INTO production_sales (
+                    id, farm_id, production_record_id, earnings_record_id, quantity, created_at, updated_at, is_deleted
+                )
+                VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING production_record_id, quantity`,
+                params: [uuidv4(), farmId, batchId, earningsId, amount]
+            })));
+            const linkedBatches = results.map(result => result.rows[0]);
+            const total = round([...plan.values()].reduce((sum, amount) => sum + amount, 0));
+            logger.info(`Sale ${earningsId} linked to ${linkedBatches.length} ${product} batches by user ${userId}`);
+            return { earnings_record_id: earningsId, type: product, unit, quantity: total, allocations: linkedBatches };
+        } catch (error) {
+            logger.error(`Error linking sale ${earningsId} to production: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async unlinkSale(farmId, earningsId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE production_sales
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE earnings_record_id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [earningsId, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Sale is not linked to any production');
+            }
+            logger.info(`Sale ${earningsId} unlinked from production by user ${userId}`);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error unlinking sale ${earningsId} from production: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default ProductionService;
@@ -0,0 +1,238 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import { DEFAULT_QUARANTINE_DAYS } from '../utils/constants.js';
+import { getLocalDateString, formatLocalDate } from '../utils/dates.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Name used for release-check alerts so they can be completed on release
+function releaseCheckAlertName(rabbitId) {
+    return `Quarantine Release Check: ${rabbitId}`;
+}
+
+class QuarantineService {
+    static async getQuarantineDays(farmId) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT settings FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        const days = parseInt(result.rows[0]?.settings?.quarantine_days, 10);
+        return days > 0 ? days : DEFAULT_QUARANTINE_DAYS;
+    }
+
+    static async findQuarantineHutch(farmId, hutchId) {
+        let query = `SELECT h.id, h.name, h.is_quarantine,
+                (SELECT COUNT(*) FROM rabbits r WHERE r.hutch_id = h.id AND r.farm_id = h.farm_id AND r.is_deleted = 0) AS rabbit_count
+            FROM hutches h
+            WHERE h.farm_id = $1 AND h.is_deleted = 0 AND h.is_quarantine = true`;
+        const params = [farmId];
+        if (hutchId) {
+            query += ' AND h.id = $2';
+            params.push(hutchId);
+        }
+        query += ' ORDER BY rabbit_count ASC, h.name ASC';
+
+        const result = await DatabaseHelper.executeQuery(query, params);
+        if (hutchId && result.rows.length === 0) {
+            throw new ValidationError('Hutch not found or is not a quarantine hutch');
+        }
+        const hutch = result.rows.find(h => parseInt(h.rabbit_count) < 6);
+        if (hutchId && !hutch) {
+            throw new ValidationError('Hutch cannot have more than 6 rabbits');
+        }
+        return hutch || null;
+    }
+
+    // Queries that move a rabbit to another hutch, for the caller to run in one transaction
+    static moveRabbitToHutchQueries(rabbit, hutchId, farmId) {
+        if (rabbit.hutch_id === hutchId) {
+            return [];
+        }
+        const queries = [];
+        if (rabbit.hutch_id) {
+            queries.push({
+                query: `UPDATE hutch_rabbit_history
+                    SET removed_at = CURRENT_TIMESTAMP, removal_reason = 'transfer', updated_at = CURRENT_TIMESTAMP
+                    WHERE hutch_id = $1 AND rabbit_id = $2 AND farm_id = $3 AND is_deleted = 0 AND removed_at IS NULL`,
+                params: [rabbit.hutch_id, rabbit.rabbit_id, farmId]
+            });
+        }
+        queries.push({
+            query: 'UPDATE rabbits SET hutch_id = $1, updated_at = CURRENT_TIMESTAMP WHERE rabbit_id = $2 AND farm_id = $3 AND is_deleted = 0',
+            params: [hutchId, rabbit.rabbit_id, farmId]
+        });
+        if (rabbit.hutch_id) {
+            // Update old hutch is_occupied if no rabbits remain
+            queries.push({
+                query: `UPDATE hutches SET is_occupied = false, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND farm_id = $2
+                    AND NOT EXISTS (SELECT 1 FROM rabbits WHERE hutch_id = $1 AND farm_id = $2 AND is_deleted = 0)`,
+                params: [rabbit.hutch_id, farmId]
+            });
+        }
+        queries.push(
+            {
+                query: `INSERT INTO hutch_rabbit_history (id, hutch_id, rabbit_id, farm_id, assigned_at, created_at, is_deleted)
+                    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)`,
+                params: [uuidv4(), hutchId, rabbit.rabbit_id, farmId]
+            },
+            {
+                query: 'UPDATE hutches SET is_occupied = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND farm_id = $2',
+                params: [hutchId, farmId]
+            }
+        );
+        return queries;
+    }
+
+    static async quarantineRabbit(farmId, rabbitId, quarantineData, userId) {
+        const { hutch_id, reason, days } = quarantineData;
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT * FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbitId, farmId]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+            const rabbit = rabbitResult.rows[0];
+            if (rabbit.is_quarantined) {
+                throw new ValidationError('Rabbit is already in quarantine');
+            }
+
+            // Move to a quarantine hutch when one has space; otherwise isolate in place
+            const hutch = await this.findQuarantineHutch(farmId, hutch_id);
+            if (!hutch) {
+                logger.warn(`No quarantine hutch available on farm ${farmId}; rabbit ${rabbitId} quarantined in place`);
+            }
+
+            const quarantineDays = days || await this.getQuarantineDays(farmId);
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const startDate = getLocalDateString(new Date(), tz);
+            const endDate = dayjs(startDate).add(quarantineDays, 'day').format('YYYY-MM-DD');
+
+            // The move, the quarantine dates and the release-check alert are written together
+            const results = await DatabaseHelper.executeTransaction([
+                ...(hutch ? this.moveRabbitToHutchQueries(rabbit, hutch.id, farmId) : []),
+                {
+                    query: `UPDATE rabbits
+                        SET is_quarantined = true, quarantine_reason = $1, quarantine_start_date = $2,
+                            quarantine_end_date = $3, updated_at = CURRENT_TIMESTAMP
+                        WHERE rabbit_id = $4 AND farm_id = $5 AND is_deleted = 0
+                        RETURNING *`,
+                    params: [reason || null, startDate, endDate, rabbitId, farmId]
+                },
+                AlertService.createAlertQuery({
+                    farm_id: farmId,
+                    user_id: userId,
+                    rabbit_id: rabbitId,
+                    hutch_id: hutch ? hutch.id : rabbit.hutch_id,
+                    name: releaseCheckAlertName(rabbitId),
+                    alert_start_date: endDate + 'T00:00:00Z',
+                    alert_type: 'quarantine',
+                    severity: 'medium',
+                    message: `Rabbit ${rabbitId} has completed ${quarantineDays} days of quarantine${hutch ? ` in hutch ${hutch.name}` : ''}. Check its health before releasing it on ${formatLocalDate(endDate, tz)}.`,
+                    notify_on: [endDate]
+                })
+            ]);
+            const [quarantined, alert] = results.slice(-2).map(result => result.rows[0]);
+            await AlertService.notifyIfDue(alert);
+
+            logger.info(`Rabbit ${rabbitId} quarantined until ${endDate} by user ${userId}`);
+            return quarantined;
+        } catch (error) {
+            logger.error(`Error quarantining rabbit ${rabbitId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async releaseRabbit(farmId, rabbitId, releaseData, userId) {
+        const { hutch_id } = releaseData;
+
+        try {
+            const rabbitResult = await DatabaseHelper.executeQuery(
+                'SELECT * FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [rabbitId, farmId]
+            );
+            if (rabbitResult.rows.length === 0) {
+                throw new ValidationError('Rabbit not found');
+            }
+            const rabbit = rabbitResult.rows[0];
+            if (!rabbit.is_quarantined) {
+                throw new ValidationError('Rabbit is not in quarantine');
+            }
+
+            if (hutch_id) {
+                const hutchResult = await DatabaseHelper.executeQuery(
+                    'SELECT 1 FROM hutches WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                    [hutch_id, farmId]
+                );
+                if (hutchResult.rows.length === 0) {
+                    throw new ValidationError('Hutch not found');
+                }
+                const rabbitCount = await DatabaseHelper.executeQuery(
+                    'SELECT COUNT(*) FROM rabbits WHERE hutch_id = $1 AND farm_id = $2 AND is_deleted = 0 AND rabbit_id != $3',
+                    [hutch_id, farmId, rabbitId]
+                );
+                if (parseInt(rabbitCount.rows[0].count) >= 6) {
+                    throw new ValidationError('Hutch cannot have more than 6 rabbits');
+                }
+            }
+
+            const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            const moveQueries = hutch_id ? this.moveRabbitToHutchQueries(rabbit, hutch_id, farmId) : [];
+            const results = await DatabaseHelper.executeTransaction([
+                ...moveQueries,
+                {
+                    query: `UPDATE rabbits
+                        SET is_quarantined = false, quarantine_end_date = $3, updated_at = CURRENT_TIMESTAMP
+                        WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0
+                        RETURNING *`,
+                    params: [rabbitId, farmId, today]
+                },
+                {
+                    query: `UPDATE alerts
+                        SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                        WHERE farm_id = $1 AND rabbit_id = $2 AND name = $3 AND alert_type = 'quarantine'
+                        AND status IN ('pending', 'sent') AND is_deleted = false`,
+                    params: [farmId, rabbitId, releaseCheckAlertName(rabbitId)]
+                }
+            ]);
+
+            logger.info(`Rabbit ${rabbitId} released from quarantine by user ${userId}`);
+            return results[moveQueries.length].rows[0];
+        } catch (error) {
+            logger.error(`Error releasing rabbit ${rabbitId} from quarantine: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getQuarantinedRabbits(farmId) {
+        try {
+            const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT rb.*, ht.name AS hutch_name, ht.is_quarantine AS in_quarantine_hutch,
+                    GREATEST(rb.quarantine_end_date - $2::DATE, 0) AS quarantine_days_remaining
+                FROM rabbits rb
+                LEFT JOIN hutches ht ON ht.id = rb.hutch_id
+                WHERE rb.farm_id = $1 AND rb.is_quarantined = true AND rb.is_deleted = 0
+                ORDER BY rb.quarantine_end_date ASC`,
+                [farmId, today]
+            );
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error fetching quarantined rabbits for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default QuarantineService;
@@ -2,6 +2,13 @@ import { DatabaseHelper } from '../config/database.js';
 import logger from '../middleware/logger.js';
 import { ValidationError } from '../middleware/errors.js';
 import { v4 as uuidv4 } from 'uuid';
+import QuarantineService from './quarantine.services.js';
+import HealthService from './health.services.js';
+import WeightService from './weight.services.js';
+import RationService from './ration.services.js';
+import CustomersService from './customers.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString } from '../utils/dates.js';
 
 class RabbitsService {
     static async createRabbit(rabbitData, userId) {
@@ -80,7 +87,10 @@ class RabbitsService {
                     pregnancy_start_date || null, expected_birth_date || null, status || 'active', notes || null
                 ]
             );
-            const rabbit = rabbitResult.rows[0];
+            let rabbit = rabbitResult.rows[0];
+
+            // Start the weight history with the weight the rabbit was registered at
+            await WeightService.recordWeight({ farm_id, rabbit_id: rabbit.rabbit_id, weight, notes: 'Initial weight' }, userId);
 
             // Update hutch is_occupied
             if (hutch_id) {
@@ -96,6 +106,16 @@ class RabbitsService {
                     [uuidv4(), hutch_id, rabbit.rabbit_id, farm_id]
                 );
             }
+
+            // New rabbits start on the farm's ration for their life stage
+            await RationService.refreshRation(farm_id, rabbit.rabbit_id, userId);
+
+            // Purchased or transferred-in rabbits start in quarantine
+            if (acquisition_type && acquisition_type !== 'birth') {
+                rabbit = await QuarantineService.quarantineRabbit(
+                    farm_id, rabbit.rabbit_id, { reason: `New ${acquisition_type} acquisition` }, userId
+                );
+            }
             logger.info(`Rabbit ${rabbit_id} created by user ${userId}`);
             return rabbit;
         } catch (error) {
@@ -143,7 +163,24 @@ class RabbitsService {
                         )
                     )
                     FROM rabbit_birth_history rbh
-                    WHERE rbh.doe_id = r.rabbit_id AND rbh.farm_id = r.farm_id AND rbh.is_deleted = 0) AS birth_history
+                    WHERE rbh.doe_id = r.rabbit_id AND rbh.farm_id = r.farm_id AND rbh.is_deleted = 0) AS birth_history,
+                    (SELECT JSON_AGG(
+                        JSON_BUILD_OBJECT(
+                            'id', hr.id,
+                            'type', hr.type,
+                            'description', hr.description,
+                            'date', hr.date,
+                            'next_due', hr.next_due,
+                            'status', hr.status,
+                            'veterinarian', hr.veterinarian,
+                            'notes', hr.notes,
+                            'drug_name', hr.drug_name,
+                            'dosage', hr.dosage,
+                            'withdrawal_days', hr.withdrawal_days
+                        ) ORDER BY hr.date DESC
+                    )
+                    FROM health_records hr
+                    WHERE hr.rabbit_id = r.rabbit_id AND hr.farm_id = r.farm_id AND hr.is_deleted = 0) AS health_history
                 FROM rabbits r
                 LEFT JOIN hutches h ON r.hutch_id = h.id AND r.farm_id = h.farm_id
                 WHERE r.rabbit_id = $1 AND r.farm_id = $2 AND r.is_deleted = 0
@@ -162,14 +199,17 @@ class RabbitsService {
 
     static async getAllRabbits(farmId, hutchId) {
         try {
-            const queryWithHutchId = `SELECT rb.*, ht.name AS hutch_name FROM rabbits rb
+            const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            const quarantineColumns = `CASE WHEN rb.is_quarantined THEN 'quarantined' ELSE 'clear' END AS quarantine_status,
+                CASE WHEN rb.is_quarantined THEN GREATEST(rb.quarantine_end_date - $2::DATE, 0) END AS quarantine_days_remaining`;
+            const queryWithHutchId = `SELECT rb.*, ht.name AS hutch_name, ${quarantineColumns} FROM rabbits rb
                 INNER JOIN hutches ht ON ht.id = rb.hutch_id
-                WHERE rb.farm_id = $1 AND rb.hutch_id = $2 AND rb.is_deleted = 0 ORDER BY rb.created_at DESC`;
-            const queryWithNoHutchId = `SELECT rb.*, ht.name AS hutch_name FROM rabbits rb
+                WHERE rb.farm_id = $1 AND rb.hutch_id = $3 AND rb.is_deleted = 0 ORDER BY rb.created_at DESC`;
+            const queryWithNoHutchId = `SELECT rb.*, ht.name AS hutch_name, ${quarantineColumns} FROM rabbits rb
             INNER JOIN hutches ht ON ht.id = rb.hutch_id
             WHERE rb.farm_id = $1 AND rb.is_deleted = 0 ORDER BY rb.created_at DESC`;
             const query = hutchId ? queryWithHutchId : queryWithNoHutchId;
-            const params = hutchId ? [farmId, hutchId] : [farmId];
+            const params = hutchId ? [farmId, today, hutchId] : [farmId, today];
             const result = await DatabaseHelper.executeQuery(query, params);
             return result.rows;
         } catch (error) {
@@ -261,6 +301,11 @@ class RabbitsService {
             }
             const updatedRabbit = result.rows[0];
 
+            // A new weight is appended to the weight log instead of overwriting history
+            if (weight && parseFloat(weight) !== parseFloat(rabbit.weight)) {
+                await WeightService.recordWeight({ farm_id: farmId, rabbit_id: rabbitId, weight }, userId);
+            }
+
             // Update hutch_rabbit_history and hutch status
             if (hutch_id !== rabbit.hutch_id) {
                 if (rabbit.hutch_id) {
@@ -305,14 +350,14 @@ class RabbitsService {
     }
 
     static async deleteRabbit(rabbitId, farmId, removalData, userId) {
-        const { reason, notes, date, sale_amount, sale_weight, sold_to, sale_notes, sale_type, hutch_id, currency } = removalData;
+        const { reason, notes, date, sale_amount, sale_weight, sold_to, customer_id, sale_notes, sale_type, hutch_id, currency, cause_of_death } = removalData;
         if (!reason) {
             throw new ValidationError('Removal reason is required');
         }
 
         try {
             const rabbitResult = await DatabaseHelper.executeQuery(
-                'SELECT id, rabbit_id, hutch_id FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                'SELECT id, rabbit_id, hutch_id, birth_date FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
                 [rabbitId, farmId]
             );
             if (rabbitResult.rows.length === 0) {
@@ -320,6 +365,12 @@ class RabbitsService {
             }
             const rabbit = rabbitResult.rows[0];
 
+            // Rabbits still under a medication withdrawal period cannot be sold
+            if (reason === 'sale') {
+                await HealthService.assertNotUnderWithdrawal(rabbit.rabbit_id, farmId, date);
+            }
+            const buyer = await CustomersService.resolveBuyer(farmId, customer_id, sold_to);
+
             // Soft delete rabbit
             const result = await DatabaseHelper.executeQuery(
                 'UPDATE rabbits SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0 RETURNING *',
@@ -327,15 +378,27 @@ class RabbitsService {
             );
             const deletedRabbit = result.rows[0];
 
+            // Deaths record a structured cause and the age at death for mortality reports
+            const removalDate = date || getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            let ageAtDeathDays = null;
+            if (reason === 'death' && rabbit.birth_date) {
+                ageAtDeathDays = Math.max(
+                    Math.floor((new Date(removalDate) - new Date(rabbit.birth_date)) / (1000 * 60 * 60 * 24)),
+                    0
+                );
+            }
+
             // Insert removal record
             await DatabaseHelper.executeQuery(
                 `INSERT INTO removal_records (
-                    id, rabbit_id, hutch_id, farm_id, reason, notes, date, sale_amount, sale_weight, sold_to, created_at, is_deleted
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, 0)`,
+                    id, rabbit_id, hutch_id, farm_id, reason, notes, date, sale_amount, sale_weight, sold_to,
+                    cause_of_death, age_at_death_days, customer_id, created_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, 0)`,
                 [
                     uuidv4(), rabbit.rabbit_id, hutch_id || rabbit.hutch_id || null, farmId, reason,
-                    notes || null, date || new Date().toISOString().split('T')[0], sale_amount || null,
-                    sale_weight || null, sold_to || null
+                    notes || null, removalDate, sale_amount || null,
+                    sale_weight || null, buyer.buyer_name,
+                    reason === 'death' ? cause_of_death || 'unknown' : null, ageAtDeathDays, buyer.customer_id
                 ]
             );
 
@@ -344,12 +407,12 @@ class RabbitsService {
                 await DatabaseHelper.executeQuery(
                     `UPDATE hutch_rabbit_history
                     SET removed_at = CURRENT_TIMESTAMP, removal_reason = $1, removal_notes = $2,
-                        sale_amount = $3, sale_date = $4, sale_weight = $5, sold_to = $6, updated_at = CURRENT_TIMESTAMP
+                        sale_amount = $3, sale_date = $4, sale_weight = $5, sold_to = $6, customer_id = $10, updated_at = CURRENT_TIMESTAMP
                     WHERE hutch_id = $7 AND rabbit_id = $8 AND farm_id = $9 AND is_deleted = 0 AND removed_at IS NULL`,
                     [
                         reason, sale_notes || notes || null, sale_amount || null,
-                        date || new Date().toISOString().split('T')[0], sale_weight || null, sold_to || null,
-                        rabbit.hutch_id, rabbit.rabbit_id, farmId
+                        removalDate, sale_weight || null, buyer.buyer_name,
+                        rabbit.hutch_id, rabbit.rabbit_id, farmId, buyer.customer_id
                     ]
                 );
 
@@ -0,0 +1,224 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import FeedingService from './feeding.services.js';
+import FarmsService from './farms.services.js';
+import { LIFE_STAGES } from '../utils/constants.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// What applying the farm's ration to a rabbit would do. Schedules set up by hand are never replaced;
+// generated ones are regenerated when the stage changes or the template is edited after them
+function rationAction(rabbit, template) {
+    if (rabbit.schedule_id && !rabbit.ration_template_id) return 'manual';
+    if (!template) return 'no_template';
+    if (!rabbit.schedule_id) return 'create';
+    if (
+        rabbit.scheduled_life_stage !== rabbit.life_stage ||
+        rabbit.ration_template_id !== template.id ||
+        dayjs(template.updated_at).isAfter(dayjs(rabbit.schedule_created_at))
+    ) {
+        return 'update';
+    }
+    return 'current';
+}
+
+class RationService {
+    static async getTemplates(farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT * FROM ration_templates
+                WHERE farm_id = $1 AND is_deleted = 0`,
+                [farmId]
+            );
+            return result.rows.sort((a, b) => LIFE_STAGES.indexOf(a.life_stage) - LIFE_STAGES.indexOf(b.life_stage));
+        } catch (error) {
+            logger.error(`Error getting ration templates for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async setTemplate(farmId, lifeStage, templateData, userId) {
+        const { daily_amount, feed_type, times, special_diet } = templateData;
+
+        if (!LIFE_STAGES.includes(lifeStage)) {
+            throw new ValidationError(`Life stage must be one of ${LIFE_STAGES.join(', ')}`);
+        }
+        if (!daily_amount || !feed_type || !Array.isArray(times) || times.length === 0) {
+            throw new ValidationError('Missing required ration template fields');
+        }
+
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO ration_templates (
+                    id, farm_id, life_stage, daily_amount, feed_type, times, special_diet, created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                ON CONFLICT (farm_id, life_stage) DO UPDATE
+                SET daily_amount = EXCLUDED.daily_amount, feed_type = EXCLUDED.feed_type, times = EXCLUDED.times,
+                    special_diet = EXCLUDED.special_diet, is_deleted = 0
+                RETURNING *`,
+                [uuidv4(), farmId, lifeStage, daily_amount, feed_type, JSON.stringify([...times].sort()), special_diet || null]
+            );
+            const sync = await this.syncFarmRations(farmId, userId);
+            logger.info(`Ration template for ${lifeStage} on farm ${farmId} set by user ${userId}`);
+            return { ...result.rows[0], sync };
+        } catch (error) {
+            logger.error(`Error setting ration template for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteTemplate(farmId, lifeStage, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE ration_templates
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE farm_id = $1 AND life_stage = $2 AND is_deleted = 0
+                RETURNING *`,
+                [farmId, lifeStage]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Ration template not found');
+            }
+            logger.info(`Ration template for ${lifeStage} on farm ${farmId} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting ration template for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getRabbitStages(farmId, { life_stage } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const rabbits = await FeedingService.getRabbitLifeStages(farmId, today);
+            const templates = await this.getTemplates(farmId);
+
+            return rabbits
+                .filter(rabbit => !life_stage || rabbit.life_stage === life_stage)
+                .map(rabbit => ({
+                    rabbit_id: rabbit.rabbit_id,
+                    name: rabbit.name,
+                    hutch_id: rabbit.hutch_id,
+                    gender: rabbit.gender,
+                    life_stage: rabbit.life_stage,
+                    schedule_id: rabbit.schedule_id,
+                    scheduled_life_stage: rabbit.scheduled_life_stage,
+                    ration: rationAction(rabbit, templates.find(t => t.life_stage === rabbit.life_stage)),
+                }));
+        } catch (error) {
+            logger.error(`Error getting rabbit life stages for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async applyRationToRabbit(farmId, rabbit, templates, userId) {
+        const template = templates.find(t => t.life_stage === rabbit.life_stage);
+        const action = rationAction(rabbit, template);
+        let schedule = null;
+        if (action === 'create' || action === 'update') {
+            schedule = await FeedingService.createSchedule({
+                farm_id: farmId,
+                rabbit_id: rabbit.rabbit_id,
+                daily_amount: template.daily_amount,
+                feed_type: template.feed_type,
+                times: template.times,
+                special_diet: template.special_diet,
+                ration_template_id: template.id,
+                life_stage: rabbit.life_stage,
+            }, userId);
+        }
+        return { rabbit_id: rabbit.rabbit_id, life_stage: rabbit.life_stage, action, schedule };
+    }
+
+    /**
+     * Derive a rabbit's current life stage and move it onto the farm's ration for that stage.
+     * @param {string} farmId - Farm UUID
+     * @param {string} rabbitId - Rabbit ID
+     * @param {string} userId - User triggering the change
+     * @returns {Promise<Object>} - Life stage, action taken (create, update, current, manual, no_template) and any new schedule
+     */
+    static async applyRation(farmId, rabbitId, userId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const [rabbit] = await FeedingService.getRabbitLifeStages(farmId, today, { rabbit_id: rabbitId });
+            if (!rabbit) {
+                throw new ValidationError('Rabbit not found');
+            }
+            const templates = await this.getTemplates(farmId);
+            const result = await this.applyRationToRabbit(farmId, rabbit, templates, userId);
+            if (result.schedule) {
+                logger.info(`Rabbit ${rabbitId} moved onto the ${rabbit.life_stage} ration on farm ${farmId}`);
+            }
+            return result;
+        } catch (error) {
+            logger.error(`Error applying ration to rabbit ${rabbitId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Used after breeding events; a ration that cannot be applied must not fail the event itself
+    static async refreshRation(farmId, rabbitId, userId) {
+        try {
+            return await this.applyRation(farmId, rabbitId, userId);
+        } catch (error) {
+            logger.warn(`Ration for rabbit ${rabbitId} not refreshed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Re-derive every rabbit's life stage and regenerate schedules whose stage or template changed.
+     * Run daily so rabbits move from weaner to grower to maintenance and off lactation as they age.
+     * @param {string} farmId - Farm UUID
+     * @param {string} [userId] - User triggering the sync
+     * @returns {Promise<Object>} - Counts per action and the schedules created
+     */
+    static async syncFarmRations(farmId, userId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const rabbits = await FeedingService.getRabbitLifeStages(farmId, today);
+            const templates = await this.getTemplates(farmId);
+
+            const counts = { create: 0, update: 0, current: 0, manual: 0, no_template: 0 };
+            const schedules = [];
+            for (const rabbit of rabbits) {
+                const result = await this.applyRationToRabbit(farmId, rabbit, templates, userId);
+                counts[result.action]++;
+                if (result.schedule) {
+                    schedules.push(result.schedule);
+                }
+            }
+
+            logger.info(`Rations synced for farm ${farmId}: ${schedules.length} schedules generated`);
+            return {
+                as_of: today,
+                rabbits: rabbits.length,
+                created: counts.create,
+                updated: counts.update,
+                unchanged: counts.current,
+                manual: counts.manual,
+                without_template: counts.no_template,
+                schedules,
+            };
+        } catch (error) {
+            logger.error(`Error syncing rations for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Daily life-stage resync for every farm, for the scheduled workflow
+    static async syncAllRations() {
+        return FarmsService.runForAllFarms('Ration sync', farmId => this.syncFarmRations(farmId));
+    }
+}
+
+export default RationService;
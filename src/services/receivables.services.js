@@ -0,0 +1,344 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import InvoicesService from './invoices.services.js';
+import ExchangeRatesService from './exchangeRates.services.js';
+import { OVERDUE_REMINDER_INTERVAL_DAYS } from '../utils/constants.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Aging buckets by days past the due date; sales not yet due are reported as not_due
+const AGING_BUCKETS = [
+    { key: 'days_0_30', max: 30 },
+    { key: 'days_31_60', max: 60 },
+    { key: 'days_61_90', max: 90 },
+    { key: 'days_over_90', max: Infinity },
+];
+
+function money(value) {
+    return parseFloat(parseFloat(value).toFixed(2));
+}
+
+function emptyBuckets() {
+    return { not_due: 0, ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])), total: 0, unconverted: 0 };
+}
+
+function bucketFor(daysOverdue) {
+    if (daysOverdue < 0) return 'not_due';
+    return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.max).key;
+}
+
+// e.g. "KES 1,300.00 and USD 10.00"
+function formatAmounts(byCurrency) {
+    return Object.entries(byCurrency)
+        .map(([currency, amount]) => `${currency} ${money(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)
+        .join(' and ');
+}
+
+class ReceivablesService {
+    /**
+     * Sales with something left to pay, oldest due first. Sales without a due date are due on the sale date.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} filters - customer_id, overdue, limit, offset
+     * @returns {Promise<Array>} - Sales with outstanding, effective due date and days_overdue
+     */
+    static async getReceivables(farmId, { customer_id, overdue, limit, offset } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            let query = `
+                SELECT er.id, er.type, er.rabbit_id, er.amount, er.amount_paid, er.amount - er.amount_paid AS outstanding,
+                    er.payment_status, er.currency, TO_CHAR(er.date, 'YYYY-MM-DD') AS date,
+                    TO_CHAR(COALESCE(er.due_date, er.date), 'YYYY-MM-DD') AS due_date,
+                    ($2::DATE - COALESCE(er.due_date, er.date)) AS days_overdue,
+                    er.customer_id, COALESCE(c.name, TRIM(er.buyer_name)) AS buyer_name
+                FROM earnings_records er
+                LEFT JOIN customers c ON c.id = er.customer_id
+                WHERE er.farm_id = $1 AND er.is_deleted = 0 AND er.amount_paid < er.amount`;
+            const params = [farmId, today];
+            let paramIndex = 3;
+
+            if (customer_id) {
+                query += ` AND er.customer_id = $${paramIndex}`;
+                params.push(customer_id);
+                paramIndex++;
+            }
+            if (overdue) {
+                query += ' AND COALESCE(er.due_date, er.date) < $2';
+            }
+
+            query += ' ORDER BY COALESCE(er.due_date, er.date), er.date';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting receivables for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Outstanding amounts aged by days past due (0-30, 31-60, 61-90, 90+), per customer and in
+     * total, converted to the farm's currency at each sale's date.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} filters - customer_id
+     * @returns {Promise<Object>} - Farm currency, totals and the buckets per customer
+     */
+    static async getAgingReport(farmId, { customer_id } = {}) {
+        try {
+            const sales = await this.getReceivables(farmId, { customer_id });
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+            const totals = emptyBuckets();
+            const customers = new Map();
+
+            for (const sale of sales) {
+                const key = sale.customer_id || `buyer:${(sale.buyer_name || '').toLowerCase()}`;
+                if (!customers.has(key)) {
+                    customers.set(key, {
+                        customer_id: sale.customer_id,
+                        name: sale.buyer_name || null,
+                        sales: 0,
+                        oldest_days_overdue: null,
+                        ...emptyBuckets(),
+                    });
+                }
+                const row = customers.get(key);
+                row.sales++;
+                row.oldest_days_overdue = Math.max(row.oldest_days_overdue ?? sale.days_overdue, sale.days_overdue);
+
+                const outstanding = convert(parseFloat(sale.outstanding), sale.currency, sale.date);
+                if (outstanding === null) {
+                    row.unconverted++;
+                    totals.unconverted++;
+                    continue;
+                }
+                const bucket = bucketFor(sale.days_overdue);
+                for (const target of [row, totals]) {
+                    target[bucket] += outstanding;
+                    target.total += outstanding;
+                }
+            }
+
+            const round = buckets => {
+                for (const key of ['not_due', ...AGING_BUCKETS.map(bucket => bucket.key), 'total']) {
+                    buckets[key] = money(buckets[key]);
+                }
+                return buckets;
+            };
+            return {
+                currency,
+                as_of: dayjs().tz(await FarmsService.getFarmTimezone(farmId)).format('YYYY-MM-DD'),
+                totals: round(totals),
+                customers: [...customers.values()].map(round).sort((a, b) => b.total - a.total),
+            };
+        } catch (error) {
+            logger.error(`Error getting receivables aging for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getSale(farmId, earningsId) {
+        const result = await DatabaseHelper.executeQuery(
+            `SELECT id, amount, amount_paid, amount - amount_paid AS outstanding, payment_status, currency,
+                TO_CHAR(date, 'YYYY-MM-DD') AS date, TO_CHAR(due_date, 'YYYY-MM-DD') AS due_date, customer_id, buyer_name
+            FROM earnings_records
+            WHERE id = $1 AND farm_id = $2 AND is_deleted = 0`,
+            [earningsId, farmId]
+        );
+        if (result.rows.length === 0) {
+            throw new ValidationError('Earnings record not found');
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * A sale's payment position and the payments applied to it. Payments made against an
+     * invoice for several sales show the share that went to this sale.
+     * @param {string} farmId - Farm UUID
+     * @param {string} earningsId - Earnings record ID
+     * @returns {Promise<Object>} - The sale and its payments
+     */
+    static async getSalePayments(farmId, earningsId) {
+        try {
+            const sale = await this.getSale(farmId, earningsId);
+            const payments = await DatabaseHelper.executeQuery(
+                `SELECT sp.id, a.amount, sp.amount AS payment_amount, sp.payment_method, sp.reference,
+                    TO_CHAR(sp.date, 'YYYY-MM-DD') AS date, sp.notes, sp.invoice_id, i.invoice_number, sp.created_by, sp.created_at
+                FROM sale_payment_allocations a
+                JOIN sale_payments sp ON sp.id = a.payment_id
+                LEFT JOIN invoices i ON i.id = sp.invoice_id
+                WHERE a.earnings_record_id = $1 AND sp.is_deleted = 0
+                ORDER BY sp.date, sp.created_at`,
+                [earningsId]
+            );
+            return { ...sale, payments: payments.rows };
+        } catch (error) {
+            logger.error(`Error getting payments for earnings ${earningsId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a payment on a single sale. A sale billed on an issued invoice has the payment
+     * recorded against that invoice too, so the invoice shows it and is marked paid when settled.
+     * @param {string} farmId - Farm UUID
+     * @param {string} earningsId - Earnings record ID
+     * @param {Object} paymentData - amount, payment_method, reference, date (defaults to today), notes
+     * @param {string} userId - User recording the payment
+     * @returns {Promise<Object>} - The sale and its payments
+     */
+    static async recordPayment(farmId, earningsId, paymentData, userId) {
+        try {
+            const sale = await this.getSale(farmId, earningsId);
+            const amount = money(paymentData.amount);
+            if (!(amount > 0)) {
+                throw new ValidationError('Payment amount must be positive');
+            }
+            if (amount > money(sale.outstanding)) {
+                throw new ValidationError(`Payment is more than the ${sale.currency} ${money(sale.outstanding).toFixed(2)} left to pay on the sale`);
+            }
+            if (paymentData.date && dayjs(paymentData.date).format('YYYY-MM-DD') < sale.date) {
+                throw new ValidationError('Payment date cannot be before the sale date');
+            }
+
+            const invoice = (await InvoicesService.getInvoicesForSale(earningsId, farmId))[0];
+            const paymentId = uuidv4();
+            const date = paymentData.date || dayjs().tz(await FarmsService.getFarmTimezone(farmId)).format('YYYY-MM-DD');
+            await DatabaseHelper.executeTransaction(InvoicesService.paymentQueries(
+                farmId,
+                invoice?.id || null,
+                { ...paymentData, id: paymentId, amount, date },
+                [{ earnings_record_id: earningsId, amount }],
+                userId
+            ));
+            logger.info(`Payment ${paymentId} of ${amount} recorded on earnings ${earningsId} by user ${userId}`);
+            return await this.getSalePayments(farmId, earningsId);
+        } catch (error) {
+            logger.error(`Error recording payment on earnings ${earningsId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Deletes the whole payment, including shares applied to other sales on the same invoice
+    static async deletePayment(farmId, paymentId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                'SELECT id, invoice_id FROM sale_payments WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [paymentId, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Payment not found');
+            }
+            const payment = result.rows[0];
+            await DatabaseHelper.executeTransaction(InvoicesService.paymentReversalQueries(paymentId, payment.invoice_id));
+            logger.info(`Payment ${paymentId} deleted by user ${userId}`);
+            return payment;
+        } catch (error) {
+            logger.error(`Error deleting payment ${paymentId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Raise an alert per customer with overdue sales, repeated every OVERDUE_REMINDER_INTERVAL_DAYS
+     * while they still owe, and complete reminders for customers who have paid up. Safe to run
+     * repeatedly (e.g. from the scheduled workflow).
+     * @param {string} farmId - Farm UUID
+     * @param {string} [userId] - User to notify; defaults to the farm owner
+     * @returns {Promise<Object>} - Created alerts and the number of reminders completed
+     */
+    static async sendOverdueReminders(farmId, userId) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = dayjs().tz(tz).format('YYYY-MM-DD');
+            const recipient = userId || (await DatabaseHelper.executeQuery(
+                'SELECT created_by FROM farms WHERE id = $1 AND is_deleted = 0',
+                [farmId]
+            )).rows[0]?.created_by;
+
+            const debtors = new Map();
+            for (const sale of await this.getReceivables(farmId, { overdue: true })) {
+                const name = sale.buyer_name || 'Unknown buyer';
+                const alertName = `Overdue payment - ${name}`;
+                if (!debtors.has(alertName)) {
+                    debtors.set(alertName, { name, sales: 0, byCurrency: {}, oldestDue: sale.due_date, days: sale.days_overdue });
+                }
+                const debtor = debtors.get(alertName);
+                debtor.sales++;
+                debtor.byCurrency[sale.currency] = (debtor.byCurrency[sale.currency] || 0) + parseFloat(sale.outstanding);
+                if (sale.days_overdue > debtor.days) {
+                    debtor.days = sale.days_overdue;
+                    debtor.oldestDue = sale.due_date;
+                }
+            }
+
+            // Reminders for customers who no longer owe anything overdue are done
+            const open = await DatabaseHelper.executeQuery(
+                `SELECT id, name, created_on FROM alerts
+                WHERE farm_id = $1 AND alert_type = 'payment' AND name LIKE 'Overdue payment - %'
+                AND status IN ('pending', 'sent') AND is_deleted = false`,
+                [farmId]
+            );
+            const settled = open.rows.filter(alert => !debtors.has(alert.name)).map(alert => alert.id);
+            const stale = open.rows
+                .filter(alert => debtors.has(alert.name) && dayjs(today).diff(dayjs(alert.created_on).tz(tz).format('YYYY-MM-DD'), 'day') >= OVERDUE_REMINDER_INTERVAL_DAYS)
+                .map(alert => alert.id);
+            if (settled.length + stale.length > 0) {
+                await DatabaseHelper.executeQuery(
+                    `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                    WHERE id = ANY($1)`,
+                    [[...settled, ...stale]]
+                );
+            }
+
+            const current = new Set(open.rows.filter(alert => !stale.includes(alert.id)).map(alert => alert.name));
+            const created = [];
+            for (const [alertName, debtor] of debtors) {
+                if (current.has(alertName)) {
+                    continue;
+                }
+                created.push(await AlertService.createAlert({
+                    farm_id: farmId,
+                    user_id: recipient,
+                    name: alertName,
+                    alert_start_date: new Date().toISOString(),
+                    alert_type: 'payment',
+                    severity: debtor.days > 60 ? 'high' : 'medium',
+                    message: `${debtor.name} owes ${formatAmounts(debtor.byCurrency)} on ${debtor.sales} overdue `
+                        + `${debtor.sales === 1 ? 'sale' : 'sales'}, the oldest due on ${debtor.oldestDue} (${debtor.days} days ago).`,
+                    notify_on: [today]
+                }));
+            }
+
+            logger.info(`Created ${created.length} overdue payment reminders for farm ${farmId}`);
+            return { created, completed: settled.length };
+        } catch (error) {
+            logger.error(`Error sending overdue payment reminders for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Overdue payment reminders for every farm, for the scheduled workflow
+    static async sendAllOverdueReminders() {
+        return FarmsService.runForAllFarms('Overdue payment reminders', farmId => this.sendOverdueReminders(farmId));
+    }
+}
+
+export default ReceivablesService;
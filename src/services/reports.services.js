@@ -0,0 +1,778 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { KIT_DEATH_STATUSES, PRODUCTION_UNITS, PRODUCT_SALE_TYPES } from '../utils/constants.js';
+import FeedInventoryService from './feedInventory.services.js';
+import FarmsService from './farms.services.js';
+import ExchangeRatesService from './exchangeRates.services.js';
+import { getLocalDateString } from '../utils/dates.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Age brackets (in days) used to group deaths
+const AGE_BRACKETS = [
+    { label: '0-30 days (pre-weaning)', min: 0, max: 30 },
+    { label: '31-90 days (grower)', min: 31, max: 90 },
+    { label: '91-180 days (young)', min: 91, max: 180 },
+    { label: '181+ days (adult)', min: 181, max: Infinity },
+];
+
+function ageBracket(ageDays) {
+    if (ageDays === null || ageDays === undefined) {
+        return 'unknown';
+    }
+    return AGE_BRACKETS.find(b => ageDays >= b.min && ageDays <= b.max)?.label || 'unknown';
+}
+
+function toRate(deaths, population) {
+    return population > 0 ? parseFloat(((deaths / population) * 100).toFixed(2)) : 0;
+}
+
+// Resolves the report period, defaulting to the last 12 months up to today in the farm's timezone
+function resolvePeriod(date_from, date_to, tz) {
+    const to = date_to ? dayjs(date_to) : dayjs(getLocalDateString(new Date(), tz));
+    const from = date_from ? dayjs(date_from) : to.subtract(12, 'month').add(1, 'day');
+    if (!from.isValid() || !to.isValid()) {
+        throw new ValidationError('date_from and date_to must be valid dates');
+    }
+    if (from.isAfter(to)) {
+        throw new ValidationError('date_from must be before date_to');
+    }
+    return { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+}
+
+// Counts subjects (rabbits or kits) present on the farm at any point in [from, to]
+function countAtRisk(subjects, from, to) {
+    return subjects.filter(s => s.entry_date <= to && (!s.exit_date || s.exit_date >= from)).length;
+}
+
+function groupDeaths(deaths, keyFn) {
+    const groups = new Map();
+    for (const death of deaths) {
+        const key = keyFn(death);
+        groups.set(key, (groups.get(key) || 0) + 1);
+    }
+    return groups;
+}
+
+// Weight (kg) at a moment, interpolated between weighings ([{ time, weight }] sorted by time)
+function weightAt(points, time) {
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (time <= b.time) {
+            return b.time === a.time ? b.weight : a.weight + ((b.weight - a.weight) * (time - a.time)) / (b.time - a.time);
+        }
+    }
+    return points[points.length - 1].weight;
+}
+
+function toFcr(feedKg, gainKg) {
+    return gainKg > 0 ? parseFloat((feedKg / gainKg).toFixed(2)) : null;
+}
+
+// Sums the stints in each group into feed, gain and FCR
+function groupFcr(stints, keyFn, describe) {
+    const groups = new Map();
+    for (const stint of stints) {
+        const key = keyFn(stint);
+        if (key === null || key === undefined) {
+            continue;
+        }
+        if (!groups.has(key)) {
+            groups.set(key, { ...describe(stint), rabbits: new Set(), weighed: new Set(), feed_kg: 0, measured_feed_kg: 0, weight_gain_kg: 0 });
+        }
+        const group = groups.get(key);
+        group.rabbits.add(stint.rabbit_id);
+        group.feed_kg += stint.feed_kg;
+        if (stint.weighed) {
+            group.weighed.add(stint.rabbit_id);
+            group.measured_feed_kg += stint.measured_feed_kg;
+            group.weight_gain_kg += stint.weight_gain_kg;
+        }
+    }
+    return [...groups.values()]
+        .map(({ rabbits, weighed, ...group }) => ({
+            ...group,
+            rabbits: rabbits.size,
+            rabbits_weighed: weighed.size,
+            feed_kg: parseFloat(group.feed_kg.toFixed(2)),
+            measured_feed_kg: parseFloat(group.measured_feed_kg.toFixed(2)),
+            weight_gain_kg: parseFloat(group.weight_gain_kg.toFixed(2)),
+            fcr: toFcr(group.measured_feed_kg, group.weight_gain_kg),
+        }))
+        .sort((a, b) => (a.fcr ?? Infinity) - (b.fcr ?? Infinity));
+}
+
+// Label of the month, quarter or year a YYYY-MM-DD date falls in
+function periodKey(date, granularity) {
+    const d = dayjs(date);
+    if (granularity === 'year') return d.format('YYYY');
+    if (granularity === 'quarter') return `${d.format('YYYY')}-Q${Math.floor(d.month() / 3) + 1}`;
+    return d.format('YYYY-MM');
+}
+
+// Consecutive periods covering [from, to]; the first and last are clipped to the range
+function listPeriods(from, to, granularity) {
+    const periods = [];
+    let start = dayjs(from);
+    while (!start.isAfter(dayjs(to))) {
+        const unitStart = granularity === 'quarter'
+            ? start.startOf('month').subtract(start.month() % 3, 'month')
+            : start.startOf(granularity);
+        const unitEnd = unitStart.add(granularity === 'quarter' ? 3 : 1, granularity === 'quarter' ? 'month' : granularity).subtract(1, 'day');
+        const end = unitEnd.isAfter(dayjs(to)) ? dayjs(to) : unitEnd;
+        periods.push({ period: periodKey(start, granularity), start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') });
+        start = end.add(1, 'day');
+    }
+    return periods;
+}
+
+function money(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+function toMargin(profit, revenue) {
+    return revenue > 0 ? parseFloat(((profit / revenue) * 100).toFixed(2)) : null;
+}
+
+function toChange(current, previous) {
+    return previous !== 0 ? parseFloat((((current - previous) / Math.abs(previous)) * 100).toFixed(2)) : null;
+}
+
+function addTo(totals, key, amount) {
+    totals[key] = (totals[key] || 0) + amount;
+}
+
+function emptyStatement() {
+    return {
+        revenue: { total: 0, by_type: {}, by_sale_type: {} },
+        cost_of_sales: { feed_consumed: 0, feed_written_off: 0, total: 0 },
+        operating_expenses: { total: 0, by_category: {} },
+        feed_purchases: 0,
+    };
+}
+
+// Rounds a statement and works out profit and margins
+function finishStatement(statement) {
+    const round = totals => Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, money(value)]));
+    const revenue = money(statement.revenue.total);
+    const costOfSales = money(statement.cost_of_sales.feed_consumed + statement.cost_of_sales.feed_written_off);
+    const operating = money(statement.operating_expenses.total);
+    const grossProfit = money(revenue - costOfSales);
+    const netProfit = money(grossProfit - operating);
+    return {
+        revenue: { total: revenue, by_type: round(statement.revenue.by_type), by_sale_type: round(statement.revenue.by_sale_type) },
+        cost_of_sales: {
+            feed_consumed: money(statement.cost_of_sales.feed_consumed),
+            feed_written_off: money(statement.cost_of_sales.feed_written_off),
+            total: costOfSales,
+        },
+        gross_profit: grossProfit,
+        gross_margin: toMargin(grossProfit, revenue),
+        operating_expenses: { total: operating, by_category: round(statement.operating_expenses.by_category) },
+        net_profit: netProfit,
+        net_margin: toMargin(netProfit, revenue),
+        feed_purchases: money(statement.feed_purchases),
+    };
+}
+
+class ReportsService {
+    static async getMortalityReport(farmId, { date_from, date_to } = {}) {
+        try {
+            const { from, to } = resolvePeriod(date_from, date_to, await FarmsService.getFarmTimezone(farmId));
+
+            // Adult deaths come from removal_records, kit deaths from kit_records.status
+            const deathsResult = await DatabaseHelper.executeQuery(
+                `SELECT 'rabbit' AS source, rr.rabbit_id AS subject_id, TO_CHAR(rr.date, 'YYYY-MM-DD') AS death_date,
+                    COALESCE(rr.cause_of_death, 'unknown') AS cause,
+                    COALESCE(rr.age_at_death_days, rr.date - r.birth_date) AS age_days,
+                    r.breed, h.id AS hutch_id, h.name AS hutch_name, rw.id AS row_id, rw.name AS row_name
+                FROM removal_records rr
+                JOIN rabbits r ON r.rabbit_id = rr.rabbit_id
+                LEFT JOIN hutches h ON h.id = rr.hutch_id
+                LEFT JOIN rows rw ON rw.id = h.row_id
+                WHERE rr.farm_id = $1 AND rr.reason = 'death' AND rr.is_deleted = 0
+                AND rr.date BETWEEN $2 AND $3
+                UNION ALL
+                SELECT 'kit' AS source, kr.id AS subject_id,
+                    TO_CHAR(COALESCE(kr.death_date, kr.updated_at::date), 'YYYY-MM-DD') AS death_date,
+                    COALESCE(kr.cause_of_death, 'unknown') AS cause,
+                    COALESCE(kr.death_date, kr.updated_at::date) - br.actual_birth_date AS age_days,
+                    doe.breed, h.id AS hutch_id, h.name AS hutch_name, rw.id AS row_id, rw.name AS row_name
+                FROM kit_records kr
+                JOIN breeding_records br ON br.id = kr.breeding_record_id
+                LEFT JOIN rabbits doe ON doe.rabbit_id = br.doe_id
+                LEFT JOIN hutches h ON h.id = doe.hutch_id
+                LEFT JOIN rows rw ON rw.id = h.row_id
+                WHERE kr.farm_id = $1 AND kr.is_deleted = 0 AND LOWER(kr.status) = ANY($4)
+                AND COALESCE(kr.death_date, kr.updated_at::date) BETWEEN $2 AND $3`,
+                [farmId, from, to, KIT_DEATH_STATUSES]
+            );
+            const deaths = deathsResult.rows.map(row => ({
+                ...row,
+                age_days: row.age_days === null ? null : parseInt(row.age_days),
+            }));
+
+            // Everything that was on the farm during the period, used as the population at risk.
+            // Kits kept on as rabbits are counted as rabbits: they are matched by kit number, or by
+            // mother and birth date (the litter's living kits are dropped first), as in the economics ledgers
+            const populationResult = await DatabaseHelper.executeQuery(
+                `SELECT 'rabbit' AS source, r.breed, rw.id AS row_id,
+                    TO_CHAR(COALESCE(r.acquisition_date, r.birth_date), 'YYYY-MM-DD') AS entry_date,
+                    TO_CHAR(rr.date, 'YYYY-MM-DD') AS exit_date
+                FROM rabbits r
+                LEFT JOIN LATERAL (
+                    SELECT date, hutch_id FROM removal_records
+                    WHERE rabbit_id = r.rabbit_id AND farm_id = r.farm_id AND is_deleted = 0
+                    ORDER BY date DESC LIMIT 1
+                ) rr ON true
+                LEFT JOIN hutches h ON h.id = COALESCE(r.hutch_id, rr.hutch_id)
+                LEFT JOIN rows rw ON rw.id = h.row_id
+                WHERE r.farm_id = $1 AND COALESCE(r.acquisition_date, r.birth_date) <= $3
+                AND (rr.date IS NULL OR rr.date >= $2)
+                UNION ALL
+                SELECT 'kit' AS source, doe.breed, rw.id AS row_id,
+                    TO_CHAR(br.actual_birth_date, 'YYYY-MM-DD') AS entry_date,
+                    CASE WHEN LOWER(kr.status) = ANY($4)
+                        THEN TO_CHAR(COALESCE(kr.death_date, kr.updated_at::date), 'YYYY-MM-DD') END AS exit_date
+                FROM (
+                    SELECT k.*, ROW_NUMBER() OVER (
+                        PARTITION BY k.breeding_record_id ORDER BY LOWER(k.status) = ANY($4), k.kit_number
+                    ) AS litter_rank
+                    FROM kit_records k
+                    WHERE k.farm_id = $1 AND k.is_deleted = 0
+                    AND NOT EXISTS (SELECT 1 FROM rabbits r WHERE r.farm_id = k.farm_id AND r.rabbit_id = k.kit_number)
+                ) kr
+                JOIN breeding_records br ON br.id = kr.breeding_record_id
+                LEFT JOIN LATERAL (
+                    SELECT COUNT(*) AS count FROM rabbits r
+                    WHERE r.farm_id = br.farm_id AND r.parent_female_id = br.doe_id AND r.birth_date = br.actual_birth_date
+                    AND NOT EXISTS (
+                        SELECT 1 FROM kit_records k
+                        WHERE k.breeding_record_id = br.id AND k.is_deleted = 0 AND k.kit_number = r.rabbit_id
+                    )
+                ) kept ON true
+                LEFT JOIN rabbits doe ON doe.rabbit_id = br.doe_id
+                LEFT JOIN hutches h ON h.id = doe.hutch_id
+                LEFT JOIN rows rw ON rw.id = h.row_id
+                WHERE br.actual_birth_date IS NOT NULL AND br.actual_birth_date <= $3
+                AND kr.litter_rank > kept.count`,
+                [farmId, from, to, KIT_DEATH_STATUSES]
+            );
+            const population = populationResult.rows.filter(s => !s.exit_date || s.exit_date >= from);
+
+            const totalDeaths = deaths.length;
+            const share = count => toRate(count, totalDeaths);
+
+            // By month
+            const byMonth = [];
+            for (let month = dayjs(from).startOf('month'); !month.isAfter(dayjs(to), 'month'); month = month.add(1, 'month')) {
+                const monthFrom = month.format('YYYY-MM-DD') < from ? from : month.format('YYYY-MM-DD');
+                const monthTo = month.endOf('month').format('YYYY-MM-DD') > to ? to : month.endOf('month').format('YYYY-MM-DD');
+                const monthDeaths = deaths.filter(d => d.death_date >= monthFrom && d.death_date <= monthTo).length;
+                const atRisk = countAtRisk(population, monthFrom, monthTo);
+                byMonth.push({
+                    month: month.format('YYYY-MM'),
+                    deaths: monthDeaths,
+                    population_at_risk: atRisk,
+                    mortality_rate: toRate(monthDeaths, atRisk),
+                });
+            }
+
+            // By age bracket and cause (share of all deaths)
+            const byAge = groupDeaths(deaths, d => ageBracket(d.age_days));
+            const byAgeBracket = [...AGE_BRACKETS.map(b => b.label), 'unknown']
+                .filter(label => byAge.has(label))
+                .map(label => ({ age_bracket: label, deaths: byAge.get(label), percentage: share(byAge.get(label)) }));
+
+            const byCause = [...groupDeaths(deaths, d => d.cause)]
+                .map(([cause, count]) => ({ cause, deaths: count, percentage: share(count) }))
+                .sort((a, b) => b.deaths - a.deaths);
+
+            // By row and breed (rate against the population in that group)
+            const rowNames = new Map(deaths.filter(d => d.row_id).map(d => [d.row_id, d.row_name]));
+            const byRow = [...groupDeaths(deaths, d => d.row_id || null)]
+                .map(([rowId, count]) => {
+                    const atRisk = countAtRisk(population.filter(s => (s.row_id || null) === rowId), from, to);
+                    return {
+                        row_id: rowId,
+                        row_name: rowId ? rowNames.get(rowId) : 'Unassigned',
+                        deaths: count,
+                        population_at_risk: atRisk,
+                        mortality_rate: toRate(count, atRisk),
+                    };
+                })
+                .sort((a, b) => b.mortality_rate - a.mortality_rate);
+
+            const byBreed = [...groupDeaths(deaths, d => d.breed || 'Unknown')]
+                .map(([breed, count]) => {
+                    const atRisk = countAtRisk(population.filter(s => (s.breed || 'Unknown') === breed), from, to);
+                    return { breed, deaths: count, population_at_risk: atRisk, mortality_rate: toRate(count, atRisk) };
+                })
+                .sort((a, b) => b.mortality_rate - a.mortality_rate);
+
+            // Hutches with the most deaths, to spot problem hutches
+            const hutchNames = new Map(deaths.filter(d => d.hutch_id).map(d => [d.hutch_id, d.hutch_name]));
+            const byHutch = [...groupDeaths(deaths.filter(d => d.hutch_id), d => d.hutch_id)]
+                .map(([hutchId, count]) => ({ hutch_id: hutchId, hutch_name: hutchNames.get(hutchId), deaths: count }))
+                .sort((a, b) => b.deaths - a.deaths);
+
+            const totalAtRisk = countAtRisk(population, from, to);
+            return {
+                period: { date_from: from, date_to: to },
+                summary: {
+                    total_deaths: totalDeaths,
+                    rabbit_deaths: deaths.filter(d => d.source === 'rabbit').length,
+                    kit_deaths: deaths.filter(d => d.source === 'kit').length,
+                    population_at_risk: totalAtRisk,
+                    mortality_rate: toRate(totalDeaths, totalAtRisk),
+                },
+                by_month: byMonth,
+                by_age_bracket: byAgeBracket,
+                by_row: byRow,
+                by_breed: byBreed,
+                by_cause: byCause,
+                by_hutch: byHutch,
+            };
+        } catch (error) {
+            logger.error(`Error generating mortality report for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Feed conversion ratio (kg feed per kg gain) per hutch, litter and breed.
+     * Each hutch assignment in hutch_rabbit_history is a stint. Feeding records logged for a
+     * rabbit count towards its stint; hutch-level records are split between the rabbits in the
+     * hutch at feeding time. Gain is interpolated from weight logs (and sale weights), and only
+     * feed within the weighed span of a stint is used for its FCR.
+     */
+    static async getFcrReport(farmId, { date_from, date_to, hutch_id, breed } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const { from, to } = resolvePeriod(date_from, date_to, tz);
+            const periodStart = dayjs.tz(from, tz).valueOf();
+            const periodEnd = dayjs.tz(to, tz).add(1, 'day').valueOf();
+
+            let stintQuery = `
+                SELECT hr.rabbit_id, hr.hutch_id, h.name AS hutch_name, hr.assigned_at, hr.removed_at,
+                    TO_CHAR(hr.sale_date, 'YYYY-MM-DD') AS sale_date, hr.sale_weight, r.breed,
+                    br.id AS breeding_record_id, br.doe_id, TO_CHAR(br.actual_birth_date, 'YYYY-MM-DD') AS litter_birth_date
+                FROM hutch_rabbit_history hr
+                JOIN rabbits r ON r.rabbit_id = hr.rabbit_id
+                LEFT JOIN hutches h ON h.id = hr.hutch_id
+                LEFT JOIN breeding_records br ON br.doe_id = r.parent_female_id AND br.actual_birth_date = r.birth_date
+                    AND br.farm_id = r.farm_id AND br.is_deleted = 0
+                WHERE hr.farm_id = $1 AND hr.is_deleted = 0
+                AND hr.assigned_at < $3 AND (hr.removed_at IS NULL OR hr.removed_at >= $2)`;
+            const params = [farmId, new Date(periodStart).toISOString(), new Date(periodEnd).toISOString()];
+            if (hutch_id) {
+                params.push(hutch_id);
+                stintQuery += ` AND hr.hutch_id = $${params.length}`;
+            }
+            if (breed) {
+                params.push(breed);
+                stintQuery += ` AND LOWER(r.breed) = LOWER($${params.length})`;
+            }
+            const stintsResult = await DatabaseHelper.executeQuery(stintQuery, params);
+
+            // Occupancy is needed for every hutch (not just filtered rabbits) to split hutch feedings fairly
+            const occupancyResult = await DatabaseHelper.executeQuery(
+                `SELECT hutch_id, rabbit_id, assigned_at, removed_at FROM hutch_rabbit_history
+                WHERE farm_id = $1 AND is_deleted = 0 AND assigned_at < $3 AND (removed_at IS NULL OR removed_at >= $2)`,
+                [farmId, params[1], params[2]]
+            );
+            const feedingResult = await DatabaseHelper.executeQuery(
+                `SELECT rabbit_id, hutch_id, feeding_time, amount, unit FROM feeding_records
+                WHERE farm_id = $1 AND is_deleted = 0 AND feeding_time >= $2 AND feeding_time < $3`,
+                [farmId, params[1], params[2]]
+            );
+            const rabbitIds = [...new Set(stintsResult.rows.map(s => s.rabbit_id))];
+            const weightsResult = await DatabaseHelper.executeQuery(
+                `SELECT rabbit_id, TO_CHAR(weighed_on, 'YYYY-MM-DD') AS weighed_on, weight FROM weight_logs
+                WHERE farm_id = $1 AND rabbit_id = ANY($2) AND is_deleted = 0
+                ORDER BY weighed_on ASC, created_at ASC`,
+                [farmId, rabbitIds]
+            );
+
+            // Feed events per rabbit, in kg
+            const feedByRabbit = new Map();
+            let unallocatedKg = 0;
+            for (const record of feedingResult.rows) {
+                let kg;
+                try {
+                    kg = FeedInventoryService.toKg(record.amount, record.unit);
+                } catch {
+                    logger.warn(`Skipping feeding record with unsupported unit ${record.unit} in FCR report`);
+                    continue;
+                }
+                const time = new Date(record.feeding_time).getTime();
+                if (record.rabbit_id) {
+                    if (!feedByRabbit.has(record.rabbit_id)) feedByRabbit.set(record.rabbit_id, []);
+                    feedByRabbit.get(record.rabbit_id).push({ time, kg, hutch_id: record.hutch_id });
+                    continue;
+                }
+                const occupants = occupancyResult.rows.filter(o =>
+                    o.hutch_id === record.hutch_id && new Date(o.assigned_at).getTime() <= time
+                    && (!o.removed_at || new Date(o.removed_at).getTime() > time)
+                );
+                if (occupants.length === 0) {
+                    if (!hutch_id || record.hutch_id === hutch_id) {
+                        unallocatedKg += kg;
+                    }
+                    continue;
+                }
+                for (const occupant of occupants) {
+                    if (!feedByRabbit.has(occupant.rabbit_id)) feedByRabbit.set(occupant.rabbit_id, []);
+                    feedByRabbit.get(occupant.rabbit_id).push({
+                        time, kg: kg / occupants.length, hutch_id: record.hutch_id,
+                    });
+                }
+            }
+
+            const weightsByRabbit = new Map();
+            for (const log of weightsResult.rows) {
+                if (!weightsByRabbit.has(log.rabbit_id)) weightsByRabbit.set(log.rabbit_id, []);
+                weightsByRabbit.get(log.rabbit_id).push({
+                    time: dayjs.tz(log.weighed_on, tz).valueOf(),
+                    weight: parseFloat(log.weight),
+                });
+            }
+
+            const stints = stintsResult.rows.map(row => {
+                const start = Math.max(new Date(row.assigned_at).getTime(), periodStart);
+                const end = Math.min(row.removed_at ? new Date(row.removed_at).getTime() : Infinity, periodEnd);
+                const feedEvents = (feedByRabbit.get(row.rabbit_id) || [])
+                    .filter(e => e.hutch_id === row.hutch_id && e.time >= start && e.time < end);
+
+                const points = [...(weightsByRabbit.get(row.rabbit_id) || [])];
+                if (row.sale_weight && row.sale_date) {
+                    points.push({ time: dayjs.tz(row.sale_date, tz).valueOf(), weight: parseFloat(row.sale_weight) });
+                    points.sort((a, b) => a.time - b.time);
+                }
+                // Measure only the part of the stint covered by weighings
+                let measuredFeedKg = 0;
+                let gainKg = 0;
+                const spanStart = points.length > 0 ? Math.max(start, points[0].time) : null;
+                const spanEnd = points.length > 0 ? Math.min(end, points[points.length - 1].time) : null;
+                const weighed = points.length >= 2 && spanEnd > spanStart;
+                if (weighed) {
+                    gainKg = weightAt(points, spanEnd) - weightAt(points, spanStart);
+                    measuredFeedKg = feedEvents.filter(e => e.time >= spanStart && e.time < spanEnd)
+                        .reduce((sum, e) => sum + e.kg, 0);
+                }
+                return {
+                    ...row,
+                    feed_kg: feedEvents.reduce((sum, e) => sum + e.kg, 0),
+                    weighed: weighed && measuredFeedKg > 0,
+                    measured_feed_kg: measuredFeedKg,
+                    weight_gain_kg: gainKg,
+                };
+            });
+
+            const [overall] = groupFcr(stints, () => 'all', () => ({}));
+            return {
+                period: { date_from: from, date_to: to },
+                summary: {
+                    rabbits: overall ? overall.rabbits : 0,
+                    rabbits_weighed: overall ? overall.rabbits_weighed : 0,
+                    feed_kg: overall ? overall.feed_kg : 0,
+                    measured_feed_kg: overall ? overall.measured_feed_kg : 0,
+                    weight_gain_kg: overall ? overall.weight_gain_kg : 0,
+                    fcr: overall ? overall.fcr : null,
+                    unallocated_feed_kg: parseFloat(unallocatedKg.toFixed(2)),
+                },
+                by_hutch: groupFcr(stints, s => s.hutch_id, s => ({ hutch_id: s.hutch_id, hutch_name: s.hutch_name })),
+                by_litter: groupFcr(stints, s => s.breeding_record_id, s => ({
+                    breeding_record_id: s.breeding_record_id,
+                    doe_id: s.doe_id,
+                    birth_date: s.litter_birth_date,
+                })),
+                by_breed: groupFcr(stints, s => s.breed || 'Unknown', s => ({ breed: s.breed || 'Unknown' })),
+            };
+        } catch (error) {
+            logger.error(`Error generating FCR report for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Profit and loss per month, quarter or year in the farm's currency.
+     * Revenue comes from earnings records. Feed is costed as it is used up: feedings and
+     * negative stock adjustments at the batch's cost_per_unit make up cost of sales, so
+     * expenses in the feed category are not part of operating expenses, cost of sales or profit;
+     * they are reported separately as feed_purchases, for reference only.
+     * Other expenses are operating expenses by category. Records in another currency are
+     * converted at the exchange rate on their date; currencies lists the original and converted
+     * amounts per currency, and records with no rate are left out of the totals.
+     */
+    static async getProfitLossReport(farmId, { from, to, granularity = 'month' } = {}) {
+        try {
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const period = resolvePeriod(from, to, tz);
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+
+            const earningsResult = await DatabaseHelper.executeQuery(
+                `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, type, sale_type, amount, currency
+                FROM earnings_records
+                WHERE farm_id = $1 AND is_deleted = 0 AND date >= $2 AND date <= $3`,
+                [farmId, period.from, period.to]
+            );
+            const expensesResult = await DatabaseHelper.executeQuery(
+                `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, category, amount, currency
+                FROM expenses
+                WHERE farm_id = $1 AND is_deleted = 0 AND date >= $2 AND date <= $3`,
+                [farmId, period.from, period.to]
+            );
+            const feedResult = await DatabaseHelper.executeQuery(
+                `SELECT TO_CHAR(m.created_at AT TIME ZONE $4, 'YYYY-MM-DD') AS date, m.movement_type,
+                    m.quantity, fi.cost_per_unit
+                FROM feed_stock_movements m
+                JOIN feed_inventory fi ON fi.id = m.inventory_id
+                LEFT JOIN feeding_records fr ON fr.id = m.feeding_record_id
+                WHERE m.farm_id = $1 AND m.is_deleted = 0 AND m.quantity < 0
+                AND m.movement_type IN ('feeding', 'adjustment')
+                AND (fr.id IS NULL OR fr.is_deleted = 0)
+                AND m.created_at >= $2 AND m.created_at < $3`,
+                [
+                    farmId,
+                    dayjs.tz(period.from, tz).toISOString(),
+                    dayjs.tz(period.to, tz).add(1, 'day').toISOString(),
+                    tz
+                ]
+            );
+
+            const periods = listPeriods(period.from, period.to, granularity);
+            const statements = new Map(periods.map(p => [p.period, emptyStatement()]));
+            const total = emptyStatement();
+            const currencies = new Map();
+            // Keeps the per-currency original and converted amounts; null when the record has no rate
+            const toBase = (row, key) => {
+                const code = row.currency || currency;
+                if (!currencies.has(code)) {
+                    currencies.set(code, {
+                        currency: code,
+                        revenue: { original: 0, converted: 0 },
+                        expenses: { original: 0, converted: 0 },
+                        missing_rates: 0,
+                    });
+                }
+                const entry = currencies.get(code);
+                const amount = parseFloat(row.amount);
+                const converted = convert(amount, code, row.date);
+                entry[key].original += amount;
+                if (converted === null) {
+                    entry.missing_rates++;
+                } else {
+                    entry[key].converted += converted;
+                }
+                return converted;
+            };
+            let uncostedFeedMovements = 0;
+            const apply = (date, fn) => {
+                fn(statements.get(periodKey(date, granularity)));
+                fn(total);
+            };
+
+            for (const row of earningsResult.rows) {
+                const amount = toBase(row, 'revenue');
+                if (amount === null) continue;
+                apply(row.date, s => {
+                    s.revenue.total += amount;
+                    addTo(s.revenue.by_type, row.type, amount);
+                    if (row.sale_type) addTo(s.revenue.by_sale_type, row.sale_type, amount);
+                });
+            }
+            for (const row of expensesResult.rows) {
+                const amount = toBase(row, 'expenses');
+                if (amount === null) continue;
+                apply(row.date, s => {
+                    // Feed bought is not a cost until it is used; feed_consumed and feed_written_off
+                    // already cost it, so feed expenses stay out of the totals to avoid counting feed twice
+                    if (row.category === 'feed') {
+                        s.feed_purchases += amount;
+                        return;
+                    }
+                    s.operating_expenses.total += amount;
+                    addTo(s.operating_expenses.by_category, row.category, amount);
+                });
+            }
+            for (const row of feedResult.rows) {
+                if (row.cost_per_unit === null) {
+                    uncostedFeedMovements++;
+                    continue;
+                }
+                const cost = -parseFloat(row.quantity) * parseFloat(row.cost_per_unit);
+                const key = row.movement_type === 'feeding' ? 'feed_consumed' : 'feed_written_off';
+                apply(row.date, s => {
+                    s.cost_of_sales[key] += cost;
+                });
+            }
+
+            let previous = null;
+            const byPeriod = periods.map(p => {
+                const statement = finishStatement(statements.get(p.period));
+                const change = previous ? {
+                    revenue: toChange(statement.revenue.total, previous.revenue.total),
+                    gross_profit: toChange(statement.gross_profit, previous.gross_profit),
+                    operating_expenses: toChange(statement.operating_expenses.total, previous.operating_expenses.total),
+                    net_profit: toChange(statement.net_profit, previous.net_profit),
+                } : null;
+                previous = statement;
+                return { ...p, ...statement, change };
+            });
+
+            return {
+                period: { from: period.from, to: period.to, granularity },
+                currency,
+                totals: finishStatement(total),
+                periods: byPeriod,
+                currencies: [...currencies.values()].map(c => ({
+                    ...c,
+                    revenue: { original: money(c.revenue.original), converted: money(c.revenue.converted) },
+                    expenses: { original: money(c.expenses.original), converted: money(c.expenses.converted) },
+                })),
+                uncosted_feed_movements: uncostedFeedMovements,
+            };
+        } catch (error) {
+            logger.error(`Error generating profit and loss report for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Manure and urine produced, sold and in stock, overall and per row. Produced and sold cover
+     * the period (a sale counts on its earnings date); in_stock is what was left at its end.
+     * Revenue splits each manure or urine sale's amount over its batches by quantity and is converted
+     * to the farm's currency; product sold along with rabbits counts as sold but has no price of its
+     * own, so it adds no revenue. Product sales not linked to any batch are listed as unlinked_sales.
+     */
+    static async getProductionReport(farmId, { date_from, date_to, row_id } = {}) {
+        try {
+            const { from, to } = resolvePeriod(date_from, date_to, await FarmsService.getFarmTimezone(farmId));
+            const { currency, convert } = await ExchangeRatesService.getConverter(farmId);
+            const rowFilter = row_id ? ' AND pr.row_id = $3' : '';
+            const params = row_id ? [farmId, to, row_id] : [farmId, to];
+
+            const producedResult = await DatabaseHelper.executeQuery(
+                `SELECT pr.type, pr.row_id, rw.name AS row_name, TO_CHAR(pr.date, 'YYYY-MM-DD') AS date, pr.quantity
+                FROM production_records pr
+                LEFT JOIN rows rw ON rw.id = pr.row_id
+                WHERE pr.farm_id = $1 AND pr.is_deleted = 0 AND pr.date <= $2${rowFilter}`,
+                params
+            );
+            const soldResult = await DatabaseHelper.executeQuery(
+                `SELECT pr.type, pr.row_id, rw.name AS row_name, ps.quantity, ps.earnings_record_id,
+                    TO_CHAR(er.date, 'YYYY-MM-DD') AS date, er.type AS sale_type, er.amount, er.currency,
+                    (SELECT SUM(x.quantity) FROM production_sales x
+                        JOIN production_records xp ON xp.id = x.production_record_id AND xp.is_deleted = 0
+                        WHERE x.earnings_record_id = ps.earnings_record_id AND x.is_deleted = 0
+                        AND xp.type = pr.type) AS sale_quantity
+                FROM production_sales ps
+                JOIN production_records pr ON pr.id = ps.production_record_id AND pr.is_deleted = 0
+                JOIN earnings_records er ON er.id = ps.earnings_record_id AND er.is_deleted = 0
+                LEFT JOIN rows rw ON rw.id = pr.row_id
+                WHERE ps.farm_id = $1 AND ps.is_deleted = 0 AND er.date <= $2${rowFilter}`,
+                params
+            );
+            const unlinkedResult = await DatabaseHelper.executeQuery(
+                `SELECT er.type, TO_CHAR(er.date, 'YYYY-MM-DD') AS date, er.amount, er.currency
+                FROM earnings_records er
+                WHERE er.farm_id = $1 AND er.is_deleted = 0 AND er.type = ANY($2) AND er.date >= $3 AND er.date <= $4
+                AND NOT EXISTS (
+                    SELECT 1 FROM production_sales ps WHERE ps.earnings_record_id = er.id AND ps.is_deleted = 0
+                )`,
+                [farmId, Object.keys(PRODUCT_SALE_TYPES), from, to]
+            );
+
+            const products = new Map(Object.entries(PRODUCTION_UNITS).map(([type, unit]) => [type, {
+                type,
+                unit,
+                produced: 0,
+                sold: 0,
+                in_stock: 0,
+                revenue: 0,
+                priced_sold: 0,
+                unlinked_sales: { count: 0, amount: 0 },
+                rows: new Map(),
+            }]));
+            const rowFor = (product, row) => {
+                const key = row.row_id || 'unassigned';
+                if (!product.rows.has(key)) {
+                    product.rows.set(key, { row_id: row.row_id, row_name: row.row_name || null, produced: 0, sold: 0, in_stock: 0 });
+                }
+                return product.rows.get(key);
+            };
+
+            for (const row of producedResult.rows) {
+                const product = products.get(row.type);
+                if (!product) continue;
+                const quantity = parseFloat(row.quantity);
+                const byRow = rowFor(product, row);
+                product.in_stock += quantity;
+                byRow.in_stock += quantity;
+                if (row.date >= from) {
+                    product.produced += quantity;
+                    byRow.produced += quantity;
+                }
+            }
+            for (const row of soldResult.rows) {
+                const product = products.get(row.type);
+                if (!product) continue;
+                const quantity = parseFloat(row.quantity);
+                const byRow = rowFor(product, row);
+                product.in_stock -= quantity;
+                byRow.in_stock -= quantity;
+                if (row.date >= from) {
+                    product.sold += quantity;
+                    byRow.sold += quantity;
+                    if (PRODUCT_SALE_TYPES[row.sale_type] === row.type) {
+                        const revenue = convert(parseFloat(row.amount) * quantity / parseFloat(row.sale_quantity), row.currency, row.date);
+                        if (revenue !== null) {
+                            product.revenue += revenue;
+                            product.priced_sold += quantity;
+                        }
+                    }
+                }
+            }
+            for (const row of unlinkedResult.rows) {
+                const product = products.get(PRODUCT_SALE_TYPES[row.type]);
+                product.unlinked_sales.count++;
+                product.unlinked_sales.amount += convert(parseFloat(row.amount), row.currency, row.date) ?? 0;
+            }
+
+            const days = dayjs(to).diff(dayjs(from), 'day') + 1;
+            return {
+                period: { from, to, days },
+                currency,
+                row_id: row_id || null,
+                products: [...products.values()].map(({ rows, priced_sold, ...product }) => ({
+                    ...product,
+                    produced: money(product.produced),
+                    sold: money(product.sold),
+                    in_stock: money(product.in_stock),
+                    revenue: money(product.revenue),
+                    average_daily_output: money(product.produced / days),
+                    average_price_per_unit: priced_sold > 0 ? money(product.revenue / priced_sold) : null,
+                    unlinked_sales: { count: product.unlinked_sales.count, amount: money(product.unlinked_sales.amount) },
+                    by_row: [...rows.values()].map(r => ({
+                        ...r,
+                        produced: money(r.produced),
+                        sold: money(r.sold),
+                        in_stock: money(r.in_stock),
+                    })),
+                })),
+            };
+        } catch (error) {
+            logger.error(`Error generating production report for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default ReportsService;
@@ -177,6 +177,24 @@ class RowsService {
             throw error
         }
     }
+
+    static async getRowRabbits(rowId, farmId) {
+        try {
+            await this.getRowById(rowId, farmId)
+            const result = await DatabaseHelper.executeQuery(
+                `SELECT r.rabbit_id, r.name, r.gender, r.breed, r.hutch_id, h.name AS hutch_name, h.level, h.position
+                FROM rabbits r
+                JOIN hutches h ON h.id = r.hutch_id AND h.farm_id = r.farm_id AND h.is_deleted = 0
+                WHERE h.row_id = $1 AND r.farm_id = $2 AND r.is_deleted = 0
+                ORDER BY h.level ASC, h.position ASC, r.rabbit_id ASC`,
+                [rowId, farmId]
+            )
+            return result.rows
+        } catch (error) {
+            logger.error(`Error fetching rabbits for row ${rowId}: ${error.message}`)
+            throw error
+        }
+    }
 }
 
 export default RowsService
\ No newline at end of file
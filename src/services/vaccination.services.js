@@ -0,0 +1,364 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import AlertService from './alerts.services.js';
+import FarmsService from './farms.services.js';
+import { getLocalDateString, formatLocalDate } from '../utils/dates.js';
+import dayjs from 'dayjs';
+
+// Name used for vaccination alerts so they can be found again when the vaccine is given
+function vaccinationAlertName(vaccineName, rabbitId) {
+    return `Vaccination Due: ${vaccineName} for ${rabbitId}`;
+}
+
+class VaccinationService {
+    static async createSchedule(scheduleData, userId) {
+        const { farm_id, vaccine_name, description, frequency_days, age_start_days = 0, is_active = true } = scheduleData;
+
+        if (!farm_id || !vaccine_name || !frequency_days) {
+            throw new ValidationError('Missing required vaccination schedule fields');
+        }
+        if (frequency_days <= 0) {
+            throw new ValidationError('frequency_days must be positive');
+        }
+
+        try {
+            const existing = await DatabaseHelper.executeQuery(
+                'SELECT 1 FROM vaccination_schedules WHERE farm_id = $1 AND LOWER(vaccine_name) = LOWER($2) AND is_deleted = 0',
+                [farm_id, vaccine_name]
+            );
+            if (existing.rows.length > 0) {
+                throw new ValidationError(`A schedule for ${vaccine_name} already exists`);
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO vaccination_schedules (
+                    id, farm_id, vaccine_name, description, frequency_days, age_start_days, is_active,
+                    created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [uuidv4(), farm_id, vaccine_name, description || null, frequency_days, age_start_days, is_active ? 1 : 0]
+            );
+            logger.info(`Vaccination schedule ${vaccine_name} created for farm ${farm_id} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error creating vaccination schedule: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getScheduleById(id, farmId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                'SELECT * FROM vaccination_schedules WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Vaccination schedule not found');
+            }
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error getting vaccination schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getAllSchedules(farmId, { is_active } = {}) {
+        try {
+            let query = 'SELECT * FROM vaccination_schedules WHERE farm_id = $1 AND is_deleted = 0';
+            const params = [farmId];
+            if (is_active !== undefined) {
+                query += ' AND is_active = $2';
+                params.push(is_active ? 1 : 0);
+            }
+            query += ' ORDER BY age_start_days ASC, vaccine_name ASC';
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting vaccination schedules for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async updateSchedule(id, farmId, scheduleData, userId) {
+        const { vaccine_name, description, frequency_days, age_start_days, is_active } = scheduleData;
+
+        try {
+            if (frequency_days !== undefined && frequency_days <= 0) {
+                throw new ValidationError('frequency_days must be positive');
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE vaccination_schedules
+                SET vaccine_name = COALESCE($3, vaccine_name),
+                    description = COALESCE($4, description),
+                    frequency_days = COALESCE($5, frequency_days),
+                    age_start_days = COALESCE($6, age_start_days),
+                    is_active = COALESCE($7, is_active),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [
+                    id,
+                    farmId,
+                    vaccine_name || null,
+                    description || null,
+                    frequency_days ?? null,
+                    age_start_days ?? null,
+                    is_active === undefined ? null : (is_active ? 1 : 0)
+                ]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Vaccination schedule not found');
+            }
+            logger.info(`Vaccination schedule ${id} updated by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error updating vaccination schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteSchedule(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE vaccination_schedules
+                SET is_deleted = 1, is_active = 0, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Vaccination schedule not found');
+            }
+            logger.info(`Vaccination schedule ${id} soft deleted by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error deleting vaccination schedule ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Compute vaccinations that are overdue or fall due within the look-ahead window.
+     * A rabbit is first due at birth_date + age_start_days, then every frequency_days
+     * after its last matching vaccination health record.
+     * @param {string} farmId - Farm UUID
+     * @param {Object} [options]
+     * @param {number} [options.days_ahead=14] - How many days ahead to look for upcoming vaccinations
+     * @param {string} [options.rabbit_id] - Restrict to a single rabbit
+     * @returns {Promise<Array>} - Due vaccinations, one row per rabbit and schedule
+     */
+    static async getDueVaccinations(farmId, { days_ahead = 14, rabbit_id } = {}) {
+        try {
+            const today = getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farmId));
+            let query = `
+                SELECT * FROM (
+                    SELECT r.rabbit_id, r.name AS rabbit_name, r.hutch_id, r.birth_date,
+                        vs.id AS schedule_id, vs.vaccine_name, vs.frequency_days, vs.age_start_days,
+                        lv.last_vaccinated,
+                        CASE
+                            WHEN lv.last_vaccinated IS NOT NULL THEN lv.last_vaccinated + vs.frequency_days
+                            ELSE r.birth_date + vs.age_start_days
+                        END AS due_date
+                    FROM rabbits r
+                    INNER JOIN vaccination_schedules vs ON vs.farm_id = r.farm_id AND vs.is_active = 1 AND vs.is_deleted = 0
+                    LEFT JOIN LATERAL (
+                        SELECT MAX(hr.date) AS last_vaccinated
+                        FROM health_records hr
+                        WHERE hr.rabbit_id = r.rabbit_id AND hr.farm_id = r.farm_id
+                        AND hr.type = 'vaccination' AND hr.is_deleted = 0
+                        AND (hr.vaccination_schedule_id = vs.id OR LOWER(hr.description) LIKE '%' || LOWER(vs.vaccine_name) || '%')
+                    ) lv ON true
+                    WHERE r.farm_id = $1 AND r.is_deleted = 0
+                ) due
+                WHERE due.due_date <= $2::date + $3::int`;
+            const params = [farmId, today, days_ahead];
+            if (rabbit_id) {
+                query += ' AND due.rabbit_id = $4';
+                params.push(rabbit_id);
+            }
+            query += ' ORDER BY due.due_date ASC, due.rabbit_id ASC';
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            const todayDate = dayjs(today);
+            return result.rows.map(row => {
+                // pg returns DATE columns as local midnight, so they are formatted without a timezone shift
+                const dueDate = dayjs(row.due_date);
+                const daysUntilDue = dueDate.diff(todayDate, 'day');
+                return {
+                    ...row,
+                    last_vaccinated: row.last_vaccinated ? dayjs(row.last_vaccinated).format('YYYY-MM-DD') : null,
+                    due_date: dueDate.format('YYYY-MM-DD'),
+                    days_until_due: daysUntilDue,
+                    status: daysUntilDue < 0 ? 'overdue' : 'upcoming'
+                };
+            });
+        } catch (error) {
+            logger.error(`Error computing due vaccinations for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Group due vaccinations per rabbit for the due listing endpoint
+     */
+    static async getDueVaccinationsByRabbit(farmId, options = {}) {
+        const dueVaccinations = await this.getDueVaccinations(farmId, options);
+        const byRabbit = new Map();
+        for (const item of dueVaccinations) {
+            if (!byRabbit.has(item.rabbit_id)) {
+                byRabbit.set(item.rabbit_id, {
+                    rabbit_id: item.rabbit_id,
+                    rabbit_name: item.rabbit_name,
+                    hutch_id: item.hutch_id,
+                    overdue: [],
+                    upcoming: []
+                });
+            }
+            const vaccination = {
+                schedule_id: item.schedule_id,
+                vaccine_name: item.vaccine_name,
+                last_vaccinated: item.last_vaccinated,
+                due_date: item.due_date,
+                days_until_due: item.days_until_due
+            };
+            byRabbit.get(item.rabbit_id)[item.status].push(vaccination);
+        }
+        const rabbits = [...byRabbit.values()];
+        return {
+            total_overdue: dueVaccinations.filter(item => item.status === 'overdue').length,
+            total_upcoming: dueVaccinations.filter(item => item.status === 'upcoming').length,
+            rabbits
+        };
+    }
+
+    /**
+     * Create alerts for every due vaccination that does not already have a pending alert for its due date.
+     * Safe to run repeatedly (e.g. from the scheduled workflow).
+     * @param {string} farmId - Farm UUID
+     * @param {string} [userId] - User to notify; defaults to the farm owner
+     * @param {Object} [options] - Same options as getDueVaccinations
+     * @returns {Promise<Array>} - Created alerts
+     */
+    static async generateVaccinationAlerts(farmId, userId, options = {}) {
+        try {
+            let recipientId = userId;
+            if (!recipientId) {
+                const farmResult = await DatabaseHelper.executeQuery(
+                    'SELECT created_by FROM farms WHERE id = $1 AND is_deleted = 0',
+                    [farmId]
+                );
+                if (farmResult.rows.length === 0) {
+                    throw new ValidationError('Farm not found');
+                }
+                recipientId = farmResult.rows[0].created_by;
+            }
+
+            const dueVaccinations = await this.getDueVaccinations(farmId, options);
+            const tz = await FarmsService.getFarmTimezone(farmId);
+            const today = getLocalDateString(new Date(), tz);
+            const created = [];
+
+            for (const item of dueVaccinations) {
+                const name = vaccinationAlertName(item.vaccine_name, item.rabbit_id);
+                const alertStartDate = item.due_date + 'T00:00:00Z';
+                // An open alert for another due date belongs to a cycle the health records have moved past
+                await DatabaseHelper.executeQuery(
+                    `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                     WHERE farm_id = $1 AND rabbit_id = $2 AND name = $3 AND alert_type = 'vaccination'
+                     AND status IN ('pending', 'sent') AND is_deleted = false AND alert_start_date <> $4`,
+                    [farmId, item.rabbit_id, name, alertStartDate]
+                );
+                const existing = await DatabaseHelper.executeQuery(
+                    `SELECT 1 FROM alerts
+                     WHERE farm_id = $1 AND rabbit_id = $2 AND name = $3 AND alert_type = 'vaccination'
+                     AND status IN ('pending', 'sent') AND is_deleted = false AND alert_start_date = $4`,
+                    [farmId, item.rabbit_id, name, alertStartDate]
+                );
+                if (existing.rows.length > 0) {
+                    continue;
+                }
+
+                // Overdue: notify today; upcoming: day before (or today if already past) and on the due date
+                const isOverdue = item.status === 'overdue';
+                const dayBefore = dayjs(item.due_date).subtract(1, 'day').format('YYYY-MM-DD');
+                const notifyOn = isOverdue
+                    ? [today]
+                    : [...new Set([dayBefore < today ? today : dayBefore, item.due_date])];
+
+                const alert = await AlertService.createAlert({
+                    farm_id: farmId,
+                    user_id: recipientId,
+                    rabbit_id: item.rabbit_id,
+                    hutch_id: item.hutch_id,
+                    name,
+                    alert_start_date: alertStartDate,
+                    alert_type: 'vaccination',
+                    severity: isOverdue ? 'high' : 'medium',
+                    message: isOverdue
+                        ? `${item.vaccine_name} for rabbit ${item.rabbit_id} on hutch ${item.hutch_id || 'unknown'} is overdue since ${formatLocalDate(item.due_date, tz)}`
+                        : `${item.vaccine_name} for rabbit ${item.rabbit_id} on hutch ${item.hutch_id || 'unknown'} is due on ${formatLocalDate(item.due_date, tz)}`,
+                    notify_on: notifyOn
+                });
+                created.push(alert);
+            }
+
+            logger.info(`Created ${created.length} vaccination alerts for farm ${farmId}`);
+            return created;
+        } catch (error) {
+            logger.error(`Error generating vaccination alerts for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Due-vaccination alerts for every farm, for the scheduled workflow
+    static async generateAllVaccinationAlerts() {
+        return FarmsService.runForAllFarms('Vaccination alerts', farmId => this.generateVaccinationAlerts(farmId));
+    }
+
+    /**
+     * Mark pending vaccination alerts as completed once the vaccine has been given
+     */
+    static async completeVaccinationAlerts(farmId, rabbitId, vaccineName) {
+        try {
+            await DatabaseHelper.executeQuery(
+                `UPDATE alerts SET status = 'completed', updated_on = CURRENT_TIMESTAMP
+                 WHERE farm_id = $1 AND rabbit_id = $2 AND name = $3 AND alert_type = 'vaccination'
+                 AND status IN ('pending', 'sent') AND is_deleted = false`,
+                [farmId, rabbitId, vaccinationAlertName(vaccineName, rabbitId)]
+            );
+        } catch (error) {
+            logger.error(`Error completing vaccination alerts for rabbit ${rabbitId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Complete the alerts of every schedule a vaccination record counts towards, matched the
+     * same way as getDueVaccinations: by schedule id or by vaccine name in the description
+     * @param {Object} record - Health record row
+     */
+    static async completeAlertsForHealthRecord(record) {
+        if (record.type !== 'vaccination') {
+            return;
+        }
+        try {
+            const schedules = await DatabaseHelper.executeQuery(
+                `SELECT vaccine_name FROM vaccination_schedules
+                 WHERE farm_id = $1 AND is_deleted = 0
+                 AND (id = $2 OR LOWER($3::text) LIKE '%' || LOWER(vaccine_name) || '%')`,
+                [record.farm_id, record.vaccination_schedule_id, record.description || '']
+            );
+            for (const schedule of schedules.rows) {
+                await this.completeVaccinationAlerts(record.farm_id, record.rabbit_id, schedule.vaccine_name);
+            }
+        } catch (error) {
+            logger.error(`Error completing vaccination alerts for health record ${record.id}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default VaccinationService;
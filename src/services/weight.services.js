@@ -0,0 +1,296 @@
+import { DatabaseHelper } from '../config/database.js';
+import logger from '../middleware/logger.js';
+import { ValidationError } from '../middleware/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+import FarmsService from './farms.services.js';
+import { BREED_WEIGHT_TARGETS } from '../utils/constants.js';
+import { getLocalDateString } from '../utils/dates.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Linear interpolation of a target curve ([[age_days, kg], ...]) at the given age
+function targetWeightForAge(curve, ageDays) {
+    if (!curve || curve.length === 0 || ageDays === null) {
+        return null;
+    }
+    if (ageDays <= curve[0][0]) {
+        return curve[0][1];
+    }
+    for (let i = 1; i < curve.length; i++) {
+        const [ageA, weightA] = curve[i - 1];
+        const [ageB, weightB] = curve[i];
+        if (ageDays <= ageB) {
+            return parseFloat((weightA + ((weightB - weightA) * (ageDays - ageA)) / (ageB - ageA)).toFixed(2));
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+// Within 10% of the target counts as on track
+function growthStatus(weight, target) {
+    if (!target) {
+        return null;
+    }
+    const ratio = weight / target;
+    if (ratio < 0.9) return 'below_target';
+    if (ratio > 1.1) return 'above_target';
+    return 'on_track';
+}
+
+class WeightService {
+    static async recordWeight(weightData, userId) {
+        const { farm_id, rabbit_id, kit_id, weight, weighed_on, notes } = weightData;
+
+        if (!farm_id || (!rabbit_id && !kit_id) || !weight) {
+            throw new ValidationError('Missing required weight log fields');
+        }
+        if (rabbit_id && kit_id) {
+            throw new ValidationError('A weight log belongs to either a rabbit or a kit, not both');
+        }
+        if (weight <= 0) {
+            throw new ValidationError('Weight must be positive');
+        }
+
+        try {
+            if (rabbit_id) {
+                const rabbitResult = await DatabaseHelper.executeQuery(
+                    'SELECT 1 FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0',
+                    [rabbit_id, farm_id]
+                );
+                if (rabbitResult.rows.length === 0) {
+                    throw new ValidationError('Rabbit not found');
+                }
+            } else {
+                const kitResult = await DatabaseHelper.executeQuery(
+                    'SELECT 1 FROM kit_records WHERE id = $1 AND farm_id = $2 AND is_deleted = 0',
+                    [kit_id, farm_id]
+                );
+                if (kitResult.rows.length === 0) {
+                    throw new ValidationError('Kit record not found');
+                }
+            }
+
+            const result = await DatabaseHelper.executeQuery(
+                `INSERT INTO weight_logs (
+                    id, farm_id, rabbit_id, kit_id, weight, weighed_on, notes, recorded_by, created_at, updated_at, is_deleted
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING *`,
+                [
+                    uuidv4(), farm_id, rabbit_id || null, kit_id || null, weight,
+                    weighed_on || getLocalDateString(new Date(), await FarmsService.getFarmTimezone(farm_id)), notes || null, userId || null
+                ]
+            );
+
+            if (rabbit_id) {
+                await this.syncLatestRabbitWeight(rabbit_id, farm_id);
+            }
+            logger.info(`Weight ${weight}kg logged for ${rabbit_id ? `rabbit ${rabbit_id}` : `kit ${kit_id}`} by user ${userId}`);
+            return result.rows[0];
+        } catch (error) {
+            logger.error(`Error recording weight: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Keeps rabbits.weight equal to the most recent weighing
+    static async syncLatestRabbitWeight(rabbitId, farmId) {
+        await DatabaseHelper.executeQuery(
+            `UPDATE rabbits r
+            SET weight = wl.weight, updated_at = CURRENT_TIMESTAMP
+            FROM (
+                SELECT weight FROM weight_logs
+                WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0
+                ORDER BY weighed_on DESC, created_at DESC LIMIT 1
+            ) wl
+            WHERE r.rabbit_id = $1 AND r.farm_id = $2 AND r.is_deleted = 0 AND r.weight IS DISTINCT FROM wl.weight`,
+            [rabbitId, farmId]
+        );
+    }
+
+    static async getWeightLogs(farmId, { rabbit_id, kit_id, date_from, date_to, limit, offset }) {
+        try {
+            let query = `
+                SELECT wl.*
+                FROM weight_logs wl
+                WHERE wl.farm_id = $1 AND wl.is_deleted = 0`;
+            const params = [farmId];
+            let paramIndex = 2;
+
+            if (rabbit_id) {
+                query += ` AND wl.rabbit_id = $${paramIndex}`;
+                params.push(rabbit_id);
+                paramIndex++;
+            }
+            if (kit_id) {
+                query += ` AND wl.kit_id = $${paramIndex}`;
+                params.push(kit_id);
+                paramIndex++;
+            }
+            if (date_from) {
+                query += ` AND wl.weighed_on >= $${paramIndex}`;
+                params.push(date_from);
+                paramIndex++;
+            }
+            if (date_to) {
+                query += ` AND wl.weighed_on <= $${paramIndex}`;
+                params.push(date_to);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY wl.weighed_on DESC, wl.created_at DESC';
+
+            if (limit !== undefined) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+                paramIndex++;
+            }
+            if (offset !== undefined) {
+                query += ` OFFSET $${paramIndex}`;
+                params.push(offset);
+            }
+
+            const result = await DatabaseHelper.executeQuery(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Error getting weight logs for farm ${farmId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async deleteWeightLog(id, farmId, userId) {
+        try {
+            const result = await DatabaseHelper.executeQuery(
+                `UPDATE weight_logs
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND farm_id = $2 AND is_deleted = 0
+                RETURNING *`,
+                [id, farmId]
+            );
+            if (result.rows.length === 0) {
+                throw new ValidationError('Weight log not found');
+            }
+            const deleted = result.rows[0];
+            if (deleted.rabbit_id) {
+                await this.syncLatestRabbitWeight(deleted.rabbit_id, farmId);
+            }
+            logger.info(`Weight log ${id} soft deleted by user ${userId}`);
+            return deleted;
+        } catch (error) {
+            logger.error(`Error deleting weight log ${id}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    static async getTargetCurve(farmId, breed) {
+        const result = await DatabaseHelper.executeQuery(
+            'SELECT settings FROM farms WHERE id = $1 AND is_deleted = 0',
+            [farmId]
+        );
+        const key = (breed || '').trim().toLowerCase();
+        const overrides = result.rows[0]?.settings?.weight_targets || {};
+        const override = Object.entries(overrides).find(([name]) => name.trim().toLowerCase() === key);
+        return override ? override[1] : BREED_WEIGHT_TARGETS[key] || BREED_WEIGHT_TARGETS.default;
+    }
+
+    static async getGrowthCurve(farmId, { rabbit_id, kit_id }) {
+        try {
+            let subject;
+            let points;
+            if (rabbit_id) {
+                const rabbitResult = await DatabaseHelper.executeQuery(
+                    `SELECT rabbit_id, name, breed, TO_CHAR(birth_date, 'YYYY-MM-DD') AS birth_date, weight
+                    FROM rabbits WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0`,
+                    [rabbit_id, farmId]
+                );
+                if (rabbitResult.rows.length === 0) {
+                    throw new ValidationError('Rabbit not found');
+                }
+                subject = { type: 'rabbit', ...rabbitResult.rows[0] };
+                const logs = await DatabaseHelper.executeQuery(
+                    `SELECT TO_CHAR(weighed_on, 'YYYY-MM-DD') AS date, weight FROM weight_logs
+                    WHERE rabbit_id = $1 AND farm_id = $2 AND is_deleted = 0 ORDER BY weighed_on ASC, created_at ASC`,
+                    [rabbit_id, farmId]
+                );
+                points = logs.rows;
+            } else {
+                const kitResult = await DatabaseHelper.executeQuery(
+                    `SELECT kr.id AS kit_id, kr.kit_number, doe.breed, kr.birth_weight, kr.weaning_weight,
+                        TO_CHAR(br.actual_birth_date, 'YYYY-MM-DD') AS birth_date,
+                        TO_CHAR(kr.weaning_date, 'YYYY-MM-DD') AS weaning_date
+                    FROM kit_records kr
+                    JOIN breeding_records br ON br.id = kr.breeding_record_id
+                    LEFT JOIN rabbits doe ON doe.rabbit_id = br.doe_id
+                    WHERE kr.id = $1 AND kr.farm_id = $2 AND kr.is_deleted = 0`,
+                    [kit_id, farmId]
+                );
+                if (kitResult.rows.length === 0) {
+                    throw new ValidationError('Kit record not found');
+                }
+                subject = { type: 'kit', ...kitResult.rows[0] };
+                const logs = await DatabaseHelper.executeQuery(
+                    `SELECT TO_CHAR(weighed_on, 'YYYY-MM-DD') AS date, weight FROM weight_logs
+                    WHERE kit_id = $1 AND farm_id = $2 AND is_deleted = 0 ORDER BY weighed_on ASC, created_at ASC`,
+                    [kit_id, farmId]
+                );
+                points = logs.rows;
+                // Birth and weaning weights recorded on the kit count as weighings
+                const loggedDates = new Set(points.map(p => p.date));
+                if (subject.birth_weight && subject.birth_date && !loggedDates.has(subject.birth_date)) {
+                    points.unshift({ date: subject.birth_date, weight: subject.birth_weight });
+                }
+                if (subject.weaning_weight && subject.weaning_date && !loggedDates.has(subject.weaning_date)) {
+                    points.push({ date: subject.weaning_date, weight: subject.weaning_weight });
+                }
+                points.sort((a, b) => a.date.localeCompare(b.date));
+            }
+
+            const curve = await this.getTargetCurve(farmId, subject.breed);
+            const birthDate = subject.birth_date ? dayjs(subject.birth_date) : null;
+            const series = points.map((point, index) => {
+                const weight = parseFloat(point.weight);
+                const ageDays = birthDate ? dayjs(point.date).diff(birthDate, 'day') : null;
+                const target = targetWeightForAge(curve, ageDays);
+                const previous = index > 0 ? points[index - 1] : null;
+                const days = previous ? dayjs(point.date).diff(dayjs(previous.date), 'day') : 0;
+                return {
+                    date: point.date,
+                    weight,
+                    age_days: ageDays,
+                    daily_gain_g: previous && days > 0
+                        ? parseFloat((((weight - parseFloat(previous.weight)) * 1000) / days).toFixed(1))
+                        : null,
+                    target_weight: target,
+                    percent_of_target: target ? parseFloat(((weight / target) * 100).toFixed(1)) : null,
+                };
+            });
+
+            const first = series[0];
+            const last = series[series.length - 1];
+            const totalDays = first && last ? dayjs(last.date).diff(dayjs(first.date), 'day') : 0;
+            return {
+                subject,
+                target_curve: curve.map(([age_days, weight]) => ({ age_days, weight })),
+                series,
+                summary: {
+                    weighings: series.length,
+                    latest_weight: last ? last.weight : null,
+                    latest_age_days: last ? last.age_days : null,
+                    average_daily_gain_g: totalDays > 0
+                        ? parseFloat((((last.weight - first.weight) * 1000) / totalDays).toFixed(1))
+                        : null,
+                    target_weight: last ? last.target_weight : null,
+                    status: last ? growthStatus(last.weight, last.target_weight) : null,
+                },
+            };
+        } catch (error) {
+            logger.error(`Error getting growth curve: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default WeightService;
@@ -1,4 +1,79 @@
 export const HUTCH_LEVELS = ['A', 'B', 'C'];
 export const HUTCH_SIZES = ['small', 'medium', 'large'];
 export const HUTCH_MATERIALS = ['wire', 'wood', 'plastic'];
-export const DEFAULT_FEATURES = ['water bottle', 'feeder', 'nesting box'];
\ No newline at end of file
+export const DEFAULT_FEATURES = ['water bottle', 'feeder', 'nesting box'];
+export const HEALTH_RECORD_TYPES = ['vaccination', 'treatment', 'checkup', 'medication', 'surgery', 'other'];
+export const HEALTH_ALERT_TYPES = ['sick', 'injured', 'off_feed', 'diarrhea', 'respiratory', 'abnormal_behavior', 'other'];
+export const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+export const DEFAULT_QUARANTINE_DAYS = 21;
+export const CAUSES_OF_DEATH = ['disease', 'predator', 'heat_stress', 'cold_stress', 'kit_crushed', 'injury', 'starvation', 'bloat', 'unknown', 'other'];
+export const KIT_DEATH_STATUSES = ['dead', 'deceased', 'died', 'stillborn'];
+// Target weight (kg) by age in days, interpolated between points. Farms can override per breed
+// through farms.settings.weight_targets.
+export const BREED_WEIGHT_TARGETS = {
+    'new zealand white': [[0, 0.06], [28, 0.6], [56, 1.6], [84, 2.5], [112, 3.2], [168, 4.0], [240, 4.5]],
+    'californian': [[0, 0.06], [28, 0.55], [56, 1.5], [84, 2.3], [112, 3.0], [168, 3.8], [240, 4.3]],
+    'flemish giant': [[0, 0.08], [28, 0.7], [56, 1.9], [84, 3.0], [112, 4.0], [168, 5.5], [240, 6.5]],
+    'chinchilla': [[0, 0.06], [28, 0.55], [56, 1.4], [84, 2.2], [112, 2.8], [168, 3.5], [240, 4.0]],
+    'rex': [[0, 0.06], [28, 0.5], [56, 1.3], [84, 2.0], [112, 2.6], [168, 3.2], [240, 3.6]],
+    'dutch': [[0, 0.05], [28, 0.35], [56, 0.8], [84, 1.2], [112, 1.5], [168, 1.9], [240, 2.2]],
+    'default': [[0, 0.06], [28, 0.55], [56, 1.5], [84, 2.3], [112, 3.0], [168, 3.8], [240, 4.3]],
+};
+export const DEFAULT_OUTBREAK_WINDOW_DAYS = 5;
+export const DEFAULT_OUTBREAK_MIN_CASES = 3;
+// A scheduled feeding counts as missed once this long has passed without a logged feeding
+export const FEEDING_GRACE_MINUTES = 60;
+export const FEED_UNITS = ['grams', 'kg', 'bags'];
+// Feedings are logged by weight; bags only make sense for stock, which knows its bag size
+export const FEEDING_UNITS = ['grams', 'kg'];
+export const DEFAULT_FEED_EXPIRY_ALERT_DAYS = 14;
+// Typical daily feed intake (kg) per rabbit by life stage, used where no schedule or feeding log exists
+export const LIFE_STAGE_DAILY_FEED_KG = {
+    weaner: 0.08,
+    grower: 0.12,
+    maintenance: 0.15,
+    pregnant: 0.2,
+    lactating: 0.35,
+};
+// Daily feed intake (kg) per kit from the given age in days; kits only nurse before 21 days
+export const KIT_DAILY_FEED_KG_BY_AGE = [[21, 0.02], [35, 0.05], [49, 0.08]];
+export const DEFAULT_LITTER_SIZE = 6;
+export const LACTATION_DAYS = 42;
+export const FEED_REORDER_LEAD_DAYS = 14;
+export const LIFE_STAGES = Object.keys(LIFE_STAGE_DAILY_FEED_KG);
+export const EXPENSE_CATEGORIES = [
+    'feed', 'veterinary', 'medication', 'equipment', 'housing', 'labor',
+    'utilities', 'transport', 'breeding_stock', 'marketing', 'other'
+];
+// Expense categories charged to rabbits directly (feed stock, health_records.cost, acquisition_cost),
+// so they stay out of the overheads spread across every rabbit
+export const DIRECT_COST_EXPENSE_CATEGORIES = ['feed', 'veterinary', 'medication', 'breeding_stock'];
+export const PAYMENT_METHODS = ['cash', 'mobile_money', 'bank_transfer', 'card', 'cheque', 'other'];
+// Interval between occurrences of a recurring expense, as a dayjs amount and unit
+export const RECURRING_FREQUENCY_STEPS = {
+    weekly: [1, 'week'],
+    monthly: [1, 'month'],
+    quarterly: [3, 'month'],
+    yearly: [1, 'year'],
+};
+export const RECURRING_FREQUENCIES = Object.keys(RECURRING_FREQUENCY_STEPS);
+export const REPORT_GRANULARITIES = ['month', 'quarter', 'year'];
+// By-products collected from the rows, each always kept in one unit so stock adds up
+export const PRODUCTION_UNITS = {
+    manure: 'kg',
+    urine: 'litres',
+};
+export const PRODUCTION_TYPES = Object.keys(PRODUCTION_UNITS);
+// Earnings types that sell a by-product
+export const PRODUCT_SALE_TYPES = {
+    manure_sale: 'manure',
+    urine_sale: 'urine',
+};
+export const CUSTOMER_TYPES = ['individual', 'butcher', 'restaurant', 'retailer', 'wholesaler', 'breeder', 'other'];
+export const PAYMENT_STATUSES = ['unpaid', 'partial', 'paid'];
+// Days before an overdue customer is reminded again while they still owe
+export const OVERDUE_REMINDER_INTERVAL_DAYS = 7;
+export const EARNINGS_TYPES = ['rabbit_sale', 'urine_sale', 'manure_sale', 'other'];
+export const BUDGET_TYPES = ['expense', 'revenue'];
+// Percentage of an expense budget spent before an overspend alert is raised, unless the budget sets its own
+export const DEFAULT_BUDGET_ALERT_PERCENT = 80;
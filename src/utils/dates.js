@@ -0,0 +1,21 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Plain calendar dates are already local and must not be shifted by a timezone conversion
+function toLocal(date, tz) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? dayjs.tz(date, tz) : dayjs(date).tz(tz);
+}
+
+// Date as YYYY-MM-DD in the given timezone, usually the farm's from FarmsService.getFarmTimezone
+export function getLocalDateString(date, tz = 'UTC') {
+    return toLocal(date, tz).format('YYYY-MM-DD');
+}
+
+// Date for display in the given timezone (e.g., "June 29, 2025")
+export function formatLocalDate(date, tz = 'UTC') {
+    return toLocal(date, tz).format('MMMM D, YYYY');
+}
@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { HUTCH_LEVELS, HUTCH_SIZES, HUTCH_MATERIALS, DEFAULT_FEATURES } from './constants.js';
+import { HUTCH_LEVELS, HUTCH_SIZES, HUTCH_MATERIALS, DEFAULT_FEATURES, HEALTH_RECORD_TYPES, HEALTH_ALERT_TYPES, ALERT_SEVERITIES, CAUSES_OF_DEATH, FEED_UNITS, FEEDING_UNITS, EXPENSE_CATEGORIES, PAYMENT_METHODS, RECURRING_FREQUENCIES, PRODUCTION_TYPES, CUSTOMER_TYPES, EARNINGS_TYPES, BUDGET_TYPES } from './constants.js';
 
 export const hutchSchema = Joi.object({
     id: Joi.string().max(50).required(),
@@ -11,6 +11,7 @@ export const hutchSchema = Joi.object({
     material: Joi.string().valid(...HUTCH_MATERIALS).required(),
     features: Joi.array().items(Joi.string()).allow(null).default(DEFAULT_FEATURES),
     is_occupied: Joi.boolean().default(false),
+    is_quarantine: Joi.boolean().default(false),
     last_cleaned: Joi.date().iso().allow(null).default(null).optional(),
     created_at: Joi.date().iso().allow(null).default(null).optional(),
     updated_at: Joi.date().iso().allow(null).default(null).optional(),
@@ -25,6 +26,7 @@ export const hutchUpdateSchema = Joi.object({
     material: Joi.string().valid(...HUTCH_MATERIALS).optional(),
     features: Joi.array().items(Joi.string()).allow(null).optional(),
     is_occupied: Joi.boolean().optional(),
+    is_quarantine: Joi.boolean().optional(),
     last_cleaned: Joi.date().iso().allow(null).default(null).optional()
 }).strict().min(1);
 export const rowSchema = Joi.object({
@@ -64,7 +66,10 @@ export const rabbitSchema = Joi.object({
     notes: Joi.string().allow(null),
     parent_male_id: Joi.string().allow(null),
     parent_female_id: Joi.string().allow(null),
-    hutch_name: Joi.string().allow(null)
+    hutch_name: Joi.string().allow(null),
+    acquisition_type: Joi.string().max(20).allow(null),
+    acquisition_date: Joi.date().allow(null),
+    acquisition_cost: Joi.number().min(0).allow(null)
 });
 
 export const rabbitUpdateSchema = Joi.object({
@@ -82,6 +87,16 @@ export const rabbitUpdateSchema = Joi.object({
     notes: Joi.string().allow(null)
 });
 
+export const quarantineSchema = Joi.object({
+    hutch_id: Joi.string().allow(null).optional(),
+    reason: Joi.string().max(1000).allow('', null).optional(),
+    days: Joi.number().integer().positive().optional(),
+});
+
+export const quarantineReleaseSchema = Joi.object({
+    hutch_id: Joi.string().allow(null).optional(),
+});
+
 export const rabbitDeleteSchema = Joi.object({
     rabbit_id: Joi.string().max(20).required(),
     hutch_id: Joi.string().max(50).required(),
@@ -92,14 +107,16 @@ export const rabbitDeleteSchema = Joi.object({
     sale_amount: Joi.number().precision(2).optional(),
     sale_weight: Joi.number().precision(2).optional(),
     sold_to: Joi.string().max(100).allow('', null).optional(),
+    customer_id: Joi.string().optional().allow(null),
     sale_notes: Joi.string().max(1000).allow('', null).optional(),
     currency: Joi.string().length(3).optional(),
     sale_type: Joi.string().valid('whole', 'meat_only', 'skin_only', 'meat_and_skin').optional(),
+    cause_of_death: Joi.string().valid(...CAUSES_OF_DEATH).optional(),
 }).options({ stripUnknown: true });
 
 export const earningsSchema = Joi.object({
     farm_id: Joi.string().uuid().required(),
-    type: Joi.string().valid('rabbit_sale', 'urine_sale', 'manure_sale', 'other').required(),
+    type: Joi.string().valid(...EARNINGS_TYPES).required(),
     rabbit_id: Joi.string().max(200).optional().allow(null), // Changed max to 200
     amount: Joi.number().positive().required(),
     currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).default('USD'),
@@ -109,12 +126,15 @@ export const earningsSchema = Joi.object({
     includes_urine: Joi.boolean().default(false),
     includes_manure: Joi.boolean().default(false),
     buyer_name: Joi.string().max(100).optional().allow(null),
+    customer_id: Joi.string().optional().allow(null),
+    amount_paid: Joi.number().min(0).precision(2).optional(),
+    due_date: Joi.date().optional().allow(null),
     notes: Joi.string().optional().allow(null),
     hutch_id: Joi.string().optional().allow(null),
 });
 
 export const earningsUpdateSchema = Joi.object({
-    type: Joi.string().valid('rabbit_sale', 'urine_sale', 'manure_sale', 'other').optional(),
+    type: Joi.string().valid(...EARNINGS_TYPES).optional(),
     rabbit_id: Joi.string().max(200).optional().allow(null), // Changed max to 200
     amount: Joi.number().positive().optional(),
     currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).optional(),
@@ -124,10 +144,365 @@ export const earningsUpdateSchema = Joi.object({
     includes_urine: Joi.boolean().optional(),
     includes_manure: Joi.boolean().optional(),
     buyer_name: Joi.string().max(100).optional().allow(null),
+    customer_id: Joi.string().optional().allow(null),
+    due_date: Joi.date().optional().allow(null),
     notes: Joi.string().optional().allow(null),
     hutch_id: Joi.string().optional().allow(null),
 });
 
+export const expenseSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    category: Joi.string().valid(...EXPENSE_CATEGORIES).required(),
+    description: Joi.string().required(),
+    amount: Joi.number().positive().required(),
+    currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).default('USD'),
+    date: Joi.date().required(),
+    vendor: Joi.string().max(100).optional().allow(null),
+    payment_method: Joi.string().valid(...PAYMENT_METHODS).optional().allow(null),
+    receipt_url: Joi.string().uri().max(500).optional().allow(null),
+    is_recurring: Joi.boolean().default(false),
+    recurring_frequency: Joi.string().valid(...RECURRING_FREQUENCIES).when('is_recurring', {
+        is: true,
+        then: Joi.required(),
+        otherwise: Joi.optional().allow(null),
+    }),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const expenseUpdateSchema = Joi.object({
+    category: Joi.string().valid(...EXPENSE_CATEGORIES).optional(),
+    description: Joi.string().optional(),
+    amount: Joi.number().positive().optional(),
+    currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).optional(),
+    date: Joi.date().optional(),
+    vendor: Joi.string().max(100).optional().allow(null),
+    payment_method: Joi.string().valid(...PAYMENT_METHODS).optional().allow(null),
+    receipt_url: Joi.string().uri().max(500).optional().allow(null),
+    is_recurring: Joi.boolean().optional(),
+    recurring_frequency: Joi.string().valid(...RECURRING_FREQUENCIES).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const exchangeRateSchema = Joi.object({
+    from_currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).required(),
+    to_currency: Joi.string().length(3).pattern(/^[A-Z]{3}$/).optional(),
+    rate: Joi.number().positive().required(),
+    effective_date: Joi.date().required(),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const exchangeRateImportSchema = Joi.object({
+    csv: Joi.string().required(),
+});
+
+export const productionRecordSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    type: Joi.string().valid(...PRODUCTION_TYPES).required(),
+    quantity: Joi.number().positive().precision(2).required(),
+    unit: Joi.string().valid('kg', 'litres').optional(),
+    date: Joi.date().required(),
+    row_id: Joi.string().optional().allow(null),
+    source: Joi.string().max(50).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const productionRecordUpdateSchema = Joi.object({
+    type: Joi.string().valid(...PRODUCTION_TYPES).optional(),
+    quantity: Joi.number().positive().precision(2).optional(),
+    unit: Joi.string().valid('kg', 'litres').optional(),
+    date: Joi.date().optional(),
+    row_id: Joi.string().optional().allow(null),
+    source: Joi.string().max(50).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const productionSaleSchema = Joi.object({
+    type: Joi.string().valid(...PRODUCTION_TYPES).optional(),
+    quantity: Joi.number().positive().precision(2),
+    allocations: Joi.array().items(Joi.object({
+        production_record_id: Joi.string().required(),
+        quantity: Joi.number().positive().precision(2).required(),
+    })).min(1),
+}).xor('quantity', 'allocations');
+
+export const customerSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    name: Joi.string().trim().max(100).required(),
+    customer_type: Joi.string().valid(...CUSTOMER_TYPES).default('individual'),
+    phone: Joi.string().max(30).optional().allow(null),
+    email: Joi.string().email().max(255).optional().allow(null),
+    address: Joi.string().optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const customerUpdateSchema = Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    customer_type: Joi.string().valid(...CUSTOMER_TYPES).optional(),
+    phone: Joi.string().max(30).optional().allow(null),
+    email: Joi.string().email().max(255).optional().allow(null),
+    address: Joi.string().optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const customerLinkSalesSchema = Joi.object({
+    buyer_name: Joi.string().trim().max(100).optional(),
+});
+
+export const invoiceSchema = Joi.object({
+    earnings_record_ids: Joi.array().items(Joi.string()).min(1).required(),
+    customer_id: Joi.string().optional().allow(null),
+    bill_to_name: Joi.string().max(100).optional().allow(null),
+    bill_to_email: Joi.string().email().max(255).optional().allow(null),
+    bill_to_phone: Joi.string().max(30).optional().allow(null),
+    bill_to_address: Joi.string().optional().allow(null),
+    due_date: Joi.date().optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const invoiceUpdateSchema = Joi.object({
+    earnings_record_ids: Joi.array().items(Joi.string()).min(1).optional(),
+    customer_id: Joi.string().optional().allow(null),
+    bill_to_name: Joi.string().max(100).optional().allow(null),
+    bill_to_email: Joi.string().email().max(255).optional().allow(null),
+    bill_to_phone: Joi.string().max(30).optional().allow(null),
+    bill_to_address: Joi.string().optional().allow(null),
+    due_date: Joi.date().optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const invoiceIssueSchema = Joi.object({
+    issue_date: Joi.date().optional(),
+    due_date: Joi.date().optional().allow(null),
+});
+
+export const invoiceVoidSchema = Joi.object({
+    reason: Joi.string().max(500).optional().allow(null),
+});
+
+export const salePaymentSchema = Joi.object({
+    amount: Joi.number().positive().precision(2).required(),
+    payment_method: Joi.string().valid(...PAYMENT_METHODS).required(),
+    reference: Joi.string().max(100).optional().allow(null),
+    date: Joi.date().optional(),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const invoiceSendSchema = Joi.object({
+    to: Joi.string().email().optional(),
+    message: Joi.string().max(2000).optional().allow(null),
+});
+
+export const budgetSchema = Joi.object({
+    budget_type: Joi.string().valid(...BUDGET_TYPES).required(),
+    category: Joi.when('budget_type', {
+        is: 'revenue',
+        then: Joi.string().valid(...EARNINGS_TYPES),
+        otherwise: Joi.string().valid(...EXPENSE_CATEGORIES),
+    }).required(),
+    month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required(),
+    amount: Joi.number().min(0).precision(2).required(),
+    alert_threshold: Joi.number().integer().min(1).max(1000).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const budgetUpdateSchema = Joi.object({
+    amount: Joi.number().min(0).precision(2).optional(),
+    alert_threshold: Joi.number().integer().min(1).max(1000).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const healthRecordSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().max(200).required(),
+    type: Joi.string().valid(...HEALTH_RECORD_TYPES).required(),
+    description: Joi.string().required(),
+    date: Joi.date().required(),
+    next_due: Joi.date().optional().allow(null),
+    status: Joi.string().max(20).optional().allow(null),
+    veterinarian: Joi.string().max(100).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+    vaccination_schedule_id: Joi.string().optional().allow(null),
+    drug_name: Joi.string().max(100).optional().allow(null),
+    dosage: Joi.string().max(50).optional().allow(null),
+    withdrawal_days: Joi.number().integer().min(0).optional().allow(null),
+    cost: Joi.number().min(0).precision(2).optional().allow(null),
+});
+
+export const healthRecordUpdateSchema = Joi.object({
+    type: Joi.string().valid(...HEALTH_RECORD_TYPES).optional(),
+    description: Joi.string().optional(),
+    date: Joi.date().optional(),
+    next_due: Joi.date().optional().allow(null),
+    status: Joi.string().max(20).optional().allow(null),
+    veterinarian: Joi.string().max(100).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+    drug_name: Joi.string().max(100).optional().allow(null),
+    dosage: Joi.string().max(50).optional().allow(null),
+    withdrawal_days: Joi.number().integer().min(0).optional().allow(null),
+    cost: Joi.number().min(0).precision(2).optional().allow(null),
+}).min(1);
+
+export const healthAlertSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().required(),
+    alert_type: Joi.string().valid(...HEALTH_ALERT_TYPES).required(),
+    severity: Joi.string().valid(...ALERT_SEVERITIES).default('medium'),
+    message: Joi.string().required(),
+    quarantine: Joi.boolean().default(false),
+});
+
+const checkupScores = {
+    body_condition_score: Joi.number().integer().min(1).max(5).optional().allow(null),
+    teeth_score: Joi.number().integer().min(1).max(5).optional().allow(null),
+    ears_score: Joi.number().integer().min(1).max(5).optional().allow(null),
+    hocks_score: Joi.number().integer().min(1).max(5).optional().allow(null),
+    fur_score: Joi.number().integer().min(1).max(5).optional().allow(null),
+};
+
+export const checkupSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().max(200).required(),
+    date: Joi.date().required(),
+    veterinarian: Joi.string().max(100).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+    ...checkupScores,
+}).or(...Object.keys(checkupScores));
+
+export const rowCheckupSchema = Joi.object({
+    date: Joi.date().required(),
+    veterinarian: Joi.string().max(100).optional().allow(null),
+    checkups: Joi.array().items(Joi.object({
+        rabbit_id: Joi.string().max(200).required(),
+        date: Joi.date().optional(),
+        veterinarian: Joi.string().max(100).optional().allow(null),
+        notes: Joi.string().optional().allow(null),
+        ...checkupScores,
+    }).or(...Object.keys(checkupScores))).min(1).required(),
+});
+
+export const weightLogSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().max(200).optional(),
+    kit_id: Joi.string().optional(),
+    weight: Joi.number().precision(2).positive().required(),
+    weighed_on: Joi.date().optional(),
+    notes: Joi.string().optional().allow(null),
+}).xor('rabbit_id', 'kit_id');
+
+const feedingTimes = Joi.array()
+    .items(Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+        'string.pattern.base': 'times must be in HH:mm format'
+    }))
+    .min(1)
+    .unique();
+
+export const feedingScheduleSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().max(200).required(),
+    daily_amount: Joi.string().max(50).required(),
+    feed_type: Joi.string().max(50).required(),
+    times: feedingTimes.required(),
+    special_diet: Joi.string().optional().allow(null),
+    is_active: Joi.boolean().default(true),
+});
+
+export const feedingScheduleUpdateSchema = Joi.object({
+    daily_amount: Joi.string().max(50).optional(),
+    feed_type: Joi.string().max(50).optional(),
+    times: feedingTimes.optional(),
+    special_diet: Joi.string().optional().allow(null),
+    is_active: Joi.boolean().optional(),
+}).min(1);
+
+export const bulkFeedingScheduleSchema = Joi.object({
+    row_id: Joi.string().optional(),
+    hutch_ids: Joi.array().items(Joi.string()).min(1).optional(),
+    daily_amount: Joi.string().max(50).required(),
+    feed_type: Joi.string().max(50).required(),
+    times: feedingTimes.required(),
+    special_diet: Joi.string().optional().allow(null),
+}).xor('row_id', 'hutch_ids');
+
+export const feedingRecordSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    rabbit_id: Joi.string().max(200).required(),
+    feed_type: Joi.string().max(50).required(),
+    amount: Joi.number().positive().required(),
+    unit: Joi.string().valid(...FEEDING_UNITS).default('grams'),
+    feeding_time: Joi.date().optional(),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const hutchFeedingSchema = Joi.object({
+    row_id: Joi.string().optional(),
+    hutches: Joi.array().items(Joi.object({
+        hutch_id: Joi.string().required(),
+        amount: Joi.number().positive().optional(),
+        feed_type: Joi.string().max(50).optional(),
+        unit: Joi.string().valid(...FEEDING_UNITS).optional(),
+        notes: Joi.string().optional().allow(null),
+    })).min(1).optional(),
+    feed_type: Joi.string().max(50).optional(),
+    amount: Joi.number().positive().optional(),
+    unit: Joi.string().valid(...FEEDING_UNITS).default('grams'),
+    feeding_time: Joi.date().optional(),
+    notes: Joi.string().optional().allow(null),
+}).xor('row_id', 'hutches');
+
+export const feedStockSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    feed_type: Joi.string().max(50).required(),
+    brand: Joi.string().max(50).optional().allow(null),
+    quantity: Joi.number().precision(2).positive().required(),
+    unit: Joi.string().valid(...FEED_UNITS).required(),
+    bag_size_kg: Joi.number().precision(2).positive().when('unit', {
+        is: 'bags',
+        then: Joi.required(),
+        otherwise: Joi.optional().allow(null),
+    }),
+    cost_per_unit: Joi.number().precision(2).min(0).optional().allow(null),
+    purchase_date: Joi.date().optional(),
+    expiry_date: Joi.date().optional().allow(null),
+    supplier: Joi.string().max(100).optional().allow(null),
+    notes: Joi.string().optional().allow(null),
+});
+
+export const feedStockAdjustmentSchema = Joi.object({
+    quantity_change: Joi.number().precision(2).invalid(0).required(),
+    reason: Joi.string().max(255).required(),
+});
+
+export const feedStockThresholdSchema = Joi.object({
+    feed_type: Joi.string().max(50).required(),
+    min_quantity: Joi.number().precision(2).min(0).required(),
+    unit: Joi.string().valid('grams', 'kg').default('kg'),
+    expiry_alert_days: Joi.number().integer().min(0).optional().allow(null),
+});
+
+export const rationTemplateSchema = Joi.object({
+    daily_amount: Joi.string().max(50).required(),
+    feed_type: Joi.string().max(50).required(),
+    times: feedingTimes.required(),
+    special_diet: Joi.string().optional().allow(null),
+});
+
+export const vaccinationScheduleSchema = Joi.object({
+    farm_id: Joi.string().uuid().optional(),
+    vaccine_name: Joi.string().max(100).required(),
+    description: Joi.string().optional().allow(null),
+    frequency_days: Joi.number().integer().positive().required(),
+    age_start_days: Joi.number().integer().min(0).default(0),
+    is_active: Joi.boolean().default(true),
+});
+
+export const vaccinationScheduleUpdateSchema = Joi.object({
+    vaccine_name: Joi.string().max(100).optional(),
+    description: Joi.string().optional().allow(null),
+    frequency_days: Joi.number().integer().positive().optional(),
+    age_start_days: Joi.number().integer().min(0).optional(),
+    is_active: Joi.boolean().optional(),
+}).min(1);
+
 export const breedingSchema = Joi.object({
     farm_id: Joi.string().uuid().required().messages({
         'string.uuid': 'farm_id must be a valid UUID',
@@ -164,6 +539,12 @@ export const breedingUpdateSchema = Joi.object({
     }),
     notes: Joi.string().allow(null).optional().messages({
         'string.base': 'notes must be a string'
+    }),
+    cause_of_death: Joi.string().valid(...CAUSES_OF_DEATH).allow(null).optional().messages({
+        'any.only': `cause_of_death must be one of ${CAUSES_OF_DEATH.join(', ')}`
+    }),
+    death_date: Joi.date().allow(null).optional().messages({
+        'date.base': 'death_date must be a valid date'
     })
 }).min(1).messages({
     'object.min': 'At least one field is required for update'
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+
+const executeQuery = jest.fn();
+jest.unstable_mockModule('../../src/config/database.js', () => ({
+    pool: {},
+    DatabaseHelper: { executeQuery, executeTransaction: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/services/email.services.js', () => ({
+    default: class EmailService {}
+}));
+
+const { default: EarningsService } = await import('../../src/services/earnings.services.js');
+
+// Answers the reads updateEarnings makes and hands back the params of its UPDATE
+function mockSale(sale) {
+    const update = {};
+    executeQuery.mockImplementation(async (query, params) => {
+        if (query.includes('recorded_paid')) {
+            return { rows: [{ type: 'rabbit_sale', rabbit_id: null, date: '2026-10-01', currency: 'KES', ...sale }] };
+        }
+        if (query.includes('UPDATE earnings_records')) {
+            update.params = params;
+            return { rows: [{ id: 'sale-1' }] };
+        }
+        return { rows: [] };
+    });
+    return update;
+}
+
+describe('EarningsService.updateEarnings', () => {
+    beforeEach(() => {
+        executeQuery.mockReset();
+    });
+
+    it('keeps a sale paid in full at the sale paid in full when its amount is raised', async () => {
+        const update = mockSale({ amount: '1000.00', amount_paid: '1000.00', recorded_paid: '0' });
+
+        await EarningsService.updateEarnings('sale-1', 'farm-1', { amount: 1200 }, 'user-1');
+
+        expect(update.params[4]).toBe(1200);
+        expect(update.params[16]).toBe(true);
+    });
+
+    it('leaves the raise outstanding on a sale paid through the payments ledger', async () => {
+        const update = mockSale({ amount: '1000.00', amount_paid: '1000.00', recorded_paid: '1000.00' });
+
+        await EarningsService.updateEarnings('sale-1', 'farm-1', { amount: 1200 }, 'user-1');
+
+        expect(update.params[16]).toBe(false);
+    });
+
+    it('leaves the raise outstanding on a sale sold on credit', async () => {
+        const update = mockSale({ amount: '1000.00', amount_paid: '0.00', recorded_paid: '0' });
+
+        await EarningsService.updateEarnings('sale-1', 'farm-1', { amount: 1200 }, 'user-1');
+
+        expect(update.params[16]).toBe(false);
+    });
+});
@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+const executeQuery = jest.fn();
+jest.unstable_mockModule('../../src/config/database.js', () => ({
+    pool: {},
+    DatabaseHelper: { executeQuery, executeTransaction: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/services/email.services.js', () => ({
+    default: class EmailService {}
+}));
+
+const { default: VaccinationService } = await import('../../src/services/vaccination.services.js');
+
+describe('VaccinationService.getDueVaccinations', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-18T09:00:00Z') });
+        executeQuery.mockReset();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('keeps the due date of a DATE column when the server runs east of UTC', async () => {
+        executeQuery.mockImplementation(async query => {
+            if (query.includes('FROM farms')) {
+                return { rows: [{ timezone: 'Africa/Nairobi' }] };
+            }
+            return {
+                rows: [{
+                    rabbit_id: 'RB-001',
+                    schedule_id: 'schedule-1',
+                    vaccine_name: 'RHDV2',
+                    last_vaccinated: null,
+                    due_date: new Date(2026, 8, 29)
+                }]
+            };
+        });
+
+        const [due] = await VaccinationService.getDueVaccinations('farm-1');
+
+        // pg hands DATE columns back as midnight in the server's timezone, here east of UTC
+        expect(new Date(2026, 8, 29).toISOString()).toBe('2026-09-28T21:00:00.000Z');
+        expect(due.due_date).toBe('2026-09-29');
+        expect(due.days_until_due).toBe(-19);
+        expect(due.status).toBe('overdue');
+    });
+});
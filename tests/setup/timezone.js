@@ -0,0 +1,4 @@
+// Run the suite east of UTC so date handling cannot rely on the server being on UTC
+export default function setTimezone() {
+    process.env.TZ = 'Africa/Nairobi';
+}